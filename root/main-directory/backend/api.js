@@ -0,0 +1,64 @@
+import express from "express";
+import { operations, validateRequest, validateResponse, openapi } from "../shared/api/contract.js";
+import { ApiError } from "../shared/api/errors.js";
+
+// --- API v1 ROUTER (shared/api/contract.js) ---
+// handlers: { [operationId]: async (req, res) => ... } – minden művelethez kell egy.
+// A kérés (params, query, body) a szerződés szerint validálódik, mielőtt a handlerhez ér:
+//   400 { ok:false, code:"INVALID_REQUEST", error, details:[{ path, message }] }
+// A handler hibája ApiError-rá alakul (a backend modulok code mezője szerint, lásd errors.js).
+// A JSON válasz is ellenőrizve: eltérésnél figyelmeztetés a logban;
+//   ASA_API_STRICT=on – 500 INTERNAL a kliensnek (fejlesztéshez / CI-hoz)
+
+const STRICT = process.env.ASA_API_STRICT === "on";
+
+export function sendError(res, e) {
+  const err = ApiError.from(e);
+  if (err.status >= 500) console.error(`ASA: ${err.code}: ${err.stack || err.message}`);
+  res.status(err.status).json(err.toJSON());
+}
+
+export function createApiRouter(handlers) {
+  const router = express.Router();
+
+  for (const op of operations) {
+    const handler = op.operationId === "contract" ? (req, res) => res.json(openapi) : handlers[op.operationId];
+    if (!handler) throw new Error(`No handler for API operation ${op.operationId}`);
+
+    const route = op.path.replace(/\{(\w+)\}/g, ":$1");
+
+    router[op.method.toLowerCase()](route, async (req, res) => {
+      const errors = validateRequest(op, { params:req.params, query:req.query, body:req.body });
+      if (errors.length) {
+        return sendError(res, new ApiError("INVALID_REQUEST", `Invalid request: ${errors[0].path} ${errors[0].message}`, errors));
+      }
+
+      checkResponses(op, res);
+
+      try {
+        await handler(req, res);
+      } catch (e) {
+        if (res.headersSent) return console.error(`ASA: ${op.operationId} failed after response started: ${e.message}`);
+        sendError(res, e);
+      }
+    });
+  }
+
+  // ismeretlen útvonal a /api/v1 alatt
+  router.use((req, res) => sendError(res, new ApiError("NOT_FOUND", `Unknown API route: ${req.method} ${req.baseUrl}${req.path}`)));
+  return router;
+}
+
+function checkResponses(op, res) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const errors = validateResponse(op, res.statusCode, body);
+    if (!errors.length) return json(body);
+
+    console.warn(`ASA: ${op.operationId} response does not match the v1 contract:`, errors);
+    if (!STRICT) return json(body);
+    res.status(500);
+    return json(new ApiError("INTERNAL", `${op.operationId}: response does not match the v1 contract`, errors).toJSON());
+  };
+}
@@ -1 +1 @@
-npm install express cors body-parser node-fetch openai
\ No newline at end of file
+npm install express cors body-parser node-fetch openai @babel/parser typescript
\ No newline at end of file
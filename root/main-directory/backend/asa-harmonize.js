@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { createProvider } from "./providers.js";
+import { preview } from "./harmonizer.js";
+import { createRegistry, defaultRegistry } from "./filetypes.js";
+import { applyWrites, undoRun } from "./transaction.js";
+import { applyToBranch } from "./git.js";
+import { planWrites } from "./sandbox.js";
+import { savePreview, loadPreview } from "./previews.js";
+import { createCache, cachedProvider } from "./cache.js";
+import { createScheduler, scheduledProvider } from "./scheduler.js";
+import { gateWrites } from "./validate.js";
+import { verificationGate } from "./verify.js";
+import { loadConfig, saveConfig, groupComponents, modelEnv, checkTargets } from "./config.js";
+import { discoverComponents } from "./discover.js";
+import { renderReport, REPORT_FORMATS } from "./report.js";
+import { ApiError } from "../shared/api/errors.js";
+
+// --- ASA-HARMONIZE CLI ---
+// Ugyanaz a mag, mint a backend (harmonizer.js, previews.js, sandbox.js ...) – Worker / Express nélkül,
+// közvetlenül a helyi checkouton. A preview runok a REPO/.asa-harmonizer alá kerülnek, mint a szerveren.
+//   asa-harmonize preview [-c name=path ... | --group <preset>] [--config harmonizer.config.json] [--json] [--max-divergent N]
+// A komponensek, presetek, ignore szabályok, modell és target policy a harmonizer.config.json-ból (config.js).
+//   asa-harmonize apply --run <previewId> [-c name ...] [--mode fs|git] [--json]
+//   asa-harmonize undo --run <runId> [--force]
+//   asa-harmonize discover [--add] [--json] – javasolt komponensek (discover.js); --add: a config fájlba írja
+//   asa-harmonize report --run <previewId> [--format markdown|html|json|sarif] [--out file] – report.js
+// Exit kódok (CI):
+//   0 – rendben
+//   1 – preview: több divergens fájl, mint --max-divergent
+//   2 – hibás hívás / konfig (ismeretlen komponens, previewId, nem biztonságos útvonal ...)
+//   3 – apply: validáció / check regresszió / konfliktus / target policy miatt (részben) elutasítva
+//   4 – egyéb hiba (provider, fájlrendszer)
+
+const USAGE = `Usage:
+  asa-harmonize preview [options]
+      -c, --component <name=path>   component to compare (repeatable); default: components from the config file
+      -g, --group <name>            compare the components of a config group (preset)
+      --config <file>               project config (default: <repo>/harmonizer.config.json)
+      --repo <dir>                  repository root (default: REPO_ROOT or the current directory)
+      --similarity <0..1>           rename detection threshold
+      --timeout <ms>                run timeout
+      --repair                      send invalid model output back once with the diagnostics
+      --diff                        print the per-component patches
+      --max-divergent <n>           exit 1 when more than n files diverge
+      --json                        print the run result as JSON (same shape as POST /api/v1/preview)
+
+  asa-harmonize apply --run <previewId> [options]
+      -c, --component <name>        target component (repeatable); default: every component of the run
+      --mode <fs|git>               write the working tree (default) or commit to a new branch
+      --commit-per <file|component> git mode commit granularity
+      --allow-invalid               also write suggestions that failed validation
+      --on-regression <block|warn>  what to do when verify reported regressed checks
+      --repo <dir>, --json
+
+  asa-harmonize undo --run <runId> [--force] [--repo <dir>] [--json]
+      restores the files written by an fs-mode apply; --force overwrites files edited since
+
+  asa-harmonize discover [--add] [--repo <dir>] [--json]
+      proposes components from npm/yarn/pnpm workspaces, package.json, wrangler.toml and vite.config files;
+      --add appends the new ones to <repo>/harmonizer.config.json
+
+  asa-harmonize report --run <previewId> [options]
+      --format <markdown|html|json|sarif>  report format (default: markdown, e.g. for a PR description)
+      --out <file>                  write to a file instead of stdout
+      --no-diffs                    leave out the per-component diffs
+      --repo <dir>
+
+Exit codes: 0 ok, 1 divergence above --max-divergent, 2 invalid input, 3 apply refused, 4 other error`;
+
+const EXIT = { OK:0, DIVERGENT:1, USAGE:2, REFUSED:3, ERROR:4 };
+
+const USAGE_CODES = ["INVALID_REQUEST", "UNSAFE_PATH", "NOT_FOUND", "UNAUTHORIZED", "FORBIDDEN"];
+const REFUSED_CODES = ["VALIDATION_FAILED", "CHECKS_REGRESSED", "CONFLICT", "POLICY_DENIED"];
+
+const OPTIONS = {
+  component:{ type:"string", short:"c", multiple:true },
+  group:{ type:"string", short:"g" },
+  config:{ type:"string" },
+  repo:{ type:"string" },
+  similarity:{ type:"string" },
+  timeout:{ type:"string" },
+  repair:{ type:"boolean" },
+  diff:{ type:"boolean" },
+  "max-divergent":{ type:"string" },
+  run:{ type:"string" },
+  mode:{ type:"string" },
+  "commit-per":{ type:"string" },
+  "allow-invalid":{ type:"boolean" },
+  "on-regression":{ type:"string" },
+  force:{ type:"boolean" },
+  add:{ type:"boolean" },
+  format:{ type:"string" },
+  out:{ type:"string" },
+  "no-diffs":{ type:"boolean" },
+  json:{ type:"boolean" },
+  help:{ type:"boolean", short:"h" }
+};
+
+const invalid = msg => new ApiError("INVALID_REQUEST", msg);
+
+function parse(argv) {
+  try {
+    return parseArgs({ args:argv, options:OPTIONS, allowPositionals:true });
+  } catch (e) {
+    throw invalid(e.message);
+  }
+}
+
+function number(value, flag, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    throw invalid(`${flag} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function oneOf(value, flag, allowed) {
+  if (value != null && !allowed.includes(value)) throw invalid(`${flag} must be one of: ${allowed.join(", ")}`);
+  return value;
+}
+
+// "dashboard=apps/dashboard" -> { name, path }; apply-nál elég a név
+function componentFlag(spec, { pathRequired = true } = {}) {
+  const idx = spec.indexOf("=");
+  const name = (idx < 0 ? spec : spec.slice(0, idx)).trim();
+  const p = idx < 0 ? "" : spec.slice(idx + 1).trim();
+
+  if (!name || (pathRequired && !p)) throw invalid(`--component expects name=path, got "${spec}"`);
+  return p ? { name, path:p } : { name };
+}
+
+function makeProvider(config) {
+  const cache = process.env.ASA_LLM_CACHE === "off" ? null : createCache();
+  return cachedProvider(scheduledProvider(createProvider(modelEnv(config)), createScheduler()), cache);
+}
+
+// --- PREVIEW ---
+async function runPreview(repo, values, signal) {
+  const { config } = await loadConfig(repo, { file:values.config && path.resolve(values.config) });
+  if (values.group && values.component?.length) throw invalid("--group and --component cannot be combined");
+
+  const comps = values.component?.length
+    ? values.component.map(c => componentFlag(c))
+    : values.group ? groupComponents(config, values.group) : config.components;
+
+  if (comps.length < 2) {
+    throw invalid("At least two components are required (--component name=path, --group or \"components\" in the config file)");
+  }
+
+  const provider = makeProvider(config);
+  if (!provider) log(values, "asa-harmonize: no LLM provider configured (OPENAI_API_KEY / ASA_LLM_PROVIDER) – conflicting files stay unresolved");
+
+  const opts = {
+    similarity:number(values.similarity, "--similarity", { max:1 }) ?? config.similarity ?? Number(process.env.ASA_SIMILARITY_THRESHOLD || 0.5),
+    registry:config.fileTypes ? createRegistry(config.fileTypes) : defaultRegistry,
+    timeoutMs:number(values.timeout, "--timeout", { min:1, integer:true }) ?? config.timeoutMs,
+    repair:values.repair || config.model?.repair,
+    ignore:config.ignore,
+    onProgress:progress(values),
+    signal
+  };
+  const maxDivergent = number(values["max-divergent"], "--max-divergent", { integer:true });
+
+  const result = await preview(repo, comps, provider, opts);
+  const previewId = await savePreview(repo, comps, result.suggestions, result);
+  const run = { ok:true, previewId, ...result };
+
+  if (values.json) print(run);
+  else printPreview(run, comps, values);
+
+  if (maxDivergent != null && result.summary.divergent > maxDivergent) {
+    log(values, `asa-harmonize: ${result.summary.divergent} divergent files (max ${maxDivergent})`);
+    return EXIT.DIVERGENT;
+  }
+  return EXIT.OK;
+}
+
+// fájlonkénti haladás a stderr-re, csak terminálon és nem --json módban
+function progress(values) {
+  if (values.json || !process.stderr.isTTY) return () => {};
+  let total = 0;
+  let done = 0;
+
+  return e => {
+    if (e.type === "collected") total = e.files.length;
+    else if (e.type === "file-start") process.stderr.write(`  [${done + 1}/${total}] ${e.file}\n`);
+    else if (e.type === "file-done" || e.type === "file-failed") done++;
+  };
+}
+
+function printPreview(run, comps, values) {
+  const { summary } = run;
+  const lines = [
+    `Preview ${run.previewId} – ${comps.map(c => `${c.name} (${c.path})`).join(", ")}`,
+    `  in sync: ${summary.inSync}  trivial: ${summary.trivial}  divergent: ${summary.divergent}` +
+      `  (cached: ${summary.cached}, incomplete: ${summary.incomplete}, invalid: ${summary.invalid})`
+  ];
+
+  if (run.suggestions.length || run.failed.length) lines.push("", "Divergent:");
+  for (const s of run.suggestions) {
+    const notes = [
+      s.source,
+      s.validation.ok ? "valid" : `invalid (${s.validation.diagnostics.length} diagnostics)`,
+      s.validation.warnings?.length && "type check skipped (typescript not installed)",
+      s.unified === null && `${s.conflicts.length} unresolved conflicts`,
+      !s.coverage.complete && "incomplete",
+      s.match === "similar" && `renamed (${Math.round(s.confidence * 100)}% similar)`
+    ].filter(Boolean);
+    lines.push(`  ~ ${s.file}  [${notes.join(", ")}]`);
+    if (s.why) lines.push(`      ${s.why}`);
+  }
+  for (const f of run.failed) lines.push(`  ! ${f.file}  failed: ${f.error}`);
+
+  if (run.trivial.length) lines.push("", "Trivial:");
+  for (const t of run.trivial) lines.push(`  = ${t.file}  (${t.reason})`);
+
+  if (values.diff) {
+    for (const s of run.suggestions) for (const p of s.patches) lines.push("", p.diff.trimEnd());
+  }
+
+  if (run.suggestions.some(s => s.unified !== null)) {
+    lines.push("", `Apply: asa-harmonize apply --run ${run.previewId}`);
+  }
+  if (run.suggestions.length) lines.push(`Report: asa-harmonize report --run ${run.previewId} --format markdown|html|json|sarif`);
+  console.log(lines.join("\n"));
+}
+
+// --- APPLY ---
+// ugyanaz az út, mint a POST /api/v1/apply: a preview run fájljai, sandbox, validáció, verify kapu
+async function runApply(repo, values) {
+  if (!values.run) throw invalid("apply needs --run <previewId> (printed by asa-harmonize preview)");
+
+  const mode = oneOf(values.mode, "--mode", ["fs", "git"]) || "fs";
+  const commitPer = oneOf(values["commit-per"], "--commit-per", ["file", "component"]);
+  const onRegression = oneOf(values["on-regression"], "--on-regression", ["block", "warn"]);
+
+  const run = await loadPreview(repo, values.run);
+  const targets = values.component?.length
+    ? values.component.map(spec => {
+      const { name } = componentFlag(spec, { pathRequired:false });
+      const known = run.components.find(c => c.name === name);
+      if (!known) throw new ApiError("NOT_FOUND", `Component ${name} is not part of preview ${run.id} (${run.components.map(c => c.name).join(", ")})`);
+      return known;
+    })
+    : run.components;
+
+  const suggestions = Object.entries(run.files).map(([file, f]) => ({ file, unified:f.unified, why:f.why }));
+  if (suggestions.some(s => s.unified === undefined)) {
+    throw invalid(`Preview ${run.id} has no stored suggestion content – run asa-harmonize preview again`);
+  }
+
+  const planned = await planWrites(repo, run, targets, suggestions);
+  const { writes, blocked } = await gateWrites(repo, run, planned, { allowInvalid:values["allow-invalid"] });
+
+  if (!writes.length && blocked.length) {
+    throw new ApiError("VALIDATION_FAILED", "All suggestions failed validation – nothing applied", blocked);
+  }
+
+  checkTargets((await loadConfig(repo)).config, writes, mode);
+  const verification = verificationGate(run, writes, { onRegression });
+
+  const result = mode === "git"
+    ? { ok:true, mode, ...await applyToBranch(repo, writes, { commitPer }), blocked, verification }
+    : { ok:true, mode, ...await applyWrites(repo, writes), blocked, verification };
+
+  if (values.json) print(result);
+  else printApply(result);
+
+  return blocked.length ? EXIT.REFUSED : EXIT.OK;
+}
+
+// csak a ténylegesen megváltozott fájlok – a célban már azonos tartalmú javaslat nem számít
+function printApply(result) {
+  const git = result.mode === "git";
+  const files = git ? result.commits.flatMap(c => c.files) : result.files;
+  const lines = [
+    !files.length ? "Nothing to change – the targets already match"
+      : git ? `Committed ${files.length} files to ${result.branch} (${result.commits.length} commits)`
+        : `Applied ${files.length} files (run ${result.runId}) – undo: asa-harmonize undo --run ${result.runId}`
+  ];
+
+  for (const f of files) lines.push(`  + ${f}`);
+  for (const b of result.blocked) lines.push(`  x ${b.component}: ${b.file} – ${b.diagnostics[0]?.message || "invalid"}`);
+  for (const [comp, status] of Object.entries(result.verification)) {
+    if (status !== "passed") lines.push(`  checks ${comp}: ${status}`);
+  }
+  console.log(lines.join("\n"));
+}
+
+// --- UNDO ---
+async function runUndo(repo, values) {
+  if (!values.run) throw invalid("undo needs --run <runId> (printed by asa-harmonize apply)");
+
+  const result = { ok:true, ...await undoRun(repo, values.run, { force:!!values.force }) };
+  if (values.json) print(result);
+  else console.log(`Restored ${result.restored} files (run ${result.runId})`);
+  return EXIT.OK;
+}
+
+// --- DISCOVER ---
+async function runDiscover(repo, values) {
+  const { config } = await loadConfig(repo);
+  const found = await discoverComponents(repo, config);
+  const fresh = found.components.filter(c => !c.configured);
+
+  let added = [];
+  if (values.add && fresh.length) {
+    added = fresh.map(({ name, path:p, type }) => ({ name, path:p, type }));
+    await saveConfig(repo, { ...config, components:[...config.components, ...added] });
+  }
+
+  if (values.json) {
+    print({ ok:true, ...found, added:added.map(c => c.name) });
+    return EXIT.OK;
+  }
+
+  const lines = [found.workspaces.manager
+    ? `Workspaces (${found.workspaces.manager}): ${found.workspaces.patterns.join(", ")}`
+    : "No workspaces declared"];
+  for (const c of found.components) {
+    lines.push(`  ${c.configured ? "=" : "+"} ${c.name.padEnd(20)} ${c.type.padEnd(9)} ${c.path}  (${c.evidence.join(", ")})`);
+  }
+  if (!found.components.length) lines.push("  nothing found");
+  if (added.length) lines.push("", `Added ${added.length} components to harmonizer.config.json`);
+  else if (fresh.length) lines.push("", "Add the new (+) components: asa-harmonize discover --add");
+  console.log(lines.join("\n"));
+  return EXIT.OK;
+}
+
+// --- REPORT ---
+async function runReport(repo, values) {
+  if (!values.run) throw invalid("report needs --run <previewId> (printed by asa-harmonize preview)");
+  const format = oneOf(values.format, "--format", Object.keys(REPORT_FORMATS)) || "markdown";
+
+  const run = await loadPreview(repo, values.run);
+  const { body } = renderReport(run, format, { diffs:!values["no-diffs"] });
+
+  if (!values.out) {
+    process.stdout.write(body.endsWith("\n") ? body : body + "\n");
+    return EXIT.OK;
+  }
+  await fs.writeFile(path.resolve(values.out), body);
+  console.error(`Report written to ${values.out}`);
+  return EXIT.OK;
+}
+
+// --- FUTTATÁS ---
+const print = data => console.log(JSON.stringify(data, null, 2));
+
+function log(values, msg) {
+  if (!values.json) console.error(msg);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let values = {};
+  const controller = new AbortController();
+  const onSignal = () => controller.abort();
+  process.once("SIGINT", onSignal);
+
+  try {
+    const args = parse(argv);
+    values = args.values;
+    const [command] = args.positionals;
+
+    if (values.help || !command) {
+      console.log(USAGE);
+      return values.help ? EXIT.OK : EXIT.USAGE;
+    }
+
+    const repo = path.resolve(values.repo || process.env.REPO_ROOT || process.cwd());
+    if (command === "preview") return await runPreview(repo, values, controller.signal);
+    if (command === "apply") return await runApply(repo, values);
+    if (command === "undo") return await runUndo(repo, values);
+    if (command === "discover") return await runDiscover(repo, values);
+    if (command === "report") return await runReport(repo, values);
+    throw invalid(`Unknown command: ${command} (preview | apply | undo | discover | report)`);
+  } catch (e) {
+    if (controller.signal.aborted) {
+      console.error("asa-harmonize: cancelled");
+      return 130;
+    }
+
+    const err = ApiError.from(e);
+    if (values.json) print(err.toJSON());
+    else {
+      console.error(`asa-harmonize: ${err.code}: ${err.message}`);
+      for (const d of [].concat(err.details || []).slice(0, 10)) console.error(`  ${JSON.stringify(d)}`);
+    }
+
+    if (USAGE_CODES.includes(err.code)) return EXIT.USAGE;
+    if (REFUSED_CODES.includes(err.code)) return EXIT.REFUSED;
+    return EXIT.ERROR;
+  } finally {
+    process.off("SIGINT", onSignal);
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+
+// --- WORKER -> BACKEND ALÁÍRÁS ---
+// A Worker minden továbbított kérést aláír a közös WORKER_API_KEY-jel (HMAC-SHA256):
+//   X-ASA-Timestamp: unix ms
+//   X-ASA-Nonce:     egyszer használatos véletlen azonosító
+//   X-ASA-Signature: hex HMAC a kanonikus stringen:
+//     METHOD \n PATH(+query) \n TIMESTAMP \n NONCE \n sha256hex(BODY)
+// A backend ellenőrzi az aláírást, az időablakot (ASA_SIGNATURE_TTL_MS, alap 5 perc) és
+// hogy a nonce nem volt-e már felhasználva (replay). Hiányzó aláírás: 401, rossz / lejárt / ismételt: 403.
+// Ugyanezt a sémát valósítja meg a Worker WebCrypto-val (worker/src/index.js).
+
+export const HEADERS = {
+  timestamp:"x-asa-timestamp",
+  nonce:"x-asa-nonce",
+  signature:"x-asa-signature"
+};
+
+const TTL_MS = Number(process.env.ASA_SIGNATURE_TTL_MS || 5 * 60 * 1000);
+
+export function canonicalRequest({ method, path, timestamp, nonce, body }) {
+  const bodyHash = crypto.createHash("sha256").update(body || "").digest("hex");
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join("\n");
+}
+
+export function sign(key, parts) {
+  return crypto.createHmac("sha256", key).update(canonicalRequest(parts)).digest("hex");
+}
+
+// express.json({ verify:keepRawBody }) – az aláírás a nyers bájtokon számolódik
+export function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// nonce -> lejárat; az időablakon túli nonce-ok úgyis elbuknak a timestamp ellenőrzésen
+function nonceStore() {
+  const seen = new Map();
+  return {
+    use(nonce, now) {
+      for (const [n, exp] of seen) if (exp < now) seen.delete(n);
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, now + TTL_MS);
+      return true;
+    }
+  };
+}
+
+export function verifyRequest(key, req, nonces, now = Date.now()) {
+  const timestamp = req.get(HEADERS.timestamp);
+  const nonce = req.get(HEADERS.nonce);
+  const signature = req.get(HEADERS.signature);
+
+  if (!timestamp || !nonce || !signature) throw new AuthError(401, "Missing request signature");
+
+  if (!(Math.abs(now - Number(timestamp)) <= TTL_MS)) {
+    throw new AuthError(403, "Request signature expired – check the Worker and backend clocks");
+  }
+
+  const expected = sign(key, { method:req.method, path:req.originalUrl, timestamp, nonce, body:req.rawBody });
+  const a = Buffer.from(signature, "hex");
+  const b = Buffer.from(expected, "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw new AuthError(403, "Invalid request signature");
+
+  if (!nonces.use(nonce, now)) throw new AuthError(403, "Replayed request rejected");
+}
+
+// Express middleware. Kulcs nélkül zárva marad: minden kérés 401 – aláíratlan kérést csak az explicit
+// fejlesztői opt-out enged át (ASA_ALLOW_UNSIGNED=1, lokálisan, Worker nélkül).
+export function requireWorkerSignature(key = process.env.WORKER_API_KEY, { allowUnsigned = process.env.ASA_ALLOW_UNSIGNED === "1" } = {}) {
+  if (!key && allowUnsigned) {
+    console.warn("ASA: WORKER_API_KEY not set and ASA_ALLOW_UNSIGNED=1 – backend accepts unsigned requests");
+    return (req, res, next) => next();
+  }
+  if (!key) {
+    console.warn("ASA: WORKER_API_KEY not set – every /api request is rejected (set ASA_ALLOW_UNSIGNED=1 for local development)");
+    return (req, res) => res.status(401).json({
+      ok:false,
+      code:"UNAUTHORIZED",
+      error:"Backend has no WORKER_API_KEY – signed requests cannot be verified"
+    });
+  }
+
+  const nonces = nonceStore();
+  return (req, res, next) => {
+    try {
+      verifyRequest(key, req, nonces);
+      next();
+    } catch (e) {
+      res.status(e.status || 403).json({ ok:false, code:e.status === 401 ? "UNAUTHORIZED" : "FORBIDDEN", error:e.message });
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { contentHash } from "./normalize.js";
+import { buildPrompt } from "./providers.js";
+import { atomicWrite, ignoredDir } from "./transaction.js";
+
+// --- LLM VÁLASZ CACHE (tartalom-címzett) ---
+// Kulcs = sha256(provider + modell + a kész prompt), a prompt pedig tartalmazza az összes
+// bemeneti verziót és a (fájltípusra szabott) prompt sablont – bármelyik változik, új kulcs.
+// Tároló: egy JSON fájl / kulcs a backend alatt (ASA_CACHE_DIR, alap backend/.asa-cache):
+//   <dir>/<kulcs[0..2]>/<kulcs>.json – { key, provider, model, file, createdAt, hits, lastHitAt, unified, why }
+// Minden írás (a találatnál a hits / lastHitAt frissítése is) temp fájl + rename: egy párhuzamos olvasó
+// sosem lát félig kiírt bejegyzést.
+// ASA_LLM_CACHE=off kikapcsolja.
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), ".asa-cache");
+
+export function cacheKey(provider, input) {
+  const { system, prompt } = buildPrompt(input);
+  return contentHash(JSON.stringify([provider.name, provider.model, system, prompt]));
+}
+
+export function createCache({ dir = process.env.ASA_CACHE_DIR || DEFAULT_DIR } = {}) {
+  const entryFile = key => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+  async function read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      return null; // hiányzó vagy sérült bejegyzés = cache miss
+    }
+  }
+
+  async function write(entry) {
+    const file = entryFile(entry.key);
+    await ignoredDir(dir);
+    await fs.mkdir(path.dirname(file), { recursive:true });
+    await atomicWrite(file, JSON.stringify(entry));
+  }
+
+  async function* entries() {
+    const shards = await fs.readdir(dir, { withFileTypes:true }).catch(() => []);
+    for (const shard of shards) {
+      if (!shard.isDirectory()) continue;
+      for (const name of await fs.readdir(path.join(dir, shard.name))) {
+        if (!name.endsWith(".json")) continue; // félbemaradt írás temp fájlja
+        const file = path.join(dir, shard.name, name);
+        const entry = await read(file);
+        if (entry) yield { file, entry, size:(await fs.stat(file)).size };
+      }
+    }
+  }
+
+  return {
+    dir,
+
+    async get(key) {
+      const entry = await read(entryFile(key));
+      if (!entry) return null;
+
+      entry.hits = (entry.hits || 0) + 1;
+      entry.lastHitAt = new Date().toISOString();
+      await write(entry).catch(() => {});
+      return entry;
+    },
+
+    set(key, entry) {
+      return write({ key, createdAt:new Date().toISOString(), hits:0, lastHitAt:null, ...entry });
+    },
+
+    remove(key) {
+      return fs.rm(entryFile(key), { force:true });
+    },
+
+    // a nagy mezők (unified) nélkül – böngészéshez
+    async list() {
+      const out = [];
+      for await (const { entry, size } of entries()) {
+        const { unified, why, ...meta } = entry;
+        out.push({ ...meta, size });
+      }
+      return out.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // key: csak az az egy bejegyzés; olderThanMs: csak az ennél régebben használtak; semmi: minden
+    async purge({ key, olderThanMs } = {}) {
+      let purged = 0;
+      const now = Date.now();
+
+      for await (const { file, entry } of entries()) {
+        if (key && entry.key !== key) continue;
+        if (olderThanMs && now - Date.parse(entry.lastHitAt || entry.createdAt) < olderThanMs) continue;
+        await fs.rm(file, { force:true });
+        purged++;
+      }
+      return purged;
+    }
+  };
+}
+
+// provider wrapper: azonos bemenetre nincs új LLM hívás; a válasz cached:true|false jelzést kap
+// invalidate(input): a validáción elbukott válasz ne jöjjön vissza a következő futásban
+export function cachedProvider(provider, cache) {
+  if (!provider || !cache) return provider;
+
+  return {
+    ...provider,
+    async harmonize(input) {
+      const key = cacheKey(provider, input);
+
+      const hit = await cache.get(key);
+      if (hit) return { unified:hit.unified, why:hit.why, raw:hit.raw, cached:true };
+
+      const { unified, why, raw } = await provider.harmonize(input);
+      // üres válasz nem kerül cache-be
+      if (unified) await cache.set(key, { provider:provider.name, model:provider.model, file:input.file, unified, why, raw });
+      return { unified, why, raw, cached:false };
+    },
+
+    invalidate(input) {
+      return cache.remove(cacheKey(provider, input));
+    }
+  };
+}
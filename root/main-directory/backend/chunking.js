@@ -0,0 +1,214 @@
+import { astPlugins, topLevelItems, unionOrder } from "./merge.js";
+import { parseBlock } from "./merge-css.js";
+import { buildPrompt } from "./providers.js";
+import { countTokens, modelLimits } from "./tokens.js";
+
+// --- NAGY FÁJLOK DARABOLÁSA ---
+// Ami egyben belefér a modell limitjébe (tokens.js), az egy hívással megy, mint eddig.
+// A nagyobb fájl top-level határokon darabolódik:
+//   script: függvény / osztály / deklaráció (AST, lásd merge.js topLevelItems; parse hibánál deklaráció sorok)
+//   css:    szabály / @blokk (merge-css.js parseBlock)
+//   text:   Markdown címsorok
+//   json:   nem darabolható – túl nagy fájl = nem kezelhető
+// A darabok kulcs szerint igazodnak a verziók között (ugyanaz a függvény ugyanabba a darabba kerül),
+// darabonként megy a modellhez, az eredmény sorrendben összefűzve áll vissza.
+// Azonos tartalmú / csak egy komponensben meglévő darabnál nincs hívás. Ami nem fér bele (egyetlen
+// óriás függvény) vagy üres választ kapott, változatlanul marad és a coverage.skipped listába kerül:
+//   coverage: { complete, chunks, calls, tokens, limit, skipped:[{ part, keys, reason }] }
+
+const DECL_LINE = /^(export\s+)?(default\s+)?(async\s+)?(function|class|const|let|var|interface|type|enum)\b/;
+const HEADING = /^#{1,6}\s/;
+const CSS_START = /^[^\s}]/;
+
+// tartalom -> [{ key, text }], a textek összefűzve = tartalom; null = nem darabolható
+export function segments(file, strategy, content) {
+  if (strategy === "script") {
+    const plugins = astPlugins(file);
+    if (plugins) {
+      try {
+        const { items, tail } = topLevelItems(content, plugins);
+        return withTail(items.map(i => ({ key:i.key, text:i.gap + i.text })), tail);
+      } catch {
+        // parse hiba -> deklaráció sorok mentén
+      }
+    }
+    return lineBlocks(content, DECL_LINE);
+  }
+
+  if (strategy === "css") {
+    try {
+      const items = parseBlock(content, 0, content.length);
+      const last = items[items.length - 1];
+      return withTail(items.map(i => ({ key:i.key, text:i.gap + i.text })), last ? content.slice(last.end) : "");
+    } catch {
+      return lineBlocks(content, CSS_START);
+    }
+  }
+
+  if (strategy === "text") return lineBlocks(content, HEADING);
+  return null;
+}
+
+function withTail(items, tail) {
+  if (!items.length) return null;
+  items[items.length - 1].text += tail;
+  return items;
+}
+
+// sor-alapú bontás: új blokk minden határsornál; a sortörés a blokk elejéhez tartozik (mint az AST gap)
+function lineBlocks(content, boundary) {
+  const blocks = [];
+  const seen = new Map();
+
+  content.split("\n").forEach((line, i) => {
+    if (i === 0 || boundary.test(line)) {
+      let key = i === 0 && !boundary.test(line) ? "head" : `line:${line.trim().replace(/\s+/g, " ")}`;
+      const n = (seen.get(key) || 0) + 1;
+      seen.set(key, n);
+      if (n > 1) key += `#${n}`;
+      blocks.push({ key, text:i === 0 ? line : "\n" + line });
+    } else {
+      blocks[blocks.length - 1].text += "\n" + line;
+    }
+  });
+
+  return blocks;
+}
+
+// versions -> darabok: [{ keys, versions:[{ comp, file, content }], tokens:[per verzió], oversize }]
+export function planChunks(file, strategy, versions, { model, limits = modelLimits(model), overhead = 0 } = {}) {
+  const inputBudget = limits.context - limits.output - overhead;
+  const tooBig = tokens => tokens.some(t => t > limits.chunk) || tokens.reduce((a, b) => a + b, 0) > inputBudget;
+
+  const segs = versions.map(v => segments(file, strategy, v.content));
+
+  if (segs.some(s => !s)) {
+    const tokens = versions.map(v => countTokens(v.content, model));
+    return [{ keys:[], versions, tokens, oversize:tooBig(tokens) }];
+  }
+
+  const byKey = segs.map(list => new Map(list.map(s => [s.key, s.text])));
+  const chunks = [];
+  let current = null;
+
+  for (const key of unionOrder(segs.map(list => list.map(s => s.key)))) {
+    const texts = byKey.map(m => m.get(key) ?? "");
+    const tokens = texts.map(t => countTokens(t, model));
+
+    if (current && !tooBig(current.tokens.map((t, i) => t + tokens[i]))) {
+      current.keys.push(key);
+      current.texts = current.texts.map((t, i) => t + texts[i]);
+      current.tokens = current.tokens.map((t, i) => t + tokens[i]);
+    } else {
+      current = { keys:[key], texts, tokens };
+      chunks.push(current);
+    }
+  }
+
+  return chunks.map(({ keys, texts, tokens }) => ({
+    keys,
+    versions:versions.map((v, i) => ({ ...v, content:texts[i] })),
+    tokens,
+    oversize:tooBig(tokens)
+  }));
+}
+
+// provider.harmonize darabonként; { unified, why, cached, coverage }
+// unified:null, ha a modelltől semmi használható nem jött (üres válasz / minden eltérő darab kimaradt) –
+// az első komponens változata nem mehet ki "harmonizált" javaslatként
+export async function harmonizeChunked(provider, { file, strategy, versions, instructions, signal }) {
+  const model = provider.model;
+  const limits = modelLimits(model);
+  const empty = buildPrompt({ file, versions:[], instructions });
+  const overhead = countTokens(empty.system + empty.prompt, model) + 50 * versions.length;
+
+  const plan = planChunks(file, strategy, versions, { model, limits, overhead });
+  const coverage = {
+    complete:true,
+    chunks:plan.length,
+    calls:0,
+    tokens:Math.max(...versions.map(v => countTokens(v.content, model))),
+    limit:limits.chunk,
+    skipped:[]
+  };
+
+  // belefér egyben: egyetlen hívás, változatlan prompttal
+  if (plan.length === 1 && !plan[0].oversize) {
+    const r = await provider.harmonize({ file, versions, instructions, signal });
+    coverage.calls = 1;
+    if (!r.unified) {
+      coverage.complete = false;
+      coverage.skipped.push({ part:1, keys:[], reason:"Empty model reply" });
+      return { ...r, unified:null, why:r.why || "Empty model reply – manual harmonization needed.", coverage };
+    }
+    return { ...r, coverage };
+  }
+
+  const parts = await Promise.all(plan.map(async (chunk, i) => {
+    const part = { index:i + 1, total:plan.length, keys:chunk.keys };
+    const present = chunk.versions.filter(v => v.content.trim());
+    const base = present[0]?.content ?? "";
+
+    if (chunk.oversize) {
+      const largest = Math.max(...chunk.tokens);
+      return { text:base, skipped:{ part:part.index, keys:chunk.keys, reason:`~${largest} tokens, over the ${limits.chunk}-token limit of ${model}` } };
+    }
+
+    // csak egy komponensben van / mindenhol azonos: nincs mit egyesíteni
+    if (present.length < 2 || present.every(v => v.content.trim() === base.trim())) return { text:base };
+
+    const r = await provider.harmonize({ file, versions:present, instructions, part, signal });
+    if (!r.unified) return { text:base, call:r, skipped:{ part:part.index, keys:chunk.keys, reason:"Empty model reply" } };
+
+    // a darab előtti üres sorok / behúzás maradjon, hogy az összefűzés ne tolja el a szerkezetet
+    return { text:base.match(/^\s*/)[0] + r.unified.trim(), call:r, why:`Part ${part.index}/${part.total} (${label(chunk.keys)}): ${r.why}` };
+  }));
+
+  const calls = parts.filter(p => p.call);
+  coverage.calls = calls.length;
+  coverage.skipped = parts.filter(p => p.skipped).map(p => p.skipped);
+  coverage.complete = coverage.skipped.length === 0;
+
+  if (coverage.skipped.length === plan.length) {
+    return {
+      unified:null,
+      why:`File too large for ${model} (~${coverage.tokens} tokens per version, limit ${limits.chunk}) and cannot be split – manual harmonization needed.`,
+      cached:false,
+      coverage
+    };
+  }
+
+  // volt kimaradt darab, és egyetlen eltérő darabra sem jött válasz – csak az első komponens szövege maradna
+  if (!coverage.complete && !parts.some(p => p.call && !p.skipped)) {
+    return {
+      unified:null,
+      why:`No usable model reply for the differing parts: ${coverage.skipped.map(s => `part ${s.part} – ${s.reason}`).join("; ")} – manual harmonization needed.`,
+      cached:false,
+      coverage
+    };
+  }
+
+  let unified = parts.map(p => p.text).join("");
+  if (versions[0].content.endsWith("\n") && !unified.endsWith("\n")) unified += "\n";
+
+  const skippedNote = coverage.skipped.length
+    ? `\nNOT harmonized (kept from the first component): ${coverage.skipped.map(s => `part ${s.part} (${label(s.keys)}) – ${s.reason}`).join("; ")}.`
+    : "";
+
+  return {
+    unified,
+    why:[
+      `Unified in ${plan.length} parts (${calls.length} model call(s)); parts identical across components were kept as-is.`,
+      ...parts.filter(p => p.why).map(p => p.why)
+    ].join("\n") + skippedNote,
+    cached:calls.length > 0 && calls.every(p => p.call.cached),
+    raw:calls.some(p => p.call.raw),
+    coverage
+  };
+}
+
+// darab kulcsai olvashatóan: "decl:foo" -> "foo"; sok kulcsnál az első néhány
+function label(keys) {
+  const names = keys.map(k => k.replace(/^(decl|export|import:\w+|rule|block|stmt|line):/, ""));
+  return names.length > 4 ? `${names.slice(0, 4).join(", ")} +${names.length - 4}` : names.join(", ");
+}
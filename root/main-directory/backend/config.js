@@ -0,0 +1,122 @@
+import fs from "fs/promises";
+import path from "path";
+import { validate } from "../shared/api/schema.js";
+import { openapi } from "../shared/api/contract.js";
+import { atomicWrite } from "./transaction.js";
+import { resolveComponent } from "./sandbox.js";
+import { createRegistry } from "./filetypes.js";
+
+// --- PROJEKT KONFIG ---
+// REPO_ROOT/harmonizer.config.json – a komponens lista egyetlen helye (backend, CLI, mindkét dashboard):
+//   components – [{ name, path, include?, exclude?, hidden?, followSymlinks?, type? }] – type: a discover.js adja
+//   groups     – { preset: [komponens nevek] } – a dashboard presetjei, a CLI --group-ja
+//   ignore     – plusz ignore szabályok (gitignore szintaxis, REPO_ROOT-hoz képest), a .harmonizerignore mellé
+//   similarity, timeoutMs, fileTypes – a preview alapértékei (a kérés mezői felülírják)
+//   model      – { provider, name, baseUrl, repair } – felülírja az ASA_LLM_PROVIDER / ASA_AGENT_MODEL / ASA_LLM_BASE_URL-t
+//   targets    – { komponens: { apply:"allow" | "review" | "deny" } } – review: csak git ágra; deny: nem írható
+// Séma: shared/api/contract.js HarmonizerConfig. API kulcs nem kerül bele – a fájl a repóba commitolható.
+
+export const CONFIG_FILE = "harmonizer.config.json";
+
+const emptyConfig = () => ({ components:[], groups:{}, ignore:[], targets:{} });
+
+const invalid = (message, details) => Object.assign(new Error(message), { code:"INVALID_REQUEST", details });
+
+// file: --config (CLI) – ha meg van adva, léteznie kell; különben REPO_ROOT/harmonizer.config.json, ha van
+export async function loadConfig(repo, { file } = {}) {
+  const full = path.resolve(repo, file ?? CONFIG_FILE);
+  const rel = toPosix(path.relative(repo, full));
+  let text;
+  try {
+    text = await fs.readFile(full, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT" && file == null) return { config:emptyConfig(), exists:false, path:rel };
+    throw invalid(`Cannot read config ${rel}: ${e.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw invalid(`Invalid JSON in ${rel}: ${e.message}`);
+  }
+
+  return { config:{ ...emptyConfig(), ...checkConfig(config, rel) }, exists:true, path:rel };
+}
+
+// séma + a hivatkozások: egyedi komponens nevek, a groups / targets csak ismert komponensre mutathat
+export function checkConfig(config, where = CONFIG_FILE) {
+  const errors = validate(openapi.components.schemas.HarmonizerConfig, config, openapi);
+
+  const names = (config?.components || []).map(c => c?.name);
+  names.forEach((name, i) => {
+    if (names.indexOf(name) !== i) errors.push({ path:`$.components[${i}].name`, message:`duplicate component name ${name}` });
+  });
+
+  for (const [group, members] of Object.entries(config?.groups || {})) {
+    for (const name of Array.isArray(members) ? members : []) {
+      if (!names.includes(name)) errors.push({ path:`$.groups.${group}`, message:`unknown component ${name}` });
+    }
+  }
+  for (const name of Object.keys(config?.targets || {})) {
+    if (!names.includes(name)) errors.push({ path:`$.targets.${name}`, message:"unknown component" });
+  }
+
+  if (!errors.length && config.fileTypes) {
+    try {
+      createRegistry(config.fileTypes);
+    } catch (e) {
+      errors.push({ path:"$.fileTypes", message:e.message });
+    }
+  }
+
+  if (errors.length) throw invalid(`Invalid ${where}: ${errors[0].path} ${errors[0].message}`, errors);
+  return config;
+}
+
+// PUT /config: a komponens mappáknak létezniük kell, REPO_ROOT-on belül (sandbox.js)
+export async function saveConfig(repo, config) {
+  checkConfig(config);
+  for (const c of config.components || []) await resolveComponent(repo, c);
+
+  await atomicWrite(path.join(repo, CONFIG_FILE), JSON.stringify(config, null, 2) + "\n");
+  return { config:{ ...emptyConfig(), ...config }, exists:true, path:CONFIG_FILE };
+}
+
+// preset -> komponensek, a groups sorrendjében
+export function groupComponents(config, group) {
+  const members = config.groups?.[group];
+  if (!members) {
+    throw Object.assign(new Error(`Unknown group ${group} (${Object.keys(config.groups || {}).join(", ") || "no groups configured"})`), { code:"NOT_FOUND" });
+  }
+  return members.map(name => config.components.find(c => c.name === name));
+}
+
+// a providers.js createProvider env-je, a config model mezőivel felülírva
+export function modelEnv(config, env = process.env) {
+  const m = config.model || {};
+  return {
+    ...env,
+    ...(m.provider ? { ASA_LLM_PROVIDER:m.provider } : {}),
+    ...(m.name ? { ASA_AGENT_MODEL:m.name } : {}),
+    ...(m.baseUrl ? { ASA_LLM_BASE_URL:m.baseUrl } : {})
+  };
+}
+
+// apply előtt: deny-os komponensbe semmi, review-osba csak git ágra (mode:"git")
+export function checkTargets(config, writes, mode) {
+  const refused = [];
+  for (const name of new Set(writes.map(w => w.component))) {
+    const policy = config.targets?.[name]?.apply || "allow";
+    if (policy === "deny") refused.push(`${name} is read-only`);
+    if (policy === "review" && mode !== "git") refused.push(`${name} accepts changes only as a git branch for review (mode: git)`);
+  }
+
+  if (refused.length) {
+    throw Object.assign(new Error(`Target policy (${CONFIG_FILE}): ${refused.join("; ")}`), { code:"POLICY_DENIED", details:refused });
+  }
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
@@ -0,0 +1,97 @@
+// --- SOR-ALAPÚ DIFF (Myers) ---
+// diffLines(a, b) -> hunkok: [{ aStart, aEnd, bStart, bEnd }]  (félig nyitott, 0-alapú sor indexek)
+// Csak az eltérő szakaszokat adja vissza; a köztük lévő sorok azonosak.
+
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+export function diffLines(a, b, eq = (x, y) => x === y) {
+  // közös eleje / vége levágva – a legtöbb drift kicsi
+  let pre = 0;
+  while (pre < a.length && pre < b.length && eq(a[pre], b[pre])) pre++;
+
+  let suf = 0;
+  while (
+    suf < a.length - pre && suf < b.length - pre &&
+    eq(a[a.length - 1 - suf], b[b.length - 1 - suf])
+  ) suf++;
+
+  const midA = a.slice(pre, a.length - suf);
+  const midB = b.slice(pre, b.length - suf);
+
+  return toHunks(myers(midA, midB, eq), midA.length, midB.length).map(h => ({
+    aStart:h.aStart + pre,
+    aEnd:h.aEnd + pre,
+    bStart:h.bStart + pre,
+    bEnd:h.bEnd + pre
+  }));
+}
+
+// Myers O((N+M)D) – visszaadja az egyező sorpárokat [[x, y], ...] sorrendben
+function myers(a, b, eq) {
+  const n = a.length, m = b.length;
+  if (!n || !m) return [];
+
+  const max = n + m;
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(off - d - 1, off + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]))
+        ? v[off + k + 1]
+        : v[off + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && eq(a[x], b[y])) { x++; y++; }
+      v[off + k] = x;
+
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // visszakövetés
+  const matches = [];
+  let x = n, y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = k => row[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--; y--;
+      matches.push([x, y]);
+    }
+
+    if (d > 0) { x = prevX; y = prevY; }
+  }
+
+  return matches.reverse();
+}
+
+// egyező párok közti "lyukak" -> hunkok
+function toHunks(matches, n, m) {
+  const hunks = [];
+  let x = 0, y = 0;
+
+  for (const [mx, my] of [...matches, [n, m]]) {
+    if (mx > x || my > y) hunks.push({ aStart:x, aEnd:mx, bStart:y, bEnd:my });
+    x = mx + 1;
+    y = my + 1;
+  }
+
+  return hunks;
+}
@@ -0,0 +1,170 @@
+import fs from "fs/promises";
+import path from "path";
+import { DEFAULT_IGNORES, compileRules, isIgnored } from "./scanner.js";
+
+// --- KOMPONENS FELDERÍTÉS ---
+// discoverComponents(repo, config) -> { components:[{ name, path, type, evidence, configured }], workspaces }
+// Javaslatok a harmonizer.config.json components listájához – nem ír semmit, a dashboard / CLI fogadja el.
+// Források:
+// - workspaces: package.json "workspaces" (npm / yarn – yarn.lock alapján), pnpm-workspace.yaml "packages"
+// - minden package.json, wrangler.toml / wrangler.json(c) és vite.config.* REPO_ROOT alatt (MAX_DEPTH mélységig)
+// Típus: wrangler -> worker; vite.config / UI függőség -> frontend; szerver függőség -> backend; egyébként library.
+// Kimarad: REPO_ROOT maga, a zaj mappák (scanner.js DEFAULT_IGNORES + config "ignore"), a rejtett mappák,
+// és egy másik javaslat alatti csomag (pl. teszt fixture) – hacsak nem workspace tag.
+
+const MAX_DEPTH = 4;
+
+const WRANGLER = ["wrangler.toml", "wrangler.json", "wrangler.jsonc"];
+const VITE_CONFIG = /^vite\.config\.(c|m)?[jt]s$/;
+
+const WORKER_DEPS = ["wrangler", "@cloudflare/workers-types", "@cloudflare/vitest-pool-workers"];
+const FRONTEND_DEPS = ["react", "react-dom", "vue", "svelte", "@angular/core", "solid-js", "preact", "next", "nuxt", "vite"];
+const BACKEND_DEPS = ["express", "fastify", "koa", "@nestjs/core", "@hapi/hapi", "restify", "@adonisjs/core"];
+
+export async function discoverComponents(repo, config = {}) {
+  const root = path.resolve(repo);
+  const workspaces = await readWorkspaces(root);
+  const members = workspaces.patterns.filter(p => !p.startsWith("!")).map(globRe);
+  const excluded = workspaces.patterns.filter(p => p.startsWith("!")).map(p => globRe(p.slice(1)));
+  const isMember = rel => members.some(re => re.test(rel)) && !excluded.some(re => re.test(rel));
+
+  const rules = compileRules([...DEFAULT_IGNORES, ...(config.ignore || [])]);
+  const found = [];
+
+  async function walk(abs, rel, depth) {
+    let entries;
+    try {
+      entries = await fs.readdir(abs, { withFileTypes:true });
+    } catch {
+      return; // olvashatatlan mappa – nem javaslat
+    }
+
+    const names = entries.filter(e => e.isFile()).map(e => e.name);
+    if (rel) {
+      const candidate = await inspect(abs, rel, names, isMember(rel) ? workspaces.manager : null);
+      if (candidate) found.push(candidate);
+    }
+
+    if (depth >= MAX_DEPTH) return;
+    for (const e of entries) {
+      if (!e.isDirectory() || e.name.startsWith(".")) continue;
+      const childRel = rel ? `${rel}/${e.name}` : e.name;
+      if (isIgnored(rules, childRel, true)) continue;
+      await walk(path.join(abs, e.name), childRel, depth + 1);
+    }
+  }
+
+  await walk(root, "", 0);
+
+  // egy javaslat alatti csomag csak akkor marad, ha workspace tag (a fixture-ök, példák kiesnek)
+  const kept = found.filter(c => c.workspace || !found.some(o => o !== c && c.path.startsWith(o.path + "/")));
+
+  const configured = new Map((config.components || []).map(c => [normalize(c.path), c.name]));
+  const taken = new Set(configured.values());
+  const components = kept.map(({ workspace, pkgName, ...c }) => {
+    const existing = configured.get(c.path);
+    if (existing) return { ...c, name:existing, configured:true };
+    return { ...c, name:uniqueName(pkgName || path.posix.basename(c.path), c.path, taken), configured:false };
+  });
+
+  return { components, workspaces };
+}
+
+// package.json "workspaces" (tömb vagy { packages }) – yarn, ha van yarn.lock; különben pnpm-workspace.yaml
+async function readWorkspaces(root) {
+  const pkg = await readJson(path.join(root, "package.json"));
+  const declared = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(declared) && declared.length) {
+    const yarn = await exists(path.join(root, "yarn.lock"));
+    return { manager:yarn ? "yarn" : "npm", patterns:declared.map(normalize) };
+  }
+
+  const yaml = await fs.readFile(path.join(root, "pnpm-workspace.yaml"), "utf8").catch(() => null);
+  if (yaml) return { manager:"pnpm", patterns:pnpmPackages(yaml).map(normalize) };
+
+  return { manager:null, patterns:[] };
+}
+
+// a pnpm-workspace.yaml "packages:" listája – csak ez a blokk kell, nem teljes YAML parser
+function pnpmPackages(yaml) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of yaml.split(/\r?\n/)) {
+    if (/^\S/.test(line)) inPackages = /^packages\s*:/.test(line);
+    const item = inPackages && line.match(/^\s*-\s*(["']?)(.+?)\1\s*(#.*)?$/);
+    if (item) patterns.push(item[2]);
+  }
+  return patterns;
+}
+
+// egy mappa -> javaslat, ha van benne package.json / wrangler / vite config (különben null)
+// workspace tag: a glob illeszkedik és van package.json-ja
+async function inspect(abs, rel, names, manager) {
+  const wrangler = names.find(n => WRANGLER.includes(n));
+  const vite = names.find(n => VITE_CONFIG.test(n));
+  const pkg = names.includes("package.json") ? await readJson(path.join(abs, "package.json")) : null;
+
+  if (!pkg && !wrangler && !vite) return null;
+  const workspace = !!(pkg && manager);
+  const evidence = workspace ? [`${manager} workspace`] : [];
+
+  const deps = Object.keys({ ...pkg?.dependencies, ...pkg?.devDependencies });
+  const hits = list => deps.filter(d => list.includes(d));
+
+  let type = "library";
+  if (wrangler || hits(WORKER_DEPS).length) {
+    type = "worker";
+    evidence.push(...(wrangler ? [wrangler] : hits(WORKER_DEPS).map(d => `dependency ${d}`)));
+  } else if (vite || hits(FRONTEND_DEPS).length) {
+    type = "frontend";
+    evidence.push(...(vite ? [vite] : []), ...hits(FRONTEND_DEPS).filter(d => d !== "vite").map(d => `dependency ${d}`));
+  } else if (hits(BACKEND_DEPS).length) {
+    type = "backend";
+    evidence.push(...hits(BACKEND_DEPS).map(d => `dependency ${d}`));
+  }
+  if (pkg && !evidence.length) evidence.push("package.json");
+
+  return {
+    path:rel,
+    type,
+    evidence,
+    workspace,
+    pkgName:typeof pkg?.name === "string" ? pkg.name.replace(/^@[^/]+\//, "") : null
+  };
+}
+
+// ütközéskor (másik csomag / konfigurált komponens ugyanazzal a névvel) az útvonalból képzett név
+function uniqueName(base, rel, taken) {
+  let name = taken.has(base) ? rel.replace(/\//g, "-") : base;
+  for (let i = 2; taken.has(name); i++) name = `${base}-${i}`;
+  taken.add(name);
+  return name;
+}
+
+// workspace glob (REPO_ROOT-hoz képest) -> pontos mappa illesztés: * = egy szint, ** = bármennyi
+function globRe(pattern) {
+  const re = normalize(pattern)
+    .replace(/[.+^${}()|[\]\\?]/g, "\\$&")
+    .replace(/\*\*\//g, "\0")
+    .replace(/\*\*/g, "\x01")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\0/g, "(?:.*/)?")
+    .replace(/\x01/g, ".*");
+  return new RegExp(`^${re}$`);
+}
+
+function normalize(p) {
+  return p.replace(/\\/g, "/").replace(/^\.\//, "").replace(/\/+$/, "");
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
@@ -0,0 +1,89 @@
+import { compileRules } from "./scanner.js";
+import { mergeVersions } from "./merge.js";
+import { mergeJson, canonicalJson } from "./merge-json.js";
+import { mergeCss, canonicalCss } from "./merge-css.js";
+import { canonical } from "./normalize.js";
+
+// --- FÁJLTÍPUS REGISZTER ---
+// Minden típus: { name, match:[glob], strategy, prompt, sets? }
+// - match:    gitignore-szintaxisú globok (perjel nélkül bármely mélységben)
+// - strategy: script | json | css | text – összehasonlítás + determinisztikus merge
+//             (csak a css whitespaceInsensitive: ott a whitespace-eltérés mindig triviális)
+// - prompt:   típusra szabott instrukció az LLM merge-hez
+// - sets:     json: azok a kulcs-utak (pl. compilerOptions.lib), ahol a tömb halmaz – eltérésnél unió;
+//             minden más tömb sorrendfüggő (tuple), eltérésnél konfliktus
+// Az első illeszkedő típus nyer; createRegistry(extra) az extra típusokat előre teszi,
+// így egy projekt felülírhatja vagy bővítheti az alapokat.
+
+export const STRATEGIES = {
+  script:{ merge:mergeVersions, canonical },
+  json:{ merge:mergeJson, canonical:canonicalJson },
+  css:{ merge:mergeCss, canonical:canonicalCss, whitespaceInsensitive:true },
+  text:{ merge:mergeVersions, canonical:() => null }
+};
+
+export const DEFAULT_FILE_TYPES = [
+  {
+    name:"tsconfig",
+    match:["tsconfig.json", "tsconfig.*.json", "jsconfig.json"],
+    strategy:"json",
+    sets:["files", "include", "exclude", "compilerOptions.lib", "compilerOptions.types"],
+    prompt:"This is a TypeScript compiler configuration (JSON with comments). Merge compilerOptions key by key, keep the strictest setting that all components can share, and return valid JSON."
+  },
+  {
+    name:"eslint",
+    match:[".eslintrc", ".eslintrc.json"],
+    strategy:"json",
+    sets:["plugins"],
+    prompt:"This is an ESLint configuration. Take the union of plugins and rules, keep the stricter severity when rules disagree, and return valid JSON."
+  },
+  {
+    name:"eslint-js",
+    match:[".eslintrc.js", ".eslintrc.cjs", "eslint.config.js", "eslint.config.mjs", "eslint.config.cjs"],
+    strategy:"script",
+    prompt:"This is an ESLint configuration module. Take the union of plugins and rules, keep the stricter severity when rules disagree, and keep the module format of the inputs."
+  },
+  {
+    name:"script",
+    match:["*.ts", "*.tsx", "*.js", "*.jsx", "*.mjs", "*.cjs"],
+    strategy:"script",
+    prompt:"Use TypeScript/React/Node style as appropriate based on the inputs."
+  },
+  {
+    name:"json",
+    match:["*.json"],
+    strategy:"json",
+    sets:["files", "keywords"],
+    prompt:"This is a JSON file. Merge it structurally key by key and return valid JSON only (no comments)."
+  },
+  {
+    name:"css",
+    match:["*.css"],
+    strategy:"css",
+    prompt:"This is a CSS stylesheet. Merge rule by rule (same selector = same rule), keep custom properties and media queries, and return plain CSS."
+  },
+  {
+    name:"markdown",
+    match:["*.md", "*.mdx"],
+    strategy:"text",
+    prompt:"This is Markdown documentation. Merge it section by section, keep every unique piece of information, and return Markdown."
+  }
+];
+
+export function createRegistry(extra = []) {
+  const types = [...extra, ...DEFAULT_FILE_TYPES].map(t => {
+    const strategy = STRATEGIES[t.strategy];
+    if (!strategy) throw Object.assign(new Error(`Unknown file type strategy "${t.strategy}" for type ${t.name}`), { code:"INVALID_REQUEST" });
+    return { ...t, ...strategy, rules:compileRules(t.match) };
+  });
+
+  return {
+    types,
+    // relatív útvonal -> típus, vagy null ha a harmonizer nem foglalkozik vele
+    resolve(file) {
+      return types.find(t => t.rules.some(r => r.re.test(file))) || null;
+    }
+  };
+}
+
+export const defaultRegistry = createRegistry();
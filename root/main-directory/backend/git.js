@@ -0,0 +1,148 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { atomicWrite, newRunId, snapshotRoot } from "./transaction.js";
+
+// --- GIT-ALAPÚ APPLY ---
+// A javaslatok nem a munkakönyvtárba kerülnek, hanem egy új ágra, review-ra készen:
+//   1) REPO_ROOT munkakönyvtára tiszta kell legyen (git status --porcelain üres) – a harmonizer saját
+//      állapota (.asa-harmonizer/: preview runok, snapshotok) nem számít
+//   2) új ág: asa-harmonizer/<runId> az aktuális HEAD-ről
+//   3) az írás egy ideiglenes worktree-ben történik – a felhasználó checkoutja érintetlen marad
+//   4) commit fájlonként vagy komponensenként, az indoklással (why) a commit üzenetben;
+//      a reviewer által szerkesztett javaslat "(edited by reviewer)" jelölést és ASA-Edited trailert kap
+// Remote nem kell; hiba esetén a worktree és az ág is törlődik.
+
+export const BRANCH_PREFIX = "asa-harmonizer/";
+const STATE_DIR = ".asa-harmonizer";
+const COMMIT_PER = ["file", "component"];
+
+const exec = promisify(execFile);
+
+async function git(cwd, ...args) {
+  try {
+    const { stdout } = await exec("git", args, { cwd, maxBuffer:64 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (e) {
+    throw new Error(`git ${args[0]} failed: ${(e.stderr || e.message).trim()}`);
+  }
+}
+
+// writes: [{ path (REPO_ROOT-relatív), content, component, file, why, edited? }]
+export async function applyToBranch(repo, writes, { runId = newRunId(), commitPer = "file" } = {}) {
+  if (!COMMIT_PER.includes(commitPer)) {
+    throw Object.assign(new Error(`commitPer must be one of: ${COMMIT_PER.join(", ")}`), { code:"INVALID_REQUEST" });
+  }
+
+  // REPO_ROOT lehet a git repó alkönyvtára is
+  const prefix = await git(repo, "rev-parse", "--show-prefix").catch(() => {
+    throw new Error(`REPO_ROOT is not inside a git repository: ${repo}`);
+  });
+
+  if (await git(repo, "status", "--porcelain", "--", ...statusScope(repo))) {
+    throw Object.assign(new Error("Working tree is not clean – commit or stash your changes before a git apply"), { code:"CONFLICT" });
+  }
+
+  const base = await git(repo, "rev-parse", "HEAD");
+  const branch = BRANCH_PREFIX + runId;
+  const worktree = await fs.mkdtemp(path.join(os.tmpdir(), "asa-harmonizer-"));
+  const commits = [];
+
+  try {
+    await git(repo, "worktree", "add", "-b", branch, worktree, base);
+    const author = await identity(repo);
+
+    for (const batch of batches(writes, commitPer)) {
+      for (const w of batch.writes) {
+        const full = path.join(worktree, prefix, w.path);
+        await fs.mkdir(path.dirname(full), { recursive:true });
+        await atomicWrite(full, w.content);
+      }
+
+      await git(worktree, "add", "--", ...batch.writes.map(w => path.join(prefix, w.path)));
+
+      // a javaslat egyezik a jelenlegi tartalommal – nincs mit commitolni
+      const staged = (await git(worktree, "diff", "--cached", "--name-only", "-z")).split("\0").filter(Boolean);
+      if (!staged.length) continue;
+
+      // a commit üzenet és a files lista csak a ténylegesen változott fájlokat sorolja
+      const changed = { ...batch, writes:batch.writes.filter(w => staged.includes(path.posix.join(prefix, w.path))) };
+      await git(worktree, ...author, "commit", "--quiet", "-m", commitMessage(changed, runId));
+      commits.push({
+        sha:await git(worktree, "rev-parse", "HEAD"),
+        component:batch.component,
+        files:changed.writes.map(w => w.path)
+      });
+    }
+  } catch (e) {
+    await removeWorktree(repo, worktree);
+    await git(repo, "branch", "-D", branch).catch(() => {});
+    throw new Error(`Git apply failed, branch ${branch} removed: ${e.message}`);
+  }
+
+  await removeWorktree(repo, worktree);
+
+  // egyetlen valódi változás sem volt – üres ágat nem hagyunk hátra
+  if (!commits.length) {
+    await git(repo, "branch", "-D", branch);
+    return { runId, branch:null, base, commits, applied:0 };
+  }
+
+  return { runId, branch, base, commits, applied:commits.reduce((n, c) => n + c.files.length, 0) };
+}
+
+// fájlonként: egy commit / írás; komponensenként: a komponens összes írása egy commitban
+function batches(writes, commitPer) {
+  if (commitPer === "file") return writes.map(w => ({ component:w.component, writes:[w] }));
+
+  const byComp = new Map();
+  for (const w of writes) {
+    if (!byComp.has(w.component)) byComp.set(w.component, { component:w.component, writes:[] });
+    byComp.get(w.component).writes.push(w);
+  }
+  return [...byComp.values()];
+}
+
+function commitMessage(batch, runId) {
+  const [first] = batch.writes;
+  const subject = batch.writes.length === 1
+    ? `harmonize(${first.component}): ${first.file || first.path}`
+    : `harmonize(${batch.component}): ${batch.writes.length} files`;
+
+  const mark = w => w.edited ? " (edited by reviewer)" : "";
+  const body = batch.writes.length === 1
+    ? [first.why, first.edited && "Edited by reviewer before apply."].filter(Boolean).join("\n\n")
+    : batch.writes.map(w => `- ${w.file || w.path}${mark(w)}: ${w.why || "harmonized"}`).join("\n");
+
+  const edited = batch.writes.filter(w => w.edited);
+  const trailers = [`ASA-Run: ${runId}`, ...edited.map(w => `ASA-Edited: ${w.path}`)].join("\n");
+
+  return [subject, body, trailers].filter(Boolean).join("\n\n");
+}
+
+// az egész repó, kivéve a harmonizer állapot mappáját (previews.js, transaction.js) és az
+// ASA_SNAPSHOT_DIR-rel máshová tett snapshotokat (ha REPO_ROOT alatt vannak)
+function statusScope(repo) {
+  const snapshots = path.relative(repo, snapshotRoot(repo));
+  const inside = snapshots && !snapshots.startsWith("..") && !path.isAbsolute(snapshots)
+    && snapshots.split(path.sep)[0] !== STATE_DIR;
+  return [":/", `:(exclude)${STATE_DIR}`, ...(inside ? [`:(exclude)${snapshots}`] : [])];
+}
+
+// ha a gépen nincs git identitás beállítva, a commit ne bukjon el emiatt
+async function identity(repo) {
+  const name = await git(repo, "config", "user.name").catch(() => "");
+  const email = await git(repo, "config", "user.email").catch(() => "");
+  return [
+    ...(name ? [] : ["-c", `user.name=${process.env.ASA_GIT_AUTHOR_NAME || "ASA Harmonizer"}`]),
+    ...(email ? [] : ["-c", `user.email=${process.env.ASA_GIT_AUTHOR_EMAIL || "harmonizer@localhost"}`])
+  ];
+}
+
+async function removeWorktree(repo, worktree) {
+  await git(repo, "worktree", "remove", "--force", worktree).catch(() => {});
+  await fs.rm(worktree, { recursive:true, force:true });
+  await git(repo, "worktree", "prune").catch(() => {});
+}
@@ -0,0 +1,232 @@
+import fs from "fs/promises";
+import { matchSimilar, pairSimilarity, DEFAULT_THRESHOLD } from "./similarity.js";
+import { classify, contentHash } from "./normalize.js";
+import { scanComponent } from "./scanner.js";
+import { defaultRegistry } from "./filetypes.js";
+import { suggestionPatches } from "./patch.js";
+import { resolveComponents } from "./sandbox.js";
+import { harmonizeChunked } from "./chunking.js";
+import { validateSuggestion } from "./validate.js";
+import { mapLimit, runDeadline, DEFAULT_CONCURRENCY, DEFAULT_RUN_TIMEOUT_MS } from "./scheduler.js";
+
+// --- HARMONIZER MAG ---
+// Express nélkül is használható: fájlok összegyűjtése, csoportosítás, javaslat.
+
+// --- ÖSSZEGYŰJTÉS ---
+// Csoport = ugyanaz a fájl több komponensben, pontos relatív útvonal VAGY tartalmi hasonlóság alapján:
+//   { file, type, paths:{ [comp]: rel }, hashes:{ [comp]: sha256 }, versions:[{ comp, file, full, content }],
+//     match, confidence, status:"in-sync"|"trivial"|"divergent", reason?, pairs }
+// pairs: [{ a, b, similarity }] – komponens páronként a sor-hasonlóság (in-sync csoportnál üres)
+// Csak a regiszterben ismert fájltípusok kerülnek be (filetypes.js).
+export async function collectGroups(repo, comps, { similarity = DEFAULT_THRESHOLD, registry = defaultRegistry, ignore } = {}) {
+  // komponens útvonal nem mutathat REPO_ROOT-on kívülre (sandbox.js)
+  await resolveComponents(repo, comps);
+
+  const map = new Map();
+  const accept = rel => Boolean(registry.resolve(rel));
+
+  // komponens: { name, path, include?, exclude?, hidden?, followSymlinks? } – lásd scanner.js
+  for (const c of comps) {
+    for (const { full, rel } of await scanComponent(repo, c, { accept, ignore })) {
+      if (!map.has(rel)) map.set(rel, []);
+      map.get(rel).push({
+        comp:c.name,
+        file:rel,
+        full,
+        content:await fs.readFile(full, "utf8")
+      });
+    }
+  }
+
+  // hasonlóság csak azonos típuson belül (ts <-> js igen, css <-> md nem)
+  const byType = new Map();
+  for (const versions of map.values()) {
+    const type = registry.resolve(versions[0].file).name;
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push({ versions });
+  }
+
+  const groups = [...byType.values()].flatMap(list => matchSimilar(list, { threshold:similarity }));
+
+  return groups
+    .filter(g => g.versions.length > 1)
+    .map(g => {
+      const file = g.versions[0].file;
+      const type = registry.resolve(file);
+      return {
+        file,
+        type:type.name,
+        paths:Object.fromEntries(g.versions.map(v => [v.comp, v.file])),
+        hashes:Object.fromEntries(g.versions.map(v => [v.comp, contentHash(v.content)])),
+        versions:g.versions,
+        match:g.match,
+        confidence:g.confidence,
+        ...classify(file, g.versions.map(v => v.content), type.canonical, type)
+      };
+    })
+    .map(g => ({ ...g, pairs:g.status === "in-sync" ? [] : pairSimilarity(g.versions) }));
+}
+
+// --- PREVIEW ---
+// Csak a valóban eltérő fájlok mennek a merge / LLM útra; a többi csak riportban jelenik meg.
+// Minden javaslat mellé patches:[{ component, path, diff }] – git-stílusú unified diff.
+// Aszinkron jobhoz (jobs.js):
+//   onProgress(event) – { type:"collected", inSync, trivial, files } | { type:"file-start", file }
+//                       | { type:"file-done", file, suggestion } | { type:"file-failed", file, error }
+//   signal            – AbortSignal; megszakításkor AbortError-ral kilép (a folyamatban lévő LLM hívás is leáll)
+// Futás vezérlés (scheduler.js):
+//   concurrency       – egyszerre ennyi fájl van folyamatban (alap ASA_LLM_CONCURRENCY)
+//   timeoutMs         – a futás időkorlátja (alap ASA_RUN_TIMEOUT_MS); lejártakor a befejezetlen fájlok
+//                       hibaként kerülnek a failed listába, a kész javaslatok megmaradnak
+//   continueOnError   – egy fájl hibája nem állítja le a futást (alap: igen; failed:[{ file, error }] a végén)
+export async function preview(repo, comps, provider, {
+  onProgress = () => {},
+  signal,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs = DEFAULT_RUN_TIMEOUT_MS,
+  continueOnError = true,
+  ...opts
+} = {}) {
+  const groups = await collectGroups(repo, comps, opts);
+
+  const inSync = [];
+  const trivial = [];
+  const divergent = [];
+
+  for (const g of groups) {
+    const info = { file:g.file, type:g.type, paths:g.paths, hashes:g.hashes, match:g.match, confidence:g.confidence, pairs:g.pairs };
+
+    if (g.status === "in-sync") inSync.push(info);
+    else if (g.status === "trivial") trivial.push({ ...info, reason:g.reason });
+    else divergent.push(g);
+  }
+
+  onProgress({ type:"collected", inSync, trivial, files:divergent.map(g => g.file) });
+
+  const deadline = runDeadline(signal, Number(timeoutMs));
+
+  const results = await mapLimit(divergent, concurrency, async g => {
+    signal?.throwIfAborted();
+
+    try {
+      if (deadline.timedOut()) throw new Error("Run timed out before this file was processed");
+      onProgress({ type:"file-start", file:g.file });
+
+      const s = await suggest(g, provider, { ...opts, repo, comps, signal:deadline.signal });
+
+      // komponensenkénti unified diff: jelenlegi tartalom -> javaslat
+      const suggestion = { ...s, patches:suggestionPatches(g, s, comps) };
+      onProgress({ type:"file-done", file:g.file, suggestion });
+      return { suggestion };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      const error = deadline.timedOut() ? `Run timed out after ${timeoutMs} ms` : e.message;
+      onProgress({ type:"file-failed", file:g.file, error });
+      if (!continueOnError) throw e;
+      return { failed:{ file:g.file, error } };
+    }
+  });
+
+  const suggestions = results.filter(r => r.suggestion).map(r => r.suggestion);
+  const failed = results.filter(r => r.failed).map(r => r.failed);
+
+  return {
+    suggestions,
+    inSync,
+    trivial,
+    failed,
+    summary:{
+      inSync:inSync.length,
+      trivial:trivial.length,
+      divergent:suggestions.length + failed.length,
+      cached:suggestions.filter(s => s.cached).length,
+      incomplete:suggestions.filter(s => !s.coverage.complete).length,
+      invalid:suggestions.filter(s => !s.validation.ok).length
+    }
+  };
+}
+
+// --- JAVASLAT ---
+// előbb a fájltípus determinisztikus merge-e – triviális driftnél nincs LLM hívás
+// coverage: { complete, chunks, calls, tokens, limit, skipped } – nagy fájl darabolva megy a modellhez
+// (chunking.js); complete:false = a fájl egy része nem lett harmonizálva, a skipped lista mondja meg, mi
+// validation: minden javaslat parse-olva (+ TS típusellenőrzés a komponensek tsconfig-jával), lásd validate.js;
+// repair:true – a validáción elbukott LLM javaslat egyszer visszamegy a modellhez a hibaüzenetekkel
+const fullCoverage = () => ({ complete:true, chunks:0, calls:0, skipped:[] });
+
+const REPAIR = process.env.ASA_LLM_REPAIR === "on";
+
+export async function suggest(group, provider, { registry = defaultRegistry, signal, repo, comps, repair = REPAIR } = {}) {
+  const type = registry.resolve(group.file);
+  const s = await unify(group, provider, type, signal);
+  const check = ({ unified, raw }) => validateSuggestion({ ...s, unified, raw, strategy:type.strategy }, { repo, comps });
+
+  s.validation = await check(s);
+  if (s.validation.ok || s.source !== "llm") return s;
+
+  // a hibás válasz ne jöjjön vissza a cache-ből a következő futásban
+  const input = { file:group.file, versions:group.versions, instructions:type.prompt };
+  if (s.coverage.chunks === 1) await provider.invalidate?.(input);
+
+  // javítás csak egyben küldött fájlnál – a darabolt fájl hibája nem köthető egy darabhoz
+  if (!repair || s.coverage.chunks !== 1) return s;
+
+  const retry = { ...input, repair:{ code:s.unified, diagnostics:s.validation.diagnostics } };
+  const fixed = await provider.harmonize({ ...retry, signal });
+  const validation = await check(fixed);
+
+  if (!validation.ok) {
+    await provider.invalidate?.(retry);
+    return { ...s, validation:{ ...s.validation, repair:"failed" } };
+  }
+
+  return {
+    ...s,
+    unified:fixed.unified,
+    why:fixed.why,
+    raw:false,
+    cached:Boolean(fixed.cached),
+    coverage:{ ...s.coverage, calls:s.coverage.calls + 1 },
+    validation:{ ...validation, repair:"fixed" }
+  };
+}
+
+async function unify(group, provider, type, signal) {
+  const { file, versions } = group;
+  const meta = {
+    file, type:type.name, strategy:type.strategy, paths:group.paths, match:group.match, confidence:group.confidence,
+    hashes:group.hashes, pairs:group.pairs
+  };
+  const merged = type.merge(file, versions, type);
+
+  if (merged.ok) {
+    return {
+      ...meta,
+      unified:merged.unified,
+      why:`Deterministic ${merged.strategy} merge – no conflicting hunks, no LLM call.`,
+      source:"merge",
+      cached:false,
+      coverage:fullCoverage(),
+      conflicts:[]
+    };
+  }
+
+  if (!provider) {
+    return {
+      ...meta,
+      unified:null,
+      why:`${merged.conflicts.length} conflicting hunk(s) – no LLM provider configured, manual harmonization needed.`,
+      source:"merge",
+      cached:false,
+      coverage:fullCoverage(),
+      conflicts:merged.conflicts
+    };
+  }
+
+  const { unified, why, raw, cached = false, coverage } = await harmonizeChunked(provider, {
+    file, strategy:type.strategy, versions, instructions:type.prompt, signal
+  });
+
+  // cached: a válasz(ok) az LLM cache-ből jött(ek) (cache.js), nem volt új hívás
+  return { ...meta, unified, why, raw:Boolean(raw), source:"llm", cached, coverage, conflicts:merged.conflicts };
+}
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+
+// --- ASZINKRON JOBOK ---
+// A preview egy HTTP kérésen belül proxy timeoutba fut nagy repón, ezért jobként is indítható:
+//   start(params)  -> job (azonnal visszatér, a futás a háttérben megy)
+//   get(id)        -> állapot, fájlonkénti progress, részleges javaslatok
+//   cancel(id)     -> AbortSignal-lal leállítja a futást (a következő fájl előtt / a folyamatban lévő LLM hívást)
+//   subscribe(id, listener) -> eddigi állapot visszajátszása + élő események (SSE, lásd sse.js); unsubscribe-ot ad
+// A jobok memóriában élnek, befejezés után ASA_JOB_TTL_MS-ig (alap 1 óra) lekérdezhetők –
+// a dashboard a job ID-t localStorage-ban tartja, így oldal újratöltés után is folytatja.
+//
+// run(params, { onProgress, signal }) -> result; az onProgress események a harmonizer.js preview()-éi,
+// a listenerek ezeket kapják, a végén { type:"done", result } | { type:"failed", error } | { type:"cancelled" }.
+// Más futások (pl. verify.js) fájlhoz nem kötött eseményei a job.steps listába kerülnek.
+
+const TTL_MS = Number(process.env.ASA_JOB_TTL_MS || 60 * 60 * 1000);
+const FINISHED = ["done", "failed", "cancelled"];
+
+export function createJobs(run, { ttlMs = TTL_MS } = {}) {
+  const jobs = new Map();
+
+  function prune(now = Date.now()) {
+    for (const [id, job] of jobs) {
+      if (FINISHED.includes(job.status) && now - Date.parse(job.updatedAt) > ttlMs) jobs.delete(id);
+    }
+  }
+
+  function touch(job, patch = {}) {
+    Object.assign(job, patch, { updatedAt:new Date().toISOString() });
+  }
+
+  function emit(job, e) {
+    for (const listener of job.listeners) listener(e);
+  }
+
+  // egy már lezárt (pl. közben cancelled) job állapota nem íródik felül – a futás az abort után is befejeződhet
+  function finish(job, patch, event) {
+    if (FINISHED.includes(job.status)) return;
+    touch(job, patch);
+    emit(job, event);
+    job.listeners.clear();
+  }
+
+  function onProgress(job, e) {
+    if (e.type === "collected") {
+      job.files = e.files.map(file => ({ file, status:"pending" }));
+      job.result.inSync = e.inSync;
+      job.result.trivial = e.trivial;
+    } else if (!e.file) {
+      job.steps.push(e);
+    } else {
+      const f = job.files.find(x => x.file === e.file);
+      if (e.type === "file-start") f.status = "running";
+      if (e.type === "file-done") {
+        f.status = "done";
+        job.result.suggestions.push(e.suggestion);
+      }
+      if (e.type === "file-failed") {
+        f.status = "failed";
+        f.error = e.error;
+      }
+    }
+    touch(job);
+    emit(job, e);
+  }
+
+  return {
+    start(params) {
+      prune();
+
+      const now = new Date().toISOString();
+      const job = {
+        id:crypto.randomUUID(),
+        status:"running",
+        createdAt:now,
+        updatedAt:now,
+        files:[],
+        steps:[],
+        result:{ suggestions:[], inSync:[], trivial:[] },
+        error:null,
+        controller:new AbortController(),
+        listeners:new Set()
+      };
+      jobs.set(job.id, job);
+
+      run(params, { onProgress:e => onProgress(job, e), signal:job.controller.signal })
+        .then(result => finish(job, { status:"done", result }, { type:"done", result }))
+        .catch(e => finish(job, { status:"failed", error:e.message }, { type:"failed", error:e.message }));
+
+      return view(job);
+    },
+
+    get(id) {
+      prune();
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    },
+
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      if (!FINISHED.includes(job.status)) {
+        touch(job, { status:"cancelled" });
+        for (const f of job.files) if (f.status === "pending" || f.status === "running") f.status = "cancelled";
+        job.controller.abort();
+        emit(job, { type:"cancelled" });
+        job.listeners.clear();
+      }
+      return view(job);
+    },
+
+    // null, ha nincs ilyen job; különben leiratkozó függvény
+    subscribe(id, listener) {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      for (const e of replay(job)) listener(e);
+      if (FINISHED.includes(job.status)) return () => {};
+
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    }
+  };
+}
+
+// a job eddigi állapota eseményekként – késve (pl. újratöltés után) feliratkozó kliensnek
+function replay(job) {
+  const events = [];
+  if (job.files.length || job.status !== "running") {
+    events.push({ type:"collected", inSync:job.result.inSync, trivial:job.result.trivial, files:job.files.map(f => f.file) });
+  }
+
+  for (const f of job.files) {
+    if (f.status === "running") events.push({ type:"file-start", file:f.file });
+    if (f.status === "failed") events.push({ type:"file-failed", file:f.file, error:f.error });
+    if (f.status === "done") {
+      events.push({ type:"file-done", file:f.file, suggestion:job.result.suggestions.find(s => s.file === f.file) });
+    }
+  }
+
+  if (job.status === "done") events.push({ type:"done", result:job.result });
+  if (job.status === "failed") events.push({ type:"failed", error:job.error });
+  if (job.status === "cancelled") events.push({ type:"cancelled" });
+  return events;
+}
+
+// a kliensnek szóló forma (AbortController / listenerek nélkül)
+function view(job) {
+  const count = status => job.files.filter(f => f.status === status).length;
+  const { controller, listeners, ...rest } = job;
+
+  return {
+    ...rest,
+    progress:{
+      total:job.files.length,
+      done:count("done"),
+      failed:count("failed"),
+      current:job.files.find(f => f.status === "running")?.file || null
+    }
+  };
+}
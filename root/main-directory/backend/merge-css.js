@@ -0,0 +1,228 @@
+import { mergeVersions, unionOrder } from "./merge.js";
+
+// --- CSS MERGE (szabály szintű) ---
+// A stylesheet elemei: szabályok (selector { ... }), at-blokkok (@media ... { ... }) és
+// utasítások (@import ...;). Kulcs = normalizált selector / prelude.
+// - csak egy verzióban létező szabály          -> bekerül
+// - azonos selector, eltérő deklarációk        -> property szerinti unió
+// - azonos property, eltérő érték              -> konfliktus
+// - ismételt property (fallback: display:-webkit-box; display:flex) -> előfordulásonként külön, sorrendben
+// - @media / @supports blokk                   -> rekurzívan ugyanígy
+// Parse hibánál (pl. nem zárt blokk) sor-alapú merge.
+
+const norm = text => text.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\s+/g, " ").trim();
+
+export function mergeCss(file, versions) {
+  let parsed;
+  try {
+    parsed = versions.map(v => ({ comp:v.comp, code:v.content, items:parseBlock(v.content, 0, v.content.length) }));
+  } catch {
+    return mergeVersions(file, versions);
+  }
+
+  const conflicts = [];
+  const body = mergeItems(parsed, "", conflicts);
+  const last = parsed[0].items[parsed[0].items.length - 1];
+  const tail = last ? parsed[0].code.slice(last.end) : "";
+
+  const ok = conflicts.length === 0;
+  return { ok, unified:ok ? body + tail : null, conflicts, strategy:"css" };
+}
+
+// formázás / komment eltérés = triviális
+export function canonicalCss(file, code) {
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([{}:;,>])\s*/g, "$1")
+    .replace(/;}/g, "}")
+    .trim();
+}
+
+// --- PARSER ---
+// item: { key, kind:"rule"|"block"|"stmt", prelude, text, gap, start, end, bodyStart, bodyEnd, line }
+// (a chunking.js a top-level elemeket darabolásra is használja)
+export function parseBlock(code, from, to) {
+  const items = [];
+  const seen = new Map();
+  let i = from;
+
+  while (i < to) {
+    const itemStart = i;
+
+    // whitespace + komment az elem elé tartozik
+    let j = i;
+    for (;;) {
+      while (j < to && /\s/.test(code[j])) j++;
+      if (code.startsWith("/*", j)) {
+        const end = code.indexOf("*/", j + 2);
+        if (end < 0) throw new Error("Unclosed comment");
+        j = end + 2;
+      } else {
+        break;
+      }
+    }
+    if (j >= to) break;
+
+    const gap = code.slice(itemStart, j).match(/^\s*/)[0];
+    const preludeStart = j;
+    while (j < to && code[j] !== "{" && code[j] !== ";" && code[j] !== "}") j = skipString(code, j) + 1;
+    if (code[j] === "}") throw new Error("Unexpected }");
+
+    const prelude = norm(code.slice(preludeStart, j));
+    let kind, end, bodyStart = -1, bodyEnd = -1;
+
+    if (code[j] === "{") {
+      bodyStart = j + 1;
+      bodyEnd = matchBrace(code, j);
+      end = bodyEnd + 1;
+      kind = prelude.startsWith("@") ? "block" : "rule";
+    } else {
+      end = Math.min(j + 1, to);
+      kind = "stmt";
+    }
+
+    let key = kind === "stmt" ? `stmt:${prelude}` : `${kind}:${prelude}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    if (n > 1) key += `#${n}`;
+
+    items.push({
+      key, kind, prelude, gap,
+      text:code.slice(itemStart + gap.length, end),
+      start:itemStart, end, bodyStart, bodyEnd,
+      line:code.slice(0, itemStart + gap.length).split("\n").length
+    });
+    i = end;
+  }
+
+  return items;
+}
+
+function skipString(code, i) {
+  const q = code[i];
+  if (q !== "\"" && q !== "'") return i;
+  i++;
+  while (i < code.length && code[i] !== q) i += code[i] === "\\" ? 2 : 1;
+  return i;
+}
+
+function matchBrace(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    i = skipString(code, i);
+    if (code.startsWith("/*", i)) {
+      i = code.indexOf("*/", i + 2) + 1;
+      if (i <= 0) break;
+      continue;
+    }
+    if (code[i] === "{") depth++;
+    else if (code[i] === "}" && --depth === 0) return i;
+  }
+  throw new Error("Unclosed block");
+}
+
+// --- MERGE ---
+function mergeItems(parsed, indent, conflicts) {
+  const order = unionOrder(parsed.map(p => p.items.map(i => i.key)));
+  const parts = [];
+
+  for (const key of order) {
+    const instances = parsed
+      .map(p => ({ comp:p.comp, code:p.code, item:p.items.find(i => i.key === key) }))
+      .filter(x => x.item);
+    const first = instances[0].item;
+
+    parts.push(first.gap);
+
+    if (instances.every(x => norm(x.item.text) === norm(first.text))) {
+      parts.push(first.text);
+    } else if (first.kind === "block") {
+      const inner = instances.map(x => ({
+        comp:x.comp,
+        code:x.code,
+        items:parseBlock(x.code, x.item.bodyStart, x.item.bodyEnd)
+      }));
+      parts.push(`${first.prelude} {${mergeItems(inner, indent + "  ", conflicts)}\n${indent}}`);
+    } else if (first.kind === "rule" && instances.every(x => !bodyOf(x).includes("{"))) {
+      parts.push(mergeRule(instances, indent, conflicts));
+    } else {
+      conflicts.push({
+        line:first.line,
+        endLine:first.line + first.text.split("\n").length - 1,
+        key,
+        variants:groupVariants(instances.map(x => ({ comp:x.comp, text:x.item.text })))
+      });
+      parts.push(first.text);
+    }
+  }
+
+  return parts.join("");
+}
+
+const bodyOf = x => x.code.slice(x.item.bodyStart, x.item.bodyEnd);
+
+// deklarációk property (+ előfordulás) szerint; "color: red" vs "color: blue" -> konfliktus
+function mergeRule(instances, indent, conflicts) {
+  const decls = instances.map(x => ({ comp:x.comp, list:parseDecls(bodyOf(x)) }));
+  const keys = unionOrder(decls.map(d => d.list.map(x => x.key)));
+  const first = instances[0].item;
+  const lines = [];
+
+  for (const key of keys) {
+    const values = decls
+      .map(d => ({ comp:d.comp, decl:d.list.find(x => x.key === key) }))
+      .filter(x => x.decl);
+    const { prop } = values[0].decl;
+
+    if (!values.every(x => norm(x.decl.value) === norm(values[0].decl.value))) {
+      conflicts.push({
+        line:first.line,
+        endLine:first.line,
+        key:`${first.prelude} { ${key} }`,
+        variants:groupVariants(values.map(x => ({ comp:x.comp, text:`${prop}: ${x.decl.value};` })))
+      });
+    }
+    lines.push(`${indent}  ${prop}: ${values[0].decl.value};`);
+  }
+
+  return `${first.prelude} {\n${lines.join("\n")}\n${indent}}`;
+}
+
+// key: a property, ismétlésnél "prop#2", "prop#3" – a fallback láncok sorrendje és minden tagja megmarad
+function parseDecls(body) {
+  const out = [];
+  const seen = new Map();
+  const clean = body.replace(/\/\*[\s\S]*?\*\//g, "");
+  let start = 0, depth = 0;
+
+  for (let i = 0; i <= clean.length; i++) {
+    i = skipString(clean, i);
+    const ch = clean[i];
+    if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    else if ((ch === ";" && depth === 0) || i >= clean.length) {
+      const decl = clean.slice(start, i).trim();
+      const colon = decl.indexOf(":");
+      if (colon > 0) {
+        const raw = decl.slice(0, colon).trim();
+        const prop = raw.startsWith("--") ? raw : raw.toLowerCase();
+        const n = (seen.get(prop) || 0) + 1;
+        seen.set(prop, n);
+        out.push({ key:n > 1 ? `${prop}#${n}` : prop, prop, value:decl.slice(colon + 1).trim() });
+      }
+      start = i + 1;
+    }
+  }
+  return out;
+}
+
+function groupVariants(list) {
+  const variants = [];
+  for (const { comp, text } of list) {
+    const same = variants.find(v => norm(v.text) === norm(text));
+    if (same) same.components.push(comp);
+    else variants.push({ components:[comp], text });
+  }
+  return variants;
+}
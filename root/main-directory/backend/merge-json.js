@@ -0,0 +1,172 @@
+import { mergeVersions } from "./merge.js";
+
+// --- JSON MERGE (kulcs szerinti, strukturális) ---
+// tsconfig / .eslintrc / bármilyen JSON config – kommentek és záró vesszők megengedettek (JSONC).
+// - csak az egyik verzióban létező kulcs   -> bekerül
+// - objektum mindkét oldalon              -> rekurzív merge
+// - primitív tömb a típus sets kulcsán     -> unió, sorrend megtartva (filetypes.js, pl. include)
+// - minden más eltérő tömb                 -> konfliktus: a sorrend / pozíció jelentést hordozhat
+//                                            (pl. ESLint ["error", "single"] tuple)
+// - ugyanazon kulcs eltérő értékkel        -> konfliktus (kulcs-úttal, pl. compilerOptions.target)
+// Nem parse-olható verziónál sor-alapú merge-re esik vissza – és akkor is, ha bármelyik verzióban
+// komment vagy záró vessző van: a JSON.stringify kimenet ezeket elhagyná.
+
+export function mergeJson(file, versions, { sets = [] } = {}) {
+  let values;
+  try {
+    values = versions.map(v => parseJsonc(v.content));
+  } catch {
+    return mergeVersions(file, versions);
+  }
+  if (!versions.every(v => isStrictJson(v.content))) return mergeVersions(file, versions);
+
+  const base = versions[0].content;
+  const found = [];
+  const merged = mergeValue(values.map((v, i) => ({ v, comp:versions[i].comp })), [], found, sets);
+
+  if (found.length) {
+    return {
+      ok:false,
+      unified:null,
+      conflicts:found.map(c => {
+        const line = lineOfKey(base, c.path);
+        return { line, endLine:line, key:c.path.join("."), variants:c.variants };
+      }),
+      strategy:"json"
+    };
+  }
+
+  const unified = JSON.stringify(merged, null, detectIndent(base)) + (base.endsWith("\n") ? "\n" : "");
+  return { ok:true, unified, conflicts:[], strategy:"json" };
+}
+
+// stabil (rendezett kulcsú) forma – formázás / kulcs-sorrend / komment eltérés = triviális
+export function canonicalJson(file, code) {
+  try {
+    return stableStringify(parseJsonc(code));
+  } catch {
+    return null;
+  }
+}
+
+// --- JSONC ---
+export function parseJsonc(text) {
+  return JSON.parse(stripTrailingCommas(stripComments(text)));
+}
+
+// nincs benne komment / záró vessző – az újraszerializálás nem veszít el semmit
+function isStrictJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function stripComments(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === "\"") {
+      const end = stringEnd(text, i);
+      out += text.slice(i, end);
+      i = end - 1;
+    } else if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      out += "\n";
+    } else if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end < 0 ? text.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+function stripTrailingCommas(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === "\"") {
+      const end = stringEnd(text, i);
+      out += text.slice(i, end);
+      i = end - 1;
+    } else if (ch === "," && /^\s*[}\]]/.test(text.slice(i + 1))) {
+      continue;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+function stringEnd(text, start) {
+  let i = start + 1;
+  while (i < text.length && text[i] !== "\"") i += text[i] === "\\" ? 2 : 1;
+  return i + 1;
+}
+
+// --- STRUKTURÁLIS MERGE ---
+const isObject = v => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPrimitive = v => v === null || typeof v !== "object";
+
+function mergeValue(present, keyPath, conflicts, sets) {
+  const first = present[0].v;
+  if (present.every(x => stableStringify(x.v) === stableStringify(first))) return first;
+
+  if (present.every(x => isObject(x.v))) {
+    const keys = [];
+    for (const x of present) for (const k of Object.keys(x.v)) if (!keys.includes(k)) keys.push(k);
+
+    const out = {};
+    for (const k of keys) {
+      const sub = present.filter(x => k in x.v).map(x => ({ v:x.v[k], comp:x.comp }));
+      out[k] = mergeValue(sub, [...keyPath, k], conflicts, sets);
+    }
+    return out;
+  }
+
+  if (sets.includes(keyPath.join(".")) && present.every(x => Array.isArray(x.v) && x.v.every(isPrimitive))) {
+    const out = [];
+    for (const x of present) for (const item of x.v) if (!out.includes(item)) out.push(item);
+    return out;
+  }
+
+  const variants = [];
+  for (const x of present) {
+    const text = JSON.stringify(x.v, null, 2);
+    const same = variants.find(v => v.text === text);
+    if (same) same.components.push(x.comp);
+    else variants.push({ components:[x.comp], text });
+  }
+  conflicts.push({ path:keyPath, variants });
+  return first;
+}
+
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function detectIndent(text) {
+  const m = /\n([ \t]+)"/.exec(text);
+  return m ? m[1] : 2;
+}
+
+// a kulcs-út utolsó elemének sora a bázisban (közelítő, riporthoz)
+function lineOfKey(text, keyPath) {
+  let at = 0;
+  for (const key of keyPath) {
+    const idx = text.indexOf(JSON.stringify(key), at);
+    if (idx < 0) break;
+    at = idx;
+  }
+  return text.slice(0, at).split("\n").length;
+}
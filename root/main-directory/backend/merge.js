@@ -0,0 +1,366 @@
+import { parse } from "@babel/parser";
+import { diffLines, splitLines } from "./diff.js";
+import { canonicalLines } from "./normalize.js";
+
+// --- DETERMINISZTIKUS MERGE (AI nélkül) ---
+// mergeVersions(file, versions:[{ comp, content }]) ->
+//   { ok, unified, conflicts:[{ line, endLine, key?, variants:[{ components, text }] }], strategy }
+//
+// Nincs közös ős, ezért az első komponens a bázis, és "unió" szemantikával dolgozunk:
+// - csak whitespace / formázás eltérés -> bázis marad (JS/TS: a sorok kanonikus token formája egyezik,
+//                                       pl. "const a=1;" = "const a = 1", lásd normalize.js canonicalLines)
+// - egyetlen komponens szúr be / hagy el sorokat a bázishoz képest -> az ő változata nyer
+// - ugyanott eltérő beszúrás, eltérő törlés, vagy eltérő tartalom   -> konfliktus (hunkonként)
+// JS/TS fájloknál előbb top-level deklarációkra bontunk (AST), így az átrendezett
+// vagy csak az egyik komponensben meglévő függvények sem okoznak konfliktust.
+
+const AST_TYPES = {
+  ".js":["jsx"],
+  ".jsx":["jsx"],
+  ".mjs":["jsx"],
+  ".cjs":["jsx"],
+  ".ts":["typescript"],
+  ".tsx":["typescript", "jsx"]
+};
+
+// JS/TS fájl -> babel pluginek, egyébként null
+export function astPlugins(file) {
+  return AST_TYPES[extname(file)] || null;
+}
+
+const norm = line => line.trim().replace(/\s+/g, " ");
+
+// soronkénti összehasonlító kulcs: JS/TS-nél a kanonikus token forma, egyébként whitespace-összevont sor
+const lineForms = (file, text) => canonicalLines(file, text) || splitLines(text).map(norm);
+const sameText = (file, a, b) => lineForms(file, a).join("\n") === lineForms(file, b).join("\n");
+
+export function mergeVersions(file, versions) {
+  const base = versions[0].content;
+
+  if (versions.every(v => v.content === base)) {
+    return { ok:true, unified:base, conflicts:[], strategy:"identical" };
+  }
+
+  let merged = null;
+  const plugins = astPlugins(file);
+
+  if (plugins) {
+    try {
+      merged = { ...mergeAst(file, versions, plugins), strategy:"ast" };
+    } catch {
+      merged = null; // parse hiba -> sor-alapú merge
+    }
+  }
+
+  if (!merged) {
+    const out = mergeLines(versions.map(v => ({ comp:v.comp, lines:splitLines(v.content), forms:canonicalLines(file, v.content) })));
+    merged = {
+      text:out.lines.join("\n") + (endsWithEol(versions) ? "\n" : ""),
+      conflicts:out.conflicts,
+      strategy:"line"
+    };
+  }
+
+  const ok = merged.conflicts.length === 0;
+  return { ok, unified:ok ? merged.text : null, conflicts:merged.conflicts, strategy:merged.strategy };
+}
+
+// a bázis sorvége; üres bázisnál (minden sor beszúrás) az első nem üres verzióé
+function endsWithEol(versions) {
+  const text = versions.find(v => v.content)?.content || "";
+  return text.endsWith("\n");
+}
+
+// --- SOR-ALAPÚ MERGE ---
+// versions: [{ comp, lines, forms? }] – az első a bázis; forms: soronkénti összehasonlító kulcs
+// (lineForms), nélküle a whitespace-összevont sor. A kimenet mindig az eredeti sorokból áll.
+export function mergeLines(versions) {
+  const keyed = versions.map(v => ({
+    comp:v.comp,
+    lines:v.lines.map((text, i) => ({ text, key:v.forms?.[i] ?? norm(text) }))
+  }));
+  const base = keyed[0].lines;
+  const eq = (x, y) => x.key === y.key;
+
+  const hunks = keyed
+    .slice(1)
+    .flatMap((v, i) => diffLines(base, v.lines, eq).map(h => ({ ...h, v:i + 1 })))
+    .sort((x, y) => x.aStart - y.aStart || x.aEnd - y.aEnd);
+
+  // átfedő (vagy ugyanoda beszúró) hunkok egy klaszterbe
+  const clusters = [];
+  for (const h of hunks) {
+    const c = clusters[clusters.length - 1];
+    const isInsert = h.aStart === h.aEnd;
+
+    if (c && (h.aStart < c.end || (h.aStart === c.end && (isInsert || c.insertAtEnd)))) {
+      c.insertAtEnd = (isInsert && h.aStart === c.end) || (c.insertAtEnd && h.aEnd <= c.end);
+      c.end = Math.max(c.end, h.aEnd);
+      c.hunks.push(h);
+    } else {
+      clusters.push({ start:h.aStart, end:h.aEnd, insertAtEnd:isInsert, hunks:[h] });
+    }
+  }
+
+  const out = [];
+  const conflicts = [];
+  let cursor = 0;
+
+  for (const c of clusters) {
+    out.push(...base.slice(cursor, c.start));
+    cursor = c.end;
+
+    const variants = regionVariants(keyed, c);
+    const resolved = resolveRegion(variants);
+
+    if (resolved) {
+      out.push(...resolved);
+      continue;
+    }
+
+    conflicts.push({
+      line:c.start + 1,
+      endLine:Math.max(c.start + 1, c.end),
+      variants:variants.map(v => ({ components:v.components, text:v.lines.map(l => l.text).join("\n") }))
+    });
+    out.push(...base.slice(c.start, c.end));
+  }
+
+  out.push(...base.slice(cursor));
+  return { lines:out.map(l => l.text), conflicts };
+}
+
+// a klaszter bázis-tartománya minden verzióban, tartalom szerint csoportosítva
+function regionVariants(versions, c) {
+  const variants = [];
+
+  versions.forEach((v, i) => {
+    let lines = versions[0].lines.slice(c.start, c.end);
+
+    if (i > 0) {
+      lines = [];
+      let pos = c.start;
+      for (const h of c.hunks.filter(h => h.v === i)) {
+        lines.push(...versions[0].lines.slice(pos, h.aStart), ...v.lines.slice(h.bStart, h.bEnd));
+        pos = h.aEnd;
+      }
+      lines.push(...versions[0].lines.slice(pos, c.end));
+    }
+
+    const key = lines.map(l => l.key).join("\n");
+    const same = variants.find(x => x.key === key);
+    if (same) same.components.push(v.comp);
+    else variants.push({ key, lines, components:[v.comp] });
+  });
+
+  return variants;
+}
+
+// variants[0] a bázis tartalma. Közös ős nincs, így csak az dönthető el, ha egyetlen változat tér el
+// a bázistól, és az tisztán beszúrás vagy törlés – két eltérő beszúrás (sorrend?) vagy törlés a megtartás
+// mellett (melyik a szándék?) konfliktus, nem összefűzés / a leghosszabb változat.
+function resolveRegion(variants) {
+  if (variants.length === 1) return variants[0].lines;
+  if (variants.length > 2) return null;
+
+  const [base, changed] = variants;
+  const pure = isSubsequence(base.lines, changed.lines) || isSubsequence(changed.lines, base.lines);
+  return pure ? changed.lines : null;
+}
+
+function isSubsequence(small, big) {
+  let j = 0;
+  for (const line of big) {
+    if (j < small.length && small[j].key === line.key) j++;
+  }
+  return j === small.length;
+}
+
+// kulcs-sorrend több verzióból: a bázis sorrendje, az új kulcsok az előző szomszédjuk után
+export function unionOrder(keyLists) {
+  const order = [];
+  for (const keys of keyLists) {
+    let prev = -1;
+    for (const key of keys) {
+      const at = order.indexOf(key);
+      if (at >= 0) {
+        prev = at;
+      } else {
+        order.splice(prev + 1, 0, key);
+        prev++;
+      }
+    }
+  }
+  return order;
+}
+
+// --- AST-ALAPÚ MERGE (top-level elemek) ---
+function mergeAst(file, versions, plugins) {
+  const parsed = versions.map(v => ({ comp:v.comp, ...topLevelItems(v.content, plugins) }));
+
+  const order = unionOrder(parsed.map(p => p.items.map(i => i.key)));
+
+  const parts = [];
+  const conflicts = [];
+
+  for (const key of order) {
+    const instances = parsed
+      .map(p => ({ comp:p.comp, item:p.items.find(i => i.key === key) }))
+      .filter(x => x.item);
+    const first = instances[0].item;
+
+    parts.push(first.gap);
+
+    if (instances.every(x => sameText(file, x.item.text, first.text))) {
+      parts.push(first.text);
+      continue;
+    }
+
+    const imports = first.imp && unionImports(instances.map(x => x.item.imp));
+    if (imports) {
+      parts.push(imports);
+      continue;
+    }
+
+    const out = mergeLines(instances.map(x => ({
+      comp:x.comp,
+      lines:splitLines(x.item.text),
+      forms:canonicalLines(file, x.item.text)
+    })));
+    for (const c of out.conflicts) {
+      conflicts.push({ ...c, key, line:c.line + first.line - 1, endLine:c.endLine + first.line - 1 });
+    }
+    parts.push(out.lines.join("\n"));
+  }
+
+  // üres bázisnál a fájl vége (záró sortörés) az első nem üres verzióból
+  parts.push((parsed.find((p, i) => versions[i].content) || parsed[0]).tail);
+  return { text:parts.join(""), conflicts };
+}
+
+// top-level elemek: [{ key, gap, text, line, imp }] + tail – a chunking.js is ezzel bont darabokra
+export function topLevelItems(code, plugins) {
+  const ast = parse(code, {
+    sourceType:"unambiguous",
+    plugins,
+    allowReturnOutsideFunction:true,
+    allowAwaitOutsideFunction:true
+  });
+
+  const items = [];
+  const seen = new Map();
+  let cursor = 0;
+  let anchor = "^";
+
+  for (const node of ast.program.body) {
+    let end = node.end;
+    const trailing = code.slice(end).match(/^[ \t]*(\/\/[^\n]*|\/\*[^\n]*?\*\/[ \t]*)(?=\n|$)/);
+    if (trailing) end += trailing[0].length;
+
+    const chunk = code.slice(cursor, end);
+    const gap = chunk.match(/^\s*/)[0];
+    const named = itemKey(node);
+
+    // kulcs nélküli utasítások az előző deklarációhoz horgonyozva
+    let key = named || `after:${anchor}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    if (n > 1) key += `#${n}`;
+    if (named) anchor = key;
+
+    items.push({
+      key,
+      gap,
+      text:chunk.slice(gap.length),
+      line:code.slice(0, cursor + gap.length).split("\n").length,
+      imp:node.type === "ImportDeclaration" ? importShape(node, code) : null
+    });
+    cursor = end;
+  }
+
+  return { items, tail:code.slice(cursor) };
+}
+
+function itemKey(node) {
+  switch (node.type) {
+    case "ImportDeclaration":
+      return `import:${node.importKind || "value"}:${node.source.value}`;
+    case "ExportDefaultDeclaration":
+      return "export:default";
+    case "ExportAllDeclaration":
+      return `export-all:${node.source.value}`;
+    case "ExportNamedDeclaration":
+      if (node.declaration) return declName(node.declaration) && `export:${declName(node.declaration)}`;
+      if (node.source) return `export-from:${node.source.value}`;
+      return null;
+    default:
+      return declName(node) && `decl:${declName(node)}`;
+  }
+}
+
+function declName(node) {
+  switch (node.type) {
+    case "FunctionDeclaration":
+    case "ClassDeclaration":
+    case "TSDeclareFunction":
+    case "TSInterfaceDeclaration":
+    case "TSTypeAliasDeclaration":
+    case "TSEnumDeclaration":
+      return node.id?.name || null;
+    case "TSModuleDeclaration":
+      return node.id.name || node.id.value;
+    case "VariableDeclaration": {
+      const names = node.declarations.map(d => (d.id.type === "Identifier" ? d.id.name : null));
+      return names.every(Boolean) ? names.join(",") : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function importShape(node, code) {
+  const shape = {
+    kind:node.importKind === "type" ? "type " : "",
+    source:code.slice(node.source.start, node.source.end),
+    def:null,
+    ns:null,
+    named:[]
+  };
+
+  for (const s of node.specifiers) {
+    if (s.type === "ImportDefaultSpecifier") shape.def = s.local.name;
+    else if (s.type === "ImportNamespaceSpecifier") shape.ns = s.local.name;
+    else {
+      const imported = s.imported.name || s.imported.value;
+      const prefix = s.importKind === "type" ? "type " : "";
+      shape.named.push(prefix + (imported === s.local.name ? imported : `${imported} as ${s.local.name}`));
+    }
+  }
+
+  return shape;
+}
+
+// ugyanabból a modulból importált nevek uniója – null, ha nem egyesíthető
+function unionImports(shapes) {
+  if (shapes.some(s => !s)) return null;
+
+  const defs = new Set(shapes.map(s => s.def).filter(Boolean));
+  const nss = new Set(shapes.map(s => s.ns).filter(Boolean));
+  const named = [...new Set(shapes.flatMap(s => s.named))];
+
+  if (defs.size > 1 || nss.size > 1 || (nss.size && named.length)) return null;
+
+  const clause = [
+    ...defs,
+    ...[...nss].map(ns => `* as ${ns}`),
+    ...(named.length ? [`{ ${named.join(", ")} }`] : [])
+  ].join(", ");
+
+  const { kind, source } = shapes[0];
+  return clause ? `import ${kind}${clause} from ${source};` : `import ${source};`;
+}
+
+function extname(file) {
+  const m = /\.[^./\\]+$/.exec(file);
+  return m ? m[0].toLowerCase() : "";
+}
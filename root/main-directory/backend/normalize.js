@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import { parse } from "@babel/parser";
+import { astPlugins } from "./merge.js";
+
+// --- NORMALIZÁLÁS + HASH ---
+// classify(file, contents) eldönti, kell-e egyáltalán modellt hívni:
+//   "in-sync"   – bájtra azonos
+//   "trivial"   – csak whitespace / formázás / komment / import sorrend tér el
+//   "divergent" – valódi eltérés
+
+export function contentHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+const collapse = text => text.replace(/\s+/g, " ").trim();
+
+// canon: a fájltípus kanonikus formája (filetypes.js), alapból a JS/TS token-folyam
+// whitespaceInsensitive: a teljes whitespace-összevonás csak az így regisztrált típusoknál (filetypes.js, pl. CSS) –
+// máshol a szövegben (string, template, regex, Markdown / YAML behúzás) a whitespace jelentést hordozhat
+export function classify(file, contents, canon = canonical, { whitespaceInsensitive = false } = {}) {
+  const allSame = forms => forms.every(f => f !== null && f === forms[0]);
+
+  if (allSame(contents.map(contentHash))) return { status:"in-sync" };
+  if (whitespaceInsensitive && allSame(contents.map(collapse))) return { status:"trivial", reason:"whitespace" };
+  if (allSame(contents.map(c => canon(file, c, { sortImports:false })))) {
+    return { status:"trivial", reason:"formatting/comments" };
+  }
+  if (allSame(contents.map(c => canon(file, c, { sortImports:true })))) {
+    return { status:"trivial", reason:"import order" };
+  }
+  return { status:"divergent" };
+}
+
+// --- KANONIKUS TOKEN-FOLYAM (JS/TS) ---
+// kommentek és záró vesszők nélkül; stringek egységes idézőjellel, a string / template / regex tartalma szó szerint;
+// utasításvég: egységes ";" jel minden utasítás (és class mező) után az AST szerint – így az ASI is számít
+// ("return\n x" = két utasítás, "a\n(b)" = egy hívás), és mindegy, hogy a forrásban volt-e pontosvessző.
+// sortImports esetén az importok (és a nevek bennük) rendezve az elejére kerülnek.
+// null, ha a fájl nem JS/TS vagy nem parse-olható.
+export function canonical(file, code, { sortImports = true } = {}) {
+  const ast = parseTokens(file, code);
+  if (!ast) return null;
+
+  const ends = statementEnds(ast.program);
+  const tokens = ast.tokens.filter(t => !/^Comment/.test(label(t)) && label(t) !== "eof");
+
+  const imports = sortImports ? ast.program.body.filter(n => n.type === "ImportDeclaration") : [];
+  const inImport = t => imports.some(n => t.start >= n.start && t.end <= n.end);
+
+  const out = [];
+  tokens.forEach((t, i) => {
+    if (inImport(t)) return;
+
+    const next = tokens[i + 1];
+    const trailingComma = label(t) === "," && next && [")", "]", "}"].includes(label(next));
+    // az utasítást záró pontosvessző helyett a jel; a for (;;) fejléc pontosvesszői maradnak
+    if (!trailingComma && !(label(t) === ";" && ends.has(t.end))) out.push(tokenText(t, code));
+    if (ends.has(t.end) && out[out.length - 1] !== ";") out.push(";");
+  });
+
+  return [...imports.map(canonicalImport).sort(), ...out].join(" ");
+}
+
+const STATEMENT = /(Statement|Declaration)$|^(Class(Private|Accessor)?Property|Directive|TS(Property|Method|Index)Signature)$/;
+
+// az utasítás jellegű csomópontok vége (forrás offset) – explicit pontosvesszővel vagy ASI-vel zárva
+function statementEnds(node, ends = new Set()) {
+  if (Array.isArray(node)) {
+    for (const n of node) statementEnds(n, ends);
+  } else if (node && typeof node.type === "string") {
+    if (STATEMENT.test(node.type)) ends.add(node.end);
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== "loc" && key !== "extra" && !/Comments$/.test(key) && value && typeof value === "object") statementEnds(value, ends);
+    }
+  }
+  return ends;
+}
+
+// soronkénti kanonikus forma a sor-alapú merge-hez (merge.js): ugyanazok a token szabályok, mint fent,
+// de a kommentek megmaradnak (összevont whitespace-szel) – a merge nem dobhat el egy hozzáadott kommentet.
+// Több soros token (template string, JSX szöveg, blokk komment) soronként, whitespace-összevont darabokban.
+// null, ha a fájl nem JS/TS vagy nem parse-olható.
+export function canonicalLines(file, code) {
+  const ast = parseTokens(file, code);
+  if (!ast) return null;
+
+  const lines = code.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  const forms = lines.map(() => []);
+
+  for (const t of codeTokens(ast.tokens)) {
+    const row = t.loc.start.line - 1;
+    const text = code.slice(t.start, t.end);
+
+    if (t.loc.end.line - 1 > row || /^Comment/.test(label(t))) {
+      text.split("\n").map(collapse).forEach((part, i) => part && forms[row + i]?.push(part));
+    } else {
+      const part = tokenText(t, code);
+      if (part) forms[row]?.push(part);
+    }
+  }
+
+  return forms.map(parts => parts.join(" "));
+}
+
+function parseTokens(file, code) {
+  const plugins = astPlugins(file);
+  if (!plugins) return null;
+
+  try {
+    return parse(code, {
+      sourceType:"unambiguous",
+      plugins,
+      tokens:true,
+      allowReturnOutsideFunction:true,
+      allowAwaitOutsideFunction:true
+    });
+  } catch {
+    return null;
+  }
+}
+
+const label = t => t.type.label ?? t.type;
+
+// pontosvessző és záró vessző nélkül (a kommentek nem számítanak szomszédnak)
+function codeTokens(tokens) {
+  const kept = tokens.filter(t => !["eof", ";"].includes(label(t)));
+  const isCode = t => !/^Comment/.test(label(t));
+
+  return kept.filter((t, i) => {
+    if (label(t) !== ",") return true;
+    const next = kept.slice(i + 1).find(isCode);
+    return !(next && [")", "]", "}"].includes(label(next)));
+  });
+}
+
+// stringek egységes idézőjellel, JSX szöveg összevont whitespace-szel, a többi token szó szerint
+function tokenText(t, code) {
+  if (label(t) === "string") return JSON.stringify(t.value);
+  if (label(t) === "jsxText") return collapse(t.value);
+  return code.slice(t.start, t.end);
+}
+
+function canonicalImport(node) {
+  const names = node.specifiers
+    .map(s => {
+      if (s.type === "ImportDefaultSpecifier") return `default:${s.local.name}`;
+      if (s.type === "ImportNamespaceSpecifier") return `*:${s.local.name}`;
+      return `${s.importKind || ""}${s.imported.name || s.imported.value}:${s.local.name}`;
+    })
+    .sort();
+
+  return `import ${node.importKind || "value"} ${JSON.stringify(node.source.value)} ${names.join(",")}`;
+}
@@ -0,0 +1,103 @@
+import { diffLines, splitLines } from "./diff.js";
+
+// --- UNIFIED DIFF / PATCH ---
+// Git-stílusú patch minden komponensre, amely megkapná a javaslatot:
+// a komponens jelenlegi tartalmától a harmonizált változatig.
+// Az útvonalak REPO_ROOT-hoz relatívak, így a bundle `git apply`-jal is alkalmazható.
+
+const CONTEXT = 3;
+const NO_NEWLINE = "\\ No newline at end of file";
+const EOF_MARK = "\u0000";
+
+// "" ha nincs eltérés
+export function unifiedDiff(oldText, newText, file, { context = CONTEXT } = {}) {
+  if (oldText === newText) return "";
+
+  const a = markedLines(oldText);
+  const b = markedLines(newText);
+
+  const out = [
+    `diff --git a/${file} b/${file}`,
+    `--- a/${file}`,
+    `+++ b/${file}`
+  ];
+
+  const line = (sign, text) => {
+    if (text.endsWith(EOF_MARK)) out.push(sign + text.slice(0, -1), NO_NEWLINE);
+    else out.push(sign + text);
+  };
+
+  for (const group of groupHunks(diffLines(a, b), context)) {
+    const first = group[0], last = group[group.length - 1];
+    const aStart = Math.max(0, first.aStart - context);
+    const aEnd = Math.min(a.length, last.aEnd + context);
+    const bStart = first.bStart - (first.aStart - aStart);
+    const bEnd = last.bEnd + (aEnd - last.aEnd);
+
+    out.push(`@@ -${range(aStart, aEnd - aStart)} +${range(bStart, bEnd - bStart)} @@`);
+
+    let pos = aStart;
+    for (const h of group) {
+      for (let i = pos; i < h.aStart; i++) line(" ", a[i]);
+      for (let i = h.aStart; i < h.aEnd; i++) line("-", a[i]);
+      for (let i = h.bStart; i < h.bEnd; i++) line("+", b[i]);
+      pos = h.aEnd;
+    }
+    for (let i = pos; i < aEnd; i++) line(" ", a[i]);
+  }
+
+  return out.join("\n") + "\n";
+}
+
+// a záró újsor hiánya az utolsó sorra kerül jelölőként, így a diff magától kezeli
+function markedLines(text) {
+  const lines = splitLines(text);
+  if (text && !text.endsWith("\n")) lines[lines.length - 1] += EOF_MARK;
+  return lines;
+}
+
+function range(start, len) {
+  if (len === 0) return `${start},0`;
+  return len === 1 ? `${start + 1}` : `${start + 1},${len}`;
+}
+
+// egymáshoz 2*context soron belüli hunkok egy blokkba
+function groupHunks(hunks, context) {
+  const groups = [];
+  for (const h of hunks) {
+    const g = groups[groups.length - 1];
+    if (g && h.aStart - g[g.length - 1].aEnd <= context * 2) g.push(h);
+    else groups.push([h]);
+  }
+  return groups;
+}
+
+// --- JAVASLAT -> KOMPONENSENKÉNTI PATCHEK ---
+// group: harmonizer csoport (versions), comps: [{ name, path }]
+export function suggestionPatches(group, suggestion, comps) {
+  if (typeof suggestion.unified !== "string") return [];
+
+  return group.versions
+    .map(v => {
+      const comp = comps.find(c => c.name === v.comp);
+      const file = joinPosix(comp.path, v.file);
+      return { component:v.comp, path:file, diff:unifiedDiff(v.content, suggestion.unified, file) };
+    })
+    .filter(p => p.diff);
+}
+
+// .patch bundle: minden javaslat minden komponens-patche egymás után
+export function patchBundle(suggestions) {
+  return suggestions
+    .flatMap(s => s.patches || [])
+    .map(p => p.diff)
+    .join("");
+}
+
+function joinPosix(...parts) {
+  return parts
+    .join("/")
+    .split(/[\\/]+/)
+    .filter(p => p && p !== ".")
+    .join("/");
+}
@@ -0,0 +1,120 @@
+import fs from "fs/promises";
+import path from "path";
+import { atomicWrite, ignoredDir, newRunId } from "./transaction.js";
+import { contentHash } from "./normalize.js";
+import { resolveTarget } from "./sandbox.js";
+import { diffLines, splitLines } from "./diff.js";
+
+// --- PREVIEW RUNOK ---
+// Minden preview eltárolja, mely komponensek és fájlok szerepeltek benne:
+//   REPO_ROOT/.asa-harmonizer/previews/<previewId>.json (a mappa magát git-ignorálja, lásd transaction.js ignoredDir)
+// Az apply csak egy ilyen run fájljaira írhat (sandbox.js planWrites), így a kliens
+// nem csempészhet be a preview-ban nem szereplő útvonalat. Szerver újraindítás után is érvényes.
+// Fájlonként a javaslat hash-e és validációja is (validate.js) – az apply kapu ebből tudja,
+// hogy a kiírandó tartalom az, amit a preview ellenőrzött.
+// A javaslat szövege (unified, why) is itt van: a CLI (asa-harmonize.js apply --run <id>) ebből applyol.
+// A verify (verify.js) komponensenkénti eredménye is ide kerül: verification:{ [comp]: { status, hash, failed, at } }.
+// A riporthoz (report.js) a teljes kép: a nem divergens fájlok (inSync, trivial), a hibás fájlok (failed),
+// a summary, fájlonként a hashek, a páronkénti hasonlóság (pairs) és a komponensenkénti diffek (patches).
+
+export const PREVIEW_DIR = ".asa-harmonizer/previews";
+
+const previewFile = (repo, id) => path.resolve(repo, PREVIEW_DIR, `${id}.json`);
+
+// result: a preview() többi mezője (inSync, trivial, failed, summary) – a régi hívók nélküle is működnek
+export async function savePreview(repo, comps, suggestions, { inSync = [], trivial = [], failed = [], summary = null } = {}) {
+  const id = newRunId();
+  const status = f => ({ file:f.file, type:f.type, paths:f.paths, hashes:f.hashes, pairs:f.pairs, reason:f.reason });
+  const run = {
+    id,
+    createdAt:new Date().toISOString(),
+    components:comps.map(c => ({ name:c.name, path:c.path })),
+    files:Object.fromEntries(suggestions.map(s => {
+      const unified = s.unified ?? s.unifiedCode;
+      return [s.file, {
+        paths:s.paths || {},
+        type:s.type,
+        strategy:s.strategy,
+        hash:typeof unified === "string" ? contentHash(unified) : null,
+        validation:s.validation || null,
+        coverage:s.coverage || null,
+        unified:unified ?? null,
+        why:s.why ?? s.rationale,
+        source:s.source,
+        match:s.match,
+        confidence:s.confidence,
+        hashes:s.hashes,
+        pairs:s.pairs,
+        conflicts:(s.conflicts || []).length,
+        patches:(s.patches || []).map(p => ({ component:p.component, path:p.path, diff:p.diff }))
+      }];
+    })),
+    inSync:inSync.map(status),
+    trivial:trivial.map(status),
+    failed,
+    summary
+  };
+
+  await ignoredDir(path.dirname(previewFile(repo, id)));
+  await atomicWrite(previewFile(repo, id), JSON.stringify(run, null, 2));
+  return id;
+}
+
+export async function loadPreview(repo, id) {
+  if (!id) throw Object.assign(new Error("previewId required – run a preview first"), { code:"INVALID_REQUEST" });
+  if (!/^[\w-]+$/.test(id)) throw Object.assign(new Error("Invalid previewId"), { code:"INVALID_REQUEST" });
+
+  try {
+    return JSON.parse(await fs.readFile(previewFile(repo, id), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") throw Object.assign(new Error(`Unknown preview: ${id}`), { code:"NOT_FOUND" });
+    throw e;
+  }
+}
+
+export async function saveVerification(repo, id, components) {
+  const run = await loadPreview(repo, id);
+  const at = new Date().toISOString();
+
+  run.verification = { ...run.verification };
+  for (const r of components) {
+    run.verification[r.component] = {
+      status:r.status,
+      hash:r.hash,
+      failed:r.checks.filter(c => c.regressed).map(c => c.command),
+      at
+    };
+  }
+
+  await atomicWrite(previewFile(repo, id), JSON.stringify(run, null, 2));
+  return run.verification;
+}
+
+// --- ÖSSZEHASONLÍTÁS ---
+// Egy preview fájl minden komponensben, a lemezen lévő jelenlegi tartalommal, a javaslat mellett –
+// a dashboard side-by-side / többutas nézete. Az útvonal a tárolt runból jön, sandboxolva (sandbox.js).
+//   -> { file, unified, versions:[{ component, path, content (null = nincs ilyen fájl), hunks }] }
+export async function fileVersions(repo, run, file) {
+  const entry = run.files[file];
+  if (!entry) throw Object.assign(new Error(`File ${file} is not part of preview ${run.id}`), { code:"NOT_FOUND" });
+
+  const unified = entry.unified ?? null;
+  const versions = [];
+
+  for (const c of run.components) {
+    const target = await resolveTarget(repo, c, entry.paths[c.name] || file);
+    const content = await fs.readFile(target.full, "utf8").catch(e => {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    });
+
+    versions.push({
+      component:c.name,
+      path:target.path,
+      content,
+      hunks:unified === null ? [] : diffLines(splitLines(content || ""), splitLines(unified))
+    });
+  }
+
+  return { file, unified, versions };
+}
@@ -0,0 +1,187 @@
+// --- LLM PROVIDER RÉTEG ---
+// Minden provider ugyanazt az interfészt adja:
+//   provider.harmonize({ file, versions:[{ comp, file?, content }], instructions?, part?, repair?, signal? })
+//     -> { unified, why, raw? }   (raw: a válasz nem volt JSON, a nyers szöveg a unified)
+//   (instructions: fájltípusra szabott prompt rész – lásd filetypes.js; signal: AbortSignal, job megszakítás;
+//    part: { index, total, keys } – nagy fájl egy darabja, lásd chunking.js;
+//    repair: { code, diagnostics } – az előző válasz nem ment át a validáción, javítás kérés, lásd validate.js)
+// Választás config alapján (env):
+//   ASA_LLM_PROVIDER = openai | local | mock   (alap: openai)
+//   ASA_AGENT_MODEL  = modell neve             (alap: gpt-4.1-mini)
+//   ASA_LLM_BASE_URL = lokális OpenAI-kompatibilis endpoint (Ollama / llama.cpp)
+//   ASA_LLM_API_KEY  = opcionális kulcs a lokális endpointhoz
+
+export const DEFAULT_MODEL = "gpt-4.1-mini";
+const DEFAULT_LOCAL_URL = "http://localhost:11434/v1";
+
+const SYSTEM_PROMPT = "You are a senior code refactoring and harmonization AI agent.";
+
+// --- PROMPT ---
+// nincs csonkolás: a túl nagy fájlt a chunking.js darabolja a modell token limitje szerint
+export function buildPrompt({ file, versions, instructions, part, repair }) {
+  const parts = [
+    `You are ASA CODE-HARMONIZER, an autonomous refactor agent that unifies component code versions.`,
+    `For the same relative file path "${file}" we have multiple components with different code:`
+  ];
+
+  if (part) {
+    parts.push(
+      `This is PART ${part.index} of ${part.total} of the file, covering these top-level sections: ${part.keys.slice(0, 30).join(", ")}.`,
+      `Unify ONLY this part. The other parts are unified separately and concatenated in order, so do not repeat or add imports or code from other parts.`
+    );
+  }
+
+  for (const v of versions) {
+    // átnevezett / áthelyezett fájlnál a komponens saját útvonala is látszik
+    const where = v.file && v.file !== file ? ` (${v.file})` : "";
+    parts.push(`\n===== COMPONENT: ${v.comp}${where} =====\n`);
+    parts.push(v.content);
+  }
+
+  if (repair) {
+    const errors = repair.diagnostics.map(d => `- ${d.line ? `line ${d.line}:${d.column}: ` : ""}${d.message}`);
+    parts.push(`\n===== YOUR PREVIOUS UNIFIED VERSION (REJECTED) =====\n`);
+    parts.push(repair.code);
+    parts.push(`\nIt failed validation with these errors:\n${errors.join("\n")}\nFix them in the new unified version.`);
+  }
+
+  parts.push(`
+TASK:
+- Read all versions from the components.
+- Produce ONE UNIFIED version that:
+  - keeps the best / most modern logic,
+  - is compatible with a monorepo setup,
+  - avoids hard-coded component-specific paths where possible,
+  - is clean, modular, and well formatted.
+- After the code, in a short explanation, describe what you unified/kept/changed.
+Return ONLY JSON with keys: "unified", "why".
+${instructions || "Use TypeScript/React/Node style as appropriate based on the inputs."}
+`);
+
+  return { system:SYSTEM_PROMPT, prompt:parts.join("\n") };
+}
+
+// --- VÁLASZ FELDOLGOZÁS ---
+export function parseReply(raw) {
+  try {
+    const data = JSON.parse(raw || "{}");
+    return { unified:data.unified || "", why:data.why || "" };
+  } catch {
+    return { unified:raw, why:"Could not parse JSON, falling back to raw string.", raw:true };
+  }
+}
+
+// közös váz: prompt -> complete() -> parse
+function chatProvider(name, model, complete) {
+  return {
+    name,
+    model,
+    complete,
+    async harmonize(input) {
+      return parseReply(await complete(buildPrompt(input), { signal:input.signal }));
+    }
+  };
+}
+
+function chatMessages({ system, prompt }) {
+  return [
+    ...(system ? [{ role:"system", content:system }] : []),
+    { role:"user", content:prompt }
+  ];
+}
+
+// --- OpenAI ---
+// Az "openai" csomag lustán töltődik be, így mock/local módban nem kell telepítve lennie.
+export function openaiProvider({ apiKey, model = DEFAULT_MODEL }) {
+  let client = null;
+
+  return chatProvider("openai", model, async (req, { signal } = {}) => {
+    if (!client) {
+      const { default:OpenAI } = await import("openai");
+      // újrapróbálás / rate limit a scheduler.js dolga – az SDK saját retry-ja ne duplázza
+      client = new OpenAI({ apiKey, maxRetries:0 });
+    }
+
+    const out = await client.chat.completions.create({
+      model,
+      response_format:{ type:"json_object" },
+      messages:chatMessages(req)
+    }, { signal });
+    return out.choices[0]?.message?.content || "{}";
+  });
+}
+
+// --- LOKÁLIS (OpenAI-kompatibilis HTTP: Ollama, llama.cpp server, vLLM) ---
+export function localProvider({ baseUrl = DEFAULT_LOCAL_URL, model = DEFAULT_MODEL, apiKey }) {
+  const url = baseUrl.replace(/\/+$/, "") + "/chat/completions";
+
+  return chatProvider("local", model, async (req, { signal } = {}) => {
+    const res = await fetch(url, {
+      method:"POST",
+      signal,
+      headers:{
+        "Content-Type":"application/json",
+        ...(apiKey ? { Authorization:`Bearer ${apiKey}` } : {})
+      },
+      body:JSON.stringify({
+        model,
+        stream:false,
+        response_format:{ type:"json_object" },
+        messages:chatMessages(req)
+      })
+    });
+
+    if (!res.ok) {
+      // status + headers: a scheduler ezekből dönt az újrapróbálásról (429 / 5xx, Retry-After)
+      throw Object.assign(new Error(`Local LLM ${res.status}: ${await res.text()}`), { status:res.status, headers:res.headers });
+    }
+
+    const data = await res.json();
+    return data.choices?.[0]?.message?.content || "{}";
+  });
+}
+
+// --- MOCK (determinisztikus, hálózat nélkül – tesztekhez, air-gapped géphez) ---
+// Az első komponens verzióját adja vissza változatlanul.
+export function mockProvider({ model } = {}) {
+  return {
+    name:"mock",
+    model:model || "mock",
+    async complete() {
+      return "{}";
+    },
+    async harmonize({ versions }) {
+      const first = versions[0];
+      return {
+        unified:first ? first.content : "",
+        why:`Mock provider – kept the ${first ? first.comp : "first"} version unchanged.`
+      };
+    }
+  };
+}
+
+// --- VÁLASZTÓ ---
+// null-t ad, ha OpenAI a választott provider, de nincs kulcs.
+// a kiválasztott provider (ASA_LLM_PROVIDER / a konfig model.provider-e) és a hozzá hiányzó beállítás –
+// az induló figyelmeztetéshez; null, ha a provider létrehozható
+export function missingProviderSetting(env = process.env) {
+  const kind = (env.ASA_LLM_PROVIDER || "openai").toLowerCase();
+  if (kind === "openai" && !env.OPENAI_API_KEY) return { provider:kind, setting:"OPENAI_API_KEY" };
+  return null;
+}
+
+export function createProvider(env = process.env) {
+  const kind = (env.ASA_LLM_PROVIDER || "openai").toLowerCase();
+  const model = env.ASA_AGENT_MODEL || DEFAULT_MODEL;
+
+  switch (kind) {
+    case "openai":
+      return env.OPENAI_API_KEY ? openaiProvider({ apiKey:env.OPENAI_API_KEY, model }) : null;
+    case "local":
+      return localProvider({ baseUrl:env.ASA_LLM_BASE_URL, model, apiKey:env.ASA_LLM_API_KEY });
+    case "mock":
+      return mockProvider({ model:env.ASA_AGENT_MODEL });
+    default:
+      throw new Error(`Unknown ASA_LLM_PROVIDER: ${kind}`);
+  }
+}
@@ -0,0 +1,307 @@
+import path from "path";
+
+// --- DIVERGENCIA RIPORT ---
+// Egy tárolt preview runból (previews.js) – a dashboard nélkül is megosztható formában:
+//   buildReport(run)                       -> riport modell (a JSON formátum ez)
+//   renderReport(run, format, { diffs })   -> { type, extension, body }
+// Formátumok: markdown (PR leírásba), html (önálló, megosztható), json (eszközöknek), sarif (2.1.0 –
+// szerkesztők / code scanning nézetek findingként mutatják). diffs:false = a komponensenkénti diffek nélkül.
+// Komponens páronként: azonos / csak formázásban eltérő / divergens fájlok, csak az egyikben lévők és az átlagos
+// sor-hasonlóság (similarity.js lineSimilarity). A régebbi runokban nincs inSync / hashes – ott minden tárolt fájl divergens.
+
+export const REPORT_FORMATS = {
+  markdown:{ type:"text/markdown; charset=utf-8", extension:"md" },
+  html:{ type:"text/html; charset=utf-8", extension:"html" },
+  json:{ type:"application/json; charset=utf-8", extension:"json" },
+  sarif:{ type:"application/sarif+json; charset=utf-8", extension:"sarif" }
+};
+
+export function buildReport(run, { diffs = true } = {}) {
+  const names = run.components.map(c => c.name);
+  const files = Object.entries(run.files).map(([file, e]) => ({
+    file,
+    type:e.type ?? null,
+    match:e.match ?? "path",
+    confidence:e.confidence ?? 1,
+    paths:e.paths,
+    pairs:e.pairs || [],
+    similarity:e.pairs?.length ? Math.min(...e.pairs.map(p => p.similarity)) : null,
+    source:e.source ?? null,
+    resolved:e.unified !== null,
+    conflicts:e.conflicts ?? 0,
+    valid:e.validation?.ok !== false,
+    diagnostics:(e.validation?.diagnostics || []).map(d => ({ component:d.component, line:d.line, message:d.message })),
+    why:e.why || "",
+    ...(diffs ? { patches:e.patches || [] } : {})
+  }));
+
+  const entries = [
+    ...(run.inSync || []).map(f => ({ ...f, status:"in-sync" })),
+    ...(run.trivial || []).map(f => ({ ...f, status:"trivial" })),
+    ...files.map(f => ({ ...f, status:"divergent", hashes:run.files[f.file].hashes }))
+  ];
+
+  const pairs = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) pairs.push(pairSummary(names[i], names[j], entries));
+  }
+
+  return {
+    previewId:run.id,
+    createdAt:run.createdAt,
+    components:run.components,
+    summary:run.summary || {
+      inSync:(run.inSync || []).length,
+      trivial:(run.trivial || []).length,
+      divergent:files.length + (run.failed || []).length,
+      invalid:files.filter(f => !f.valid).length
+    },
+    pairs,
+    files:files.sort((a, b) => (a.similarity ?? 1) - (b.similarity ?? 1) || a.file.localeCompare(b.file)),
+    trivial:(run.trivial || []).map(f => ({ file:f.file, reason:f.reason, paths:f.paths })),
+    failed:run.failed || [],
+    verification:run.verification || {}
+  };
+}
+
+// két komponens viszonya a run összes fájlján
+function pairSummary(a, b, entries) {
+  const s = { a, b, identical:0, trivial:0, divergent:0, onlyA:0, onlyB:0, similarity:null };
+  const scores = [];
+
+  for (const e of entries) {
+    const inA = e.paths?.[a] != null, inB = e.paths?.[b] != null;
+    if (inA && !inB) s.onlyA++;
+    if (inB && !inA) s.onlyB++;
+    if (!inA || !inB) continue;
+
+    if (e.status === "in-sync" || (e.hashes && e.hashes[a] === e.hashes[b])) s.identical++;
+    else if (e.status === "trivial") s.trivial++;
+    else {
+      s.divergent++;
+      const p = (e.pairs || []).find(p => (p.a === a && p.b === b) || (p.a === b && p.b === a));
+      if (p) scores.push(p.similarity);
+    }
+  }
+
+  if (scores.length) s.similarity = Math.round(scores.reduce((x, y) => x + y, 0) / scores.length * 1000) / 1000;
+  return s;
+}
+
+export function renderReport(run, format = "markdown", { diffs = true } = {}) {
+  const meta = REPORT_FORMATS[format];
+  if (!meta) {
+    throw Object.assign(new Error(`Unknown report format ${format} (${Object.keys(REPORT_FORMATS).join(", ")})`), { code:"INVALID_REQUEST" });
+  }
+
+  const report = buildReport(run, { diffs });
+  const body = format === "markdown" ? markdown(report)
+    : format === "html" ? html(report)
+    : format === "sarif" ? JSON.stringify(sarif(report, run), null, 2)
+    : JSON.stringify(report, null, 2);
+
+  return { ...meta, body };
+}
+
+const percent = n => (n == null ? "–" : `${Math.round(n * 100)}%`);
+// HTML escape – a html formátum és a Markdown <details> összefoglalója
+const esc = s => String(s ?? "").replace(/[&<>"']/g, ch => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[ch]);
+
+function fileStatus(f) {
+  if (!f.resolved) return `unresolved – ${f.conflicts} conflicting hunk(s), manual harmonization needed`;
+  return `${f.source === "merge" ? "deterministic merge" : "LLM suggestion"}, ${f.valid ? "valid" : `invalid (${f.diagnostics.length} diagnostics)`}`;
+}
+
+// --- MARKDOWN ---
+function markdown(r) {
+  const code = s => "`" + String(s).replace(/`/g, "'") + "`";
+  const out = [
+    "# ASA Code Harmonizer report",
+    "",
+    `Run ${code(r.previewId)} · ${r.createdAt} · ${r.components.map(c => `**${c.name}** (${code(c.path)})`).join(", ")}`,
+    "",
+    "| In sync | Trivial | Divergent | Invalid | Failed |",
+    "|---:|---:|---:|---:|---:|",
+    `| ${r.summary.inSync} | ${r.summary.trivial} | ${r.summary.divergent} | ${r.summary.invalid ?? 0} | ${r.failed.length} |`,
+    "",
+    "## Component pairs",
+    "",
+    "| Pair | Identical | Trivial | Divergent | Only in first | Only in second | Avg. similarity |",
+    "|---|---:|---:|---:|---:|---:|---:|",
+    ...r.pairs.map(p => `| ${p.a} ↔ ${p.b} | ${p.identical} | ${p.trivial} | ${p.divergent} | ${p.onlyA} | ${p.onlyB} | ${percent(p.similarity)} |`),
+    ""
+  ];
+
+  if (r.files.length) out.push("## Divergent files", "");
+  for (const f of r.files) {
+    out.push(`### ${code(f.file)}`, "");
+    out.push(`- ${f.type || "file"} · ${f.match === "similar" ? `renamed / moved (${percent(f.confidence)} match): ` : ""}` +
+      Object.entries(f.paths).map(([c, p]) => `${c}: ${code(p)}`).join(", "));
+    if (f.pairs.length) out.push(`- similarity: ${f.pairs.map(p => `${p.a} ↔ ${p.b} ${percent(p.similarity)}`).join(", ")}`);
+    out.push(`- ${fileStatus(f)}`);
+    for (const d of f.diagnostics.slice(0, 5)) out.push(`  - ${d.component ? d.component + ": " : ""}${d.line ? `line ${d.line}: ` : ""}${d.message}`);
+    if (f.why) out.push("", ...f.why.split("\n").map(l => "> " + l));
+
+    for (const p of f.patches || []) {
+      // a diffben lévő ``` ne zárja le a blokkot
+      const fence = "`".repeat(Math.max(3, ...(p.diff.match(/`+/g) || []).map(m => m.length + 1)));
+      out.push("", `<details><summary>Diff: ${esc(p.component)} (<code>${esc(p.path)}</code>)</summary>`, "", fence + "diff", p.diff.replace(/\n$/, ""), fence, "", "</details>");
+    }
+    out.push("");
+  }
+
+  if (r.failed.length) {
+    out.push("## Failed", "", ...r.failed.map(f => `- ${code(f.file)}: ${f.error}`), "");
+  }
+  if (r.trivial.length) {
+    out.push("## Trivial drift", "", ...r.trivial.map(f => `- ${code(f.file)}${f.reason ? ` – ${f.reason}` : ""}`), "");
+  }
+
+  return out.join("\n");
+}
+
+// --- HTML (önálló, külső erőforrás nélkül) ---
+function html(r) {
+  const diffLine = l => {
+    const cls = l.startsWith("@@") ? "hunk" : l.startsWith("+++") || l.startsWith("---") ? "head" : l.startsWith("+") ? "add" : l.startsWith("-") ? "del" : "";
+    return `<span class="${cls}">${esc(l)}</span>`;
+  };
+
+  const files = r.files.map(f => `
+<section class="file">
+  <h3><code>${esc(f.file)}</code> <span class="score">${percent(f.similarity)}</span></h3>
+  <p class="meta">${esc(f.type || "file")} · ${Object.entries(f.paths).map(([c, p]) => `${esc(c)}: <code>${esc(p)}</code>`).join(", ")}
+    ${f.match === "similar" ? ` · renamed / moved (${percent(f.confidence)} match)` : ""}</p>
+  ${f.pairs.length ? `<p class="meta">${f.pairs.map(p => `${esc(p.a)} ↔ ${esc(p.b)} ${percent(p.similarity)}`).join(" · ")}</p>` : ""}
+  <p class="${f.resolved && f.valid ? "ok" : "bad"}">${esc(fileStatus(f))}</p>
+  ${f.diagnostics.length ? `<ul class="diag">${f.diagnostics.slice(0, 5).map(d => `<li>${esc(d.component ? d.component + ": " : "")}${esc(d.message)}</li>`).join("")}</ul>` : ""}
+  ${f.why ? `<blockquote>${esc(f.why)}</blockquote>` : ""}
+  ${(f.patches || []).map(p => `<details><summary>Diff: ${esc(p.component)} (<code>${esc(p.path)}</code>)</summary><pre>${p.diff.replace(/\n$/, "").split("\n").map(diffLine).join("\n")}</pre></details>`).join("\n  ")}
+</section>`).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ASA Code Harmonizer report – ${esc(r.previewId)}</title>
+<style>
+  body { margin: 0; padding: 2rem; font: 14px/1.5 system-ui, sans-serif; background: #02040a; color: #d8fff8; }
+  h1, h2 { color: #00b7c2; letter-spacing: 0.04em; }
+  code, pre { font-family: ui-monospace, "JetBrains Mono", monospace; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+  th, td { padding: 0.35rem 0.8rem; border: 1px solid rgba(0, 183, 194, 0.3); text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .file { margin: 1rem 0; padding: 1rem 1.25rem; border: 1px solid rgba(0, 183, 194, 0.3); border-radius: 12px; background: #050b14; }
+  .file h3 { margin: 0 0 0.5rem; display: flex; justify-content: space-between; }
+  .score { color: #ffc880; }
+  .meta { margin: 0.2rem 0; opacity: 0.75; font-size: 0.85rem; }
+  .ok { color: #9dffb0; }
+  .bad { color: #ff8080; }
+  blockquote { margin: 0.75rem 0; padding-left: 0.75rem; border-left: 3px solid #00b7c2; white-space: pre-wrap; }
+  pre { overflow-x: auto; padding: 0.75rem; background: #00151a; border-radius: 8px; font-size: 12px; }
+  .add { color: #9dffb0; } .del { color: #ff8080; } .hunk { color: #7fd8ff; } .head { opacity: 0.6; }
+</style>
+</head>
+<body>
+<h1>ASA Code Harmonizer report</h1>
+<p>Run <code>${esc(r.previewId)}</code> · ${esc(r.createdAt)} · ${r.components.map(c => `<b>${esc(c.name)}</b> (<code>${esc(c.path)}</code>)`).join(", ")}</p>
+<table>
+  <tr><th>In sync</th><th>Trivial</th><th>Divergent</th><th>Invalid</th><th>Failed</th></tr>
+  <tr><td>${r.summary.inSync}</td><td>${r.summary.trivial}</td><td>${r.summary.divergent}</td><td>${r.summary.invalid ?? 0}</td><td>${r.failed.length}</td></tr>
+</table>
+<h2>Component pairs</h2>
+<table>
+  <tr><th>Pair</th><th>Identical</th><th>Trivial</th><th>Divergent</th><th>Only in first</th><th>Only in second</th><th>Avg. similarity</th></tr>
+  ${r.pairs.map(p => `<tr><td>${esc(p.a)} ↔ ${esc(p.b)}</td><td>${p.identical}</td><td>${p.trivial}</td><td>${p.divergent}</td><td>${p.onlyA}</td><td>${p.onlyB}</td><td>${percent(p.similarity)}</td></tr>`).join("\n  ")}
+</table>
+${r.files.length ? "<h2>Divergent files</h2>" : ""}
+${files}
+${r.failed.length ? `<h2>Failed</h2><ul>${r.failed.map(f => `<li><code>${esc(f.file)}</code>: ${esc(f.error)}</li>`).join("")}</ul>` : ""}
+${r.trivial.length ? `<h2>Trivial drift</h2><ul>${r.trivial.map(f => `<li><code>${esc(f.file)}</code>${f.reason ? " – " + esc(f.reason) : ""}</li>`).join("")}</ul>` : ""}
+</body>
+</html>
+`;
+}
+
+// --- SARIF 2.1.0 ---
+// Egy finding = egy divergens fájl egy komponensben, a komponensbeli útvonalon (REPO_ROOT-hoz relatív, uriBaseId),
+// az első eltérő sorra mutatva (a patch első hunkja). A hibás / feloldatlan javaslat külön szabály.
+const RULES = [
+  { id:"ASA001", name:"DivergentFile", level:"warning", text:"File diverges between components" },
+  { id:"ASA002", name:"UnresolvedConflict", level:"error", text:"Conflicting changes – no applicable suggestion, manual harmonization needed" },
+  { id:"ASA003", name:"InvalidSuggestion", level:"note", text:"The harmonized suggestion failed validation (syntax / types)" },
+  { id:"ASA004", name:"HarmonizationFailed", level:"error", text:"The file could not be harmonized" }
+];
+
+function sarif(r, run) {
+  const location = (comp, rel, startLine) => {
+    const c = r.components.find(x => x.name === comp);
+    return {
+      physicalLocation:{
+        artifactLocation:{ uri:encodeURI(path.posix.join(c?.path || "", rel)), uriBaseId:"REPO_ROOT" },
+        ...(startLine ? { region:{ startLine } } : {})
+      }
+    };
+  };
+  const result = (rule, message, locations, properties) => ({
+    ruleId:rule.id,
+    ruleIndex:RULES.indexOf(rule),
+    level:rule.level,
+    message:{ text:message },
+    locations,
+    properties:{ previewId:r.previewId, ...properties }
+  });
+
+  const results = [];
+  for (const f of r.files) {
+    const comps = Object.keys(f.paths);
+    const patches = run.files[f.file].patches || [];
+
+    if (!f.resolved) {
+      results.push(result(RULES[1], `${f.file}: ${f.why}`, comps.map(c => location(c, f.paths[c])), { file:f.file }));
+      continue;
+    }
+
+    // csak ahol a javaslat tényleg változtatna (van patch); az első hunk régi oldali sora
+    for (const p of patches) {
+      const others = comps.filter(c => c !== p.component);
+      const pair = f.pairs.filter(x => x.a === p.component || x.b === p.component);
+      const hunk = p.diff.match(/^@@ -(\d+)/m);
+      results.push(result(
+        RULES[0],
+        `${f.file} in ${p.component} diverges from ${others.join(", ")}` +
+          (pair.length ? ` (similarity ${pair.map(x => percent(x.similarity)).join(" / ")})` : "") +
+          `. Suggested harmonization: ${f.why}`,
+        [location(p.component, f.paths[p.component] || f.file, hunk ? Math.max(1, Number(hunk[1])) : null)],
+        { file:f.file, component:p.component, similarity:pair.length ? Math.min(...pair.map(x => x.similarity)) : null }
+      ));
+    }
+
+    if (!f.valid) {
+      results.push(result(
+        RULES[2],
+        `Harmonized ${f.file} failed validation: ${f.diagnostics.slice(0, 3).map(d => d.message).join("; ")}`,
+        comps.slice(0, 1).map(c => location(c, f.paths[c])),
+        { file:f.file }
+      ));
+    }
+  }
+  for (const f of r.failed) results.push(result(RULES[3], `${f.file}: ${f.error}`, [], { file:f.file }));
+
+  return {
+    $schema:"https://json.schemastore.org/sarif-2.1.0.json",
+    version:"2.1.0",
+    runs:[{
+      tool:{
+        driver:{
+          name:"asa-harmonizer",
+          rules:RULES.map(x => ({ id:x.id, name:x.name, shortDescription:{ text:x.text }, defaultConfiguration:{ level:x.level } }))
+        }
+      },
+      automationDetails:{ id:`asa-harmonizer/${r.previewId}` },
+      originalUriBaseIds:{ REPO_ROOT:{ description:{ text:"Repository root (REPO_ROOT)" } } },
+      results
+    }]
+  };
+}
@@ -0,0 +1,174 @@
+import fs from "fs/promises";
+import path from "path";
+import { compileRules, isIgnored } from "./scanner.js";
+import { contentHash } from "./normalize.js";
+
+// --- PATH SANDBOX ---
+// Preview és apply előtt minden útvonal itt megy át:
+//   - komponens: relatív, a valódi (realpath) útvonala REPO_ROOT alatt van
+//   - célfájl: relatív, a komponens gyökerén belül marad, egyik szegmense sem symlink
+//   - deny-lista (gitignore szintaxis): .env, lockfile-ok, .git – ASA_APPLY_DENY-vel bővíthető
+// Minden megsértés "Unsafe path" hibát dob; az apply ilyenkor egyetlen fájlt sem ír.
+// A szkenner (followSymlinks) követett linkjei ugyanígy: valódi cél a komponensen belül, deny-lista (resolveLink).
+
+export const DEFAULT_DENY = [
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  ".git/",
+  ".asa-harmonizer/",
+  "node_modules/",
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb"
+];
+
+export function denyRules(extra = (process.env.ASA_APPLY_DENY || "").split(",")) {
+  return compileRules([...DEFAULT_DENY, ...extra.map(s => s.trim()).filter(Boolean)]);
+}
+
+const unsafe = (what, reason) => Object.assign(new Error(`Unsafe path: ${what} – ${reason}`), { code:"UNSAFE_PATH" });
+
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+function checkRelative(p, what) {
+  if (typeof p !== "string" || !p) throw unsafe(what, "empty path");
+  if (p.includes("\0")) throw unsafe(what, "NUL byte in path");
+  if (path.isAbsolute(p) || path.win32.isAbsolute(p)) throw unsafe(p, "absolute paths are not allowed");
+  if (p.split(/[\\/]+/).includes("..")) throw unsafe(p, "parent directory segments are not allowed");
+}
+
+// komponens -> valódi gyökér; a komponens mappának léteznie kell
+export async function resolveComponent(repo, comp) {
+  if (!comp?.name) throw unsafe(String(comp?.path), "component name required");
+  checkRelative(comp.path, `component ${comp.name}`);
+
+  const realRepo = await fs.realpath(repo);
+  let root;
+  try {
+    root = await fs.realpath(path.resolve(realRepo, comp.path));
+  } catch {
+    throw Object.assign(new Error(`Component ${comp.name} not found: ${comp.path}`), { code:"NOT_FOUND" });
+  }
+
+  if (!isInside(realRepo, root)) throw unsafe(comp.path, `component ${comp.name} resolves outside REPO_ROOT`);
+  return { repo:realRepo, root };
+}
+
+export async function resolveComponents(repo, comps) {
+  if (!Array.isArray(comps) || !comps.length) throw Object.assign(new Error("components[] required"), { code:"INVALID_REQUEST" });
+  return Promise.all(comps.map(c => resolveComponent(repo, c)));
+}
+
+// komponens + relatív fájl -> { full, path (REPO_ROOT-relatív) }
+export async function resolveTarget(repo, comp, file, { deny = denyRules() } = {}) {
+  checkRelative(file, file);
+
+  const { repo:realRepo, root } = await resolveComponent(repo, comp);
+  const full = path.resolve(root, file);
+  if (!isInside(root, full) || full === root) throw unsafe(file, `outside component ${comp.name}`);
+
+  const repoPath = toPosix(path.relative(realRepo, full));
+  const compPath = toPosix(path.relative(root, full));
+  if (isDenied(deny, compPath) || isDenied(deny, repoPath)) throw unsafe(repoPath, "matches the apply deny-list");
+
+  // a gyökér alatt egyetlen létező szegmens sem lehet symlink (a célfájl sem)
+  let cur = root;
+  for (const part of compPath.split("/")) {
+    cur = path.join(cur, part);
+    let st;
+    try {
+      st = await fs.lstat(cur);
+    } catch (e) {
+      if (e.code === "ENOENT") break;
+      throw e;
+    }
+    if (st.isSymbolicLink()) throw unsafe(repoPath, "symlinked targets are not allowed");
+  }
+
+  return { full, path:repoPath };
+}
+
+// scanner.js followSymlinks: a link valódi célja (realpath) a komponens gyökerén belül van, és sem a link,
+// sem a cél útvonala (komponens- és REPO_ROOT-relatívan) nincs a deny-listán -> a cél; egyébként null (kihagyandó)
+export async function resolveLink(repo, root, link, { deny = denyRules() } = {}) {
+  let real;
+  try {
+    real = await fs.realpath(link);
+  } catch {
+    return null; // törött link
+  }
+
+  const realRepo = await fs.realpath(repo);
+  const realRoot = await fs.realpath(root);
+  if (!isInside(realRoot, real) || real === realRoot) return null;
+
+  const paths = [
+    path.relative(root, link), path.relative(path.resolve(repo), link),
+    path.relative(realRoot, real), path.relative(realRepo, real)
+  ];
+  if (paths.some(p => isDenied(deny, toPosix(p)))) return null;
+  return real;
+}
+
+// a mappa-szabályok (.git/) a fájl minden szülőjére is
+function isDenied(rules, rel) {
+  const parts = rel.split("/");
+  return parts.some((_, i) => isIgnored(rules, parts.slice(0, i + 1).join("/"), i < parts.length - 1));
+}
+
+// --- APPLY TERV ---
+// Csak a preview run javaslatai írhatók, és csak az ott szereplő komponensekbe;
+// az útvonal a tárolt preview-ból jön, nem a kliens által küldött javaslatból.
+//   run: { components:[{ name, path }], files:{ [file]: { paths:{ [comp]: rel } } } }
+// Javaslatonkénti kiválasztás: s.components – csak ezekbe a célkomponensekbe (a comps közül); hiányzik = mindbe
+// A preview-tól eltérő tartalom csak s.edited:true-val mehet (a reviewer szerkesztette) – az írás edited:true-t kap,
+// a validáció pedig újra lefut rá (validate.js gateWrites).
+export async function planWrites(repo, run, comps, suggestions, { deny = denyRules() } = {}) {
+  const writes = [];
+
+  for (const s of suggestions) {
+    const unknown = (s.components || []).filter(name => !comps.some(c => c.name === name));
+    if (unknown.length) {
+      throw Object.assign(new Error(`${s.file}: ${unknown.join(", ")} not among the target components`), { code:"INVALID_REQUEST" });
+    }
+
+    const entry = run.files[s.file];
+    if (entry && typeof s.unified === "string" && entry.hash !== contentHash(s.unified) && !s.edited) {
+      throw Object.assign(new Error(`${s.file}: content differs from preview ${run.id} – send edited:true for reviewer edits`), { code:"INVALID_REQUEST" });
+    }
+  }
+
+  for (const c of comps) {
+    const known = run.components.find(k => k.name === c.name);
+    if (!known || path.posix.normalize(toPosix(known.path)) !== path.posix.normalize(toPosix(c.path))) {
+      throw unsafe(c.path, `component ${c.name} was not part of preview ${run.id}`);
+    }
+
+    for (const s of suggestions) {
+      // feloldatlan konfliktus – nincs mit kiírni; a reviewer nem ezt a komponenst jelölte ki
+      if (typeof s.unified !== "string") continue;
+      if (s.components && !s.components.includes(c.name)) continue;
+
+      const entry = run.files[s.file];
+      if (!entry) throw unsafe(String(s.file), `not part of preview ${run.id}`);
+
+      // átnevezett fájl: a célkomponens saját útvonala
+      const target = await resolveTarget(repo, known, entry.paths[c.name] || s.file, { deny });
+      const edited = entry.hash !== contentHash(s.unified);
+      writes.push({ path:target.path, content:s.unified, component:c.name, file:s.file, why:s.why, edited });
+    }
+  }
+
+  return writes;
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
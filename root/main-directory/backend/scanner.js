@@ -0,0 +1,179 @@
+import fs from "fs/promises";
+import path from "path";
+import { denyRules, resolveLink } from "./sandbox.js";
+
+// --- FÁJL SZKENNER ---
+// scanComponent(repo, { path, include?, exclude?, hidden?, followSymlinks? }) -> [{ full, rel }]
+//
+// Kihagyja:
+// - az alap zajt (node_modules, dist, build, .git, ...) – be sem lép ezekbe a mappákba
+// - a .harmonizerignore szabályokat (gitignore szintaxis) – REPO_ROOT-ban, a komponens
+//   gyökerében és bármely almappában, a gitignore-hoz hasonlóan a saját mappájukhoz képest
+// - a rejtett fájlokat / mappákat (hidden:true-val bekapcsolható)
+// - a symlinkeket (followSymlinks:true-val követhető, körkörös linkek ellen realpath védelemmel; a komponensen
+//   kívülre vagy a deny-listára mutató link akkor is kimarad – sandbox.js resolveLink)
+// include / exclude: komponensenkénti globok, ugyanazzal a szintaxissal.
+// ignore: plusz szabályok REPO_ROOT-hoz képest (harmonizer.config.json "ignore", lásd config.js).
+// accept(rel): mely fájlokkal foglalkozunk egyáltalán (a fájltípus regiszter dönti el).
+
+export const IGNORE_FILE = ".harmonizerignore";
+
+export const DEFAULT_IGNORES = [
+  "node_modules/",
+  "dist/",
+  "build/",
+  "out/",
+  "coverage/",
+  ".git/",
+  ".next/",
+  ".turbo/",
+  ".wrangler/",
+  ".cache/",
+  ".asa-harmonizer/",
+  "*.min.js",
+  "package-lock.json"
+];
+
+const CODE_FILE = /\.(ts|tsx|js|jsx|mjs|cjs)$/;
+const isCodeFile = rel => CODE_FILE.test(rel);
+const MAX_FILE_BYTES = Number(process.env.ASA_MAX_FILE_BYTES || 1024 * 1024);
+
+// --- GLOB -> REGEX (gitignore szemantika) ---
+// rule: { negate, dirOnly, re }
+export function compileRule(line, base = "") {
+  let pattern = line.replace(/\s+$/, "");
+  if (!pattern || pattern.startsWith("#")) return null;
+
+  const negate = pattern.startsWith("!");
+  if (negate) pattern = pattern.slice(1);
+  if (pattern.startsWith("\\")) pattern = pattern.slice(1);
+
+  const dirOnly = pattern.endsWith("/");
+  if (dirOnly) pattern = pattern.slice(0, -1);
+
+  // perjel nélküli minta bármely mélységben illeszkedik
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) pattern = pattern.slice(1);
+
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") { re += "(?:.*/)?"; i += 2; }
+      else { re += ".*"; i += 1; }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close < 0) { re += "\\["; continue; }
+      re += "[" + pattern.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]";
+      i = close;
+    } else {
+      re += ch.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  const prefix = base ? base.replace(/[.+^${}()|[\]\\*?]/g, "\\$&") + "/" : "";
+  return {
+    negate,
+    dirOnly,
+    // a mintára illeszkedő mappa alatti összes útvonal is illeszkedik
+    re:new RegExp(`^${prefix}${anchored ? "" : "(?:.*/)?"}${re}(?:/.*)?$`)
+  };
+}
+
+export function compileRules(lines, base = "") {
+  return lines.map(l => compileRule(l, base)).filter(Boolean);
+}
+
+// utolsó illeszkedő szabály nyer (gitignore); "!" visszaveszi
+export function isIgnored(rules, rel, isDir) {
+  let ignored = false;
+  for (const r of rules) {
+    if (r.dirOnly && !isDir) continue; // a mappák már bejáráskor kiesnek
+    if (r.re.test(rel)) ignored = !r.negate;
+  }
+  return ignored;
+}
+
+async function readIgnoreFile(dir, base) {
+  try {
+    const text = await fs.readFile(path.join(dir, IGNORE_FILE), "utf8");
+    return compileRules(text.split(/\r?\n/), base);
+  } catch {
+    return [];
+  }
+}
+
+// --- SZKENNELÉS ---
+export async function scanComponent(repo, comp, { accept = isCodeFile, ignore = [] } = {}) {
+  const root = path.resolve(repo, comp.path);
+  const compRel = toPosix(path.relative(path.resolve(repo), root));
+
+  // REPO_ROOT és a komponens útvonal közti .harmonizerignore fájlok (REPO_ROOT-tól lefelé)
+  const rules = compileRules([...DEFAULT_IGNORES, ...ignore]);
+  let dir = path.resolve(repo);
+  rules.push(...await readIgnoreFile(dir, ""));
+  for (const part of compRel ? compRel.split("/") : []) {
+    dir = path.join(dir, part);
+    rules.push(...await readIgnoreFile(dir, toPosix(path.relative(path.resolve(repo), dir))));
+  }
+
+  // include / exclude a komponens gyökeréhez képest
+  const include = compileRules(comp.include || []);
+  const exclude = compileRules(comp.exclude || []);
+
+  const deny = denyRules();
+  const visited = new Set([await fs.realpath(root)]);
+  const files = [];
+
+  async function walk(abs, rel, inherited) {
+    const local = rel ? await readIgnoreFile(abs, toPosix(path.join(compRel, rel))) : [];
+    const active = local.length ? [...inherited, ...local] : inherited;
+
+    for (const e of await fs.readdir(abs, { withFileTypes:true })) {
+      const full = path.join(abs, e.name);
+      const relPath = toPosix(path.join(rel, e.name));
+      const repoRel = compRel ? `${compRel}/${relPath}` : relPath;
+
+      let isDir = e.isDirectory();
+      let isFile = e.isFile();
+
+      // rejtett mappa soha (hidden nélkül); rejtett fájl csak ha ismert típus (pl. .eslintrc)
+      if (!comp.hidden && e.name.startsWith(".") && (isDir || !accept(relPath))) continue;
+
+      if (e.isSymbolicLink()) {
+        if (!comp.followSymlinks) continue;
+        const real = await resolveLink(repo, root, full, { deny });
+        if (!real) continue;
+        const st = await fs.stat(real);
+        isDir = st.isDirectory();
+        isFile = st.isFile();
+      }
+
+      if (isIgnored(active, repoRel, isDir) || isIgnored(exclude, relPath, isDir)) continue;
+
+      if (isDir) {
+        // symlink kör ellen: minden valódi mappába csak egyszer
+        const real = await fs.realpath(full);
+        if (visited.has(real)) continue;
+        visited.add(real);
+        await walk(full, relPath, active);
+      } else if (isFile && accept(relPath)) {
+        if (include.length && !include.some(r => r.re.test(relPath))) continue;
+        if ((await fs.stat(full)).size > MAX_FILE_BYTES) continue;
+        files.push({ full, rel:relPath });
+      }
+    }
+  }
+
+  await walk(root, "", rules);
+  return files;
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
@@ -0,0 +1,154 @@
+import { setTimeout as sleep } from "timers/promises";
+
+// --- LLM HÍVÁS ÜTEMEZŐ ---
+// A provider hívások köré: legfeljebb N egyidejű hívás, újrapróbálás exponenciális backoff-fal
+// (jitterrel), Retry-After tisztelete. 429-nél az egész ütemező szünetel a Retry-After idejéig,
+// hogy a párhuzamos hívások ne futtassák tovább a rate limitbe.
+// Beállítás (env):
+//   ASA_LLM_CONCURRENCY  = egyidejű hívások / fájlok száma      (alap: 4)
+//   ASA_LLM_RETRIES      = újrapróbálások száma hívásonként     (alap: 3)
+//   ASA_LLM_RETRY_BASE_MS = első várakozás, duplázódik           (alap: 1000)
+//   ASA_LLM_RETRY_MAX_MS = egy várakozás felső határa (Retry-After is) (alap: 60000)
+//   ASA_RUN_TIMEOUT_MS   = egy preview futás időkorlátja, 0 = nincs (alap: 0)
+
+export const DEFAULT_CONCURRENCY = Math.max(1, Number(process.env.ASA_LLM_CONCURRENCY || 4));
+export const DEFAULT_RUN_TIMEOUT_MS = Number(process.env.ASA_RUN_TIMEOUT_MS || 0);
+
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+// hálózati hiba, timeout, 429, 5xx – igen; 400 / 401 / rossz prompt – nem
+export function isRetryable(e) {
+  if (e?.name === "AbortError") return false;
+  const status = e?.status ?? e?.statusCode;
+  if (status) return RETRYABLE_STATUS.includes(status) || status >= 500;
+  if (/APIConnection(Timeout)?Error/.test(e?.name || "")) return true;
+  const code = e?.code || e?.cause?.code;
+  return RETRYABLE_CODES.includes(code) || (e instanceof TypeError && e.message === "fetch failed");
+}
+
+// Retry-After: másodperc vagy HTTP dátum; az OpenAI retry-after-ms fejlécet is küld
+export function retryAfterMs(e, now = Date.now()) {
+  const h = e?.headers;
+  const get = name => (typeof h?.get === "function" ? h.get(name) : h?.[name]) ?? null;
+
+  const ms = Number(get("retry-after-ms"));
+  if (ms > 0) return ms;
+
+  const value = get("retry-after");
+  if (value == null) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function createScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = Number(process.env.ASA_LLM_RETRIES ?? 3),
+  baseDelayMs = Number(process.env.ASA_LLM_RETRY_BASE_MS || 1000),
+  maxDelayMs = Number(process.env.ASA_LLM_RETRY_MAX_MS || 60000)
+} = {}) {
+  let active = 0;
+  let pausedUntil = 0;
+  const queue = [];
+
+  // szabad hely az N egyidejű hívásból; megszakításkor kikerül a sorból
+  function acquire(signal) {
+    signal?.throwIfAborted();
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once:true });
+      queue.push(waiter);
+    });
+  }
+
+  function release() {
+    const next = queue.shift();
+    if (next) next(); // a hely átszáll a következőre
+    else active--;
+  }
+
+  // exponenciális backoff "full jitter"-rel; Retry-After felülírja
+  function delayFor(e, attempt) {
+    const after = retryAfterMs(e);
+    if (after != null) return Math.min(after, maxDelayMs);
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+  }
+
+  return {
+    concurrency,
+
+    // fn() egy provider hívás; az utolsó hiba megy tovább, ha minden próbálkozás elbukott
+    async run(fn, { signal } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        await acquire(signal);
+        let delay;
+        try {
+          const wait = pausedUntil - Date.now();
+          if (wait > 0) await sleep(wait, undefined, { signal });
+          return await fn();
+        } catch (e) {
+          if (signal?.aborted || attempt >= retries || !isRetryable(e)) throw e;
+          delay = delayFor(e, attempt);
+          if ((e.status ?? e.statusCode) === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+          console.warn(`ASA: LLM call failed (${e.status || e.code || e.message}), retry ${attempt + 1}/${retries} in ${delay} ms`);
+        } finally {
+          release();
+        }
+        await sleep(delay, undefined, { signal });
+      }
+    }
+  };
+}
+
+// provider wrapper: minden harmonize() hívás az ütemezőn megy át
+export function scheduledProvider(provider, scheduler) {
+  if (!provider || !scheduler) return provider;
+
+  return {
+    ...provider,
+    harmonize(input) {
+      return scheduler.run(() => provider.harmonize(input), { signal:input.signal });
+    }
+  };
+}
+
+// items párhuzamos feldolgozása legfeljebb limit munkással; az eredmény sorrendje = items sorrendje
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length:Math.min(Math.max(1, limit), items.length) }, worker));
+  return out;
+}
+
+// futás időkorlát: a hívó signalja + timeout egy signalban; timedOut() megkülönbözteti a megszakítástól
+export function runDeadline(signal, timeoutMs = DEFAULT_RUN_TIMEOUT_MS) {
+  if (!(timeoutMs > 0)) return { signal, timedOut:() => false };
+
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return {
+    signal:signal ? AbortSignal.any([signal, timeout]) : timeout,
+    timedOut:() => timeout.aborted && !signal?.aborted
+  };
+}
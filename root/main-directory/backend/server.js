@@ -1,120 +1,273 @@
 import express from "express";
-import fs from "fs/promises";
-import path from "path";
-import OpenAI from "openai";
 import cors from "cors";
+import { createProvider, missingProviderSetting } from "./providers.js";
+import { preview } from "./harmonizer.js";
+import { createRegistry, defaultRegistry } from "./filetypes.js";
+import { patchBundle } from "./patch.js";
+import { applyWrites, undoRun } from "./transaction.js";
+import { applyToBranch } from "./git.js";
+import { planWrites } from "./sandbox.js";
+import { savePreview, loadPreview, saveVerification, fileVersions } from "./previews.js";
+import { keepRawBody, requireWorkerSignature } from "./auth.js";
+import { createJobs } from "./jobs.js";
+import { streamJob } from "./sse.js";
+import { createCache, cachedProvider } from "./cache.js";
+import { createScheduler, scheduledProvider } from "./scheduler.js";
+import { gateWrites, validateEdit } from "./validate.js";
+import { verify, verificationGate } from "./verify.js";
+import { createApiRouter, sendError } from "./api.js";
+import { loadConfig, saveConfig, modelEnv, checkTargets } from "./config.js";
+import { discoverComponents } from "./discover.js";
+import { renderReport } from "./report.js";
+import { ApiError } from "../shared/api/errors.js";
+import { BASE_PATH } from "../shared/api/contract.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit:"10mb" }));
+app.use(express.json({ limit:"10mb", verify:keepRawBody }));
+
+// csak a Worker által aláírt kérések (WORKER_API_KEY, HMAC – lásd auth.js)
+app.use("/api", requireWorkerSignature());
 
 const REPO = process.env.REPO_ROOT;
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-const client = new OpenAI({ apiKey: OPENAI_KEY });
-
-// --- SEGÉD: rekurzív file listázó ---
-async function listRecursive(dir) {
-  const entries = await fs.readdir(dir, { withFileTypes:true });
-  const files=[];
-  for (const e of entries) {
-    const full = path.join(dir, e.name);
-    if (e.isDirectory()) files.push(...await listRecursive(full));
-    else if (/\.(ts|js|tsx|jsx)$/.test(e.name)) files.push(full);
+// azonos bemenetre (verziók + prompt + modell) nincs új LLM hívás – lásd cache.js
+// a tényleges hívások ütemezve: max N egyidejű, retry backoff-fal, Retry-After – lásd scheduler.js
+// (a cache kívül van: cache találat nem foglal helyet és nem vár rate limitre)
+const cache = process.env.ASA_LLM_CACHE === "off" ? null : createCache();
+const scheduler = createScheduler();
+
+// a harmonizer.config.json model mezői (config.js) felülírják az env-et – változáskor új provider, ugyanazzal az ütemezővel
+let active = { key:null, provider:null };
+function providerFor(config){
+  const key = JSON.stringify(config.model || {});
+  if (key !== active.key) {
+    active = { key, provider:cachedProvider(scheduledProvider(createProvider(modelEnv(config)), scheduler), cache) };
   }
-  return files;
+  return active.provider;
 }
 
-// --- PREVIEW ---
-app.post("/api/harmonize/preview", async (req,res)=>{
-  try {
-    const comps=req.body.components;
-    const map=new Map();
-
-    // összegyűjtés
-    for (const c of comps) {
-      const root = path.join(REPO, c.path);
-      const files = await listRecursive(root);
-
-      for(const f of files){
-        const rel=path.relative(root,f);
-        if(!map.has(rel)) map.set(rel,[]);
-        map.get(rel).push({
-          comp:c.name,
-          full:f,
-          content:await fs.readFile(f,"utf8")
-        });
-      }
-    }
+// hibás konfig induláskor nem állítja le a szervert – a preview / apply INVALID_REQUEST-tel jelzi
+const startup = await loadConfig(REPO).catch(e => {
+  console.warn(`ASA: ${e.message}`);
+  return { config:{} };
+});
+const missingSetting = providerFor(startup.config) ? null : missingProviderSetting(modelEnv(startup.config));
+if (missingSetting) console.warn(`ASA: LLM provider "${missingSetting.provider}" needs ${missingSetting.setting} – AI mode disabled`);
 
-    const diffs = [...map.entries()].filter(([k,v])=>v.length>1);
+// --- API v1 ---
+// Az útvonalak, a kérés és válasz sémák a shared/api/contract.js-ben (OpenAPI: GET /api/v1/openapi.json);
+// a body itt már validált. Hiba: { ok:false, code, error, details? } a megfelelő HTTP státusszal.
+// A régi /api/harmonize/* ugyanezt szolgálja ki (Deprecation fejléccel), a régi Workerek miatt.
 
-    let suggestions=[];
+// preview jobként – nagy repón a szinkron preview túllépi a Worker / proxy timeoutot
+// egy fájl hibája nem állítja le a jobot – failed eseményt kap, a többi fájl megy tovább
+const jobs = createJobs(async ({ comps, provider, ...opts }, { onProgress, signal })=>{
+  const result = await preview(REPO, comps, provider, { ...opts, onProgress, signal });
+  const previewId = await savePreview(REPO, comps, result.suggestions, result);
+  return { previewId, ...result };
+});
 
-    for(const [file, versions] of diffs){
-      let prompt = `
-Unify all versions of file: ${file}
+// verify: scratch másolaton fut, a repó nem változik; az eredmény a preview run-ba kerül, az apply ebből dönt
+// FIGYELEM: a checkek a generált kódot futtatják a backend gépén.
+const verifyJobs = createJobs(async ({ run, writes, blocked, timeoutMs }, { onProgress, signal })=>{
+  const result = await verify(REPO, run, writes, { timeoutMs, signal, onProgress });
+  await saveVerification(REPO, run.id, result.components);
+  return { previewId:run.id, ...result, blocked };
+});
 
-${versions.map(v => `
-===== ${v.comp} =====
-${v.content}
-`).join("\n")}
+// a kérés mezői, különben a harmonizer.config.json alapértékei (minden futásnál újraolvasva)
+async function runParams(body){
+  const { config } = await loadConfig(REPO);
+  const fileTypes = body.fileTypes ?? config.fileTypes;
+  return {
+    comps:body.components,
+    provider:providerFor(config),
+    similarity:body.similarity ?? config.similarity ?? Number(process.env.ASA_SIMILARITY_THRESHOLD || 0.5),
+    registry:fileTypes ? createRegistry(fileTypes) : defaultRegistry,
+    timeoutMs:body.timeoutMs ?? config.timeoutMs,
+    repair:body.repair ?? config.model?.repair,
+    ignore:config.ignore
+  };
+}
 
-Return ONLY JSON:
-{
- "unified": "...",
- "why": "..."
+// apply / verify: csak a preview run fájljai, sandboxolt útvonalakkal; validáción elbukott javaslat nem megy tovább
+async function plan(body){
+  const run = await loadPreview(REPO, body.previewId);
+  const planned = await planWrites(REPO, run, body.components, body.suggestions);
+  const { writes, blocked } = await gateWrites(REPO, run, planned, { allowInvalid:body.allowInvalid });
+  return { run, writes, blocked };
 }
-`;
 
-      const out = await client.chat.completions.create({
-        model:"gpt-4.1-mini",
-        response_format:{type:"json_object"},
-        messages:[{role:"user", content:prompt}]
-      });
+const found = job => {
+  if (!job) throw new ApiError("NOT_FOUND", "Unknown or expired job");
+  return job;
+};
 
-      const data = out.choices[0].message.content;
+const api = createApiRouter({
+  // szinkron preview; previewId: az apply csak az itt szereplő fájlokra írhat
+  // suggestions = csak a valóban eltérő fájlok; inSync / trivial külön listában
+  // minden javaslat validálva (szintaxis + TS típusok); repair:true = a hibás LLM javaslat egyszer visszamegy a modellhez
+  preview:async (req,res)=>{
+    const { comps, provider, ...opts } = await runParams(req.body);
+    const result = await preview(REPO, comps, provider, opts);
+    const previewId = await savePreview(REPO, comps, result.suggestions, result);
+    res.json({ ok:true, previewId, ...result });
+  },
 
-      suggestions.push({ 
-        file, 
-        unified:data.unified, 
-        why:data.why 
-      });
-    }
+  // SSE: a javaslatok fájlonként érkeznek, ahogy elkészülnek; a kapcsolat bontása megszakítja a futást
+  previewStream:async (req,res)=>{
+    const job = jobs.start(await runParams(req.body));
+    streamJob(res, jobs, job.id, { cancelOnClose:true });
+  },
 
-    res.json({ ok:true, suggestions });
+  // side-by-side / többutas nézet: a komponensek jelenlegi változata a javaslat mellett, diff hunkokkal
+  previewFile:async (req,res)=>{
+    const run = await loadPreview(REPO, req.params.id);
+    res.json({ ok:true, previewId:run.id, ...await fileVersions(REPO, run, req.query.file) });
+  },
 
-  } catch(e){
-    res.json({ ok:false, error:e.message });
-  }
-});
+  // ?format=markdown|html|json|sarif – bármely tárolt preview runból, letölthető fájlként
+  previewReport:async (req,res)=>{
+    const run = await loadPreview(REPO, req.params.id);
+    const { type, extension, body } = renderReport(run, req.query.format, { diffs:req.query.diffs !== "false" });
+    res.set("Content-Type", type);
+    res.set("Content-Disposition", `attachment; filename="asa-harmonizer-${run.id}.${extension}"`);
+    res.send(body);
+  },
 
+  // a dashboard szerkesztője hívja (debounce-olva): a reviewer változata szintaxis + TS ellenőrzéssel
+  validateEdit:async (req,res)=>{
+    const run = await loadPreview(REPO, req.params.id);
+    const { edited, validation } = await validateEdit(REPO, run, req.body.file, req.body.unified);
+    res.json({ ok:true, previewId:run.id, file:req.body.file, edited, validation });
+  },
 
-// --- APPLY (VALÓDI FELÜLÍRÁS) ---
-app.post("/api/harmonize/apply", async(req,res)=>{
-  try {
-    const { component, suggestions } = req.body;
+  startJob:async (req,res)=>{
+    const job = jobs.start(await runParams(req.body));
+    res.status(202).json({ ok:true, jobId:job.id, job });
+  },
 
-    if (!component || !suggestions) {
-      return res.json({ ok:false, error:"component + suggestions required" });
-    }
+  getJob:(req,res)=>{
+    res.json({ ok:true, job:found(jobs.get(req.params.id)) });
+  },
+
+  cancelJob:(req,res)=>{
+    res.json({ ok:true, job:found(jobs.cancel(req.params.id)) });
+  },
+
+  // eddigi állapot + fájlonkénti események élőben (sse.js)
+  jobEvents:(req,res)=>{
+    found(jobs.get(req.params.id));
+    streamJob(res, jobs, req.params.id);
+  },
+
+  startVerify:async (req,res)=>{
+    const { run, writes, blocked } = await plan(req.body);
+    if (!writes.length) throw new ApiError("VALIDATION_FAILED", "Nothing to verify – every suggestion failed validation", blocked);
+
+    const job = verifyJobs.start({ run, writes, blocked, timeoutMs:req.body.timeoutMs });
+    res.status(202).json({ ok:true, jobId:job.id, job });
+  },
 
-    const root = path.join(REPO, component.path);
+  getVerify:(req,res)=>{
+    res.json({ ok:true, job:found(verifyJobs.get(req.params.id)) });
+  },
 
-    for (const s of suggestions) {
-      const target = path.join(root, s.file);
+  // a futó check process group-ja is leáll
+  cancelVerify:(req,res)=>{
+    res.json({ ok:true, job:found(verifyJobs.cancel(req.params.id)) });
+  },
 
-      // mappa biztosítása
-      await fs.mkdir(path.dirname(target), { recursive:true });
+  // - bármely hiba = semmi nem íródik; a validáción elbukott javaslat blocked listába kerül (allowInvalid:true felülbírálja)
+  // - javaslatonként components:[..] – csak a kijelölt célkomponensekbe (a reviewer fájl × komponens választása)
+  // - a reviewer által szerkesztett javaslat: edited:true kell, újravalidálódik; a válasz edited listája + git trailer
+  // - verify: regresszált checkű komponensnél CHECKS_REGRESSED (onRegression:"warn" csak jelez)
+  // - harmonizer.config.json targets: deny-os komponensbe semmi, review-osba csak git módban (POLICY_DENIED)
+  // - fs (alap): tranzakciós – snapshot runId alatt, atomikus írás, hiba esetén teljes visszaállítás
+  // - git: tiszta munkakönyvtár kell; új ág (asa-harmonizer/<runId>) commitokkal, review-ra
+  apply:async (req,res)=>{
+    const { mode="fs", commitPer, onRegression } = req.body;
+    const { run, writes, blocked } = await plan(req.body);
 
-      // FÁJL FELÜLÍRÁS!
-      await fs.writeFile(target, s.unified, "utf8");
+    if (!writes.length && blocked.length) {
+      throw new ApiError("VALIDATION_FAILED", "All suggestions failed validation – nothing applied", blocked);
     }
 
-    res.json({ ok:true, applied:suggestions.length });
+    checkTargets((await loadConfig(REPO)).config, writes, mode);
+    const verification = verificationGate(run, writes, { onRegression });
+    const edited = writes.filter(w => w.edited).map(w => w.path);
 
-  } catch(e){
-    res.json({ ok:false, error:e.message });
+    if (mode === "git") {
+      const result = await applyToBranch(REPO, writes, { commitPer });
+      return res.json({ ok:true, mode, ...result, blocked, edited, verification });
+    }
+
+    const { runId, applied } = await applyWrites(REPO, writes);
+    res.json({ ok:true, mode, runId, applied, blocked, edited, verification });
+  },
+
+  // force:true – az apply óta kézzel módosított fájlokat is felülírja
+  undo:async (req,res)=>{
+    const result = await undoRun(REPO, req.params.runId, { force:!!req.body?.force });
+    res.json({ ok:true, ...result });
+  },
+
+  // a tárolt preview run patchei -> git apply-jal alkalmazható .patch (a modell kimenete, szerkesztések nélkül)
+  patch:async (req,res)=>{
+    const run = await loadPreview(REPO, req.body.previewId);
+    res.set("Content-Type", "text/x-patch; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="asa-harmonizer-${run.id}.patch"`);
+    res.send(patchBundle(Object.values(run.files)));
+  },
+
+  // REPO_ROOT/harmonizer.config.json – nincs fájl: üres alapértelmezés, exists:false
+  getConfig:async (req,res)=>{
+    res.json({ ok:true, ...await loadConfig(REPO) });
+  },
+
+  // séma + hivatkozások + a komponens mappák ellenőrzése után, atomikusan
+  saveConfig:async (req,res)=>{
+    res.json({ ok:true, ...await saveConfig(REPO, req.body) });
+  },
+
+  // workspaces / package.json / wrangler / vite alapján javasolt komponensek – nem ír, a dashboard fogadja el
+  discoverComponents:async (req,res)=>{
+    const { config } = await loadConfig(REPO);
+    res.json({ ok:true, ...await discoverComponents(REPO, config) });
+  },
+
+  // a nagy mezők (unified) nélkül
+  listCache:async (req,res)=>{
+    if (!cache) return res.json({ ok:true, enabled:false, entries:[], count:0, bytes:0 });
+
+    const entries = await cache.list();
+    res.json({ ok:true, enabled:true, entries, count:entries.length, bytes:entries.reduce((n,e)=>n+e.size, 0) });
+  },
+
+  // ?key=..: csak az az egy; ?olderThanDays=N: csak a régóta nem használtak; paraméter nélkül: minden
+  purgeCache:async (req,res)=>{
+    if (!cache) return res.json({ ok:true, purged:0 });
+
+    const days = Number(req.query.olderThanDays);
+    const purged = await cache.purge({
+      key:req.query.key,
+      olderThanMs:days > 0 ? days * 24 * 60 * 60 * 1000 : undefined
+    });
+    res.json({ ok:true, purged });
   }
 });
 
+app.use(BASE_PATH, api);
+app.use("/api/harmonize", (req,res,next)=>{
+  res.set("Deprecation", "true");
+  res.set("Link", `<${BASE_PATH}${req.path}>; rel="successor-version"`);
+  next();
+}, api);
+
+// hibás JSON body (express.json) és minden más, a routeren kívüli hiba
+app.use((err,req,res,next)=>{
+  if (err.type === "entity.parse.failed") return sendError(res, new ApiError("INVALID_REQUEST", `Invalid JSON body: ${err.message}`));
+  sendError(res, err);
+});
+
 app.listen(4000, ()=>console.log("ASA Harmonizer Backend ON :4000"));
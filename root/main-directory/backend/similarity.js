@@ -0,0 +1,164 @@
+// --- TARTALOM-HASONLÓSÁG (token shingle + MinHash + LSH) ---
+// Az áthelyezett / átnevezett fájlokat párosítja komponensek között:
+//   dashboard: src/utils/http.ts  <->  backend: lib/http.js
+// matchSimilar(groups) a pontos útvonal szerinti csoportokat vonja össze,
+// ha a tartalmuk elég hasonló, és nincs bennük közös komponens.
+
+const SHINGLE = 5;
+const PERMS = 64;
+const BANDS = 16;
+const ROWS = PERMS / BANDS;
+
+export const DEFAULT_THRESHOLD = 0.5;
+
+const SEEDS = Array.from({ length:PERMS }, (_, i) => fmix((i + 1) * 0x9e3779b9));
+
+function fmix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// kommentek nélkül – különben a közös licenc-fejléc mindent "hasonlóvá" tesz
+export function tokenize(content) {
+  return content
+    .replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, " ")
+    .match(/[A-Za-z_$][\w$]*|\d+|[^\s\w]/g) || [];
+}
+
+// MinHash szignatúra, vagy null ha a fájl túl rövid az összevetéshez
+export function signature(content) {
+  const tokens = tokenize(content);
+  if (tokens.length < SHINGLE) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE <= tokens.length; i++) {
+    shingles.add(fnv(tokens.slice(i, i + SHINGLE).join(" ")));
+  }
+
+  const sig = new Uint32Array(PERMS).fill(0xffffffff);
+  for (const h of shingles) {
+    for (let p = 0; p < PERMS; p++) {
+      const v = fmix(h ^ SEEDS[p]);
+      if (v < sig[p]) sig[p] = v;
+    }
+  }
+  return sig;
+}
+
+// becsült Jaccard-hasonlóság (0..1)
+export function similarity(a, b) {
+  let same = 0;
+  for (let p = 0; p < PERMS; p++) if (a[p] === b[p]) same++;
+  return same / PERMS;
+}
+
+// --- PÁRONKÉNTI HASONLÓSÁG (riporthoz) ---
+// Dice-együttható a két változat (szóközök nélkül) nem üres sorain, multihalmazként – sorrend-független,
+// lineáris idejű; 1 = ugyanazok a sorok, 0 = nincs közös sor. A riport (report.js) ezt mutatja fájlonként.
+export function lineSimilarity(a, b) {
+  const lines = text => text.split("\n").map(l => l.trim()).filter(Boolean);
+  const left = lines(a), right = lines(b);
+  if (!left.length && !right.length) return 1;
+
+  const counts = new Map();
+  for (const l of left) counts.set(l, (counts.get(l) || 0) + 1);
+  let common = 0;
+  for (const l of right) {
+    const n = counts.get(l);
+    if (n) { common++; counts.set(l, n - 1); }
+  }
+  return Math.round((2 * common / (left.length + right.length)) * 1000) / 1000;
+}
+
+// komponens párok -> [{ a, b, similarity }] (a versions sorrendjében)
+export function pairSimilarity(versions) {
+  const pairs = [];
+  for (let i = 0; i < versions.length; i++) {
+    for (let j = i + 1; j < versions.length; j++) {
+      pairs.push({ a:versions[i].comp, b:versions[j].comp, similarity:lineSimilarity(versions[i].content, versions[j].content) });
+    }
+  }
+  return pairs;
+}
+
+// groups: [{ versions:[{ comp, content, ... }] }]
+// -> [{ versions, match:"path"|"similar", confidence }]
+export function matchSimilar(groups, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const entries = [];
+  groups.forEach((g, gi) => {
+    for (const v of g.versions) {
+      const sig = signature(v.content);
+      if (sig) entries.push({ gi, comp:v.comp, sig });
+    }
+  });
+
+  // LSH: csak az azonos vödörbe eső párokat hasonlítjuk össze
+  const buckets = new Map();
+  entries.forEach((e, i) => {
+    for (let b = 0; b < BANDS; b++) {
+      const key = b + ":" + e.sig.subarray(b * ROWS, (b + 1) * ROWS).join(",");
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  const pairs = new Map();
+  for (const ids of buckets.values()) {
+    for (let x = 0; x < ids.length; x++) {
+      for (let y = x + 1; y < ids.length; y++) {
+        const a = entries[ids[x]], b = entries[ids[y]];
+        if (a.gi === b.gi || a.comp === b.comp) continue;
+
+        const key = ids[x] + "," + ids[y];
+        if (!pairs.has(key)) pairs.set(key, { a, b, score:similarity(a.sig, b.sig) });
+      }
+    }
+  }
+
+  // mohó összevonás, legjobb párral kezdve; egy csoportban komponensenként max. egy fájl
+  const parent = groups.map((_, i) => i);
+  const comps = groups.map(g => new Set(g.versions.map(v => v.comp)));
+  const confidence = groups.map(() => 1);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const ranked = [...pairs.values()]
+    .filter(p => p.score >= threshold)
+    .sort((x, y) => y.score - x.score);
+
+  for (const { a, b, score } of ranked) {
+    const ra = find(a.gi), rb = find(b.gi);
+    if (ra === rb || [...comps[rb]].some(c => comps[ra].has(c))) continue;
+
+    parent[rb] = ra;
+    for (const c of comps[rb]) comps[ra].add(c);
+    confidence[ra] = Math.min(confidence[ra], confidence[rb], score);
+  }
+
+  const merged = new Map();
+  groups.forEach((g, i) => {
+    const root = find(i);
+    if (!merged.has(root)) merged.set(root, { versions:[], parts:0 });
+    const m = merged.get(root);
+    m.versions.push(...g.versions);
+    m.parts++;
+  });
+
+  return [...merged.entries()].map(([root, m]) => ({
+    versions:m.versions,
+    match:m.parts > 1 ? "similar" : "path",
+    confidence:Number(confidence[root].toFixed(2))
+  }));
+}
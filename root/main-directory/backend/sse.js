@@ -0,0 +1,100 @@
+// --- SERVER-SENT EVENTS ---
+// Fájlonkénti események a dashboardnak, ahogy a javaslatok elkészülnek:
+//   job         { jobId } – elsőként; ezzel újratöltés után a /jobs/:id/events folytatja
+//   discovered  { file, status:"in-sync"|"trivial"|"divergent", type?, paths?, reason? }
+//   analyzing   { file }
+//   suggestion  { file, suggestion }
+//   failed      { file, error }
+//   done        { previewId, summary, failed } | error { error } | cancelled {}
+// A job események (jobs.js) -> SSE események leképezése is itt van.
+// EventSource nem küld Authorization fejlécet, ezért a kliens fetch + stream olvasással fogadja.
+
+const HEARTBEAT_MS = 15000;
+
+export function openStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type":"text/event-stream; charset=utf-8",
+    "Cache-Control":"no-cache, no-transform",
+    "Connection":"keep-alive",
+    "X-Accel-Buffering":"no" // nginx / proxy ne puffereljen
+  });
+  res.flushHeaders();
+
+  // komment sor – a köztes proxyk ne zárják le a tétlen kapcsolatot
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      res.end();
+    },
+    // a kliens bontotta a kapcsolatot
+    onClose(fn) {
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        if (!res.writableFinished) fn();
+      });
+    }
+  };
+}
+
+// job esemény -> [event, data] párok; a lezáró eseménynél true a harmadik elem
+export function toSse(e) {
+  switch (e.type) {
+    case "collected":
+      return [
+        ...e.inSync.map(f => ["discovered", { file:f.file, type:f.type, paths:f.paths, status:"in-sync" }]),
+        ...e.trivial.map(f => ["discovered", { file:f.file, type:f.type, paths:f.paths, status:"trivial", reason:f.reason }]),
+        ...e.files.map(file => ["discovered", { file, status:"divergent" }])
+      ];
+    case "file-start":
+      return [["analyzing", { file:e.file }]];
+    case "file-done":
+      return [["suggestion", { file:e.file, suggestion:e.suggestion }]];
+    case "file-failed":
+      return [["failed", { file:e.file, error:e.error }]];
+    case "done":
+      return [["done", { previewId:e.result.previewId, summary:e.result.summary, failed:e.result.failed || [] }, true]];
+    case "failed":
+      return [["error", { error:e.error }, true]];
+    case "cancelled":
+      return [["cancelled", {}, true]];
+    default:
+      return [];
+  }
+}
+
+// job -> SSE válasz; a stream a job végén zárul (cancelOnClose: a kapcsolat bontása megszakítja a jobot)
+export function streamJob(res, jobs, id, { cancelOnClose = false } = {}) {
+  const stream = openStream(res);
+  let unsubscribe = null;
+  let ended = false;
+
+  const listener = e => {
+    for (const [event, data, last] of toSse(e)) {
+      stream.send(event, data);
+      if (last) {
+        ended = true;
+        unsubscribe?.();
+        stream.close();
+      }
+    }
+  };
+
+  stream.send("job", { jobId:id });
+  unsubscribe = jobs.subscribe(id, listener);
+  if (!unsubscribe) {
+    stream.send("error", { error:"Unknown or expired job" });
+    return stream.close();
+  }
+  if (ended) unsubscribe();
+
+  stream.onClose(() => {
+    unsubscribe();
+    if (cancelOnClose) jobs.cancel(id);
+  });
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { preview } from "../harmonizer.js";
+import { parseReply } from "../providers.js";
+import { savePreview, loadPreview } from "../previews.js";
+import { planWrites } from "../sandbox.js";
+import { gateWrites } from "../validate.js";
+import { applyWrites } from "../transaction.js";
+import { harmonizeChunked } from "../chunking.js";
+import { contentHash } from "../normalize.js";
+import { fixtureRepo } from "./fixture.js";
+
+// --- APPLY KAPU: HASZNÁLHATATLAN MODELL VÁLASZ ---
+// A provider válasza átmegy a parseReply-on, mint az OpenAI / local providernél; a javaslat nem írhatja
+// felül a célfájlokat – allowInvalid:true mellett sem.
+
+const FILES = {
+  "apps/a/u.js": "export const x = 1;\n",
+  "apps/b/u.js": "export const x = 2;\n"
+};
+const comps = [{ name:"a", path:"apps/a" }, { name:"b", path:"apps/b" }];
+
+const replying = raw => ({
+  name:"test",
+  model:"test",
+  async complete() {
+    return raw;
+  },
+  async harmonize() {
+    return parseReply(raw);
+  }
+});
+
+for (const [label, raw] of [["without a unified field", "{\"code\":\"x\"}"], ["that is not JSON", "sure, here you go"]]) {
+  test(`a model reply ${label} leaves the target files untouched`, async t => {
+    const { repo, cleanup } = await fixtureRepo(FILES);
+    t.after(cleanup);
+
+    const result = await preview(repo, comps, replying(raw));
+    const [s] = result.suggestions;
+    assert.equal(s.validation.ok, false);
+    assert.equal(s.validation.diagnostics[0].source, "reply");
+
+    const run = await loadPreview(repo, await savePreview(repo, comps, result.suggestions, result));
+    const planned = await planWrites(repo, run, run.components, result.suggestions);
+    const { writes, blocked } = await gateWrites(repo, run, planned, { allowInvalid:true });
+
+    assert.equal(writes.length, 0);
+    assert.equal(blocked.length, planned.length);
+
+    await applyWrites(repo, writes);
+    for (const [rel, content] of Object.entries(FILES)) {
+      assert.equal(await fs.readFile(path.join(repo, rel), "utf8"), content);
+    }
+  });
+}
+
+test("an empty model reply is no suggestion at all", async () => {
+  const versions = Object.entries(FILES).map(([rel, content]) => ({ comp:rel.split("/")[1], file:"u.js", content }));
+  const r = await harmonizeChunked(replying("{}"), { file:"u.js", strategy:"script", versions });
+
+  assert.equal(r.unified, null);
+  assert.equal(r.coverage.complete, false);
+});
+
+test("an incomplete harmonization is blocked unless the reviewer edited it", async t => {
+  const { repo, cleanup } = await fixtureRepo(FILES);
+  t.after(cleanup);
+
+  const unified = "export const x = 1;\n";
+  const run = {
+    id:"run-1",
+    components:comps,
+    files:{
+      "u.js":{
+        paths:{ a:"u.js", b:"u.js" },
+        strategy:"script",
+        hash:contentHash(unified),
+        validation:{ ok:true, checked:["syntax"], diagnostics:[] },
+        coverage:{ complete:false, chunks:2, calls:1, skipped:[{ part:2, keys:[], reason:"Empty model reply" }] }
+      }
+    }
+  };
+  const write = { path:"apps/b/u.js", file:"u.js", component:"b", content:unified, edited:false };
+
+  const gated = await gateWrites(repo, run, [write], { allowInvalid:true });
+  assert.equal(gated.writes.length, 0);
+  assert.equal(gated.blocked[0].diagnostics[0].source, "coverage");
+
+  const edited = await gateWrites(repo, run, [{ ...write, content:"export const x = 3;\n", edited:true }]);
+  assert.equal(edited.writes.length, 1);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createCache } from "../cache.js";
+
+test("a cache hit replaces the entry by rename and leaves no temp file", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "asa-cache-"));
+  t.after(() => fs.rm(dir, { recursive:true, force:true }));
+
+  const cache = createCache({ dir });
+  const key = "ab".repeat(32);
+  await cache.set(key, { unified:"x\n", why:"" });
+
+  const file = path.join(dir, "ab", `${key}.json`);
+  const before = (await fs.stat(file)).ino;
+  await Promise.all([cache.get(key), cache.get(key)]);
+
+  assert.notEqual((await fs.stat(file)).ino, before);
+  assert.deepEqual(await fs.readdir(path.join(dir, "ab")), [`${key}.json`]);
+  assert.ok(JSON.parse(await fs.readFile(file, "utf8")).hits >= 1);
+});
@@ -0,0 +1,30 @@
+import { execFileSync } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// --- TESZT FIXTURE ---
+// fixtureRepo(files, { git }) -> ideiglenes REPO_ROOT a megadott fájlokkal ({ "apps/a/x.js": "..." })
+// git:true – git repó egy kezdő commit-tal (a git apply teszteknek); cleanup() törli az egészet.
+
+export async function fixtureRepo(files, { git = false } = {}) {
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), "asa-test-"));
+  for (const [rel, content] of Object.entries(files)) {
+    const full = path.join(repo, rel);
+    await fs.mkdir(path.dirname(full), { recursive:true });
+    await fs.writeFile(full, content);
+  }
+
+  if (git) {
+    const run = (...args) => execFileSync("git", args, { cwd:repo, stdio:"pipe" }).toString().trim();
+    run("init", "--quiet", "--initial-branch=main");
+    run("add", "-A");
+    run("-c", "user.name=test", "-c", "user.email=test@localhost", "commit", "--quiet", "-m", "fixture");
+  }
+
+  return { repo, cleanup:() => fs.rm(repo, { recursive:true, force:true }) };
+}
+
+export function gitOut(repo, ...args) {
+  return execFileSync("git", args, { cwd:repo, stdio:"pipe" }).toString().trim();
+}
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { preview } from "../harmonizer.js";
+import { mockProvider } from "../providers.js";
+import { savePreview, loadPreview } from "../previews.js";
+import { planWrites } from "../sandbox.js";
+import { applyToBranch } from "../git.js";
+import { fixtureRepo, gitOut } from "./fixture.js";
+
+const comps = [{ name:"a", path:"apps/a" }, { name:"b", path:"apps/b" }];
+
+// regresszió: a preview a REPO/.asa-harmonizer/previews alá ír – ez nem teheti "piszkossá" a munkakönyvtárat
+// (a mappa magát ignorálja, a git status üres marad)
+test("git apply works right after a preview", async t => {
+  const { repo, cleanup } = await fixtureRepo({
+    "apps/a/util.js": "export function add(a, b) {\n  return a + b;\n}\n",
+    "apps/b/util.js": "export function add(x, y) {\n  const sum = x + y;\n  return sum;\n}\n"
+  }, { git:true });
+  t.after(cleanup);
+
+  const result = await preview(repo, comps, mockProvider());
+  const previewId = await savePreview(repo, comps, result.suggestions, result);
+  assert.equal(gitOut(repo, "status", "--porcelain"), "");
+
+  const run = await loadPreview(repo, previewId);
+  const writes = await planWrites(repo, run, [comps[1]], result.suggestions);
+  const applied = await applyToBranch(repo, writes.map(w => ({ ...w, why:"test" })));
+
+  assert.equal(applied.applied, 1);
+  assert.equal(gitOut(repo, "show", `${applied.branch}:apps/b/util.js`), gitOut(repo, "show", "HEAD:apps/a/util.js"));
+});
+
+test("git apply still refuses a dirty working tree", async t => {
+  const { repo, cleanup } = await fixtureRepo({ "apps/a/x.js": "1\n", "apps/b/x.js": "2\n" }, { git:true });
+  t.after(cleanup);
+
+  await fs.writeFile(path.join(repo, "apps/a/x.js"), "changed\n");
+  await assert.rejects(applyToBranch(repo, [{ path:"apps/b/x.js", content:"1\n", component:"b" }]), { code:"CONFLICT" });
+});
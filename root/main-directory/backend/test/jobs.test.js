@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobs } from "../jobs.js";
+
+test("a run that completes after cancel leaves the job cancelled", async () => {
+  let complete;
+  const jobs = createJobs(() => new Promise(resolve => { complete = resolve; }));
+
+  const { id } = jobs.start({});
+  jobs.cancel(id);
+  complete({ suggestions:[] });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(jobs.get(id).status, "cancelled");
+});
+
+test("a cancelled job keeps its status and result when the run then fails", async () => {
+  let fail;
+  const jobs = createJobs(() => new Promise((resolve, reject) => { fail = reject; }));
+
+  const { id } = jobs.start({});
+  jobs.cancel(id);
+  fail(new Error("aborted"));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(jobs.get(id).status, "cancelled");
+  assert.equal(jobs.get(id).error, null);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeCss } from "../merge-css.js";
+
+const v = (comp, content) => ({ comp, content });
+
+test("repeated properties keep every declaration in order", () => {
+  const r = mergeCss("a.css", [
+    v("a", ".box {\n  display: -webkit-box;\n  display: flex;\n}\n"),
+    v("b", ".box {\n  display: -webkit-box;\n  display: flex;\n  color: red;\n}\n")
+  ]);
+
+  assert.equal(r.ok, true);
+  assert.match(r.unified, /display: -webkit-box;\n\s*display: flex;\n\s*color: red;/);
+});
+
+test("a differing fallback chain is a conflict, not a silent overwrite", () => {
+  const r = mergeCss("a.css", [
+    v("a", ".box { display: -webkit-box; display: flex; }\n"),
+    v("b", ".box { display: flex; }\n")
+  ]);
+
+  assert.equal(r.ok, false);
+  assert.equal(r.conflicts[0].key, ".box { display }");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeJson } from "../merge-json.js";
+import { defaultRegistry } from "../filetypes.js";
+
+const v = (comp, content) => ({ comp, content });
+
+test("plain JSON is merged by key", () => {
+  const r = mergeJson("tsconfig.json", [
+    v("a", "{\n  \"compilerOptions\": { \"strict\": true }\n}\n"),
+    v("b", "{\n  \"compilerOptions\": { \"strict\": true, \"noEmit\": true }\n}\n")
+  ]);
+
+  assert.equal(r.strategy, "json");
+  assert.deepEqual(JSON.parse(r.unified), { compilerOptions:{ strict:true, noEmit:true } });
+});
+
+test("comments and trailing commas survive: JSONC goes to the line merge", () => {
+  const r = mergeJson("tsconfig.json", [
+    v("a", "{\n  // shared base\n  \"a\": 1,\n  \"c\": 3,\n}\n"),
+    v("b", "{\n  // shared base\n  \"a\": 1,\n  \"b\": 2,\n  \"c\": 3,\n}\n")
+  ]);
+
+  assert.equal(r.strategy, "line");
+  assert.equal(r.unified, "{\n  // shared base\n  \"a\": 1,\n  \"b\": 2,\n  \"c\": 3,\n}\n");
+});
+
+test("a JSONC change the line merge cannot resolve is a conflict", () => {
+  const r = mergeJson("tsconfig.json", [
+    v("a", "{\n  // shared base\n  \"include\": [\"src\"],\n}\n"),
+    v("b", "{\n  // shared base\n  \"include\": [\"src\", \"test\"],\n}\n")
+  ]);
+
+  assert.equal(r.ok, false);
+  assert.equal(r.strategy, "line");
+});
+
+test("differing arrays are a conflict: an ESLint rule tuple is never unioned", () => {
+  const r = mergeJson(".eslintrc.json", [
+    v("a", "{\n  \"rules\": { \"quotes\": [\"error\", \"single\"] }\n}\n"),
+    v("b", "{\n  \"rules\": { \"quotes\": [\"error\", \"double\"] }\n}\n")
+  ], defaultRegistry.resolve(".eslintrc.json"));
+
+  assert.equal(r.ok, false);
+  assert.equal(r.conflicts[0].key, "rules.quotes");
+});
+
+test("arrays the registry marks as sets are unioned", () => {
+  const r = mergeJson("tsconfig.json", [
+    v("a", "{\n  \"include\": [\"src\"]\n}\n"),
+    v("b", "{\n  \"include\": [\"src\", \"test\"]\n}\n")
+  ], defaultRegistry.resolve("tsconfig.json"));
+
+  assert.equal(r.ok, true);
+  assert.deepEqual(JSON.parse(r.unified), { include:["src", "test"] });
+});
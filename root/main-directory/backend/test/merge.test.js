@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeVersions } from "../merge.js";
+import { canonicalLines } from "../normalize.js";
+
+const v = (comp, content) => ({ comp, content });
+
+test("lines that differ only in token spacing and semicolons are equal", () => {
+  assert.deepEqual(canonicalLines("a.js", "const a=1;\n"), canonicalLines("a.js", "const a = 1\n"));
+  assert.deepEqual(canonicalLines("a.ts", "f('x', [1, 2,]);\n"), canonicalLines("a.ts", "f(\"x\", [1, 2]);\n"));
+  assert.notDeepEqual(canonicalLines("a.js", "// one\n"), canonicalLines("a.js", "// two\n"));
+});
+
+test("a formatting-only difference inside a function is not a conflict", () => {
+  const r = mergeVersions("util.js", [
+    v("a", "export function f() {\n  const a=1;\n  return a;\n}\n"),
+    v("b", "export function f() {\n  const a = 1\n  return a;\n  // done\n}\n")
+  ]);
+
+  assert.equal(r.ok, true);
+  assert.equal(r.unified, "export function f() {\n  const a=1;\n  return a;\n  // done\n}\n");
+});
+
+test("a real change on the same line is still a conflict", () => {
+  const r = mergeVersions("util.js", [
+    v("a", "export function f() {\n  const a = 1;\n  return a;\n}\n"),
+    v("b", "export function f() {\n  const a = 2;\n  return a;\n}\n")
+  ]);
+
+  assert.equal(r.ok, false);
+  assert.equal(r.conflicts[0].key, "export:f");
+});
+
+test("different inserts at the same position are a conflict, not a concatenation", () => {
+  const r = mergeVersions("notes.txt", [
+    v("a", "a\nc\n"),
+    v("b", "a\nb1\nc\n"),
+    v("c", "a\nb2\nc\n")
+  ]);
+
+  assert.equal(r.ok, false);
+  assert.equal(r.conflicts[0].variants.length, 3);
+});
+
+test("a deletion is not undone by a longer variant", () => {
+  const kept = mergeVersions("notes.txt", [v("a", "a\nb\nc\n"), v("b", "a\nc\n")]);
+  assert.equal(kept.unified, "a\nc\n");
+
+  const r = mergeVersions("notes.txt", [v("a", "a\nb\nc\n"), v("b", "a\nc\n"), v("c", "a\nb\nb2\nc\n")]);
+  assert.equal(r.ok, false);
+});
+
+test("an empty base keeps the final newline of the inserted content", () => {
+  assert.equal(mergeVersions("notes.txt", [v("a", ""), v("b", "x\n")]).unified, "x\n");
+  assert.equal(mergeVersions("a.js", [v("a", ""), v("b", "x;\n")]).unified, "x;\n");
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classify } from "../normalize.js";
+import { defaultRegistry as registry } from "../filetypes.js";
+
+const status = (file, ...contents) => {
+  const type = registry.resolve(file);
+  return classify(file, contents, type.canonical, type);
+};
+
+test("whitespace inside string, template and regex literals is a real difference", () => {
+  assert.equal(status("a.js", "const s = 'a  b';\n", "const s = 'a b';\n").status, "divergent");
+  assert.equal(status("a.js", "const s = `a  ${x}`;\n", "const s = `a ${x}`;\n").status, "divergent");
+  assert.equal(status("a.js", "const r = /a  b/;\n", "const r = /a b/;\n").status, "divergent");
+});
+
+test("newlines that change automatic semicolon insertion are a real difference", () => {
+  assert.equal(status("a.js", "function f() {\n  return\n  x;\n}\n", "function f() {\n  return x;\n}\n").status, "divergent");
+  assert.equal(status("a.js", "a;\n(b);\n", "a\n(b);\n").status, "divergent");
+});
+
+test("indentation in a whitespace-significant file is a real difference", () => {
+  assert.equal(status("README.md", "- a\n  - b\n", "- a\n- b\n").status, "divergent");
+});
+
+test("formatting, comments and optional semicolons stay trivial", () => {
+  const r = status("a.js", "const a = f(1, 2);\nfor (let i = 0; i < 3; i++) g(i);\n",
+    "// c\nconst a = f(\n  1,\n  2,\n)\nfor (let i = 0;i < 3;i++) g(i)\n");
+  assert.deepEqual(r, { status:"trivial", reason:"formatting/comments" });
+});
+
+test("whitespace-only differences are trivial for a whitespace-insensitive type", () => {
+  assert.deepEqual(status("a.css", ".a { color: red; }\n", ".a {\n  color:  red;\n}\n"), { status:"trivial", reason:"whitespace" });
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { fixtureRepo } from "./fixture.js";
+
+// --- PREVIEW + APPLY, VÉGIG (mock provider) ---
+// A CLI ugyanazt a választ adja --json-nal, mint a POST /api/v1/preview – determinisztikus, hálózat nélkül.
+// Az apply a backend/asa-harmonize wrapperen át fut, ahogy a PATH-ba linkelt parancs.
+
+const exec = promisify(execFile);
+const CLI = fileURLToPath(new URL("../asa-harmonize.js", import.meta.url));
+const WRAPPER = fileURLToPath(new URL("../asa-harmonize", import.meta.url));
+const ENV = { ...process.env, ASA_LLM_PROVIDER:"mock", ASA_LLM_CACHE:"off" };
+
+const FILES = {
+  "apps/a/util.js": "export function add(a, b) {\n  return a + b;\n}\n",
+  "apps/b/util.js": "export function add(x, y) {\n  const sum = x + y;\n  return sum;\n}\n",
+  "apps/a/README.md": "# util\n",
+  "apps/b/README.md": "# util\n"
+};
+
+async function cli(repo, ...args) {
+  const { stdout } = await exec(WRAPPER, args, { env:{ ...ENV, REPO_ROOT:repo }, timeout:60000 });
+  return stdout;
+}
+
+async function cliPreview(repo) {
+  const { stdout } = await exec(process.execPath, [CLI, "preview", "-c", "a=apps/a", "-c", "b=apps/b", "--json"], {
+    env:{ ...ENV, REPO_ROOT:repo },
+    timeout:60000
+  });
+  return JSON.parse(stdout);
+}
+
+test("preview with the mock provider returns suggestions and per-component patches", async t => {
+  const { repo, cleanup } = await fixtureRepo(FILES);
+  t.after(cleanup);
+
+  const result = await cliPreview(repo);
+
+  assert.equal(result.ok, true);
+  assert.match(result.previewId, /^[\w-]+$/);
+  assert.deepEqual(result.summary, { inSync:1, trivial:0, divergent:1, cached:0, incomplete:0, invalid:0 });
+  assert.deepEqual(result.inSync.map(f => f.file), ["README.md"]);
+
+  const [s] = result.suggestions;
+  assert.equal(s.file, "util.js");
+  assert.equal(s.unified, FILES["apps/a/util.js"]);
+  assert.match(s.why, /Mock provider/);
+  assert.equal(s.validation.ok, true);
+
+  // a mock az "a" változatát tartja meg – csak "b"-hez kell patch
+  assert.deepEqual(s.patches.map(p => [p.component, p.path]), [["b", "apps/b/util.js"]]);
+  assert.match(s.patches[0].diff, /^--- a\/apps\/b\/util\.js\n\+\+\+ b\/apps\/b\/util\.js$/m);
+  assert.match(s.patches[0].diff, /^-  const sum = x \+ y;$/m);
+  assert.match(s.patches[0].diff, /^\+  return a \+ b;$/m);
+});
+
+test("apply reports only the files it actually changed", async t => {
+  const { repo, cleanup } = await fixtureRepo(FILES);
+  t.after(cleanup);
+
+  const { previewId } = await cliPreview(repo);
+
+  const first = await cli(repo, "apply", "--run", previewId);
+  assert.match(first, /^Applied 1 files \(run [\w-]+\)/);
+  assert.match(first, /^  \+ apps\/b\/util\.js$/m);
+  assert.doesNotMatch(first, /apps\/a\/util\.js/);
+
+  // a célok már egyeznek a javaslattal – semmi sem íródik újra
+  assert.match(await cli(repo, "apply", "--run", previewId), /^Nothing to change/);
+});
+
+test("git mode apply counts the committed files", async t => {
+  const { repo, cleanup } = await fixtureRepo(FILES, { git:true });
+  t.after(cleanup);
+
+  const { previewId } = await cliPreview(repo);
+  const out = await cli(repo, "apply", "--run", previewId, "--mode", "git", "--commit-per", "component");
+
+  assert.match(out, /^Committed 1 files to asa-harmonizer\/[\w-]+ \(1 commits\)\n  \+ apps\/b\/util\.js$/m);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { scanComponent } from "../scanner.js";
+import { fixtureRepo } from "./fixture.js";
+
+test("followSymlinks skips links that leave the component or hit the deny-list", async t => {
+  const { repo, cleanup } = await fixtureRepo({
+    "apps/a/src/x.js": "export const x = 1;\n",
+    "apps/a/.env": "SECRET=1\n",
+    "apps/b/y.js": "export const y = 1;\n",
+    "outside/z.js": "export const z = 1;\n"
+  });
+  t.after(cleanup);
+
+  const a = path.join(repo, "apps/a");
+  await fs.symlink("src/x.js", path.join(a, "alias.js"));
+  await fs.symlink("../b", path.join(a, "sibling"));
+  await fs.symlink(path.join(repo, "outside"), path.join(a, "abs"));
+  await fs.symlink(".env", path.join(a, "env.js"));
+
+  const files = await scanComponent(repo, { path:"apps/a", followSymlinks:true });
+  assert.deepEqual(files.map(f => f.rel).sort(), ["alias.js", "src/x.js"]);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { applyWrites, atomicWrite, undoRun } from "../transaction.js";
+import { fixtureRepo } from "./fixture.js";
+
+test("atomicWrite keeps the mode of the file it replaces", async t => {
+  const { repo, cleanup } = await fixtureRepo({ "bin/run.sh": "#!/bin/sh\necho old\n" });
+  t.after(cleanup);
+
+  const file = path.join(repo, "bin/run.sh");
+  await fs.chmod(file, 0o755);
+  await atomicWrite(file, "#!/bin/sh\necho new\n");
+
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o755);
+  assert.equal(await fs.readFile(file, "utf8"), "#!/bin/sh\necho new\n");
+});
+
+test("apply + undo restores the original content and mode", async t => {
+  const { repo, cleanup } = await fixtureRepo({ "apps/a/run.sh": "old\n" });
+  t.after(cleanup);
+
+  const file = path.join(repo, "apps/a/run.sh");
+  await fs.chmod(file, 0o750);
+  const { runId } = await applyWrites(repo, [{ path:"apps/a/run.sh", content:"new\n" }]);
+  await undoRun(repo, runId);
+
+  assert.equal(await fs.readFile(file, "utf8"), "old\n");
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o750);
+});
+
+test("undo removes only the files the apply created, and their directories only when empty", async t => {
+  const { repo, cleanup } = await fixtureRepo({ "apps/a/keep.js": "1\n" });
+  t.after(cleanup);
+
+  const { runId } = await applyWrites(repo, [
+    { path:"apps/a/lib/deep/new.js", content:"new\n" },
+    { path:"apps/a/gen/other.js", content:"other\n" }
+  ]);
+  // az apply után kézzel hozzáadott fájl a létrehozott mappában
+  await fs.writeFile(path.join(repo, "apps/a/lib/notes.md"), "mine\n");
+  await undoRun(repo, runId);
+
+  const exists = rel => fs.access(path.join(repo, rel)).then(() => true, () => false);
+  assert.equal(await exists("apps/a/lib/deep"), false);
+  assert.equal(await exists("apps/a/lib/notes.md"), true);
+  assert.equal(await exists("apps/a/gen"), false);
+  assert.equal(await exists("apps/a/keep.js"), true);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import { Miniflare } from "miniflare";
+import { HEADERS, keepRawBody, requireWorkerSignature } from "../auth.js";
+
+// --- WORKER -> BACKEND ALÁÍRÁS, VÉGIG ---
+// A Worker (worker/src/index.js, ugyanaz a modul, amit a wrangler deployol) Miniflare alatt, workerd-ben fut,
+// egy localhost backend előtt, ami a valódi requireWorkerSignature middleware-rel ellenőriz. A backend rögzíti
+// a beérkezett aláírás fejléceket – a replay teszt ezeket küldi újra, ahogy egy lehallgatott kérést küldenének.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const env = { WORKER_API_KEY:"worker-secret", CLIENT_API_KEY:"client-key" };
+const seen = [];
+let server;
+let mf;
+
+before(async () => {
+  const app = express();
+  app.use(express.json({ verify:keepRawBody }));
+  app.use((req, res, next) => {
+    seen.push(Object.fromEntries(Object.values(HEADERS).map(h => [h, req.get(h)])));
+    next();
+  });
+  app.use("/api", requireWorkerSignature(env.WORKER_API_KEY));
+  app.get("/api/v1/config", (req, res) => res.json({ ok:true, config:{}, exists:false, file:"harmonizer.config.json" }));
+
+  await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+  env.BACKEND_URL = `http://127.0.0.1:${server.address().port}`;
+
+  mf = new Miniflare({
+    modules:true,
+    modulesRoot:ROOT,
+    scriptPath:path.join(ROOT, "worker/src/index.js"),
+    modulesRules:[{ type:"ESModule", include:["**/*.js"] }],
+    compatibilityDate:"2024-09-01",
+    bindings:env
+  });
+  await mf.ready;
+});
+
+after(async () => {
+  await mf?.dispose();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const callWorker = (headers = { Authorization:"Bearer client-key" }) =>
+  mf.dispatchFetch("https://worker.test/v1/config", { headers });
+
+test("a correctly signed request reaches the backend", async () => {
+  const res = await callWorker();
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).ok, true);
+});
+
+test("a replayed nonce is rejected with 403", async () => {
+  const res = await callWorker();
+  assert.equal(res.status, 200);
+
+  const captured = seen.at(-1);
+  const replay = await fetch(`${env.BACKEND_URL}/api/v1/config`, { headers:captured });
+  assert.equal(replay.status, 403);
+  assert.match((await replay.json()).error, /Replayed/);
+});
+
+test("an expired timestamp is rejected with 403", async t => {
+  // a Worker (workerd) a valódi idővel ír alá – a backend órája 10 percet siet
+  const ahead = Date.now() + 10 * 60 * 1000;
+  t.mock.method(Date, "now", () => ahead);
+
+  const res = await callWorker();
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /expired/);
+});
+
+test("a missing client key is rejected with 401 before the backend is called", async () => {
+  const before = seen.length;
+  const res = await callWorker({});
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).code, "UNAUTHORIZED");
+  assert.equal(seen.length, before);
+});
+
+test("a wrong client key is rejected with 403 before the backend is called", async () => {
+  const before = seen.length;
+  const res = await callWorker({ "X-API-Key":"not-the-key" });
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).code, "FORBIDDEN");
+  assert.equal(seen.length, before);
+});
+
+// kulcs nélküli backend: egy másik localhost app ugyanazzal a middleware-rel
+async function unkeyedBackend(t, options) {
+  const app = express();
+  app.use("/api", requireWorkerSignature("", options));
+  app.get("/api/v1/config", (req, res) => res.json({ ok:true }));
+
+  const srv = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+  t.after(() => new Promise(resolve => srv.close(resolve)));
+  return `http://127.0.0.1:${srv.address().port}/api/v1/config`;
+}
+
+test("a backend without WORKER_API_KEY rejects unsigned requests with 401", async t => {
+  t.mock.method(console, "warn", () => {});
+  const res = await fetch(await unkeyedBackend(t, { allowUnsigned:false }));
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).code, "UNAUTHORIZED");
+});
+
+test("unsigned requests pass only with the explicit development opt-out", async t => {
+  t.mock.method(console, "warn", () => {});
+  const res = await fetch(await unkeyedBackend(t, { allowUnsigned:true }));
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,48 @@
+// --- TOKEN SZÁMLÁLÁS (modellenként) ---
+// Tokenizer csomag nélkül becsül: az azonosítók ~4 karakterenként, a számok ~3 számjegyenként,
+// az írásjelek és a sortörés+behúzás egyenként számítanak egy tokennek. Kódra ez inkább felfelé
+// tévedő becslés – a darabolásnál (chunking.js) ez a biztonságos irány.
+// A modell családja szorzót és limiteket ad; env felülírja:
+//   ASA_LLM_CONTEXT_TOKENS = kontextus ablak (pl. Ollama num_ctx)
+//   ASA_LLM_OUTPUT_TOKENS  = max válasz hossz
+//   ASA_LLM_CHUNK_TOKENS   = egy darab max mérete verziónként (alap 8000, a válasz limit 3/4-éig)
+
+const MODELS = [
+  { match:/^gpt-4\.1/, context:1047576, output:32768, factor:1 },
+  { match:/^gpt-4o/, context:128000, output:16384, factor:1 },
+  { match:/^(o\d|gpt-5)/, context:200000, output:100000, factor:1 },
+  { match:/^gpt-4-turbo/, context:128000, output:4096, factor:1.05 },
+  { match:/^gpt-3\.5/, context:16385, output:4096, factor:1.05 }
+];
+
+// lokális / ismeretlen modell (Llama, Qwen, Mistral ...): kisebb ablak, kevésbé tömör tokenizer
+const FALLBACK = { context:8192, output:4096, factor:1.2 };
+
+const DEFAULT_CHUNK_TOKENS = 8000;
+
+function family(model = "") {
+  return MODELS.find(m => m.match.test(model)) || FALLBACK;
+}
+
+export function countTokens(text, model) {
+  if (!text) return 0;
+
+  let n = 0;
+  for (const piece of text.match(/[A-Za-z_$]+|\d+|\n[ \t]*|[ \t]+|[^\sA-Za-z_$\d]/g) || []) {
+    if (/^[A-Za-z_$]/.test(piece)) n += Math.ceil(piece.length / 4);
+    else if (/^\d/.test(piece)) n += Math.ceil(piece.length / 3);
+    else if (/^[ \t]/.test(piece)) continue; // a szó előtti szóköz a szóhoz tapad
+    else n += 1;
+  }
+  return Math.ceil(n * family(model).factor);
+}
+
+// { context, output, chunk } – chunk: egy verzió darabjának max tokenje (a válasznak bele kell férnie)
+export function modelLimits(model, env = process.env) {
+  const f = family(model);
+  const context = Number(env.ASA_LLM_CONTEXT_TOKENS) || f.context;
+  const output = Math.min(Number(env.ASA_LLM_OUTPUT_TOKENS) || f.output, context);
+  const chunk = Math.min(Number(env.ASA_LLM_CHUNK_TOKENS) || DEFAULT_CHUNK_TOKENS, Math.floor(output * 0.75));
+
+  return { context, output, chunk };
+}
@@ -0,0 +1,167 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { contentHash } from "./normalize.js";
+
+// --- TRANZAKCIÓS APPLY ---
+// Minden érintett fájl eredeti állapota snapshotba kerül egy run ID alatt:
+//   <snapshotDir>/<runId>/manifest.json  – { runId, createdAt, status, files:[...] }
+//   <snapshotDir>/<runId>/files/<n>      – az eredeti tartalom (ha a fájl létezett)
+// Írás: temp fájl + rename (atomikus); bármely hibánál a már kiírt fájlok visszaállnak.
+// undo(runId) a snapshotot állítja vissza – ha a fájlt azóta kézzel módosították,
+// csak force:true esetén írja felül.
+
+export const SNAPSHOT_DIR = ".asa-harmonizer/runs";
+
+export function snapshotRoot(repo) {
+  return path.resolve(repo, process.env.ASA_SNAPSHOT_DIR || SNAPSHOT_DIR);
+}
+
+// a harmonizer saját állapota (preview runok, snapshotok, cache) soha ne kerüljön a repóba, és ne tegye
+// piszkossá a munkakönyvtárat: a mappa magát ignorálja (.gitignore: *)
+export async function ignoredDir(dir) {
+  await fs.mkdir(dir, { recursive:true });
+  await fs.writeFile(path.join(dir, ".gitignore"), "*\n").catch(() => {});
+}
+
+export function newRunId() {
+  return `${new Date().toISOString().replace(/[-:.]/g, "").slice(0, 15)}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// writes: [{ path (repo-relatív), content, edited? }] – edited: a reviewer szerkesztette (a manifestben is megmarad)
+// a jelenlegivel bájtra azonos tartalom nem íródik (és nem kerül a manifestbe);
+// -> { runId, applied, files }: files = a ténylegesen megváltozott / létrehozott fájlok
+export async function applyWrites(repo, writes, { runId = newRunId() } = {}) {
+  const runDir = path.join(snapshotRoot(repo), runId);
+  const manifest = { runId, createdAt:new Date().toISOString(), status:"applying", files:[] };
+
+  await ignoredDir(snapshotRoot(repo));
+  await fs.mkdir(path.join(runDir, "files"), { recursive:true });
+
+  try {
+    for (const [i, w] of writes.entries()) {
+      const full = path.join(repo, w.path);
+      const entry = { path:w.path, existed:false, backup:null, createdDir:null, appliedHash:contentHash(w.content), edited:!!w.edited };
+
+      const original = await readIfExists(full);
+      if (original !== null && original.equals(Buffer.from(w.content))) continue;
+      if (original !== null) {
+        entry.existed = true;
+        entry.backup = `files/${i}`;
+        await fs.writeFile(path.join(runDir, entry.backup), original);
+      }
+      // a manifest előbb tudjon a fájlról, mint ahogy hozzányúlunk
+      manifest.files.push(entry);
+
+      entry.createdDir = (await fs.mkdir(path.dirname(full), { recursive:true })) || null;
+      await atomicWrite(full, w.content);
+    }
+  } catch (e) {
+    await restore(repo, runDir, manifest.files);
+    manifest.status = "rolled-back";
+    manifest.error = e.message;
+    await writeManifest(runDir, manifest);
+    throw new Error(`Apply failed, all changes rolled back (run ${runId}): ${e.message}`);
+  }
+
+  manifest.status = "applied";
+  await writeManifest(runDir, manifest);
+  return { runId, applied:manifest.files.length, files:manifest.files.map(f => f.path) };
+}
+
+export async function undoRun(repo, runId, { force = false } = {}) {
+  if (!/^[\w-]+$/.test(runId)) throw Object.assign(new Error("Invalid run ID"), { code:"INVALID_REQUEST" });
+
+  const runDir = path.join(snapshotRoot(repo), runId);
+  const manifest = await readManifest(runDir);
+
+  if (manifest.status !== "applied") {
+    throw Object.assign(new Error(`Run ${runId} cannot be undone (status: ${manifest.status})`), { code:"CONFLICT" });
+  }
+
+  // az apply óta kézzel módosított fájlokat nem írjuk felül szó nélkül
+  if (!force) {
+    const modified = [];
+    for (const f of manifest.files) {
+      const current = await readIfExists(path.join(repo, f.path));
+      if (current === null || contentHash(current) !== f.appliedHash) modified.push(f.path);
+    }
+    if (modified.length) {
+      throw Object.assign(new Error(`Files changed since apply (use force to overwrite): ${modified.join(", ")}`), { code:"CONFLICT" });
+    }
+  }
+
+  await restore(repo, runDir, manifest.files);
+
+  manifest.status = "undone";
+  manifest.undoneAt = new Date().toISOString();
+  await writeManifest(runDir, manifest);
+  return { runId, restored:manifest.files.length };
+}
+
+// --- SEGÉDEK ---
+// fordított sorrendben, hogy ugyanazon fájl többszöri írásánál az első snapshot nyerjen
+// új fájlnál csak az apply által írt fájl törlődik; az általa létrehozott mappák (createdDir-ig felfelé)
+// csak üresen – ami azóta más került beléjük, megmarad
+async function restore(repo, runDir, files) {
+  for (const f of [...files].reverse()) {
+    const full = path.join(repo, f.path);
+    if (f.existed) {
+      await atomicWrite(full, await fs.readFile(path.join(runDir, f.backup)));
+    } else {
+      await fs.rm(full, { force:true });
+      if (f.createdDir) await removeEmptyDirs(path.dirname(full), f.createdDir);
+    }
+  }
+}
+
+async function removeEmptyDirs(dir, top) {
+  for (let d = dir; d === top || d.startsWith(top + path.sep); d = path.dirname(d)) {
+    try {
+      await fs.rmdir(d);
+    } catch (e) {
+      if (e.code === "ENOENT") continue;
+      if (e.code === "ENOTEMPTY" || e.code === "EEXIST") return;
+      throw e;
+    }
+  }
+}
+
+// a meglévő fájl jogosultsága (pl. futtatható script) a rename után is megmarad
+export async function atomicWrite(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+  try {
+    const mode = await fs.stat(file).then(st => st.mode & 0o7777, e => {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    });
+    await fs.writeFile(tmp, content);
+    if (mode !== null) await fs.chmod(tmp, mode);
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force:true });
+    throw e;
+  }
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function readManifest(runDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(runDir, "manifest.json"), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") throw Object.assign(new Error(`Unknown run: ${path.basename(runDir)}`), { code:"NOT_FOUND" });
+    throw e;
+  }
+}
+
+function writeManifest(runDir, manifest) {
+  return atomicWrite(path.join(runDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+}
@@ -0,0 +1,76 @@
+import fs from "fs/promises";
+import path from "path";
+
+// --- TÍPUSELLENŐRZÉS (TypeScript compiler API) ---
+// A javasolt tartalom a célkomponens tsconfig-jával fordul, a fájl helyén – mintha már kiírtuk volna.
+// Csak az adott fájl hibái számítanak (a projekt többi meglévő hibája nem).
+// A "typescript" (5.x, compiler API-val) lustán töltődik be; ha nincs telepítve, a típusellenőrzés kimarad (null).
+// tsconfig-onként az utolsó program megmarad, a következő ellenőrzés arra épít (oldProgram) –
+// a változatlan fájlokat nem parse-olja újra.
+
+let ts;
+const programs = new Map();
+
+async function loadTypescript() {
+  if (ts === undefined) {
+    try {
+      const mod = (await import("typescript")).default;
+      ts = typeof mod?.createProgram === "function" ? mod : null; // a natív (Go) port nem ad JS API-t
+    } catch {
+      ts = null;
+    }
+  }
+  return ts;
+}
+
+// a fájl mappájától felfelé, legfeljebb a komponens gyökeréig
+export async function findTsconfig(full, root) {
+  let dir = path.dirname(full);
+  for (;;) {
+    const candidate = path.join(dir, "tsconfig.json");
+    if (await fs.stat(candidate).then(s => s.isFile(), () => false)) return candidate;
+    if (dir === root || !dir.startsWith(root + path.sep)) return null;
+    dir = path.dirname(dir);
+  }
+}
+
+// -> [{ line, column, message, code }] | null (nincs typescript)
+export async function typecheckFile(tsconfig, full, content) {
+  const ts = await loadTypescript();
+  if (!ts) return null;
+
+  const config = ts.readConfigFile(tsconfig, ts.sys.readFile);
+  if (config.error) return [toDiagnostic(ts, config.error)];
+
+  const parsed = ts.parseJsonConfigFileContent(config.config, ts.sys, path.dirname(tsconfig));
+  const options = { ...parsed.options, noEmit:true };
+  const target = path.resolve(full);
+  const isTarget = name => path.resolve(name) === target;
+
+  // a célfájl a javaslat tartalmával – akkor is, ha a komponensben még nem létezik
+  const host = ts.createCompilerHost(options, true);
+  const { getSourceFile, fileExists, readFile } = host;
+  host.getSourceFile = (name, lang, ...rest) =>
+    isTarget(name) ? ts.createSourceFile(name, content, lang, true) : getSourceFile.call(host, name, lang, ...rest);
+  host.fileExists = name => isTarget(name) || fileExists.call(host, name);
+  host.readFile = name => (isTarget(name) ? content : readFile.call(host, name));
+
+  const rootNames = parsed.fileNames.some(isTarget) ? parsed.fileNames : [...parsed.fileNames, target];
+  const program = ts.createProgram({ rootNames, options, host, oldProgram:programs.get(tsconfig) });
+  programs.set(tsconfig, program);
+
+  const source = program.getSourceFile(target);
+  return [...program.getSyntacticDiagnostics(source), ...program.getSemanticDiagnostics(source)]
+    .filter(d => d.category === ts.DiagnosticCategory.Error)
+    .map(d => toDiagnostic(ts, d));
+}
+
+function toDiagnostic(ts, d) {
+  const pos = d.file && d.start != null ? d.file.getLineAndCharacterOfPosition(d.start) : null;
+  return {
+    line:pos ? pos.line + 1 : null,
+    column:pos ? pos.character + 1 : null,
+    message:ts.flattenDiagnosticMessageText(d.messageText, "\n"),
+    code:`TS${d.code}`
+  };
+}
@@ -0,0 +1,196 @@
+import path from "path";
+import { parse } from "@babel/parser";
+import { astPlugins } from "./merge.js";
+import { parseJsonc } from "./merge-json.js";
+import { parseBlock } from "./merge-css.js";
+import { contentHash } from "./normalize.js";
+import { defaultRegistry } from "./filetypes.js";
+import { resolveComponent } from "./sandbox.js";
+import { findTsconfig, typecheckFile } from "./typecheck.js";
+
+// --- JAVASLAT VALIDÁCIÓ ---
+// Minden javaslat (merge és LLM is) átmegy rajta, mielőtt a UI-hoz ér:
+//   validation: { ok, checked:["syntax", "types:<comp>", ...], diagnostics:[{ source, component?, line, column, message, code? }] }
+//   source: reply  – a modell válasza nem volt JSON, a nyers szöveg került a kód helyére,
+//                    vagy nincs használható tartalom (üres / hiányzó unified – kiírva kiürítené a célfájlt)
+//           syntax – JS/TS/JSX (babel), JSON / JSONC, CSS parser
+//           types  – TypeScript: a célkomponens tsconfig-jával, a fájl helyén (typecheck.js)
+// Az apply alapból nem írja ki a hibás javaslatot (gateWrites); allowInvalid:true felülbírálja –
+// kivéve a "reply" hibákat: üres tartalom és a nyers (nem JSON) modell válasz soha nem íródik ki.
+// A nem teljes harmonizáció (coverage.complete:false – kimaradt darabok) sem, hacsak a reviewer nem szerkesztette.
+// ASA_TYPECHECK=off: csak szintaxis ellenőrzés.
+// warnings (nem blokkol): a komponensnek van tsconfig.json-ja, de a backend mellett nincs "typescript" csomag –
+// a típusellenőrzés kimaradt, ezt a UI / CLI jelzi, hogy ne tűnjön átment ellenőrzésnek.
+
+const TYPECHECK = process.env.ASA_TYPECHECK !== "off";
+const TS_FILE = /\.(c|m)?tsx?$/;
+const MAX_DIAGNOSTICS = 20;
+const NO_TYPESCRIPT = "tsconfig.json found but the \"typescript\" package is not installed next to the backend – type check skipped (npm install typescript)";
+
+export function syntaxDiagnostics(file, strategy, code) {
+  const fail = (e, loc = e.loc) => [{
+    source:"syntax",
+    line:loc?.line ?? null,
+    column:loc ? loc.column + 1 : null,
+    message:e.message.replace(/\s*\(\d+:\d+\)$/, "")
+  }];
+
+  if (strategy === "script") {
+    const plugins = astPlugins(file);
+    if (!plugins) return [];
+    try {
+      const ast = parse(code, {
+        sourceType:"unambiguous",
+        plugins,
+        errorRecovery:true,
+        allowReturnOutsideFunction:true,
+        allowAwaitOutsideFunction:true
+      });
+      return (ast.errors || []).flatMap(e => fail(e));
+    } catch (e) {
+      return fail(e);
+    }
+  }
+
+  if (strategy === "json") {
+    try {
+      parseJsonc(code);
+      return [];
+    } catch (e) {
+      return fail(e, null);
+    }
+  }
+
+  if (strategy === "css") {
+    try {
+      parseBlock(code, 0, code.length);
+      return [];
+    } catch (e) {
+      return fail(e, null);
+    }
+  }
+
+  return [];
+}
+
+// s: { file, strategy, unified, raw?, paths:{ [comp]: rel } }; comps: a futás komponensei (típusellenőrzéshez)
+export async function validateSuggestion(s, { repo, comps = [], typecheck = TYPECHECK } = {}) {
+  if (typeof s.unified !== "string" || !s.unified.trim()) {
+    const message = typeof s.unified === "string"
+      ? "The suggestion is empty – applying it would blank the target file"
+      : "No harmonized content (unresolved conflicts or an unusable model reply)";
+    return { ok:false, checked:[], diagnostics:[{ source:"reply", line:null, column:null, message }] };
+  }
+
+  const checked = ["syntax"];
+  const diagnostics = [];
+  const warnings = [];
+
+  if (s.raw) {
+    diagnostics.push({
+      source:"reply",
+      line:null,
+      column:null,
+      message:"The model reply was not valid JSON – the raw reply was used as the unified code"
+    });
+  }
+
+  diagnostics.push(...syntaxDiagnostics(s.file, s.strategy, s.unified));
+
+  if (!diagnostics.length && typecheck && repo && TS_FILE.test(s.file)) {
+    for (const c of comps) {
+      const rel = s.paths?.[c.name];
+      if (!rel) continue;
+
+      const { root } = await resolveComponent(repo, c);
+      const full = path.resolve(root, rel);
+      const tsconfig = await findTsconfig(full, root);
+      if (!tsconfig) continue;
+
+      let found;
+      try {
+        found = await typecheckFile(tsconfig, full, s.unified);
+      } catch (e) {
+        // a tsc saját hibája (pl. olvashatatlan tsconfig lánc) nem a javaslat hibája
+        console.warn(`ASA: type check skipped for ${c.name}/${rel}: ${e.message}`);
+        continue;
+      }
+      if (!found) {
+        warnings.push({ source:"types", component:c.name, line:null, column:null, message:NO_TYPESCRIPT });
+        break;
+      }
+      checked.push(`types:${c.name}`);
+      diagnostics.push(...found.map(d => ({ source:"types", component:c.name, ...d })));
+    }
+  }
+
+  return {
+    ok:diagnostics.length === 0,
+    checked,
+    diagnostics:diagnostics.slice(0, MAX_DIAGNOSTICS),
+    ...(warnings.length ? { warnings } : {})
+  };
+}
+
+// --- SZERKESZTETT JAVASLAT ---
+// A dashboard szerkesztője: a reviewer változata ugyanazokon az ellenőrzéseken megy át, mint a preview
+// javaslata (a fájl minden komponensbeli helyén). edited:false – a tartalom a modell kimenete, a tárolt validáció jön.
+export async function validateEdit(repo, run, file, unified) {
+  const entry = run.files[file];
+  if (!entry) throw Object.assign(new Error(`File ${file} is not part of preview ${run.id}`), { code:"NOT_FOUND" });
+
+  if (entry.hash === contentHash(unified) && entry.validation) {
+    return { edited:false, validation:entry.validation };
+  }
+
+  const validation = await validateSuggestion({
+    file,
+    strategy:entry.strategy || defaultRegistry.resolve(file)?.strategy,
+    unified,
+    paths:entry.paths
+  }, { repo, comps:run.components });
+
+  return { edited:entry.hash !== contentHash(unified), validation };
+}
+
+// --- APPLY KAPU ---
+// writes (sandbox.js planWrites) -> { writes, blocked:[{ file, component, diagnostics }] }
+// A preview run tartalom-hash-sel tárolja a validáció eredményét; ha a kliens más tartalmat küld
+// (pl. kézzel szerkesztett javaslat), itt újra validálódik – a célkomponens tsconfig-jával.
+export async function gateWrites(repo, run, writes, { allowInvalid = false } = {}) {
+  const allowed = [];
+  const blocked = [];
+
+  for (const w of writes) {
+    const entry = run.files[w.file] || {};
+    let validation = entry.validation;
+
+    if (!validation || entry.hash !== contentHash(w.content)) {
+      const comp = run.components.find(c => c.name === w.component);
+      validation = await validateSuggestion({
+        file:w.file,
+        strategy:entry.strategy || defaultRegistry.resolve(w.file)?.strategy,
+        unified:w.content,
+        paths:{ [w.component]:entry.paths?.[w.component] || w.file }
+      }, { repo, comps:comp ? [comp] : [] });
+    }
+
+    if (entry.coverage?.complete === false && !w.edited) {
+      const parts = entry.coverage.skipped.map(s => `part ${s.part} (${s.reason})`).join(", ");
+      blocked.push({ file:w.file, component:w.component, diagnostics:[{
+        source:"coverage",
+        line:null,
+        column:null,
+        message:`Incomplete harmonization – not harmonized: ${parts || "unknown parts"}; edit the suggestion to apply it`
+      }] });
+      continue;
+    }
+
+    // üres / nyers modell válasz: allowInvalid mellett sem
+    const unusable = validation.diagnostics.some(d => d.source === "reply");
+    if (validation.ok || (allowInvalid && !unusable)) allowed.push(w);
+    else blocked.push({ file:w.file, component:w.component, diagnostics:validation.diagnostics });
+  }
+
+  return { writes:allowed, blocked };
+}
@@ -0,0 +1,237 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { contentHash } from "./normalize.js";
+import { resolveComponent } from "./sandbox.js";
+
+// --- VERIFY (komponens checkek a harmonizált kódon, apply előtt) ---
+// Komponensenként:
+//   1. scratch mappa (os.tmpdir) = a repó szerkezete: gyökér szintű fájlok (package.json, tsconfig.base.json ...)
+//      + a komponens mappa másolata; a node_modules symlink (gyökér + komponens), így nem kell telepíteni
+//   2. baseline: a checkek a változatlan másolaton
+//   3. a javaslatok kiírása a másolatba, majd ugyanazok a checkek újra
+//   4. státusz: passed | regressed (baseline-on zöld, utána piros) | failing (már a baseline is piros) | skipped (nincs check)
+// A checkek a repó saját konfigurációjából jönnek, nem a kérésből (az távoli parancsfuttatás lenne):
+//   <komponens>/package.json "asaHarmonizer": { "checks":["npm test", "npx tsc --noEmit"] }
+//   különben ASA_VERIFY_CHECKS (vesszővel elválasztva, minden komponensre), különben "npm test", ha van test script.
+// A checkek generált kódot futtatnak: a backend titkai (API kulcsok) nem kerülnek a környezetükbe.
+//   ASA_VERIFY_TIMEOUT_MS = egy check időkorlátja (alap: 5 perc)
+//   ASA_VERIFY_ON_REGRESSION = block | warn – mit tegyen az apply regresszió esetén (alap: block)
+
+const TIMEOUT_MS = Number(process.env.ASA_VERIFY_TIMEOUT_MS || 5 * 60 * 1000);
+const MAX_OUTPUT = 16 * 1024;
+const SKIP = new Set(["node_modules", ".git", ".asa-harmonizer"]);
+const SECRET_ENV = ["OPENAI_API_KEY", "WORKER_API_KEY", "ASA_LLM_API_KEY", "CLIENT_API_KEY"];
+const NPM_DEFAULT_TEST = /no test specified/;
+
+export const ON_REGRESSION = process.env.ASA_VERIFY_ON_REGRESSION === "warn" ? "warn" : "block";
+
+export async function checksFor(root, env = process.env) {
+  let pkg = null;
+  try {
+    pkg = JSON.parse(await fs.readFile(path.join(root, "package.json"), "utf8"));
+  } catch {
+    // nincs / hibás package.json
+  }
+
+  if (Array.isArray(pkg?.asaHarmonizer?.checks)) return pkg.asaHarmonizer.checks;
+  if (env.ASA_VERIFY_CHECKS) return env.ASA_VERIFY_CHECKS.split(",").map(c => c.trim()).filter(Boolean);
+  if (pkg?.scripts?.test && !NPM_DEFAULT_TEST.test(pkg.scripts.test)) return ["npm test"];
+  return [];
+}
+
+// a komponensbe írt tartalom ujjlenyomata – az apply ebből tudja, hogy a verify ugyanarra a tartalomra futott
+export function writesHash(writes) {
+  return contentHash(JSON.stringify(writes.map(w => [w.path, contentHash(w.content)]).sort()));
+}
+
+// -> { command, ok, exitCode, timedOut, durationMs, output (az utolsó 16 KB) }
+export function runCheck(command, cwd, { timeoutMs = TIMEOUT_MS, signal } = {}) {
+  const env = { ...process.env, CI:"1" };
+  for (const key of SECRET_ENV) delete env[key];
+
+  return new Promise(resolve => {
+    const started = Date.now();
+    let output = "";
+    let timedOut = false;
+
+    // saját process group: timeout / megszakítás az npm által indított gyerekeket is leállítja
+    const child = spawn(command, { cwd, env, shell:true, detached:true });
+    const kill = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // már kilépett
+      }
+    };
+    const collect = chunk => {
+      output = (output + chunk).slice(-MAX_OUTPUT);
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMs);
+    signal?.addEventListener("abort", kill, { once:true });
+
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+
+    const done = (exitCode, extra = "") => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", kill);
+      resolve({
+        command,
+        ok:exitCode === 0 && !timedOut,
+        exitCode,
+        timedOut,
+        durationMs:Date.now() - started,
+        output:output + extra + (timedOut ? `\n[timed out after ${timeoutMs} ms]` : "")
+      });
+    };
+    child.on("error", e => done(null, e.message));
+    child.on("close", code => done(code));
+  });
+}
+
+// repó szerkezet a scratch mappában, a komponens másolatával -> a komponens helye a scratch-ben
+async function mirror(repo, root, scratch) {
+  const rel = path.relative(repo, root);
+
+  for (const entry of await fs.readdir(repo, { withFileTypes:true })) {
+    if (entry.isFile()) await fs.copyFile(path.join(repo, entry.name), path.join(scratch, entry.name));
+  }
+
+  const target = path.join(scratch, rel);
+  await fs.cp(root, target, {
+    recursive:true,
+    verbatimSymlinks:true,
+    filter:src => !SKIP.has(path.basename(src))
+  });
+
+  for (const [from, to] of [[repo, scratch], [root, target]]) {
+    const modules = path.join(from, "node_modules");
+    if (await fs.stat(modules).then(() => true, () => false)) {
+      await fs.symlink(modules, path.join(to, "node_modules"), "dir").catch(() => {});
+    }
+  }
+
+  return target;
+}
+
+// egy komponens: baseline -> javaslatok kiírása -> checkek újra
+// writes: sandbox.js planWrites kimenete (REPO_ROOT-relatív path), csak ennek a komponensnek a fájljai
+export async function verifyComponent(repo, comp, writes, { timeoutMs, signal, onProgress = () => {} } = {}) {
+  const { repo:realRepo, root } = await resolveComponent(repo, comp);
+  const commands = await checksFor(root);
+  const hash = writesHash(writes);
+
+  if (!commands.length) return { component:comp.name, status:"skipped", reason:"No checks configured", hash, checks:[] };
+
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), "asa-verify-"));
+  try {
+    const cwd = await mirror(realRepo, root, scratch);
+
+    const run = async phase => {
+      const results = [];
+      for (const command of commands) {
+        signal?.throwIfAborted();
+        onProgress({ type:"check-start", component:comp.name, phase, command });
+        const r = await runCheck(command, cwd, { timeoutMs, signal });
+        onProgress({ type:"check-done", component:comp.name, phase, command, ok:r.ok });
+        results.push(r);
+      }
+      return results;
+    };
+
+    const baseline = await run("baseline");
+
+    for (const w of writes) {
+      const file = path.join(scratch, w.path);
+      await fs.mkdir(path.dirname(file), { recursive:true });
+      await fs.writeFile(file, w.content);
+    }
+
+    const after = await run("after");
+    signal?.throwIfAborted();
+
+    const checks = commands.map((command, i) => ({
+      command,
+      ok:after[i].ok,
+      baselineOk:baseline[i].ok,
+      regressed:baseline[i].ok && !after[i].ok,
+      exitCode:after[i].exitCode,
+      timedOut:after[i].timedOut,
+      durationMs:after[i].durationMs,
+      output:after[i].output,
+      baselineOutput:baseline[i].ok ? "" : baseline[i].output
+    }));
+
+    const status = checks.some(c => c.regressed) ? "regressed" : checks.every(c => c.ok) ? "passed" : "failing";
+    return { component:comp.name, status, hash, checks };
+  } finally {
+    await fs.rm(scratch, { recursive:true, force:true });
+  }
+}
+
+// a futás összes komponense egymás után (a checkek nehezek, nem párhuzamosan)
+// -> { components:[verifyComponent eredmény], files:{ [file]: [{ component, status, checks:[{ command, ok, baselineOk, output }] }] } }
+// Egy komponens hibája (pl. nem másolható) "error" státusz, a többi megy tovább; megszakítás = kivétel.
+export async function verify(repo, run, writes, { timeoutMs, signal, onProgress = () => {} } = {}) {
+  const components = [];
+
+  for (const c of run.components) {
+    const own = writes.filter(w => w.component === c.name);
+    if (!own.length) continue;
+
+    try {
+      components.push(await verifyComponent(repo, c, own, { timeoutMs, signal, onProgress }));
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      components.push({ component:c.name, status:"error", reason:e.message, hash:writesHash(own), checks:[] });
+    }
+    onProgress({ type:"component-done", component:c.name, status:components[components.length - 1].status });
+  }
+
+  const files = {};
+  for (const w of writes) {
+    const r = components.find(x => x.component === w.component);
+    (files[w.file] ||= []).push({
+      component:w.component,
+      status:r.status,
+      checks:r.checks.map(({ command, ok, baselineOk, output }) => ({ command, ok, baselineOk, output }))
+    });
+  }
+
+  return { components, files };
+}
+
+// --- APPLY KAPU ---
+// run.verification[comp] (previews.js saveVerification) vs. a kiírandó tartalom:
+//   nincs verify -> "unverified"; más tartalomra futott -> "stale"; regressed + block -> hiba
+// -> { [comp]: status } – a válaszban figyelmeztetésként megy vissza
+export function verificationGate(run, writes, { onRegression = ON_REGRESSION } = {}) {
+  const statuses = {};
+  const regressed = [];
+
+  for (const comp of new Set(writes.map(w => w.component))) {
+    const v = run.verification?.[comp];
+    const own = writes.filter(w => w.component === comp);
+
+    if (!v) statuses[comp] = "unverified";
+    else if (v.hash !== writesHash(own)) statuses[comp] = "stale";
+    else statuses[comp] = v.status;
+
+    if (statuses[comp] === "regressed") regressed.push(`${comp} (${(v.failed || []).join(", ")})`);
+  }
+
+  if (regressed.length && onRegression === "block") {
+    throw Object.assign(
+      new Error(`Checks regressed on ${regressed.join("; ")} – apply refused; re-run verify or pass onRegression:"warn"`),
+      { code:"CHECKS_REGRESSED", details:statuses }
+    );
+  }
+
+  return statuses;
+}
@@ -1,67 +1,334 @@
-import React, { useState } from "react";
-
-export default function ASA_Harmonizer({ worker }) {
+import React, { useEffect, useRef, useState } from "react";
+import { createClient, readEvents } from "../../shared/api/client.js";
+import { tokenize } from "../../shared/ui/highlight.js";
+
+// a futó preview job ID-ja – oldal újratöltés után innen folytatjuk
+const JOB_KEY = "asa-harmonizer-job";
+
+// alap kijelölés: minden feloldott + validált javaslat minden komponensbe, ahol eltér (patch van hozzá) –
+// a harmonizer.config.json-ban "deny" policyjú komponensek kivételével
+const defaultSelection = (suggestions, targets = {}) => Object.fromEntries(
+  suggestions.filter(s=>s.unified != null && s.validation?.ok !== false)
+    .map(s=>[s.file, s.patches.map(p=>p.component).filter(c=>targets[c]?.apply !== "deny")])
+);
+
+// worker: a Worker URL-je – az API v1 a /v1 alatt (shared/api/contract.js)
+// apiKey: a Worker CLIENT_API_KEY-je – Authorization: Bearer fejlécben megy
+// a komponensek és presetek a repó harmonizer.config.json-jából jönnek (GET /v1/config) – szerkesztés a fő panelen;
+// a felderített (GET /v1/discover) komponensek egy kattintással a futásba vehetők (a konfigba nem íródnak)
+export default function ASA_Harmonizer({ worker, apiKey }) {
+  const [config, setConfig] = useState(null);
+  const [discovered, setDiscovered] = useState(null);
+  const [extra, setExtra] = useState([]);
+  // preset (a config groups egyik neve); "" = minden komponens
+  const [group, setGroup] = useState("");
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
+  const [summary, setSummary] = useState(null);
   const [applyMode, setApplyMode] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [checks, setChecks] = useState(null);
   const [error, setError] = useState(null);
+  // fájl -> célkomponensek; csak ezek a párok mennek a verify / apply kérésbe
+  const [selection, setSelection] = useState({});
+  const [compare, setCompare] = useState({});
+  // fájl -> { text, validation } – a reviewer szerkesztése; validation null = a backend még ellenőrzi
+  const [edits, setEdits] = useState({});
+  const [editing, setEditing] = useState(null);
+  const timers = useRef({});
+
+  // hiba: ApiError { code, message } – a 401 / 403 üzenete már olvasható ("Not authorized ...")
+  const api = createClient({ baseUrl:worker + "/v1", apiKey });
+
+  useEffect(()=>{
+    api.getConfig().then(json=>setConfig(json.config)).catch(e=>setError(e.message));
+    const id = localStorage.getItem(JOB_KEY);
+    if (id) follow(id);
+  }, []);
+
+  const all = config ? [...config.components, ...extra] : [];
+  const components = !config ? [] : group
+    ? config.groups[group].map(name=>config.components.find(c=>c.name === name))
+    : all;
+  const policy = comp=>config?.targets?.[comp]?.apply || "allow";
+
+  async function discover() {
+    setError(null);
+    try {
+      const json = await api.discoverComponents();
+      setDiscovered(json.components.filter(c=>!c.configured));
+    } catch(e){ setError(e.message); }
+  }
 
-  const COMPONENT = { name:"backend", path:"apps/backend" };
+  // a javaslat a futásba vont komponensek közé (név ütközéskor számozva), a preset választás nélkül
+  function accept(c) {
+    let name = c.name;
+    for (let i = 2; all.some(o=>o.name === name); i++) name = c.name + "-" + i;
+    setExtra([...extra, { name, path:c.path, type:c.type }]);
+    setGroup("");
+  }
 
+  // preview jobként – nagy repón a szinkron kérés proxy timeoutba futna
   async function preview() {
-    setLoading(true);
     setError(null);
     setResult(null);
+    setChecks(null);
+    setSelection({});
+    setCompare({});
+    setEdits({});
+    setEditing(null);
+
+    try {
+      const json = await api.startJob({ components });
+
+      localStorage.setItem(JOB_KEY, json.jobId);
+      await follow(json.jobId);
+
+    } catch(e){ setError(e.message); }
+  }
+
+  // a job SSE eseményei (discovered / analyzing / suggestion / failed / done) – a javaslatok
+  // fájlonként jelennek meg, ahogy elkészülnek; újratöltés után a backend visszajátssza az eddigieket
+  async function follow(jobId) {
+    setLoading(true);
+
+    let files = [];
+    let suggestions = [];
+    let finished = false;
+    const progress = ()=>setJob({
+      id:jobId,
+      status:"running",
+      progress:{
+        total:files.length,
+        done:suggestions.length,
+        current:files.find(f=>f.status === "analyzing")?.file || null
+      }
+    });
 
     try {
-      const res = await fetch(worker + "/harmonize/preview", {
-        method:"POST",
-        headers:{ "Content-Type":"application/json" },
-        body:JSON.stringify({
-          components:[
-            {name:"dashboard", path:"apps/dashboard"},
-            {name:"backend", path:"apps/backend"},
-            {name:"worker", path:"apps/worker"}
-          ]
-        })
+      const res = await api.jobEvents(jobId);
+
+      progress();
+      await readEvents(res, (event, data)=>{
+        if (event === "discovered" && data.status === "divergent") files.push({ file:data.file, status:"pending" });
+        if (event === "analyzing" || event === "failed") {
+          files = files.map(f=>f.file === data.file ? { ...f, status:event } : f);
+        }
+        if (event === "suggestion") {
+          files = files.map(f=>f.file === data.file ? { ...f, status:"done" } : f);
+          suggestions = [...suggestions, data.suggestion];
+          setResult(suggestions);
+        }
+        if (event === "failed") setError(data.file + ": " + data.error);
+        if (event === "done") {
+          setSummary(data.summary);
+          setPreviewId(data.previewId);
+          setSelection(defaultSelection(suggestions, config?.targets));
+        }
+        if (event === "error") setError(data.error);
+        if (event === "cancelled") setResult(null);
+        if (["done", "error", "cancelled"].includes(event)) finished = true;
+        progress();
       });
 
-      const json = await res.json();
-      if (!json.ok) throw new Error(json.error);
+      if (!finished) throw new Error("Event stream interrupted – reload to resume");
+      localStorage.removeItem(JOB_KEY);
+
+    } catch(e){
+      // lejárt / ismeretlen job – újratöltéskor nincs mit folytatni
+      if (e.code === "NOT_FOUND") localStorage.removeItem(JOB_KEY);
+      setError(e.message);
+    }
+
+    setJob(null);
+    setLoading(false);
+  }
+
+  // kijelölt fájl × komponens párok -> { components, suggestions } az apply / verify kéréshez
+  function selected() {
+    const picked = result.filter(s=>s.unified != null && selection[s.file]?.length);
+    return {
+      components:all.filter(c=>picked.some(s=>selection[s.file].includes(c.name))),
+      suggestions:picked.map(s=>({
+        file:s.file,
+        unified:contentOf(s),
+        components:selection[s.file],
+        ...(isEdited(s) ? { edited:true } : {})
+      }))
+    };
+  }
+
+  // a reviewer változata, ha eltér a modell kimenetétől – ez megy a verify / apply-ba, edited:true-val
+  const isEdited = s=>edits[s.file] != null && edits[s.file].text !== s.unified;
+  const contentOf = s=>isEdited(s) ? edits[s.file].text : s.unified;
+  const validationOf = s=>(isEdited(s) && edits[s.file].validation) || s.validation;
+  const validating = Object.values(edits).some(e=>e.validation === null);
+
+  // szerkesztés után a backend újravalidál (szintaxis + TS), 600 ms gépelési szünet után
+  function edit(s, text) {
+    clearTimeout(timers.current[s.file]);
+    if (checks?.[s.file]) setChecks(({ [s.file]:_stale, ...rest })=>rest);
+
+    if (text === s.unified) {
+      setEdits(prev=>({ ...prev, [s.file]:{ text, validation:s.validation } }));
+      return;
+    }
+
+    setEdits(prev=>({ ...prev, [s.file]:{ text, validation:null } }));
+    timers.current[s.file] = setTimeout(async ()=>{
+      try {
+        const json = await api.validateEdit(previewId, { file:s.file, unified:text });
+        setEdits(prev=>prev[s.file]?.text === text ? { ...prev, [s.file]:{ text, validation:json.validation } } : prev);
+      } catch(e){ setError(e.message); }
+    }, 600);
+  }
+
+  function resetEdit(file) {
+    clearTimeout(timers.current[file]);
+    setEdits(({ [file]:_dropped, ...rest })=>rest);
+  }
+
+  function toggle(file, comp) {
+    const current = selection[file] || [];
+    setSelection({ ...selection, [file]:current.includes(comp) ? current.filter(c=>c !== comp) : [...current, comp] });
+  }
+
+  // a komponensek jelenlegi változata a javaslat mellett – első megnyitáskor töltődik
+  async function loadCompare(file) {
+    if (compare[file]) return;
+    try {
+      const json = await api.previewFile(previewId, file);
+      setCompare(prev=>({ ...prev, [file]:json }));
+    } catch(e){ setError(e.message); }
+  }
+
+  async function cancel() {
+    if (!job) return;
+    await api.cancelJob(job.id).catch(e=>setError(e.message));
+  }
+
+  // a komponens checkjei (npm test, tsc ...) a javaslatokkal, scratch másolaton – semmi nem íródik a repóba
+  async function verify() {
+    if (!result) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      let json = await api.startVerify({ previewId, ...selected() });
 
-      setResult(json.suggestions);
+      while (json.job.status === "running") {
+        await new Promise(r=>setTimeout(r, 1500));
+        json = await api.getVerify(json.job.id);
+      }
+      if (json.job.status !== "done") throw new Error(json.job.error || "Verify " + json.job.status);
+
+      setChecks(json.job.result.files);
 
     } catch(e){ setError(e.message); }
 
     setLoading(false);
   }
 
-  async function apply() {
+  // mode: "fs" – munkakönyvtárba (undo-val), "git" – új ágra commitolva, review-ra
+  async function apply(mode = "fs") {
     if (!result) return;
 
     setLoading(true);
     setError(null);
 
     try {
-      const res = await fetch(worker + "/harmonize/apply", {
-        method:"POST",
-        headers:{ "Content-Type":"application/json" },
-        body:JSON.stringify({
-          component: COMPONENT,
-          suggestions: result
-        })
-      });
+      const json = await api.apply({ previewId, ...selected(), mode });
+
+      // validáción elbukott / nem teljes javaslatok – a backend nem írta ki őket
+      let notes = json.blocked.length
+        ? "\nBlocked: " + json.blocked.map(b=>b.file + " (" + (b.diagnostics[0]?.message || "invalid") + ")").join(", ")
+        : "";
+
+      if (json.edited?.length) notes += "\nEdited by reviewer: " + json.edited.join(", ");
+
+      // verify nélküli / azóta módosított / eleve piros checkű komponensek
+      const unverified = Object.entries(json.verification).filter(([,v])=>v !== "passed");
+      if (unverified.length) notes += "\nChecks: " + unverified.map(([c,v])=>c + " " + v).join(", ");
+
+      if (mode === "git") {
+        alert((json.branch
+          ? "Harmonizer committed " + json.commits.length + " commits to branch " + json.branch
+          : "Nothing to commit – all files already match.") + notes);
+        setLoading(false);
+        return;
+      }
+
+      setLastRun(json.runId);
+      alert("Harmonizer applied: " + json.applied + " files! (run " + json.runId + ")" + notes);
+
+    } catch(e){
+      // CHECKS_REGRESSED / VALIDATION_FAILED: a details mondja meg, mi akadt el
+      if (e.code === "VALIDATION_FAILED") setError(e.message + ": " + e.details.map(b=>b.file).join(", "));
+      else setError(e.message);
+    }
+
+    setLoading(false);
+  }
+
+  // az utolsó apply snapshotjának visszaállítása
+  async function undo() {
+    if (!lastRun) return;
+
+    setLoading(true);
+    setError(null);
 
-      const json = await res.json();
-      if (!json.ok) throw new Error(json.error);
+    try {
+      const json = await api.undo(lastRun);
 
-      alert("Harmonizer applied: " + json.applied + " files!");
+      setLastRun(null);
+      alert("Harmonizer undo: " + json.restored + " files restored!");
 
     } catch(e){ setError(e.message); }
 
     setLoading(false);
   }
 
+  // a run riportja (GET /v1/preview/:id/report): md a PR leírásba, html megosztásra, json, sarif a code scanningnek
+  async function downloadReport(format, extension) {
+    setError(null);
+
+    try {
+      const res = await api.report(previewId, { format });
+
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = "asa-harmonizer-" + previewId + "." + extension;
+      a.click();
+      URL.revokeObjectURL(url);
+
+    } catch(e){ setError(e.message); }
+  }
+
+  // .patch bundle a backendtől, a tárolt preview runból – a reviewerek patchként nézik át a változásokat
+  async function downloadPatch() {
+    if (!previewId) return;
+
+    setError(null);
+
+    try {
+      const res = await api.patch({ previewId });
+
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = "asa-harmonizer-" + previewId + ".patch";
+      a.click();
+      URL.revokeObjectURL(url);
+
+    } catch(e){ setError(e.message); }
+  }
+
+  const picked = Object.values(selection).reduce((n, comps)=>n + comps.length, 0);
+
   return (
     <div style={root}>
       <div style={vortex}></div>
@@ -69,24 +336,208 @@ export default function ASA_Harmonizer({ worker }) {
 
         <h2 style={title}>ASA CODE HARMONIZER</h2>
 
+        {summary && (
+          <p style={why}>
+            IN SYNC: {summary.inSync} · TRIVIAL: {summary.trivial} · DIVERGENT: {summary.divergent} · CACHED: {summary.cached}
+            {summary.incomplete > 0 && <span style={conflictHead}> · INCOMPLETE: {summary.incomplete}</span>}
+            {summary.invalid > 0 && <span style={conflictHead}> · INVALID: {summary.invalid}</span>}
+          </p>
+        )}
+
+        {loading && job?.status === "running" && (
+          <p style={why}>
+            ANALYZING {job.progress.done}/{job.progress.total}
+            {job.progress.current ? " · " + job.progress.current : ""}
+            {" "}
+            <button style={patchButton} onClick={cancel}>CANCEL</button>
+          </p>
+        )}
+
+        {!result && config && (
+          <p style={why}>
+            {config.components.length < 2
+              ? "ADD AT LEAST TWO COMPONENTS TO harmonizer.config.json"
+              : components.map(c=>c.name).join(" · ")}
+            {Object.keys(config.groups).length > 0 && (
+              <select style={presetSelect} value={group} disabled={loading} onChange={e=>setGroup(e.target.value)}>
+                <option value="">ALL COMPONENTS</option>
+                {Object.keys(config.groups).map(g=><option key={g} value={g}>{g}</option>)}
+              </select>
+            )}
+            {" "}
+            <button style={smallButton} disabled={loading} onClick={discover}>DISCOVER</button>
+          </p>
+        )}
+
+        {!result && discovered && (
+          <p style={why}>
+            {discovered.length === 0 && "NOTHING NEW FOUND"}
+            {discovered.filter(c=>!all.some(o=>o.path === c.path)).map(c=>(
+              <button key={c.path} style={{ ...smallButton, marginRight:"6px" }} title={c.evidence.join(", ")} onClick={()=>accept(c)}>
+                + {c.name} ({c.type}) {c.path}
+              </button>
+            ))}
+          </p>
+        )}
+
         {!result && (
-          <button style={button} disabled={loading} onClick={preview}>
+          <button style={button} disabled={loading || components.length < 2} onClick={preview}>
             {loading ? "Analyzing..." : "RUN PREVIEW"}
           </button>
         )}
 
         {result && (
           <>
-            <button style={applyButton} disabled={loading} onClick={apply}>
-              {loading ? "Applying..." : "APPLY CHANGES"}
+            <button style={applyButton} disabled={loading || validating || !picked} onClick={()=>apply("fs")}>
+              {loading ? "Applying..." : validating ? "VALIDATING EDITS..." : "APPLY SELECTED (" + picked + ")"}
             </button>
 
+            <button style={patchButton} disabled={loading || validating || !picked} onClick={()=>apply("git")}>
+              COMMIT SELECTED TO BRANCH
+            </button>
+
+            <button style={patchButton} disabled={loading || validating || !picked} onClick={verify}>
+              {loading ? "Running..." : "RUN CHECKS"}
+            </button>
+
+            <button style={patchButton} disabled={loading || !previewId} onClick={downloadPatch}>
+              DOWNLOAD .PATCH
+            </button>
+
+            {previewId && (
+              <p style={why}>
+                REPORT:
+                {[["markdown", "md"], ["html", "html"], ["json", "json"], ["sarif", "sarif"]].map(([format, extension])=>(
+                  <button key={format} style={{ ...smallButton, marginLeft:"6px" }} disabled={loading} onClick={()=>downloadReport(format, extension)}>
+                    {extension.toUpperCase()}
+                  </button>
+                ))}
+              </p>
+            )}
+
+            {lastRun && (
+              <button style={patchButton} disabled={loading} onClick={undo}>
+                UNDO LAST APPLY
+              </button>
+            )}
+
             <div style={scroll}>
               {result.map((s,i)=>(
                 <div key={i} style={fileBox}>
-                  <h4>{s.file}</h4>
-                  <pre style={code}>{s.unified}</pre>
+                  <h4>
+                    {s.file} <span style={why}>[{s.type}]</span>
+                    {s.source === "llm" && <span style={why}> [{s.cached ? "cached" : "fresh"}]</span>}
+                    {s.coverage?.chunks > 1 && <span style={why}> [{s.coverage.chunks} parts]</span>}
+                    {s.coverage && !s.coverage.complete && <span style={conflictHead}> [INCOMPLETE]</span>}
+                    {validationOf(s) && !validationOf(s).ok && <span style={conflictHead}> [INVALID – NOT APPLIED]</span>}
+                    {s.validation?.repair === "fixed" && <span style={why}> [repaired]</span>}
+                    {isEdited(s) && <span style={editedTag}> [EDITED BY REVIEWER]</span>}
+                    {checks?.[s.file]?.map(v=>(
+                      <span key={v.component} style={v.status === "regressed" ? conflictHead : why}>
+                        {" "}[CHECKS {v.status.toUpperCase()}{v.status === "regressed" ? " – NOT APPLIED" : ""}]
+                      </span>
+                    ))}
+                  </h4>
+                  {s.match === "similar" && (
+                    <p style={why}>
+                      ~{Math.round(s.confidence*100)}% similar: {Object.entries(s.paths).map(([c,p])=>`${c}:${p}`).join(", ")}
+                    </p>
+                  )}
+                  {previewId && s.unified != null && s.patches?.length > 0 && (
+                    <p style={why}>
+                      APPLY TO:
+                      {s.patches.map(p=>(
+                        <label key={p.component} style={target}>
+                          <input
+                            type="checkbox"
+                            checked={(selection[s.file] || []).includes(p.component)}
+                            disabled={policy(p.component) === "deny"}
+                            onChange={()=>toggle(s.file, p.component)}
+                          />
+                          {p.component}
+                          {policy(p.component) === "review" && " (BRANCH ONLY)"}
+                          {policy(p.component) === "deny" && " (READ-ONLY)"}
+                        </label>
+                      ))}
+                    </p>
+                  )}
+
+                  {previewId && (
+                    <details onToggle={e=>e.currentTarget.open && loadCompare(s.file)}>
+                      <summary style={why}>COMPARE VERSIONS</summary>
+                      {compare[s.file] ? <Compare data={compare[s.file]} /> : <p style={why}>Loading...</p>}
+                    </details>
+                  )}
+
+                  {previewId && s.unified != null && (
+                    <p style={why}>
+                      <button style={smallButton} onClick={()=>setEditing(editing === s.file ? null : s.file)}>
+                        {editing === s.file ? "DONE" : "EDIT"}
+                      </button>
+                      {isEdited(s) && (
+                        <>
+                          {" "}{changedLines(s.unified, edits[s.file].text)} lines changed vs model output
+                          {edits[s.file].validation === null ? " · validating..." : ""}
+                          {" "}<button style={smallButton} onClick={()=>resetEdit(s.file)}>RESET</button>
+                        </>
+                      )}
+                    </p>
+                  )}
+
+                  {s.unified != null && (editing === s.file
+                    ? <Editor value={contentOf(s)} file={s.file} onChange={text=>edit(s, text)} />
+                    : <pre style={code}><Highlight code={contentOf(s)} file={s.file} /></pre>
+                  )}
                   <p style={why}>{s.why}</p>
+                  {validationOf(s)?.warnings?.map((w,j)=>(
+                    <p key={"w"+j} style={why}>
+                      TYPE CHECK SKIPPED{w.component ? " @" + w.component : ""} – {w.message}
+                    </p>
+                  ))}
+                  {validationOf(s)?.diagnostics.map((d,j)=>(
+                    <p key={"v"+j} style={conflictHead}>
+                      {d.source.toUpperCase()}{d.component ? " @" + d.component : ""}
+                      {d.line != null ? " " + d.line + ":" + d.column : ""} – {d.message}
+                    </p>
+                  ))}
+                  {checks?.[s.file]?.flatMap(v=>v.checks).filter(c=>!c.ok).map((c,j)=>(
+                    <details key={"c"+j}>
+                      <summary style={conflictHead}>
+                        FAILED: {c.command}{c.baselineOk ? "" : " (already failing before harmonization)"}
+                      </summary>
+                      <pre style={code}>{c.output}</pre>
+                    </details>
+                  ))}
+                  {s.coverage?.skipped.map((k,j)=>(
+                    <p key={j} style={conflictHead}>
+                      PART {k.part} NOT HARMONIZED ({k.keys.join(", ") || "whole file"}): {k.reason}
+                    </p>
+                  ))}
+
+                  {s.patches?.map((p,j)=>(
+                    <details key={j}>
+                      <summary style={why}>{p.component}: {p.path}</summary>
+                      <pre style={code}>{p.diff}</pre>
+                    </details>
+                  ))}
+
+                  {s.conflicts?.length > 0 && (
+                    <div style={conflictBox}>
+                      {s.conflicts.map((c,j)=>(
+                        <div key={j}>
+                          <div style={conflictHead}>
+                            CONFLICT @ line {c.line}{c.key ? ` (${c.key})` : ""}
+                          </div>
+                          {c.variants.map((v,k)=>(
+                            <div key={k}>
+                              <span style={why}>{v.components.join(", ")}</span>
+                              <pre style={code}>{v.text}</pre>
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -100,6 +551,89 @@ export default function ASA_Harmonizer({ worker }) {
 }
 
 
+// hány sor tér el a modell kimenetétől (közös eleje / vége levágva)
+function changedLines(model, edited) {
+  const a = model.split("\n");
+  const b = edited.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  return Math.max(a.length, b.length) - start - end;
+}
+
+// színezett kód – shared/ui/highlight.js, a panellel közös tokenizáló
+function Highlight({ code, file }) {
+  return tokenize(code, file).map((t,i)=>(
+    <span key={i} style={t.kind ? tokenColors[t.kind] : undefined}>{t.text}</span>
+  ));
+}
+
+// átlátszó textarea a színezett <pre> fölött; a két réteg görgetése együtt mozog, Tab = két szóköz
+function Editor({ value, file, onChange }) {
+  const layer = useRef(null);
+
+  return (
+    <div style={editorBox}>
+      <pre ref={layer} style={editorLayer} aria-hidden="true">
+        <Highlight code={value} file={file} />{"\n"}
+      </pre>
+      <textarea
+        style={editorInput}
+        value={value}
+        spellCheck={false}
+        onChange={e=>onChange(e.target.value)}
+        onScroll={e=>{
+          layer.current.scrollTop = e.currentTarget.scrollTop;
+          layer.current.scrollLeft = e.currentTarget.scrollLeft;
+        }}
+        onKeyDown={e=>{
+          if (e.key !== "Tab") return;
+          e.preventDefault();
+          const input = e.currentTarget;
+          const at = input.selectionStart;
+          onChange(value.slice(0, at) + "  " + value.slice(input.selectionEnd));
+          requestAnimationFrame(()=>input.setSelectionRange(at + 2, at + 2));
+        }}
+      />
+    </div>
+  );
+}
+
+
+// komponensenként a jelenlegi változat + a javaslat egymás mellett; kiemelve a javaslattól eltérő sorok
+function Compare({ data }) {
+  const lines = text=>{
+    const l = (text ?? "").split("\n");
+    if (l[l.length - 1] === "") l.pop();
+    return l;
+  };
+  const inHunk = (hunks, side, i)=>hunks.some(h=>i >= h[side + "Start"] && i < h[side + "End"]);
+  const all = data.versions.flatMap(v=>v.hunks);
+
+  const column = (key, title, text, marked)=>(
+    <div key={key} style={compareCol}>
+      <div style={why}>{title}</div>
+      <pre style={code}>
+        {lines(text).map((l,i)=><div key={i} style={marked(i) ? changedLine : undefined}>{l || " "}</div>)}
+      </pre>
+    </div>
+  );
+
+  return (
+    <div style={{ ...compareGrid, gridTemplateColumns:`repeat(${data.versions.length + 1}, minmax(0, 1fr))` }}>
+      {data.versions.map(v=>column(
+        v.component,
+        v.component + ": " + v.path + (v.content === null ? " (new file)" : ""),
+        v.content,
+        i=>inHunk(v.hunks, "a", i)
+      ))}
+      {column("unified", "UNIFIED SUGGESTION", data.unified, i=>inHunk(all, "b", i))}
+    </div>
+  );
+}
+
+
 /* --- ASA UI STYLES (TRIPLE-BLACK + TURQUOISE + CYAN + VORTEX) --- */
 
 const root = {
@@ -161,6 +695,14 @@ const applyButton = {
   marginBottom:"20px"
 };
 
+const patchButton = {
+  ...button,
+  background:"transparent",
+  color:"#00FF9F",
+  border:"1px solid #00ff9f",
+  marginBottom:"20px"
+};
+
 const scroll = {
   maxHeight:"500px",
   overflowY:"auto",
@@ -181,6 +723,86 @@ const code = { whiteSpace:"pre-wrap", fontSize:"12px", color:"#0ff" };
 
 const why = { fontSize:"12px", color:"#A0FFF0" };
 
+const conflictBox = {
+  marginTop:"8px",
+  padding:"8px",
+  borderRadius:"8px",
+  border:"1px solid #ff505088",
+  background:"rgba(140,30,30,0.2)"
+};
+
+const conflictHead = { fontSize:"11px", letterSpacing:"0.1em", color:"#ff8080" };
+
+const target = { marginLeft:"10px", cursor:"pointer" };
+
+const presetSelect = {
+  marginLeft:"10px",
+  background:"#00151a",
+  color:"#00FF9F",
+  border:"1px solid #00ff9f88",
+  borderRadius:"6px",
+  fontSize:"11px"
+};
+
+const compareGrid = { display:"grid", gap:"8px" };
+
+const compareCol = { minWidth:0, overflowX:"auto" };
+
+const changedLine = { background:"rgba(0,183,194,0.25)" };
+
+const smallButton = {
+  padding:"2px 8px",
+  fontSize:"11px",
+  background:"transparent",
+  color:"#00FF9F",
+  border:"1px solid #00ff9f88",
+  borderRadius:"6px",
+  cursor:"pointer"
+};
+
+const editedTag = { fontSize:"11px", letterSpacing:"0.1em", color:"#ffd080" };
+
+// a textarea és a színezett réteg pontosan fedje egymást: azonos font, padding, tördelés
+const editorText = {
+  margin:0,
+  padding:"8px",
+  fontFamily:"monospace",
+  fontSize:"12px",
+  lineHeight:"1.45",
+  whiteSpace:"pre",
+  tabSize:2,
+  overflow:"auto",
+  boxSizing:"border-box"
+};
+
+const editorBox = { position:"relative" };
+
+const editorLayer = { ...editorText, minHeight:"160px", maxHeight:"360px", color:"#0ff" };
+
+const editorInput = {
+  ...editorText,
+  position:"absolute",
+  inset:0,
+  width:"100%",
+  height:"100%",
+  resize:"none",
+  border:"1px solid #ffd08088",
+  borderRadius:"6px",
+  background:"transparent",
+  color:"transparent",
+  caretColor:"#00FF9F",
+  outline:"none"
+};
+
+const tokenColors = {
+  keyword:{ color:"#7fd8ff" },
+  string:{ color:"#9dffb0" },
+  comment:{ color:"#A0FFF088", fontStyle:"italic" },
+  number:{ color:"#ffc880" },
+  property:{ color:"#00B7C2" },
+  punct:{ color:"#A0FFF0" }
+};
+
 const err = {
   background:"#400",
   color:"#fff",
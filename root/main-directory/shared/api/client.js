@@ -0,0 +1,139 @@
+import { operation, buildPath, validateResponse } from "./contract.js";
+import { ApiError } from "./errors.js";
+
+// --- API v1 KLIENS ---
+// Egy modul mindkét dashboardnak (Worker-en át) és a Workernek (a backend felé):
+//   const api = createClient({ baseUrl:worker + "/v1", apiKey });
+//   const run = await api.preview({ components });          // JSON válasz, szerződés szerint ellenőrizve
+//   const res = await api.jobEvents(jobId, { signal });      // SSE Response – readEvents(res, onEvent)
+//   const res = await api.send("apply", { body:rawText });   // nyers továbbítás (Worker), válasz olvasás nélkül
+// fetch: a Worker aláíró fetch-et ad (HMAC, lásd backend/auth.js); alap: globalThis.fetch
+// ok:false / nem 2xx válasz -> ApiError { code, status, message, details }
+// validateResponses: a válasz eltér a szerződéstől -> ApiError("INVALID_RESPONSE")
+
+export function createClient({ baseUrl, apiKey, fetch:doFetch = (...a) => globalThis.fetch(...a), validateResponses = true } = {}) {
+  const base = String(baseUrl || "").replace(/\/+$/, "");
+
+  // nyers kérés: nincs body parse, az SSE / patch stream érintetlen
+  async function send(operationId, { params, query, body, headers = {}, signal } = {}) {
+    const op = operation(operationId);
+    if (!op) throw new Error(`Unknown API operation: ${operationId}`);
+
+    const search = new URLSearchParams(Object.entries(query || {}).filter(([, v]) => v != null)).toString();
+    const url = base + buildPath(op, params) + (search ? "?" + search : "");
+    const payload = body === undefined || typeof body === "string" ? body : JSON.stringify(body);
+
+    try {
+      return await doFetch(url, {
+        method:op.method,
+        headers:{
+          ...(payload !== undefined ? { "Content-Type":"application/json" } : {}),
+          ...(apiKey ? { Authorization:"Bearer " + apiKey } : {}),
+          ...headers
+        },
+        body:payload,
+        signal
+      });
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      throw new ApiError("UPSTREAM_UNAVAILABLE", `Harmonizer API unreachable: ${e?.message || e}`);
+    }
+  }
+
+  // JSON művelet: ok:true válasz, különben ApiError
+  async function request(operationId, opts = {}) {
+    const op = operation(operationId);
+    const res = await send(operationId, opts);
+    return readJson(op, res);
+  }
+
+  // SSE / fájl művelet: a Response, ha 2xx; különben a JSON hibaválaszból ApiError
+  async function stream(operationId, opts = {}) {
+    const op = operation(operationId);
+    const res = await send(operationId, opts);
+    if (!res.ok) await readJson(op, res);
+    return res;
+  }
+
+  async function readJson(op, res) {
+    const data = await res.json().catch(() => null);
+
+    if (!res.ok || data?.ok === false) {
+      throw toError(res.status, data);
+    }
+
+    if (validateResponses) {
+      const errors = validateResponse(op, res.status, data);
+      if (errors.length) {
+        throw new ApiError("INVALID_RESPONSE", `${op.operationId}: response does not match the v1 contract`, errors);
+      }
+    }
+    return data;
+  }
+
+  return {
+    send,
+    request,
+    preview:(body, opts) => request("preview", { ...opts, body }),
+    previewStream:(body, opts) => stream("previewStream", { ...opts, body }),
+    previewFile:(id, file, opts) => request("previewFile", { ...opts, params:{ id }, query:{ file } }),
+    validateEdit:(id, body, opts) => request("validateEdit", { ...opts, params:{ id }, body }),
+    report:(id, query, opts) => stream("previewReport", { ...opts, params:{ id }, query }),
+    startJob:(body, opts) => request("startJob", { ...opts, body }),
+    getJob:(id, opts) => request("getJob", { ...opts, params:{ id } }),
+    cancelJob:(id, opts) => request("cancelJob", { ...opts, params:{ id } }),
+    jobEvents:(id, opts) => stream("jobEvents", { ...opts, params:{ id } }),
+    startVerify:(body, opts) => request("startVerify", { ...opts, body }),
+    getVerify:(id, opts) => request("getVerify", { ...opts, params:{ id } }),
+    cancelVerify:(id, opts) => request("cancelVerify", { ...opts, params:{ id } }),
+    apply:(body, opts) => request("apply", { ...opts, body }),
+    undo:(runId, body = {}, opts) => request("undo", { ...opts, params:{ runId }, body }),
+    patch:(body, opts) => stream("patch", { ...opts, body }),
+    getConfig:opts => request("getConfig", opts),
+    saveConfig:(config, opts) => request("saveConfig", { ...opts, body:config }),
+    discoverComponents:opts => request("discoverComponents", opts),
+    listCache:opts => request("listCache", opts),
+    purgeCache:(query, opts) => request("purgeCache", { ...opts, query }),
+    contract:opts => request("contract", opts)
+  };
+}
+
+function toError(status, data) {
+  if (data && typeof data.error === "string") {
+    const e = new ApiError(data.code || "INTERNAL", data.error, data.details);
+    // a Worker / backend auth hibája – a panelen olvashatóan
+    if (e.code === "UNAUTHORIZED" || e.code === "FORBIDDEN") e.message = `Not authorized (${status}): ${data.error}`;
+    return e;
+  }
+  return ApiError.from({ status, message:`Harmonizer API error (HTTP ${status})` });
+}
+
+// SSE olvasás fetch-csel – az EventSource nem küld Authorization fejlécet
+// onEvent(event, data) minden teljes eseményre; a stream végén tér vissza
+export async function readEvents(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream:true });
+
+    let idx;
+    while ((idx = buffer.indexOf("\n\n")) >= 0) {
+      const chunk = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of chunk.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+    }
+  }
+}
+
+export { ApiError };
@@ -0,0 +1,746 @@
+import { validate } from "./schema.js";
+import { ERROR_CODES } from "./errors.js";
+
+// --- ASA HARMONIZER API v1 – EGYETLEN SZERZŐDÉS ---
+// OpenAPI 3.1 dokumentum (JSON Schema); ebből dolgozik:
+//   backend (backend/api.js):  útvonalak, kérés validáció, válasz ellenőrzés – GET /api/v1/openapi.json
+//   Worker:                    csak ismert műveletet és érvényes body-t enged tovább
+//   kliens (client.js):        URL építés, válasz validáció – mindkét dashboard és a Worker ezt használja
+// Mezőnevek mindenhol: javaslat = { unified, why, ... }; apply / verify = { previewId, components, suggestions }.
+// Hibaválasz: { ok:false, code, error, details? } – lásd errors.js.
+
+export const API_VERSION = "v1";
+export const BASE_PATH = "/api/v1";
+
+const json = schema => ({ content:{ "application/json":{ schema } } });
+const ref = name => ({ $ref:`#/components/schemas/${name}` });
+const ok = (description, schema, status = "200") => ({
+  [status]:{ description, ...json(schema) },
+  default:{ description:"Error", ...json(ref("Error")) }
+});
+const idParam = name => ({ name, in:"path", required:true, schema:{ type:"string", pattern:"^[\\w-]+$" } });
+
+const ID = { type:"string", pattern:"^[\\w-]+$" };
+const STRINGS = { type:"array", items:{ type:"string" } };
+const STRING_MAP = { type:"object", additionalProperties:{ type:"string" } };
+
+const schemas = {
+  Error:{
+    type:"object",
+    required:["ok", "code", "error"],
+    properties:{
+      ok:{ const:false },
+      code:{ type:"string", enum:ERROR_CODES },
+      error:{ type:"string" },
+      details:{}
+    }
+  },
+
+  Component:{
+    type:"object",
+    required:["name", "path"],
+    additionalProperties:false,
+    properties:{
+      name:{ type:"string", minLength:1 },
+      path:{ type:"string", minLength:1 },         // REPO_ROOT-hoz relatív mappa
+      include:STRINGS,                              // globok a komponens gyökeréhez képest
+      exclude:STRINGS,                              // gitignore szintaxis
+      hidden:{ type:"boolean" },
+      followSymlinks:{ type:"boolean" },
+      type:ref("ComponentType")                     // a /discover adja; csak tájékoztató
+    }
+  },
+
+  ComponentType:{ type:"string", enum:["frontend", "backend", "worker", "library"] },
+
+  FileType:{
+    type:"object",
+    required:["name", "match", "strategy"],
+    additionalProperties:false,
+    properties:{
+      name:{ type:"string", minLength:1 },
+      match:{ anyOf:[{ type:"string" }, STRINGS] },
+      strategy:{ type:"string", enum:["script", "json", "css", "text"] },
+      prompt:{ type:"string" },
+      sets:STRINGS
+    }
+  },
+
+  PreviewRequest:{
+    type:"object",
+    required:["components"],
+    additionalProperties:false,
+    properties:{
+      components:{ type:"array", minItems:1, items:ref("Component") },
+      similarity:{ type:"number", minimum:0, maximum:1 },  // átnevezett fájlok párosítása (MinHash)
+      fileTypes:{ type:"array", items:ref("FileType") },
+      timeoutMs:{ type:"integer", minimum:0 },              // run timeout, 0 = nincs
+      repair:{ type:"boolean" }                             // hibás LLM javaslat egyszer vissza a modellhez
+    }
+  },
+
+  // REPO_ROOT/harmonizer.config.json (backend/config.js) – a komponens lista egyetlen helye
+  // a kérés mezői (similarity, timeoutMs, fileTypes, repair) felülírják az itteni alapértékeket
+  HarmonizerConfig:{
+    type:"object",
+    additionalProperties:false,
+    properties:{
+      $schema:{ type:"string" },
+      components:{ type:"array", items:ref("Component") },
+      groups:{ type:"object", additionalProperties:{ type:"array", minItems:1, items:{ type:"string", minLength:1 } } },  // preset -> komponens nevek
+      ignore:STRINGS,                                     // gitignore szintaxis, REPO_ROOT-hoz képest
+      similarity:{ type:"number", minimum:0, maximum:1 },
+      timeoutMs:{ type:"integer", minimum:0 },
+      fileTypes:{ type:"array", items:ref("FileType") },
+      model:{
+        type:"object",
+        additionalProperties:false,
+        properties:{
+          provider:{ type:"string", enum:["openai", "local", "mock"] },
+          name:{ type:"string", minLength:1 },
+          baseUrl:{ type:"string", pattern:"^https?://" },  // csak "local"
+          repair:{ type:"boolean" }
+        }
+      },
+      // komponens -> apply policy: allow | review (csak git ágra) | deny (csak összehasonlítás, nem írható)
+      targets:{
+        type:"object",
+        additionalProperties:{
+          type:"object",
+          required:["apply"],
+          additionalProperties:false,
+          properties:{ apply:{ type:"string", enum:["allow", "review", "deny"] } }
+        }
+      }
+    }
+  },
+
+  ConfigResponse:{
+    type:"object",
+    required:["ok", "config", "exists", "path"],
+    properties:{
+      ok:{ const:true },
+      config:ref("HarmonizerConfig"),
+      exists:{ type:"boolean" },    // false = még nincs fájl, az üres alapértelmezés jön
+      path:{ type:"string" }        // REPO_ROOT-hoz relatív
+    }
+  },
+
+  DiscoveredComponent:{
+    type:"object",
+    required:["name", "path", "type", "evidence", "configured"],
+    properties:{
+      name:{ type:"string" },                  // package.json name (scope nélkül) vagy a mappa neve; már konfigurált: a config neve
+      path:{ type:"string" },                  // REPO_ROOT-hoz relatív
+      type:ref("ComponentType"),
+      evidence:STRINGS,                        // miből derült ki: "pnpm workspace", "wrangler.toml", "dependency react", ...
+      configured:{ type:"boolean" }            // ez az útvonal már szerepel a harmonizer.config.json-ban
+    }
+  },
+
+  DiscoverResponse:{
+    type:"object",
+    required:["ok", "components", "workspaces"],
+    properties:{
+      ok:{ const:true },
+      components:{ type:"array", items:ref("DiscoveredComponent") },
+      workspaces:{
+        type:"object",
+        required:["manager", "patterns"],
+        properties:{
+          manager:{ type:["string", "null"], enum:["npm", "yarn", "pnpm", null] },
+          patterns:STRINGS
+        }
+      }
+    }
+  },
+
+  Diagnostic:{
+    type:"object",
+    required:["source", "message"],
+    properties:{
+      source:{ type:"string", enum:["reply", "syntax", "types", "coverage"] },  // coverage: csak az apply kapu (blocked)
+      component:{ type:"string" },
+      line:{ type:["integer", "null"] },
+      column:{ type:["integer", "null"] },
+      message:{ type:"string" },
+      code:{ type:"string" }
+    }
+  },
+
+  Validation:{
+    type:"object",
+    required:["ok", "checked", "diagnostics"],
+    properties:{
+      ok:{ type:"boolean" },
+      checked:STRINGS,
+      diagnostics:{ type:"array", items:ref("Diagnostic") },
+      warnings:{ type:"array", items:ref("Diagnostic") },  // nem blokkol – pl. tsconfig van, typescript nincs
+      repair:{ type:"string", enum:["fixed", "failed"] }
+    }
+  },
+
+  Coverage:{
+    type:"object",
+    required:["complete", "chunks", "calls", "skipped"],
+    properties:{
+      complete:{ type:"boolean" },
+      chunks:{ type:"integer" },
+      calls:{ type:"integer" },
+      tokens:{ type:"integer" },
+      limit:{ type:"integer" },
+      skipped:{
+        type:"array",
+        items:{
+          type:"object",
+          required:["part", "keys", "reason"],
+          properties:{ part:{ type:"integer" }, keys:STRINGS, reason:{ type:"string" } }
+        }
+      }
+    }
+  },
+
+  Conflict:{
+    type:"object",
+    required:["line", "variants"],
+    properties:{
+      line:{ type:"integer" },
+      endLine:{ type:"integer" },
+      key:{ type:"string" },
+      variants:{
+        type:"array",
+        items:{ type:"object", required:["components", "text"], properties:{ components:STRINGS, text:{ type:"string" } } }
+      }
+    }
+  },
+
+  Patch:{
+    type:"object",
+    required:["component", "path", "diff"],
+    properties:{ component:{ type:"string" }, path:{ type:"string" }, diff:{ type:"string" } }
+  },
+
+  Suggestion:{
+    type:"object",
+    required:["file", "type", "unified", "why", "source", "cached", "coverage", "validation", "conflicts", "paths", "match", "confidence", "patches"],
+    properties:{
+      file:{ type:"string" },
+      type:{ type:"string" },
+      strategy:{ type:"string" },
+      unified:{ type:["string", "null"] },   // null = feloldatlan konfliktus, nem applyolható
+      why:{ type:"string" },
+      source:{ type:"string", enum:["merge", "llm"] },
+      cached:{ type:"boolean" },
+      raw:{ type:"boolean" },
+      coverage:ref("Coverage"),
+      validation:ref("Validation"),
+      conflicts:{ type:"array", items:ref("Conflict") },
+      paths:STRING_MAP,
+      match:{ type:"string", enum:["path", "similar"] },
+      confidence:{ type:"number" },
+      hashes:STRING_MAP,                     // komponens -> a jelenlegi tartalom hash-e
+      pairs:{ type:"array", items:ref("PairSimilarity") },
+      patches:{ type:"array", items:ref("Patch") }
+    }
+  },
+
+  // két komponens változatának sor-hasonlósága (0..1, backend/similarity.js lineSimilarity)
+  PairSimilarity:{
+    type:"object",
+    required:["a", "b", "similarity"],
+    properties:{
+      a:{ type:"string" },
+      b:{ type:"string" },
+      similarity:{ type:"number", minimum:0, maximum:1 }
+    }
+  },
+
+  // a kliens a preview javaslatait küldi vissza (apply / verify / patch) – csak a file + unified számít
+  // components: mely célkomponensekbe menjen ez a fájl (a kérés components listájából); hiányzik = mindbe
+  // edited: a reviewer átírta a unified-et – a preview-tól eltérő tartalom csak ezzel mehet át
+  SuggestionInput:{
+    type:"object",
+    required:["file", "unified"],
+    properties:{
+      file:{ type:"string", minLength:1 },
+      unified:{ type:["string", "null"] },
+      why:{ type:"string" },
+      components:STRINGS,
+      edited:{ type:"boolean" },
+      patches:{ type:"array", items:ref("Patch") }
+    }
+  },
+
+  // egy preview fájl összehasonlításhoz: minden komponens jelenlegi változata + a javaslat
+  // hunks: diff a komponens változata (a) és a javaslat (b) között – 0-alapú, félig nyitott sor indexek
+  PreviewFile:{
+    type:"object",
+    required:["ok", "previewId", "file", "unified", "versions"],
+    properties:{
+      ok:{ const:true },
+      previewId:ID,
+      file:{ type:"string" },
+      unified:{ type:["string", "null"] },
+      versions:{
+        type:"array",
+        items:{
+          type:"object",
+          required:["component", "path", "content", "hunks"],
+          properties:{
+            component:{ type:"string" },
+            path:{ type:"string" },                 // REPO_ROOT-hoz relatív
+            content:{ type:["string", "null"] },    // null = a komponensben nincs ilyen fájl (az apply létrehozza)
+            hunks:{
+              type:"array",
+              items:{
+                type:"object",
+                required:["aStart", "aEnd", "bStart", "bEnd"],
+                properties:Object.fromEntries(["aStart", "aEnd", "bStart", "bEnd"].map(k => [k, { type:"integer", minimum:0 }]))
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  FileStatus:{
+    type:"object",
+    required:["file", "type", "paths"],
+    properties:{
+      file:{ type:"string" },
+      type:{ type:"string" },
+      paths:STRING_MAP,
+      hashes:STRING_MAP,
+      pairs:{ type:"array", items:ref("PairSimilarity") },
+      reason:{ type:"string" }
+    }
+  },
+
+  Summary:{
+    type:"object",
+    required:["inSync", "trivial", "divergent", "cached", "incomplete", "invalid"],
+    properties:Object.fromEntries(
+      ["inSync", "trivial", "divergent", "cached", "incomplete", "invalid"].map(k => [k, { type:"integer", minimum:0 }])
+    )
+  },
+
+  FailedFile:{
+    type:"object",
+    required:["file", "error"],
+    properties:{ file:{ type:"string" }, error:{ type:"string" } }
+  },
+
+  RunResult:{
+    type:"object",
+    required:["ok", "previewId", "suggestions", "inSync", "trivial", "failed", "summary"],
+    properties:{
+      ok:{ const:true },
+      previewId:ID,                          // az apply csak ennek a runnak a fájljaira írhat
+      suggestions:{ type:"array", items:ref("Suggestion") },
+      inSync:{ type:"array", items:ref("FileStatus") },
+      trivial:{ type:"array", items:ref("FileStatus") },
+      failed:{ type:"array", items:ref("FailedFile") },
+      summary:ref("Summary")
+    }
+  },
+
+  Job:{
+    type:"object",
+    required:["id", "status", "createdAt", "updatedAt", "files", "steps", "progress", "result", "error"],
+    properties:{
+      id:ID,
+      status:{ type:"string", enum:["running", "done", "failed", "cancelled"] },
+      createdAt:{ type:"string" },
+      updatedAt:{ type:"string" },
+      files:{
+        type:"array",
+        items:{ type:"object", required:["file", "status"], properties:{ file:{ type:"string" }, status:{ type:"string" }, error:{ type:"string" } } }
+      },
+      steps:{ type:"array", items:{ type:"object" } },   // fájlhoz nem kötött események (verify checkek)
+      progress:{
+        type:"object",
+        required:["total", "done", "failed", "current"],
+        properties:{
+          total:{ type:"integer" },
+          done:{ type:"integer" },
+          failed:{ type:"integer" },
+          current:{ type:["string", "null"] }
+        }
+      },
+      result:{ type:"object" },              // futás közben részleges; preview: RunResult mezői, verify: VerifyResult
+      error:{ type:["string", "null"] }
+    }
+  },
+
+  JobStarted:{
+    type:"object",
+    required:["ok", "jobId", "job"],
+    properties:{ ok:{ const:true }, jobId:ID, job:ref("Job") }
+  },
+
+  JobResponse:{
+    type:"object",
+    required:["ok", "job"],
+    properties:{ ok:{ const:true }, job:ref("Job") }
+  },
+
+  // a dashboard szerkesztője: a reviewer változata, a preview fájl helyén validálva
+  ValidateEditRequest:{
+    type:"object",
+    required:["file", "unified"],
+    additionalProperties:false,
+    properties:{ file:{ type:"string", minLength:1 }, unified:{ type:"string" } }
+  },
+
+  ValidateEditResult:{
+    type:"object",
+    required:["ok", "previewId", "file", "edited", "validation"],
+    properties:{
+      ok:{ const:true },
+      previewId:ID,
+      file:{ type:"string" },
+      edited:{ type:"boolean" },    // false = egyezik a modell kimenetével
+      validation:ref("Validation")
+    }
+  },
+
+  ApplyRequest:{
+    type:"object",
+    required:["previewId", "components", "suggestions"],
+    additionalProperties:false,
+    properties:{
+      previewId:ID,
+      components:{ type:"array", minItems:1, items:ref("Component") },  // célkomponens(ek)
+      suggestions:{ type:"array", items:ref("SuggestionInput") },
+      mode:{ type:"string", enum:["fs", "git"] },
+      commitPer:{ type:"string", enum:["file", "component"] },
+      allowInvalid:{ type:"boolean" },
+      onRegression:{ type:"string", enum:["block", "warn"] }
+    }
+  },
+
+  VerifyRequest:{
+    type:"object",
+    required:["previewId", "components", "suggestions"],
+    additionalProperties:false,
+    properties:{
+      previewId:ID,
+      components:{ type:"array", minItems:1, items:ref("Component") },
+      suggestions:{ type:"array", items:ref("SuggestionInput") },
+      allowInvalid:{ type:"boolean" },
+      timeoutMs:{ type:"integer", minimum:1 }   // checkenként
+    }
+  },
+
+  Blocked:{
+    type:"array",
+    items:{
+      type:"object",
+      required:["file", "component", "diagnostics"],
+      properties:{ file:{ type:"string" }, component:{ type:"string" }, diagnostics:{ type:"array", items:ref("Diagnostic") } }
+    }
+  },
+
+  VerifyStatus:{ type:"string", enum:["passed", "regressed", "failing", "skipped", "error", "stale", "unverified"] },
+
+  ApplyResult:{
+    type:"object",
+    required:["ok", "mode", "runId", "applied", "blocked", "verification"],
+    properties:{
+      ok:{ const:true },
+      mode:{ type:"string", enum:["fs", "git"] },
+      runId:ID,
+      applied:{ type:"integer" },
+      branch:{ type:["string", "null"] },     // git mód: null = nem volt mit commitolni
+      base:{ type:"string" },
+      commits:{ type:"array", items:{ type:"object" } },
+      blocked:ref("Blocked"),
+      edited:STRINGS,                         // a reviewer által szerkesztett írások (REPO_ROOT-relatív)
+      verification:{ type:"object", additionalProperties:ref("VerifyStatus") }
+    }
+  },
+
+  UndoRequest:{
+    type:"object",
+    additionalProperties:false,
+    properties:{ force:{ type:"boolean" } }   // az apply óta kézzel módosított fájlokat is felülírja
+  },
+
+  UndoResult:{
+    type:"object",
+    required:["ok", "runId", "restored"],
+    properties:{ ok:{ const:true }, runId:ID, restored:{ type:"integer" } }
+  },
+
+  // a bundle a tárolt preview run patcheiből készül – a kliens nem küldhet saját diffet
+  PatchRequest:{
+    type:"object",
+    required:["previewId"],
+    additionalProperties:false,
+    properties:{ previewId:ID }
+  },
+
+  CacheList:{
+    type:"object",
+    required:["ok", "enabled", "entries", "count", "bytes"],
+    properties:{
+      ok:{ const:true },
+      enabled:{ type:"boolean" },
+      entries:{ type:"array", items:{ type:"object", required:["key"], properties:{ key:{ type:"string" }, file:{ type:"string" }, model:{ type:"string" } } } },
+      count:{ type:"integer" },
+      bytes:{ type:"integer" }
+    }
+  },
+
+  CachePurged:{
+    type:"object",
+    required:["ok", "purged"],
+    properties:{ ok:{ const:true }, purged:{ type:"integer" } }
+  }
+};
+
+const SSE = {
+  description:"Server-Sent Events: job, discovered, analyzing, suggestion, failed, done | error | cancelled",
+  content:{ "text/event-stream":{ schema:{ type:"string" } } }
+};
+
+export const openapi = {
+  openapi:"3.1.0",
+  info:{ title:"ASA Code Harmonizer API", version:"1.0.0" },
+  servers:[{ url:BASE_PATH }],
+  paths:{
+    "/preview":{
+      post:{
+        operationId:"preview",
+        summary:"Synchronous preview: collect, classify and harmonize divergent files",
+        requestBody:{ required:true, ...json(ref("PreviewRequest")) },
+        responses:ok("Preview run", ref("RunResult"))
+      }
+    },
+    "/preview/{id}/file":{
+      parameters:[idParam("id")],
+      get:{
+        operationId:"previewFile",
+        summary:"Current version of a preview file in every component, next to the suggestion",
+        parameters:[{ name:"file", in:"query", required:true, schema:{ type:"string", minLength:1 } }],
+        responses:ok("File versions", ref("PreviewFile"))
+      }
+    },
+    "/preview/{id}/report":{
+      parameters:[idParam("id")],
+      get:{
+        operationId:"previewReport",
+        summary:"Divergence report of a preview run – Markdown, standalone HTML, JSON or SARIF 2.1.0",
+        parameters:[
+          { name:"format", in:"query", schema:{ type:"string", enum:["markdown", "html", "json", "sarif"] } },
+          { name:"diffs", in:"query", schema:{ type:"string", enum:["true", "false"] } }   // false = diffek nélkül
+        ],
+        responses:{
+          200:{
+            description:"Report (attachment)",
+            content:{
+              "text/markdown":{ schema:{ type:"string" } },
+              "text/html":{ schema:{ type:"string" } },
+              "application/json":{ schema:{ type:"object" } },
+              "application/sarif+json":{ schema:{ type:"object" } }
+            }
+          },
+          default:{ description:"Error", ...json(ref("Error")) }
+        }
+      }
+    },
+    "/preview/{id}/validate":{
+      parameters:[idParam("id")],
+      post:{
+        operationId:"validateEdit",
+        summary:"Re-validate a reviewer-edited suggestion (syntax + types) before apply",
+        requestBody:{ required:true, ...json(ref("ValidateEditRequest")) },
+        responses:ok("Validation", ref("ValidateEditResult"))
+      }
+    },
+    "/preview/stream":{
+      post:{
+        operationId:"previewStream",
+        summary:"Preview as an SSE stream – closing the connection cancels the run",
+        requestBody:{ required:true, ...json(ref("PreviewRequest")) },
+        responses:{ 200:SSE, default:{ description:"Error", ...json(ref("Error")) } }
+      }
+    },
+    "/jobs":{
+      post:{
+        operationId:"startJob",
+        summary:"Start a preview as a background job",
+        requestBody:{ required:true, ...json(ref("PreviewRequest")) },
+        responses:ok("Job started", ref("JobStarted"), "202")
+      }
+    },
+    "/jobs/{id}":{
+      parameters:[idParam("id")],
+      get:{ operationId:"getJob", summary:"Job status, progress and partial result", responses:ok("Job", ref("JobResponse")) },
+      delete:{ operationId:"cancelJob", summary:"Cancel a running job", responses:ok("Job", ref("JobResponse")) }
+    },
+    "/jobs/{id}/events":{
+      parameters:[idParam("id")],
+      get:{
+        operationId:"jobEvents",
+        summary:"Replay of the job so far + live per-file events",
+        responses:{ 200:SSE, default:{ description:"Error", ...json(ref("Error")) } }
+      }
+    },
+    "/verify":{
+      post:{
+        operationId:"startVerify",
+        summary:"Run the target components' checks against the suggestions in a scratch copy",
+        requestBody:{ required:true, ...json(ref("VerifyRequest")) },
+        responses:ok("Verify job started", ref("JobStarted"), "202")
+      }
+    },
+    "/verify/{id}":{
+      parameters:[idParam("id")],
+      get:{ operationId:"getVerify", summary:"Verify job status and per-file check results", responses:ok("Job", ref("JobResponse")) },
+      delete:{ operationId:"cancelVerify", summary:"Cancel a verify job", responses:ok("Job", ref("JobResponse")) }
+    },
+    "/apply":{
+      post:{
+        operationId:"apply",
+        summary:"Write the suggestions of a preview run (transactional fs or a git branch)",
+        requestBody:{ required:true, ...json(ref("ApplyRequest")) },
+        responses:ok("Applied", ref("ApplyResult"))
+      }
+    },
+    "/apply/{runId}/undo":{
+      parameters:[idParam("runId")],
+      post:{
+        operationId:"undo",
+        summary:"Restore the snapshot taken before an apply",
+        requestBody:{ required:false, ...json(ref("UndoRequest")) },
+        responses:ok("Restored", ref("UndoResult"))
+      }
+    },
+    "/patch":{
+      post:{
+        operationId:"patch",
+        summary:"Download the patches of a stored preview run as a git-applicable .patch bundle",
+        requestBody:{ required:true, ...json(ref("PatchRequest")) },
+        responses:{
+          200:{ description:"Patch bundle", content:{ "text/x-patch":{ schema:{ type:"string" } } } },
+          default:{ description:"Error", ...json(ref("Error")) }
+        }
+      }
+    },
+    "/config":{
+      get:{ operationId:"getConfig", summary:"Project configuration (REPO_ROOT/harmonizer.config.json)", responses:ok("Config", ref("ConfigResponse")) },
+      put:{
+        operationId:"saveConfig",
+        summary:"Validate and save the project configuration",
+        requestBody:{ required:true, ...json(ref("HarmonizerConfig")) },
+        responses:ok("Saved", ref("ConfigResponse"))
+      }
+    },
+    "/discover":{
+      get:{
+        operationId:"discoverComponents",
+        summary:"Propose components from the workspaces, package.json, wrangler and Vite files under REPO_ROOT",
+        responses:ok("Proposals", ref("DiscoverResponse"))
+      }
+    },
+    "/cache":{
+      get:{ operationId:"listCache", summary:"LLM cache entries (without the suggestion text)", responses:ok("Cache", ref("CacheList")) },
+      delete:{
+        operationId:"purgeCache",
+        summary:"Purge the LLM cache – everything, one key, or entries unused for N days",
+        parameters:[
+          { name:"key", in:"query", schema:{ type:"string", minLength:1 } },
+          { name:"olderThanDays", in:"query", schema:{ type:"string", pattern:"^\\d+(\\.\\d+)?$" } }
+        ],
+        responses:ok("Purged", ref("CachePurged"))
+      }
+    },
+    "/openapi.json":{
+      get:{
+        operationId:"contract",
+        summary:"This document",
+        responses:{ 200:{ description:"OpenAPI document", ...json({ type:"object" }) } }
+      }
+    }
+  },
+  components:{ schemas }
+};
+
+// --- MŰVELETEK ---
+// { operationId, method, path ("/jobs/{id}"), params, query, request, response:{ status, schema, type } }
+
+const METHODS = ["get", "post", "put", "delete"];
+
+export const operations = Object.entries(openapi.paths).flatMap(([p, item]) =>
+  METHODS.filter(m => item[m]).map(m => {
+    const op = item[m];
+    const params = [...(item.parameters || []), ...(op.parameters || [])];
+    const [status, response] = Object.entries(op.responses).find(([s]) => s !== "default");
+    const [type, media] = Object.entries(response.content)[0];
+
+    return {
+      operationId:op.operationId,
+      method:m.toUpperCase(),
+      path:p,
+      pattern:new RegExp("^" + p.replace(/\{(\w+)\}/g, "(?<$1>[^/]+)") + "$"),
+      params:params.filter(x => x.in === "path"),
+      query:params.filter(x => x.in === "query"),
+      request:op.requestBody ? { required:op.requestBody.required, schema:op.requestBody.content["application/json"].schema } : null,
+      response:{ status:Number(status), type, schema:type === "application/json" ? media.schema : null }
+    };
+  })
+);
+
+export const operation = id => operations.find(o => o.operationId === id);
+
+// "/jobs/abc" + "GET" -> { op, params } | null
+export function matchOperation(method, pathname) {
+  for (const op of operations) {
+    if (op.method !== method.toUpperCase()) continue;
+    const m = op.pattern.exec(pathname);
+    if (m) return { op, params:{ ...m.groups } };
+  }
+  return null;
+}
+
+// "/jobs/{id}" + { id } -> "/jobs/abc"
+export function buildPath(op, params = {}) {
+  return op.path.replace(/\{(\w+)\}/g, (_, name) => {
+    if (params[name] == null) throw new Error(`${op.operationId}: path parameter ${name} required`);
+    return encodeURIComponent(params[name]);
+  });
+}
+
+// -> [{ path, message }]; a path "body.components[0].name" / "query.key" / "params.id" alakú
+export function validateRequest(op, { params = {}, query = {}, body } = {}) {
+  const errors = [];
+  const prefix = (where, list) => list.map(e => ({ ...e, path:e.path.replace(/^\$/, where) }));
+
+  for (const p of op.params) errors.push(...prefix(`params.${p.name}`, validate(p.schema, params[p.name], openapi)));
+
+  for (const q of op.query) {
+    if (q.required && query[q.name] === undefined) errors.push({ path:`query.${q.name}`, message:"is required" });
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    const q = op.query.find(x => x.name === key);
+    if (!q) errors.push({ path:`query.${key}`, message:"unknown query parameter" });
+    else errors.push(...prefix(`query.${key}`, validate(q.schema, value, openapi)));
+  }
+
+  if (op.request) {
+    const empty = body === undefined || (body && typeof body === "object" && !Array.isArray(body) && !Object.keys(body).length);
+    if (!(empty && !op.request.required)) errors.push(...prefix("body", validate(op.request.schema, body ?? null, openapi)));
+  }
+
+  return errors;
+}
+
+// -> [{ path, message }]; hibaválasznál az Error séma, nem JSON válasznál nincs ellenőrzés
+export function validateResponse(op, status, body) {
+  if (status >= 400) return validate(schemas.Error, body, openapi);
+  if (!op.response.schema) return [];
+  return validate(op.response.schema, body, openapi);
+}
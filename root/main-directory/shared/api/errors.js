@@ -0,0 +1,45 @@
+// --- API HIBAKÓDOK (/api/v1) ---
+// Minden hibaválasz: { ok:false, code, error, details? } – a code stabil, a kliens erre ágazik,
+// az error ember által olvasható üzenet. details: pl. séma hibák [{ path, message }], blocked lista.
+// A backend modulok a saját hibáikra code-ot tesznek (Object.assign(new Error(..), { code })),
+// ismeretlen hiba = INTERNAL.
+
+export const ERROR_STATUS = {
+  INVALID_REQUEST:400,      // séma / paraméter hiba
+  UNSAFE_PATH:400,          // sandbox.js: REPO_ROOT / komponens elhagyása, deny-lista, symlink
+  UNAUTHORIZED:401,         // hiányzó kliens kulcs / Worker aláírás
+  FORBIDDEN:403,            // rossz kulcs, lejárt / hibás / visszajátszott aláírás
+  POLICY_DENIED:403,        // harmonizer.config.json targets: a komponens csak olvasható / csak git ágra írható
+  NOT_FOUND:404,            // ismeretlen útvonal, job, preview, run, komponens
+  CONFLICT:409,             // nem tiszta munkakönyvtár, apply óta módosított fájl, nem visszavonható run
+  CHECKS_REGRESSED:409,     // verify: regresszált check, az apply nem írt semmit
+  VALIDATION_FAILED:422,    // minden javaslat elbukott a validáción
+  INTERNAL:500,
+  UPSTREAM_UNAVAILABLE:502, // a Worker nem éri el a backendet
+  INVALID_RESPONSE:502      // a válasz nem felel meg a szerződésnek (kliens oldali ellenőrzés)
+};
+
+export const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+export class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.code = ERROR_STATUS[code] ? code : "INTERNAL";
+    this.status = ERROR_STATUS[this.code];
+    if (details !== undefined) this.details = details;
+  }
+
+  // tetszőleges hiba -> ApiError: saját code, különben a HTTP status alapján, különben INTERNAL
+  static from(e) {
+    if (e instanceof ApiError) return e;
+    if (ERROR_STATUS[e?.code]) return new ApiError(e.code, e.message, e.details);
+
+    const byStatus = ERROR_CODES.find(c => ERROR_STATUS[c] === e?.status);
+    return new ApiError(byStatus || "INTERNAL", e?.message || "Unknown error", e?.details);
+  }
+
+  toJSON() {
+    return { ok:false, code:this.code, error:this.message, ...(this.details !== undefined ? { details:this.details } : {}) };
+  }
+}
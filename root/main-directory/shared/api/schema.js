@@ -0,0 +1,91 @@
+// --- JSON SCHEMA VALIDÁTOR (a contract.js által használt részhalmaz) ---
+// Függőség nélkül fut Node-ban, Workerben és böngészőben.
+// Támogatott: $ref (#/components/schemas/..), type (tömb is, "integer", "null"), enum, const,
+// properties, required, additionalProperties, items, minItems, minLength, pattern, minimum, maximum,
+// anyOf, oneOf (az első illeszkedő ág elég).
+// -> [{ path, message }]; üres tömb = érvényes
+
+const MAX_ERRORS = 20;
+
+export function validate(schema, value, root = schema) {
+  const errors = [];
+  check(schema, value, "$", root, errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+function resolve(schema, root) {
+  while (schema?.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], root);
+    if (!target) throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+    schema = target;
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return actual === "number" && Number.isFinite(value);
+  return type === actual;
+}
+
+function check(schema, value, at, root, errors) {
+  schema = resolve(schema, root);
+  if (!schema || errors.length >= MAX_ERRORS) return;
+
+  const fail = message => errors.push({ path:at, message });
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    if (!branches.some(b => validate(b, value, root).length === 0)) {
+      fail(`does not match any allowed shape`);
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(t, value))) {
+      fail(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if ("const" in schema && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`must not be shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, root, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail(`${key} is required`);
+    }
+
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) check(props[key], v, `${at}.${key}`, root, errors);
+      else if (schema.additionalProperties === false) fail(`unknown property ${key}`);
+      else if (typeof schema.additionalProperties === "object") check(schema.additionalProperties, v, `${at}.${key}`, root, errors);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+// --- SZINTAXIS KIEMELÉS (a dashboardok szerkesztőjéhez) ---
+// Függőség nélküli, regex-alapú tokenizáló – nem parser: a szerkesztő alatti színezéshez elég,
+// hibás / félkész kódon is lefut. A tokenek szövege összefűzve mindig az eredeti kód.
+//   tokenize(code, file) -> [{ text, kind }]; kind: keyword | string | comment | number | property | punct | null
+// A nyelv a fájl kiterjesztéséből jön (mint a backend filetypes.js stratégiái): script, json, css, egyéb = sima szöveg.
+
+const KEYWORDS = [
+  "abstract", "as", "async", "await", "break", "case", "catch", "class", "const", "continue", "debugger",
+  "declare", "default", "delete", "do", "else", "enum", "export", "extends", "false", "finally", "for",
+  "from", "function", "get", "if", "implements", "import", "in", "instanceof", "interface", "keyof", "let",
+  "new", "null", "of", "private", "protected", "public", "readonly", "return", "satisfies", "set", "static",
+  "super", "switch", "this", "throw", "true", "try", "type", "typeof", "undefined", "var", "void", "while",
+  "yield"
+];
+
+const LANGS = {
+  script:[
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["string", /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/y],
+    ["number", /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y],
+    ["keyword", new RegExp(`\\b(?:${KEYWORDS.join("|")})\\b`, "y")],
+    ["punct", /[{}()[\];,.<>=!+\-*/%&|^~?:]+/y]
+  ],
+  json:[
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["property", /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+    ["string", /"(?:\\.|[^"\\\n])*"?/y],
+    ["number", /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ["keyword", /\b(?:true|false|null)\b/y],
+    ["punct", /[{}[\],:]/y]
+  ],
+  css:[
+    ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["string", /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+    ["keyword", /@[\w-]+|!important/y],
+    ["property", /[\w-]+(?=\s*:[^{};]*[;}])/y],
+    ["number", /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:%|[a-zA-Z]+)?/y],
+    ["punct", /[{}();:,>+~]/y]
+  ]
+};
+
+export function language(file = "") {
+  if (/\.(c|m)?[jt]sx?$/.test(file)) return "script";
+  if (/\.json5?$|(^|\/)\.(eslintrc|babelrc|prettierrc)$/.test(file)) return "json";
+  if (/\.(css|scss|less)$/.test(file)) return "css";
+  return null;
+}
+
+export function tokenize(code, file) {
+  const rules = LANGS[language(file)];
+  if (!rules) return [{ text:code, kind:null }];
+
+  const tokens = [];
+  let plain = "";
+  let i = 0;
+
+  outer:
+  while (i < code.length) {
+    for (const [kind, re] of rules) {
+      re.lastIndex = i;
+      const m = re.exec(code);
+      if (m && m[0]) {
+        if (plain) tokens.push({ text:plain, kind:null });
+        plain = "";
+        tokens.push({ text:m[0], kind });
+        i += m[0].length;
+        continue outer;
+      }
+    }
+    // azonosító / szóköz egyben, hogy a kulcsszó ne találjon szó belsejében
+    const word = /[\w$]+|\s+|./y;
+    word.lastIndex = i;
+    const w = word.exec(code)[0];
+    plain += w;
+    i += w.length;
+  }
+
+  if (plain) tokens.push({ text:plain, kind:null });
+  return tokens;
+}
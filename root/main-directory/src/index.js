@@ -21,6 +21,9 @@
   "version": "1.0.0",
   "main": "dist/server.js",
   "type": "module",
+  "bin": {
+    "asa-harmonize": "asa-harmonize.js"
+  },
   "scripts": {
     "dev": "ts-node-esm src/server.ts",
     "build": "tsc -p tsconfig.json",
@@ -30,11 +33,13 @@
     "express": "^4.19.0",
     "cors": "^2.8.5",
     "openai": "^4.0.0",
-    "dotenv": "^16.4.0"
+    "@babel/parser": "^7.25.0",
+    "dotenv": "^16.4.0",
+    "typescript": "^5.6.0"
   },
   "devDependencies": {
-    "ts-node": "^10.9.2",
-    "typescript": "^5.6.0"
+    "miniflare": "^3.20250718.0",
+    "ts-node": "^10.9.2"
   }
 }
 */
@@ -46,243 +51,706 @@ import express, { Request, Response } from "express";
 import cors from "cors";
 import path from "path";
 import fs from "fs/promises";
-import OpenAI from "openai";
+import { createProvider, missingProviderSetting } from "./providers.js";
+import { collectGroups, suggest } from "./harmonizer.js";
+import { createRegistry, defaultRegistry } from "./filetypes.js";
+import { DEFAULT_THRESHOLD } from "./similarity.js";
+import { suggestionPatches, patchBundle } from "./patch.js";
+import { applyWrites, undoRun } from "./transaction.js";
+import { applyToBranch } from "./git.js";
+import { planWrites } from "./sandbox.js";
+import { savePreview, loadPreview, saveVerification, fileVersions } from "./previews.js";
+import { keepRawBody, requireWorkerSignature } from "./auth.js";
+import { createJobs } from "./jobs.js";
+import { streamJob } from "./sse.js";
+import { createCache, cachedProvider } from "./cache.js";
+import { gateWrites, validateEdit } from "./validate.js";
+import { verify, verificationGate } from "./verify.js";
+import { createScheduler, scheduledProvider, mapLimit, runDeadline, DEFAULT_CONCURRENCY, DEFAULT_RUN_TIMEOUT_MS } from "./scheduler.js";
+import { createApiRouter, sendError } from "./api.js";
+import { loadConfig, saveConfig, modelEnv, checkTargets } from "./config.js";
+import { discoverComponents } from "./discover.js";
+import { renderReport } from "./report.js";
+import { ApiError } from "../shared/api/errors.js";
+import { BASE_PATH } from "../shared/api/contract.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({ limit: "10mb", verify: keepRawBody }));
+
+// csak a Worker által HMAC-cal aláírt kérések (WORKER_API_KEY) – 401 / 403 különben, lásd auth.js
+app.use("/api", requireWorkerSignature());
 
 const PORT = process.env.PORT || 4000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 const REPO_ROOT = process.env.REPO_ROOT || path.resolve(process.cwd(), "../asa_full");
 
-if (!OPENAI_API_KEY) {
-  console.warn("[ASA] WARNING: OPENAI_API_KEY is missing – Code Harmonizer AI mode disabled");
+// LLM provider: ASA_LLM_PROVIDER = openai | local | mock (lásd providers.js)
+// + tartalom-címzett cache (verziók + prompt + modell) – változatlan fájlra nincs új hívás (cache.js)
+// + ütemező: max ASA_LLM_CONCURRENCY egyidejű hívás, retry backoff-fal + Retry-After (scheduler.js)
+// A harmonizer.config.json "model" mezője (provider, name, baseUrl) felülírja az env-et (config.js);
+// ha a konfigban megváltozik, a következő futás új providert kap – ugyanazzal a cache-sel és ütemezővel.
+const cache = process.env.ASA_LLM_CACHE === "off" ? null : createCache();
+const scheduler = createScheduler();
+
+type HarmonizerProvider = ReturnType<typeof createProvider>;
+let activeProvider: { key: string | null; provider: HarmonizerProvider } = { key: null, provider: null };
+
+function providerFor(config: HarmonizerConfig): HarmonizerProvider {
+  const key = JSON.stringify(config.model || {});
+  if (key !== activeProvider.key) {
+    activeProvider = { key, provider: cachedProvider(scheduledProvider(createProvider(modelEnv(config)), scheduler), cache) };
+  }
+  return activeProvider.provider;
 }
 
-const openai = OPENAI_API_KEY
-  ? new OpenAI({ apiKey: OPENAI_API_KEY })
-  : null;
+// hibás konfig induláskor nem állítja le a szervert – a preview / apply jelzi (400 INVALID_REQUEST)
+const startupConfig = await loadConfig(REPO_ROOT).catch((e: Error) => {
+  console.warn(`[ASA] WARNING: ${e.message}`);
+  return { config: {} as HarmonizerConfig };
+});
+const missingSetting = providerFor(startupConfig.config) ? null : missingProviderSetting(modelEnv(startupConfig.config));
+if (missingSetting) {
+  console.warn(`[ASA] WARNING: LLM provider "${missingSetting.provider}" needs ${missingSetting.setting} – Code Harmonizer AI mode disabled`);
+}
 
 // Típusok
 type HarmonizerComponent = {
   name: string;          // pl. "dashboard", "backend", "worker"
   path: string;          // repón belüli relatív mappa: "apps/dashboard"
+  include?: string[];    // globok a komponens gyökeréhez képest, pl. ["src/**"]
+  exclude?: string[];    // gitignore szintaxis, pl. ["legacy/", "*.test.ts"]
+  hidden?: boolean;      // rejtett fájlok / mappák is (alap: nem)
+  followSymlinks?: boolean; // symlinkek követése (alap: nem, körök ellen védve)
+  type?: HarmonizerComponentType; // a felderítés adja (discover.js) – csak tájékoztató
+};
+
+type HarmonizerComponentType = "frontend" | "backend" | "worker" | "library";
+
+type HarmonizerDiscovered = {
+  name: string;          // package.json name (scope nélkül) / mappa név; ha már konfigurált: a config neve
+  path: string;
+  type: HarmonizerComponentType;
+  evidence: string[];    // "pnpm workspace", "wrangler.toml", "dependency react", ...
+  configured: boolean;   // az útvonal már a harmonizer.config.json-ban van
+};
+
+/**
+ * REPO_ROOT/harmonizer.config.json (config.js, séma: shared/api/contract.js HarmonizerConfig) –
+ * a komponens lista egyetlen helye; GET / PUT /api/v1/config, a CLI és a dashboardok is ezt olvassák.
+ */
+type HarmonizerConfig = {
+  components: HarmonizerComponent[];
+  groups: Record<string, string[]>;        // preset -> komponens nevek (dashboard presetek, CLI --group)
+  ignore: string[];                        // gitignore szintaxis, REPO_ROOT-hoz képest (a .harmonizerignore mellé)
+  similarity?: number;                     // a preview alapértékei – a kérés felülírja
+  timeoutMs?: number;
+  fileTypes?: { name: string; match: string | string[]; strategy: string; prompt?: string; sets?: string[] }[];
+  model?: { provider?: "openai" | "local" | "mock"; name?: string; baseUrl?: string; repair?: boolean };
+  targets: Record<string, { apply: "allow" | "review" | "deny" }>; // review: csak git ágra; deny: nem írható
 };
 
 type HarmonizerDiff = {
   file: string;          // relatív útvonal komponens root-hoz képest
+  type: string;          // fájltípus a regiszterből: script | tsconfig | eslint | json | css | markdown ...
   components: string[];  // mely komponensekben létezik
+  paths: Record<string, string>;       // { componentName: relatív útvonal } – átnevezésnél eltér
   rawContents: Record<string, string>; // { componentName: fileContent }
+  match: "path" | "similar";           // pontos útvonal vagy tartalmi hasonlóság
+  confidence: number;                  // 0..1, "path" esetén 1
+  hashes: Record<string, string>;      // { componentName: a tartalom hash-e }
+  pairs: HarmonizerPairSimilarity[];   // komponens páronkénti sor-hasonlóság (similarity.js)
+};
+
+type HarmonizerPairSimilarity = { a: string; b: string; similarity: number }; // 0..1
+
+type MergeConflict = {
+  line: number;          // kezdősor az első komponens fájljában
+  endLine: number;
+  key?: string;          // top-level deklaráció (AST merge esetén)
+  variants: { components: string[]; text: string }[];
 };
 
 type HarmonizerSuggestion = {
   file: string;
-  unifiedCode: string;
-  rationale: string;
+  type: string;
+  unified: string | null;      // null = feloldatlan konfliktus, nem applyolható
+  why: string;
+  source: "merge" | "llm";
+  cached: boolean;             // LLM válasz a cache-ből (nem volt új hívás)
+  coverage: HarmonizerCoverage; // nagy fájl darabolva – complete:false = nem minden rész lett harmonizálva
+  validation: HarmonizerValidation; // ok:false = alapból nem applyolható
+  conflicts: MergeConflict[];
+  paths: Record<string, string>;
+  match: "path" | "similar";
+  confidence: number;
+  patches: HarmonizerPatch[];  // komponensenkénti unified diff (jelenlegi -> javaslat)
+  hashes?: Record<string, string>;
+  pairs?: HarmonizerPairSimilarity[];
+};
+
+type HarmonizerPatch = {
+  component: string;
+  path: string;          // REPO_ROOT-hoz relatív – `git apply`-jal alkalmazható
+  diff: string;
+};
+
+// szintaxis (babel / JSON / CSS) + TS típusellenőrzés a komponens tsconfig-jával (validate.js)
+type HarmonizerValidation = {
+  ok: boolean;
+  checked: string[];     // "syntax", "types:<komponens>"
+  diagnostics: {
+    source: "reply" | "syntax" | "types" | "coverage";  // reply: nyers / üres modell válasz; coverage: nem teljes (apply kapu)
+    component?: string;
+    line: number | null;
+    column: number | null;
+    message: string;
+    code?: string;       // pl. TS2322
+  }[];
+  warnings?: HarmonizerValidation["diagnostics"]; // nem blokkol: tsconfig van, de a "typescript" csomag hiányzik
+  repair?: "fixed" | "failed"; // egy javítási kör a modellel (repair:true / ASA_LLM_REPAIR=on)
+};
+
+// komponens checkek (npm test, tsc --noEmit ...) scratch másolaton, a javaslatokkal (verify.js)
+// regressed: a baseline-on zöld check a javaslatokkal piros; failing: már a baseline is piros
+type HarmonizerVerifyStatus = "passed" | "regressed" | "failing" | "skipped" | "error";
+
+type HarmonizerCheckResult = {
+  command: string;
+  ok: boolean;
+  baselineOk: boolean;
+  output: string;        // stdout + stderr vége (max 16 KB)
+};
+
+type HarmonizerVerification = {
+  components: {
+    component: string;
+    status: HarmonizerVerifyStatus;
+    reason?: string;     // skipped / error oka
+    checks: (HarmonizerCheckResult & { regressed: boolean; exitCode: number | null; timedOut: boolean; durationMs: number })[];
+  }[];
+  files: Record<string, { component: string; status: HarmonizerVerifyStatus; checks: HarmonizerCheckResult[] }[]>;
+};
+
+// modell token limit szerinti darabolás (chunking.js / tokens.js)
+type HarmonizerCoverage = {
+  complete: boolean;
+  chunks: number;        // 1 = egyben ment, 0 = determinisztikus merge (nem volt modell)
+  calls: number;         // tényleges modell hívások (azonos darabokra nincs)
+  tokens?: number;       // a legnagyobb verzió becsült tokenszáma
+  limit?: number;        // darab limit verziónként (modell + ASA_LLM_CHUNK_TOKENS)
+  skipped: { part: number; keys: string[]; reason: string }[]; // változatlanul hagyott részek
+};
+
+// Nem divergens fájl – nincs modell hívás, csak riport
+type HarmonizerFileStatus = {
+  file: string;
+  type: string;
+  paths: Record<string, string>;
+  hashes?: Record<string, string>;
+  pairs?: HarmonizerPairSimilarity[]; // trivial: a nyers sorok hasonlósága; in-sync: üres
+  reason?: string;       // trivial: "whitespace" | "formatting/comments" | "import order"
 };
 
+// a v1 szerződés RunResult sémája (shared/api/contract.js) – a nyers fájltartalmak nem mennek vissza
 type HarmonizerRunResult = {
-  diffs: HarmonizerDiff[];
+  previewId: string;                    // az apply csak ennek a runnak a fájljaira írhat
   suggestions: HarmonizerSuggestion[];
+  inSync: HarmonizerFileStatus[];       // bájtra azonos
+  trivial: HarmonizerFileStatus[];      // csak formázás / komment / import sorrend
+  failed: { file: string; error: string }[];  // fájlonkénti hibák (elfogyott retry, run timeout) – a futás nem áll le
+  summary: { inSync: number; trivial: number; divergent: number; cached: number; incomplete: number; invalid: number };
+};
+
+// aszinkron job progress események (jobs.js) + megszakítás
+type HarmonizerProgressEvent =
+  | { type: "collected"; inSync: HarmonizerFileStatus[]; trivial: HarmonizerFileStatus[]; files: string[] }
+  | { type: "file-start"; file: string }
+  | { type: "file-done"; file: string; suggestion: HarmonizerSuggestion }
+  | { type: "file-failed"; file: string; error?: string };
+
+type HarmonizerHooks = {
+  onProgress?: (e: HarmonizerProgressEvent) => void;
+  signal?: AbortSignal;
+  concurrency?: number;       // egyszerre feldolgozott fájlok (alap: ASA_LLM_CONCURRENCY)
+  timeoutMs?: number;         // run timeout (alap: ASA_RUN_TIMEOUT_MS, 0 = nincs) – lejártakor a maradék fájl "failed"
+  repair?: boolean;           // validáción elbukott LLM javaslat egyszer vissza a modellhez (alap: ASA_LLM_REPAIR)
+  continueOnError?: boolean;  // alap: true – egy fájl hibája nem állítja le a futást
+  provider?: HarmonizerProvider; // a konfig modellje (providerFor); null = csak determinisztikus merge
+  ignore?: string[];          // harmonizer.config.json "ignore"
 };
 
 /**
- * Rekurzív fájl-listázó helper
+ * Összegyűjti a komponensek fájljait (harmonizer.js) és jelzi, ha
+ * ugyanazon relatív útvonalon több verzió is létezik – vagy ha
+ * eltérő útvonalon, de hasonló tartalommal (áthelyezett / átnevezett fájl).
+ * Csak a fájltípus regiszterben ismert fájlok (filetypes.js): kód, JSON, CSS, Markdown.
  */
-async function listFilesRecursive(dir: string): Promise<string[]> {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  const files: string[] = [];
-
-  for (const entry of entries) {
-    const full = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      const sub = await listFilesRecursive(full);
-      files.push(...sub);
-    } else {
-      // csak kód típusú fájlok
-      if (/\.(ts|tsx|js|jsx|mjs|cjs)$/.test(entry.name)) {
-        files.push(full);
-      }
-    }
-  }
-
-  return files;
+async function collectComponentDiffs(
+  components: HarmonizerComponent[],
+  similarity: number = DEFAULT_THRESHOLD,
+  registry = defaultRegistry,
+  ignore: string[] = []
+): Promise<(HarmonizerDiff & { status: string; reason?: string })[]> {
+  const groups = await collectGroups(REPO_ROOT, components, { similarity, registry, ignore });
+
+  return groups.map(g => ({
+    file: g.file,
+    type: g.type,
+    components: g.versions.map(v => v.comp),
+    paths: g.paths,
+    rawContents: Object.fromEntries(g.versions.map(v => [v.comp, v.content])),
+    match: g.match,
+    confidence: g.confidence,
+    hashes: g.hashes,
+    pairs: g.pairs,
+    status: g.status,
+    reason: g.reason
+  }));
 }
 
 /**
- * Összegyűjti a komponensek kódfájljait és jelzi, ha
- * ugyanazon relatív útvonalon több verzió is létezik.
+ * Harmonizáló javaslat: unify több komponensben lévő fájlt.
+ * Előbb a fájltípus determinisztikus merge-e (kód: AST/sor, JSON: kulcs, CSS: szabály) –
+ * ha nincs ütköző hunk, nincs LLM hívás. Konfliktus esetén a konfigurált provider dönt
+ * (openai / local / mock) típusra szabott prompttal; provider nélkül a konfliktus-lista megy vissza.
+ * A fájlok párhuzamosan futnak (concurrency), a modell hívásokat a scheduler korlátozza és próbálja újra;
+ * egy fájl hibája csak azt a fájlt buktatja (failed lista), a többi javaslat elkészül.
  */
-async function collectComponentDiffs(components: HarmonizerComponent[]): Promise<HarmonizerDiff[]> {
-  const fileMap: Map<string, { component: string; fullPath: string }[]> = new Map();
-
-  for (const comp of components) {
-    const compRoot = path.join(REPO_ROOT, comp.path);
-    const allFiles = await listFilesRecursive(compRoot);
+async function generateUnifiedSuggestions(
+  diffs: HarmonizerDiff[],
+  components: HarmonizerComponent[],
+  registry = defaultRegistry,
+  {
+    onProgress = () => {},
+    signal,
+    concurrency = DEFAULT_CONCURRENCY,
+    timeoutMs = DEFAULT_RUN_TIMEOUT_MS,
+    repair,
+    continueOnError = true,
+    provider = null
+  }: HarmonizerHooks = {},
+  failed: { file: string; error: string }[] = []
+): Promise<HarmonizerSuggestion[]> {
+  const deadline = runDeadline(signal, Number(timeoutMs));
+
+  const results = await mapLimit(diffs, concurrency, async (diff: HarmonizerDiff) => {
+    signal?.throwIfAborted();
+
+    const versions = diff.components.map(comp => ({
+      comp,
+      file: diff.paths[comp],
+      content: diff.rawContents[comp]
+    }));
 
-    for (const f of allFiles) {
-      const rel = path.relative(compRoot, f); // komponensen belüli relatív útvonal
-      if (!fileMap.has(rel)) {
-        fileMap.set(rel, []);
-      }
-      fileMap.get(rel)!.push({ component: comp.name, fullPath: f });
+    try {
+      if (deadline.timedOut()) throw new Error("Run timed out before this file was processed");
+      onProgress({ type: "file-start", file: diff.file });
+
+      const s = await suggest(
+        {
+          file: diff.file,
+          paths: diff.paths,
+          match: diff.match,
+          confidence: diff.confidence,
+          hashes: diff.hashes,
+          pairs: diff.pairs,
+          versions
+        },
+        provider,
+        { registry, signal: deadline.signal, repo: REPO_ROOT, comps: components, repair }
+      );
+
+      const suggestion: HarmonizerSuggestion = {
+        file: s.file,
+        type: s.type,
+        unified: s.unified,
+        why: s.why,
+        source: s.source,
+        cached: s.cached,
+        coverage: s.coverage,
+        validation: s.validation,
+        conflicts: s.conflicts,
+        paths: s.paths,
+        match: s.match,
+        confidence: s.confidence,
+        hashes: s.hashes,
+        pairs: s.pairs,
+        patches: suggestionPatches({ versions }, s, components)
+      };
+
+      onProgress({ type: "file-done", file: diff.file, suggestion });
+      return suggestion;
+    } catch (e: any) {
+      if (signal?.aborted) throw e;
+      const error = deadline.timedOut() ? `Run timed out after ${timeoutMs} ms` : e?.message || "Unknown error";
+      onProgress({ type: "file-failed", file: diff.file, error });
+      if (!continueOnError) throw e;
+      failed.push({ file: diff.file, error });
+      return null;
     }
-  }
+  });
+
+  return results.filter((s): s is HarmonizerSuggestion => s !== null);
+}
 
+/**
+ * Teljes harmonizer futás: gyűjtés -> osztályozás -> javaslatok -> preview run mentése.
+ * A szinkron preview endpoint és az aszinkron jobok (jobs.js) is ezt hívják.
+ */
+async function runHarmonizer(
+  components: HarmonizerComponent[],
+  similarity: number,
+  registry = defaultRegistry,
+  hooks: HarmonizerHooks = {}
+): Promise<HarmonizerRunResult> {
+  const allDiffs = await collectComponentDiffs(components, similarity, registry, hooks.ignore);
+
+  // azonos / csak formázásban eltérő fájlok nem mennek a modellhez
   const diffs: HarmonizerDiff[] = [];
+  const inSync: HarmonizerFileStatus[] = [];
+  const trivial: HarmonizerFileStatus[] = [];
+
+  for (const d of allDiffs) {
+    const status = { file: d.file, type: d.type, paths: d.paths, hashes: d.hashes, pairs: d.pairs };
+    if (d.status === "in-sync") inSync.push(status);
+    else if (d.status === "trivial") trivial.push({ ...status, reason: d.reason });
+    else diffs.push(d);
+  }
 
-  for (const [relPath, entries] of fileMap.entries()) {
-    if (entries.length <= 1) continue; // csak akkor érdekes, ha több komponensben is létezik
+  hooks.onProgress?.({ type: "collected", inSync, trivial, files: diffs.map(d => d.file) });
+
+  const failed: { file: string; error: string }[] = [];
+  const suggestions = await generateUnifiedSuggestions(diffs, components, registry, hooks, failed);
+
+  const summary = {
+    inSync: inSync.length,
+    trivial: trivial.length,
+    divergent: diffs.length,
+    cached: suggestions.filter(s => s.cached).length,
+    incomplete: suggestions.filter(s => !s.coverage.complete).length,
+    invalid: suggestions.filter(s => !s.validation.ok).length
+  };
+
+  // a run a riporthoz (report.js) a nem divergens fájlokat és a summary-t is megőrzi
+  return {
+    previewId: await savePreview(REPO_ROOT, components, suggestions, { inSync, trivial, failed, summary }),
+    suggestions,
+    inSync,
+    trivial,
+    failed,
+    summary
+  };
+}
 
-    const rawContents: Record<string, string> = {};
-    const componentsNames: string[] = [];
+// apply / verify kérés (ApplyRequest / VerifyRequest séma) – a javaslatokból csak a file + unified számít;
+// components: a fájl csak ezekbe a célkomponensekbe megy (reviewer kijelölése), hiányzik = mindbe
+// edited: a reviewer szerkesztette a unified-et a panelen (a preview-tól eltérő tartalomhoz kötelező)
+type HarmonizerApplyRequest = {
+  previewId: string;
+  components: HarmonizerComponent[];   // célkomponens(ek)
+  suggestions: (Pick<HarmonizerSuggestion, "file" | "unified"> & { components?: string[]; edited?: boolean })[];
+  mode?: "fs" | "git";
+  commitPer?: "file" | "component";
+  allowInvalid?: boolean;
+  onRegression?: "block" | "warn";
+  timeoutMs?: number;
+};
 
-    for (const e of entries) {
-      const content = await fs.readFile(e.fullPath, "utf8");
-      rawContents[e.component] = content;
-      componentsNames.push(e.component);
-    }
+// preview kérés body (PreviewRequest séma, a router már validálta) -> futás paraméterei (szinkron preview és job közös)
+// a kérés mezői, különben a harmonizer.config.json alapértékei – a konfig minden futásnál újraolvasva
+async function runParams(body: any) {
+  const { config } = await loadConfig(REPO_ROOT);
+  const components = body.components as HarmonizerComponent[];
+  const similarity = Number(body.similarity ?? config.similarity ?? process.env.ASA_SIMILARITY_THRESHOLD ?? DEFAULT_THRESHOLD);
+
+  // projekt-specifikus fájltípusok: [{ name, match, strategy, prompt, sets }] – lásd filetypes.js
+  const fileTypes = body.fileTypes ?? config.fileTypes;
+  const registry = fileTypes ? createRegistry(fileTypes) : defaultRegistry;
+  // run timeout ms-ben; hiányzik: ASA_RUN_TIMEOUT_MS
+  const timeoutMs = body.timeoutMs ?? config.timeoutMs;
+  const repair = body.repair ?? config.model?.repair;
+  return { components, similarity, registry, timeoutMs, repair, ignore: config.ignore, provider: providerFor(config) };
+}
 
-    diffs.push({
-      file: relPath,
-      components: componentsNames,
-      rawContents
-    });
-  }
+/**
+ * API v1: /api/v1/* – a szerződés (útvonalak, kérés / válasz JSON Schema) a shared/api/contract.js-ben,
+ * OpenAPI dokumentumként: GET /api/v1/openapi.json. A backend/server.js ugyanezt szolgálja ki.
+ * - a kérés a handler előtt validálódik: 400 { ok: false, code: "INVALID_REQUEST", error, details: [{ path, message }] }
+ * - minden hiba: { ok: false, code, error, details? } – a kódok a shared/api/errors.js-ben
+ * - a JSON válasz is ellenőrizve (eltérés: figyelmeztetés; ASA_API_STRICT=on: 500)
+ * - a régi /api/code-harmonizer/* útvonalak ugyanerre a routerre mutatnak (Deprecation fejléc)
+ */
 
-  return diffs;
-}
+/**
+ * JOB-ok (jobs.js): POST /jobs azonnal { jobId }-t ad (nincs proxy timeout);
+ * GET /jobs/:id – status, fájlonkénti progress, részleges javaslatok; DELETE – megszakítás;
+ * GET /jobs/:id/events – SSE: eddigi állapot + fájlonkénti események élőben (sse.js).
+ * A jobok memóriában élnek, befejezés után ASA_JOB_TTL_MS-ig kérdezhetők le.
+ * Egy fájl hibája nem állítja le a jobot: "failed" esemény, a többi fájl megy tovább.
+ */
+const jobs = createJobs(({ components, similarity, registry, ...opts }, hooks) =>
+  runHarmonizer(components, similarity, registry, { ...hooks, ...opts })
+);
 
 /**
- * AI-alapú harmonizáló javaslat: unify több komponensben lévő fájlt.
+ * VERIFY (verify.js): komponensenként scratch másolat (os.tmpdir) – baseline checkek, a javaslatok kiírása,
+ * checkek újra. A checkek a komponens package.json "asaHarmonizer.checks" mezőjéből / ASA_VERIFY_CHECKS-ből
+ * jönnek, nem a kérésből. Az eredmény a preview runba kerül, az apply ebből dönt.
+ * FIGYELEM: a checkek a generált kódot futtatják a backend gépén (API kulcsok nélküli környezetben)
  */
-async function generateUnifiedSuggestions(diffs: HarmonizerDiff[]): Promise<HarmonizerSuggestion[]> {
-  if (!openai) {
-    // ha nincs OpenAI kulcs, csak struktúrát adunk vissza
-    return diffs.map(d => ({
-      file: d.file,
-      unifiedCode: "// OpenAI API key missing – manual harmonization needed.\n",
-      rationale: "OpenAI disabled – please manually unify this file."
-    }));
+const verifyJobs = createJobs(async ({ run, writes, blocked, timeoutMs }, hooks) => {
+  const result = await verify(REPO_ROOT, run, writes, { ...hooks, timeoutMs });
+  await saveVerification(REPO_ROOT, run.id, result.components);
+  return { previewId: run.id, ...result, blocked };
+});
+
+// apply / verify: az útvonal a tárolt preview runból jön, nem a kliens által küldött javaslatból;
+// validáción elbukott javaslat nem megy tovább (allowInvalid: true felülbírálja)
+async function planApply(body: HarmonizerApplyRequest) {
+  const run = await loadPreview(REPO_ROOT, body.previewId);
+  const planned = await planWrites(REPO_ROOT, run, body.components, body.suggestions);
+  const { writes, blocked } = await gateWrites(REPO_ROOT, run, planned, { allowInvalid: body.allowInvalid });
+
+  if (blocked.length) {
+    console.warn("[ASA] Harmonizer BLOCKED (validation):", blocked.map((b: { file: string }) => b.file));
   }
+  return { run, writes, blocked };
+}
 
-  const suggestions: HarmonizerSuggestion[] = [];
+function found<T>(job: T | null): T {
+  if (!job) throw new ApiError("NOT_FOUND", "Unknown or expired job");
+  return job;
+}
 
-  for (const diff of diffs) {
-    const promptParts: string[] = [];
+const api = createApiRouter({
+  /**
+   * Szinkron preview – bemenet: komponens lista; eredmény: javaslatok + inSync / trivial / failed + previewId
+   */
+  preview: async (req: Request, res: Response) => {
+    const { components, similarity, registry, ...opts } = await runParams(req.body);
+    console.log("[ASA] Code Harmonizer: collecting diffs for components:", components.map(c => c.name));
 
-    promptParts.push(
-      `You are ASA CODE-HARMONIZER, an autonomous refactor agent that unifies component code versions.`
-    );
-    promptParts.push(
-      `For the same relative file path "${diff.file}" we have multiple components with different code:`
-    );
+    const result = await runHarmonizer(components, similarity, registry, opts);
+    res.json({ ok: true, ...result });
+  },
 
-    for (const compName of diff.components) {
-      promptParts.push(`\n===== COMPONENT: ${compName} =====\n`);
-      promptParts.push(diff.rawContents[compName].slice(0, 8000)); // safety truncation
-    }
+  /**
+   * Preview SSE streamként – események: job, discovered, analyzing, suggestion, failed, done | error | cancelled;
+   * a javaslatok fájlonként érkeznek; a kapcsolat bontása megszakítja a futást
+   */
+  previewStream: async (req: Request, res: Response) => {
+    const job = jobs.start(await runParams(req.body));
+    console.log(`[ASA] Harmonizer stream started: ${job.id}`);
+    streamJob(res, jobs, job.id, { cancelOnClose: true });
+  },
 
-    promptParts.push(`
-TASK:
-- Read all versions from the components.
-- Produce ONE UNIFIED version that:
-  - keeps the best / most modern logic,
-  - is compatible with a monorepo setup,
-  - avoids hard-coded component-specific paths where possible,
-  - is clean, modular, and well formatted.
-- After the code, in a short explanation, describe what you unified/kept/changed.
-Return response in JSON with keys: "unifiedCode", "rationale".
-Use TypeScript/React/Node style as appropriate based on the inputs.
-`);
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: "You are a senior code refactoring and harmonization AI agent." },
-        { role: "user", content: promptParts.join("\n") }
-      ]
-    });
+  /**
+   * Összehasonlító nézet: GET /preview/:id/file?file=<fájl> – minden komponens jelenlegi változata
+   * a javaslat mellett; hunks: sor diff (komponens -> javaslat), content: null = a fájl még nem létezik
+   */
+  previewFile: async (req: Request, res: Response) => {
+    const run = await loadPreview(REPO_ROOT, req.params.id);
+    res.json({ ok: true, previewId: run.id, ...(await fileVersions(REPO_ROOT, run, String(req.query.file))) });
+  },
 
-    const raw = completion.choices[0]?.message?.content || "{}";
-    let parsed: any = {};
-    try {
-      parsed = JSON.parse(raw);
-    } catch (e) {
-      parsed = { unifiedCode: raw, rationale: "Could not parse JSON, falling back to raw string." };
-    }
+  /**
+   * Divergencia riport: GET /preview/:id/report?format=markdown|html|json|sarif[&diffs=false] – bármely tárolt runból;
+   * komponens páronkénti összesítés, divergens fájlok hasonlósággal, indoklással és diffekkel (report.js)
+   */
+  previewReport: async (req: Request, res: Response) => {
+    const run = await loadPreview(REPO_ROOT, req.params.id);
+    const format = (req.query.format as string) || "markdown";
+    const report = renderReport(run, format, { diffs: req.query.diffs !== "false" });
+    res.setHeader("Content-Type", report.type);
+    res.setHeader("Content-Disposition", `attachment; filename="asa-harmonizer-${run.id}.${report.extension}"`);
+    console.log(`[ASA] Report ${run.id} (${format})`);
+    res.send(report.body);
+  },
 
-    suggestions.push({
-      file: diff.file,
-      unifiedCode: parsed.unifiedCode || "",
-      rationale: parsed.rationale || ""
-    });
-  }
+  /**
+   * A dashboard szerkesztője: POST /preview/:id/validate { file, unified } – a reviewer változata
+   * ugyanazzal a szintaxis + TS ellenőrzéssel, mint a preview; edited: false = a modell kimenete
+   */
+  validateEdit: async (req: Request, res: Response) => {
+    const run = await loadPreview(REPO_ROOT, req.params.id);
+    const { edited, validation } = await validateEdit(REPO_ROOT, run, req.body.file, req.body.unified);
+    res.json({ ok: true, previewId: run.id, file: req.body.file, edited, validation });
+  },
 
-  return suggestions;
-}
+  startJob: async (req: Request, res: Response) => {
+    const job = jobs.start(await runParams(req.body));
+    console.log(`[ASA] Harmonizer job started: ${job.id}`);
+    res.status(202).json({ ok: true, jobId: job.id, job });
+  },
 
-/**
- * REST endpoint: /api/code-harmonizer/preview
- * - bemenet: komponens lista
- * - eredmény: diffs + AI javaslat a harmonizálásra
- */
-app.post("/api/code-harmonizer/preview", async (req: Request, res: Response) => {
-  try {
-    const components = (req.body?.components || []) as HarmonizerComponent[];
+  getJob: (req: Request, res: Response) => {
+    res.json({ ok: true, job: found(jobs.get(req.params.id)) });
+  },
 
-    if (!Array.isArray(components) || components.length === 0) {
-      return res.status(400).json({ ok: false, error: "components[] is required" });
-    }
+  cancelJob: (req: Request, res: Response) => {
+    const job = found(jobs.cancel(req.params.id));
+    console.log(`[ASA] Harmonizer job cancelled: ${job.id}`);
+    res.json({ ok: true, job });
+  },
 
-    console.log("[ASA] Code Harmonizer: collecting diffs for components:", components.map(c => c.name));
+  jobEvents: (req: Request, res: Response) => {
+    found(jobs.get(req.params.id));
+    streamJob(res, jobs, req.params.id);
+  },
 
-    const diffs = await collectComponentDiffs(components);
-    const suggestions = await generateUnifiedSuggestions(diffs);
+  startVerify: async (req: Request, res: Response) => {
+    const { run, writes, blocked } = await planApply(req.body);
+    if (!writes.length) throw new ApiError("VALIDATION_FAILED", "Nothing to verify – every suggestion failed validation", blocked);
 
-    const result: HarmonizerRunResult = { diffs, suggestions };
+    const job = verifyJobs.start({ run, writes, blocked, timeoutMs: req.body.timeoutMs });
+    console.log(`[ASA] Harmonizer verify started: ${job.id}`);
+    res.status(202).json({ ok: true, jobId: job.id, job });
+  },
 
-    res.json({ ok: true, result });
-  } catch (e: any) {
-    console.error("[ASA] Harmonizer error:", e);
-    res.status(500).json({ ok: false, error: e?.message || "Unknown error" });
-  }
-});
+  getVerify: (req: Request, res: Response) => {
+    res.json({ ok: true, job: found(verifyJobs.get(req.params.id)) });
+  },
 
-/**
- * (opcionális) APPLY endpoint – itt valóban fájlokat ír át
- * FIGYELEM: csak akkor használd, ha biztos vagy benne!
- */
-app.post("/api/code-harmonizer/apply", async (req: Request, res: Response) => {
-  try {
-    const { suggestions, targetComponent } = req.body as {
-      suggestions: HarmonizerSuggestion[];
-      targetComponent: HarmonizerComponent;
-    };
+  // a futó check process group-ja is leáll
+  cancelVerify: (req: Request, res: Response) => {
+    const job = found(verifyJobs.cancel(req.params.id));
+    console.log(`[ASA] Harmonizer verify cancelled: ${job.id}`);
+    res.json({ ok: true, job });
+  },
 
-    if (!suggestions?.length || !targetComponent) {
-      return res.status(400).json({ ok: false, error: "suggestions[] + targetComponent required" });
+  /**
+   * APPLY – itt valóban fájlokat ír át. FIGYELEM: csak akkor használd, ha biztos vagy benne!
+   * - tranzakciós: minden érintett fájl snapshotja runId alatt (REPO_ROOT/.asa-harmonizer/runs),
+   *   atomikus írás (temp + rename), bármely hibánál teljes visszaállítás; a runId-val visszavonható
+   * - csak a previewId run fájljai és komponensei írhatók; az útvonalak sandboxoltak (sandbox.js):
+   *   REPO_ROOT / komponens gyökér elhagyása, symlink cél, deny-lista (.env, lockfile, .git) = UNSAFE_PATH
+   * - javaslatonként components: [..] – a fájl csak a reviewer által kijelölt célkomponensekbe megy
+   * - a reviewer által szerkesztett javaslat edited: true-val jön (nélküle a preview-tól eltérő tartalom
+   *   INVALID_REQUEST); újravalidálódik, a manifestbe / commit üzenetbe is bekerül; a válaszban edited: [útvonal]
+   * - harmonizer.config.json targets: "deny" komponensbe semmi, "review"-ba csak mode: "git" – különben 403 POLICY_DENIED
+   * - mode: "git" – a munkakönyvtár helyett új ágra (asa-harmonizer/<runId>) commitol, review-ra;
+   *   tiszta munkakönyvtár kell (különben CONFLICT), commitPer: "file" | "component", remote nem szükséges
+   * - validáción elbukott javaslat nem íródik ki – blocked: [{ file, component, diagnostics }];
+   *   ha mind elbukott: 422 VALIDATION_FAILED; a preview óta módosított tartalom újra validálódik
+   * - verify után: regresszált checkű komponensre 409 CHECKS_REGRESSED (onRegression: "warn" csak jelez);
+   *   verification: { [komponens]: passed | regressed | failing | skipped | error | stale | unverified }
+   */
+  apply: async (req: Request, res: Response) => {
+    const body = req.body as HarmonizerApplyRequest;
+    const { mode = "fs", commitPer = "file", onRegression } = body;
+    const { run, writes, blocked } = await planApply(body);
+
+    if (!writes.length && blocked.length) {
+      throw new ApiError("VALIDATION_FAILED", "All suggestions failed validation – nothing applied", blocked);
     }
 
-    const targetRoot = path.join(REPO_ROOT, targetComponent.path);
+    checkTargets((await loadConfig(REPO_ROOT)).config, writes, mode);
+    const verification = verificationGate(run, writes, { onRegression });
+    const edited = writes.filter((w: { edited: boolean }) => w.edited).map((w: { path: string }) => w.path);
 
-    for (const s of suggestions) {
-      const fullPath = path.join(targetRoot, s.file);
-      const dirName = path.dirname(fullPath);
-      await fs.mkdir(dirName, { recursive: true });
-      await fs.writeFile(fullPath, s.unifiedCode, "utf8");
-      console.log("[ASA] Harmonizer APPLIED:", fullPath);
+    if (mode === "git") {
+      const result = await applyToBranch(REPO_ROOT, writes, { commitPer });
+      console.log(`[ASA] Harmonizer COMMITTED to ${result.branch} (${result.commits.length} commits)`);
+      return res.json({ ok: true, mode, ...result, blocked, edited, verification });
     }
 
-    res.json({ ok: true, applied: suggestions.length });
-  } catch (e: any) {
-    console.error("[ASA] Harmonizer apply error:", e);
-    res.status(500).json({ ok: false, error: e?.message || "Unknown error" });
+    const { runId, applied } = await applyWrites(REPO_ROOT, writes);
+    console.log(`[ASA] Harmonizer APPLIED (run ${runId}):`, writes.map((w: { path: string }) => w.path));
+    if (edited.length) console.log(`[ASA] Harmonizer edited by reviewer:`, edited);
+
+    res.json({ ok: true, mode, runId, applied, blocked, edited, verification });
+  },
+
+  /**
+   * UNDO – visszaállítja az apply előtti snapshotot (az új fájlokat törli);
+   * force: true nélkül az apply óta módosított fájloknál CONFLICT
+   */
+  undo: async (req: Request, res: Response) => {
+    const result = await undoRun(REPO_ROOT, req.params.runId, { force: !!req.body?.force });
+    console.log(`[ASA] Harmonizer UNDO (run ${result.runId}): ${result.restored} files restored`);
+    res.json({ ok: true, ...result });
+  },
+
+  /**
+   * PATCH – a tárolt preview run (previewId) patchei -> letölthető .patch bundle (git apply-jal alkalmazható REPO_ROOT-ban);
+   * a kliens nem küld diffet, így csak az kerülhet bele, amit a preview valóban előállított
+   */
+  patch: async (req: Request, res: Response) => {
+    const run = await loadPreview(REPO_ROOT, req.body.previewId);
+    res.setHeader("Content-Type", "text/x-patch; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="asa-harmonizer-${run.id}.patch"`);
+    res.send(patchBundle(Object.values(run.files)));
+  },
+
+  /**
+   * Projekt konfig: REPO_ROOT/harmonizer.config.json – GET: { config, exists, path } (nincs fájl: üres alapértelmezés);
+   * PUT: séma + hivatkozások (groups / targets ismert komponensre) + a komponens mappák ellenőrzése, atomikus írás
+   */
+  getConfig: async (req: Request, res: Response) => {
+    res.json({ ok: true, ...(await loadConfig(REPO_ROOT)) });
+  },
+
+  saveConfig: async (req: Request, res: Response) => {
+    const saved = await saveConfig(REPO_ROOT, req.body as HarmonizerConfig);
+    console.log("[ASA] Harmonizer config saved:", saved.config.components.map((c: HarmonizerComponent) => c.name));
+    res.json({ ok: true, ...saved });
+  },
+
+  /**
+   * Komponens felderítés: npm / yarn / pnpm workspaces, package.json, wrangler.toml (worker), vite.config (frontend)
+   * REPO_ROOT alatt – javaslatok típussal és indoklással (evidence); nem ír, az elfogadás a panel + PUT /config
+   */
+  discoverComponents: async (req: Request, res: Response) => {
+    const { config } = await loadConfig(REPO_ROOT);
+    const found: { components: HarmonizerDiscovered[]; workspaces: { manager: string | null; patterns: string[] } } =
+      await discoverComponents(REPO_ROOT, config);
+    console.log("[ASA] Discovered components:", found.components.filter(c => !c.configured).map(c => `${c.name} (${c.type})`));
+    res.json({ ok: true, ...found });
+  },
+
+  /**
+   * LLM CACHE – bejegyzések (kulcs, fájl, modell, hits, méret – a javaslat szövege nélkül);
+   * DELETE: ürítés; ?key=<kulcs> csak egy bejegyzés, ?olderThanDays=N csak a régóta nem használtak
+   */
+  listCache: async (req: Request, res: Response) => {
+    if (!cache) return res.json({ ok: true, enabled: false, entries: [], count: 0, bytes: 0 });
+
+    const entries = await cache.list();
+    res.json({
+      ok: true,
+      enabled: true,
+      entries,
+      count: entries.length,
+      bytes: entries.reduce((n, e) => n + e.size, 0)
+    });
+  },
+
+  purgeCache: async (req: Request, res: Response) => {
+    if (!cache) return res.json({ ok: true, purged: 0 });
+
+    const days = Number(req.query.olderThanDays);
+    const purged = await cache.purge({
+      key: typeof req.query.key === "string" ? req.query.key : undefined,
+      olderThanMs: days > 0 ? days * 24 * 60 * 60 * 1000 : undefined
+    });
+    console.log(`[ASA] Harmonizer cache purged: ${purged} entries`);
+    res.json({ ok: true, purged });
   }
 });
 
+app.use(BASE_PATH, api);
+app.use("/api/code-harmonizer", (req: Request, res: Response, next: () => void) => {
+  res.setHeader("Deprecation", "true");
+  res.setHeader("Link", `<${BASE_PATH}${req.path}>; rel="successor-version"`);
+  next();
+}, api);
+
+// hibás JSON body (express.json) és minden más, a routeren kívüli hiba
+app.use((err: any, req: Request, res: Response, next: () => void) => {
+  if (err?.type === "entity.parse.failed") return sendError(res, new ApiError("INVALID_REQUEST", `Invalid JSON body: ${err.message}`));
+  sendError(res, err);
+});
+
 app.listen(PORT, () => {
   console.log(`[ASA] CODE-HARMONIZER backend listening on http://localhost:${PORT}`);
 });
@@ -300,42 +768,173 @@ compatibility_date = "2024-09-01"
 
 [vars]
 BACKEND_URL = "https://your-backend-domain.com" # pl. Cloudflare Tunnel / VPS / Render stb.
+
+# titkok (nem a toml-ba!):
+#   wrangler secret put WORKER_API_KEY   # ugyanaz, mint a backend/.env WORKER_API_KEY
+#   wrangler secret put CLIENT_API_KEY   # a dashboard kulcsa(i), vesszővel elválasztva
 */
 
 //////////////////////////// asa-code-harmonizer-worker.ts ////////////////////////////
 
+import { BASE_PATH, matchOperation, validateRequest } from "../../shared/api/contract.js";
+import { createClient } from "../../shared/api/client.js";
+import { ApiError } from "../../shared/api/errors.js";
+
 export interface Env {
   BACKEND_URL: string;
+  WORKER_API_KEY: string;  // közös titok a backenddel – ezzel írjuk alá a továbbított kérést
+  CLIENT_API_KEY: string;  // a dashboardtól elfogadott kulcs(ok), vesszővel elválasztva
 }
 
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, X-API-Key, Content-Type"
+};
+
 /**
  * Ez a Worker az ASA MATRIX-ből jövő kéréseket fogja
- * és továbbítja a backend /api/code-harmonizer/* endpointjaira.
+ * és továbbítja a backend /api/v1/* endpointjaira (szerződés: shared/api/contract.js).
+ * - /v1/<művelet> -> /api/v1/<művelet>; a régi /harmonizer/* is ide megy (átmenetileg)
+ * - kliens kulcs kell: Authorization: Bearer <kulcs> vagy X-API-Key (401 UNAUTHORIZED ha nincs, 403 FORBIDDEN ha rossz)
+ * - csak a szerződésben szereplő útvonal és érvényes body megy tovább: különben 404 NOT_FOUND / 400 INVALID_REQUEST,
+ *   a backend hívása nélkül; minden hiba { ok: false, code, error, details? }
+ * - a továbbított kérés HMAC-SHA256 aláírást kap (backend/auth.js ellenőrzi):
+ *     METHOD \n PATH(+query) \n TIMESTAMP \n NONCE \n sha256hex(BODY)
+ * - a hívó fejlécei nem mennek tovább, csak a Content-Type / Accept
  */
+const PREFIXES = ["/v1", "/harmonizer"];
+
 export default {
   async fetch(request: Request, env: Env): Promise<Response> {
     const url = new URL(request.url);
+    const prefix = PREFIXES.find(p => url.pathname === p || url.pathname.startsWith(p + "/"));
 
-    // Csak /harmonizer/... útvonalakat proxizunk
-    if (!url.pathname.startsWith("/harmonizer")) {
+    if (!prefix) {
       return new Response("ASA CODE-HARMONIZER Worker – OK", { status: 200 });
     }
 
-    // Pl. /harmonizer/preview → backend /api/code-harmonizer/preview
-    const subPath = url.pathname.replace("/harmonizer", "");
-    const target = new URL(`/api/code-harmonizer${subPath}`, env.BACKEND_URL);
+    if (request.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers: CORS_HEADERS });
+    }
+
+    if (!env.WORKER_API_KEY) {
+      return jsonError(new ApiError("INTERNAL", "Worker misconfigured: WORKER_API_KEY secret missing"));
+    }
 
-    const init: RequestInit = {
-      method: request.method,
-      headers: request.headers,
-      body: request.body,
-      redirect: "follow"
-    };
+    const denied = checkClientKey(request, env);
+    if (denied) return denied;
+
+    // Pl. /v1/jobs/abc → getJob, backend /api/v1/jobs/abc
+    const match = matchOperation(request.method, url.pathname.slice(prefix.length) || "/");
+    if (!match) {
+      return jsonError(new ApiError("NOT_FOUND", `Unknown API route: ${request.method} ${url.pathname}`));
+    }
+
+    const body = ["GET", "HEAD"].includes(request.method) ? "" : await request.text();
+    let parsed: unknown;
+    try {
+      parsed = body ? JSON.parse(body) : undefined;
+    } catch (e: any) {
+      return jsonError(new ApiError("INVALID_REQUEST", `Invalid JSON body: ${e.message}`));
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    const errors = validateRequest(match.op, { params: match.params, query, body: parsed });
+    if (errors.length) {
+      return jsonError(new ApiError("INVALID_REQUEST", `Invalid request: ${errors[0].path} ${errors[0].message}`, errors));
+    }
 
-    return fetch(target.toString(), init);
+    const headers: Record<string, string> = {};
+    for (const h of ["Content-Type", "Accept"]) {
+      const value = request.headers.get(h);
+      if (value) headers[h] = value;
+    }
+
+    const backend = createClient({
+      baseUrl: env.BACKEND_URL + BASE_PATH,
+      fetch: signedFetch(env.WORKER_API_KEY)
+    });
+
+    // a választ nem olvassuk be: az SSE stream (preview/stream, jobs/:id/events) pufferelés nélkül megy át
+    try {
+      return await backend.send(match.op.operationId, { params: match.params, query, body: body || undefined, headers });
+    } catch (e) {
+      return jsonError(ApiError.from(e));
+    }
   }
 } satisfies ExportedHandler<Env>;
 
+// a kliens fetch-e helyett: aláírja a kérést a backend felé (a pontos útvonal + query és a nyers body)
+function signedFetch(secret: string) {
+  return async (target: string, init: RequestInit): Promise<Response> => {
+    const url = new URL(target);
+    const body = (init.body as string) || "";
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomUUID();
+    const signature = await hmacHex(
+      secret,
+      [String(init.method).toUpperCase(), url.pathname + url.search, timestamp, nonce, await sha256Hex(body)].join("\n")
+    );
+
+    return fetch(url.toString(), {
+      ...init,
+      body: body || undefined,
+      redirect: "follow",
+      headers: {
+        ...(init.headers as Record<string, string>),
+        "X-ASA-Timestamp": timestamp,
+        "X-ASA-Nonce": nonce,
+        "X-ASA-Signature": signature
+      }
+    });
+  };
+}
+
+function checkClientKey(request: Request, env: Env): Response | null {
+  const auth = request.headers.get("Authorization") || "";
+  const key = auth.startsWith("Bearer ") ? auth.slice(7).trim() : request.headers.get("X-API-Key");
+
+  if (!key) return jsonError(new ApiError("UNAUTHORIZED", "API key required (Authorization: Bearer <key> or X-API-Key)"));
+
+  const allowed = (env.CLIENT_API_KEY || "").split(",").map(k => k.trim()).filter(Boolean);
+  if (!allowed.some(k => timingSafeEqual(k, key))) return jsonError(new ApiError("FORBIDDEN", "Invalid API key"));
+
+  return null;
+}
+
+function jsonError(err: ApiError): Response {
+  return new Response(JSON.stringify(err.toJSON()), {
+    status: err.status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json" }
+  });
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+const encoder = new TextEncoder();
+const toHex = (buf: ArrayBuffer) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+async function sha256Hex(text: string): Promise<string> {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+async function hmacHex(secret: string, text: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(text)));
+}
+
 
 /**************************************************************************************************
  * SECTION 3 – ASA MATRIX REACT PANEL (VORTEX UI + BUTTON) – file: dashboard/src/ASA_CodeHarmonizerPanel.tsx
@@ -356,82 +955,832 @@ export default {
     "react": "^18.3.0",
     "react-dom": "^18.3.0"
   }
-}
-*/
+}
+*/
+
+//////////////////////////// ASA_CodeHarmonizerPanel.tsx ////////////////////////////
+
+import React, { useEffect, useRef, useState } from "react";
+import { createClient, readEvents } from "../../shared/api/client.js";
+import { tokenize } from "../../shared/ui/highlight.js";
+type HarmonizerComponent = {
+  name: string;
+  path: string;
+  include?: string[];
+  exclude?: string[];
+  hidden?: boolean;
+  followSymlinks?: boolean;
+  type?: "frontend" | "backend" | "worker" | "library";
+};
+
+// GET /v1/discover – javasolt komponens (workspaces / package.json / wrangler / vite alapján)
+type HarmonizerDiscovered = {
+  name: string;
+  path: string;
+  type: "frontend" | "backend" | "worker" | "library";
+  evidence: string[];
+  configured: boolean;
+};
+
+type MergeConflict = {
+  line: number;
+  endLine: number;
+  key?: string;
+  variants: { components: string[]; text: string }[];
+};
+
+type HarmonizerValidation = {
+  ok: boolean;
+  checked: string[];
+  diagnostics: { source: string; component?: string; line: number | null; column: number | null; message: string }[];
+  warnings?: HarmonizerValidation["diagnostics"];
+  repair?: "fixed" | "failed";
+};
+
+type HarmonizerSuggestion = {
+  file: string;
+  type: string;
+  unified: string | null;
+  why: string;
+  source: "merge" | "llm";
+  cached: boolean;
+  coverage: { complete: boolean; chunks: number; skipped: { part: number; keys: string[]; reason: string }[] };
+  validation: HarmonizerValidation;
+  conflicts: MergeConflict[];
+  paths: Record<string, string>;
+  match: "path" | "similar";
+  confidence: number;
+  patches: HarmonizerPatch[];
+};
+
+type HarmonizerPatch = {
+  component: string;
+  path: string;
+  diff: string;
+};
+
+type HarmonizerFileStatus = {
+  file: string;
+  type: string;
+  paths: Record<string, string>;
+  reason?: string;
+};
+
+type HarmonizerRunResult = {
+  previewId: string;
+  suggestions: HarmonizerSuggestion[];
+  inSync: HarmonizerFileStatus[];
+  trivial: HarmonizerFileStatus[];
+  summary: { inSync: number; trivial: number; divergent: number; cached: number; incomplete: number; invalid: number };
+};
+
+// aszinkron futás (/v1/jobs) – futás közben a result részleges
+type HarmonizerJob = {
+  id: string;
+  status: "running" | "done" | "failed" | "cancelled";
+  files: { file: string; status: string; error?: string }[];
+  progress: { total: number; done: number; failed: number; current: string | null };
+  result: Partial<HarmonizerRunResult> & Pick<HarmonizerRunResult, "suggestions" | "inSync" | "trivial">;
+  error: string | null;
+};
+
+// verify (/v1/verify) eredménye fájlonként – egy bejegyzés célkomponensenként
+type HarmonizerFileCheck = {
+  component: string;
+  status: "passed" | "regressed" | "failing" | "skipped" | "error";
+  checks: { command: string; ok: boolean; baselineOk: boolean; output: string }[];
+};
+
+// összehasonlító nézet (/v1/preview/:id/file) – komponensenként a jelenlegi változat,
+// hunks: sor diff a javaslathoz (a = komponens, b = javaslat; 0-alapú, félig nyitott)
+type HarmonizerHunk = { aStart: number; aEnd: number; bStart: number; bEnd: number };
+
+type HarmonizerFileVersions = {
+  file: string;
+  unified: string | null;
+  versions: { component: string; path: string; content: string | null; hunks: HarmonizerHunk[] }[];
+};
+
+// apply kijelölés: fájl -> célkomponensek (csak ezek a párok mennek az apply-ba)
+type HarmonizerSelection = Record<string, string[]>;
+
+// REPO_ROOT/harmonizer.config.json (/v1/config) – a panel a components / groups / targets részt szerkeszti,
+// a többi mezőt (ignore, model, fileTypes ...) változatlanul küldi vissza
+type HarmonizerTargetPolicy = "allow" | "review" | "deny";
+
+type HarmonizerConfig = {
+  components: HarmonizerComponent[];
+  groups: Record<string, string[]>;
+  targets: Record<string, { apply: HarmonizerTargetPolicy }>;
+  [key: string]: unknown;
+};
+
+type HarmonizerApplyResult = {
+  mode: "fs" | "git";
+  runId: string;
+  applied: number;
+  branch?: string | null;
+  commits?: unknown[];
+  blocked: { file: string; component: string }[];
+  edited?: string[];
+  verification: Record<string, string>;
+};
+
+// a reviewer szerkesztése fájlonként: a saját változata + a backend újravalidálása (null = folyamatban)
+type HarmonizerEdit = { text: string; validation: HarmonizerValidation | null };
+
+// a futó job ID-ja – oldal újratöltés után innen folytatjuk a feliratkozást
+const JOB_STORAGE_KEY = "asa-harmonizer-job";
+
+// alap kijelölés: minden applyolható (feloldott + validált) javaslat minden komponensbe, ahol eltér –
+// a "deny" policyjú (csak olvasható) komponensek kivételével
+function defaultSelection(suggestions: HarmonizerSuggestion[], targets: HarmonizerConfig["targets"] = {}): HarmonizerSelection {
+  return Object.fromEntries(
+    suggestions
+      .filter(s => s.unified !== null && s.validation.ok)
+      .map(s => [s.file, s.patches.map(p => p.component).filter(c => targets[c]?.apply !== "deny")])
+  );
+}
+
+// riport formátumok (backend/report.js) – Markdown: PR leírás, HTML: megosztás, JSON: eszközök, SARIF: code scanning
+const REPORT_EXTENSIONS = { markdown: "md", html: "html", json: "json", sarif: "sarif" } as const;
+const REPORT_LABELS: Record<keyof typeof REPORT_EXTENSIONS, string> = {
+  markdown: "Markdown",
+  html: "HTML",
+  json: "JSON",
+  sarif: "SARIF"
+};
+
+// komponens átnevezése a presetekben és a target policykben is
+function renameInConfig(config: HarmonizerConfig, from: string, to: string): HarmonizerConfig {
+  const targets = { ...config.targets };
+  if (targets[from]) {
+    targets[to] = targets[from];
+    delete targets[from];
+  }
+  return {
+    ...config,
+    groups: Object.fromEntries(
+      Object.entries(config.groups).map(([group, names]) => [group, names.map(n => (n === from ? to : n))])
+    ),
+    targets
+  };
+}
+
+const toLines = (text: string | null) => {
+  const lines = (text || "").split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+};
+
+// side-by-side sorpárok a hunkokból – az azonos szakaszok egymás mellett, az eltérők üres cellákkal kiegészítve
+function alignRows(a: string[], b: string[], hunks: HarmonizerHunk[]) {
+  const rows: { left: string | null; right: string | null; changed: boolean }[] = [];
+  let i = 0;
+  let j = 0;
+
+  for (const h of [...hunks, { aStart: a.length, aEnd: a.length, bStart: b.length, bEnd: b.length }]) {
+    while (i < h.aStart) rows.push({ left: a[i++], right: b[j++], changed: false });
+
+    const n = Math.max(h.aEnd - h.aStart, h.bEnd - h.bStart);
+    for (let k = 0; k < n; k++) {
+      rows.push({
+        left: h.aStart + k < h.aEnd ? a[h.aStart + k] : null,
+        right: h.bStart + k < h.bEnd ? b[h.bStart + k] : null,
+        changed: true
+      });
+    }
+    i = h.aEnd;
+    j = h.bEnd;
+  }
+  return rows;
+}
+
+// hány sor tér el a modell kimenetétől (közös eleje / vége levágva – összefoglalónak elég)
+function changedLines(model: string, edited: string) {
+  const a = model.split("\n");
+  const b = edited.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  return Math.max(a.length, b.length) - start - end;
+}
+
+// színezett kód (shared/ui/highlight.js) – a read-only nézet és a szerkesztő alsó rétege
+const Highlighted: React.FC<{ code: string; file: string }> = ({ code, file }) => (
+  <>
+    {tokenize(code, file).map((t: { text: string; kind: string | null }, idx: number) => (
+      <span key={idx} className={t.kind ? `asa-tok-${t.kind}` : undefined}>{t.text}</span>
+    ))}
+  </>
+);
+
+/**
+ * Javaslat szerkesztő: átlátszó textarea a színezett kód fölött (függőség nélkül), a görgetésük együtt mozog.
+ * Tab = két szóköz. A revalidáció a panelben fut, debounce-olva.
+ */
+const CodeEditor: React.FC<{ value: string; file: string; onChange: (text: string) => void }> = ({ value, file, onChange }) => {
+  const layer = useRef<HTMLPreElement>(null);
+
+  return (
+    <div className="asa-editor">
+      <pre ref={layer} className="asa-code-block asa-editor-layer" aria-hidden="true">
+        <code>
+          <Highlighted code={value} file={file} />
+          {"\n"}
+        </code>
+      </pre>
+      <textarea
+        className="asa-code-block asa-editor-input"
+        value={value}
+        spellCheck={false}
+        onChange={e => onChange(e.target.value)}
+        onScroll={e => {
+          if (!layer.current) return;
+          layer.current.scrollTop = e.currentTarget.scrollTop;
+          layer.current.scrollLeft = e.currentTarget.scrollLeft;
+        }}
+        onKeyDown={e => {
+          if (e.key !== "Tab") return;
+          e.preventDefault();
+          const input = e.currentTarget;
+          const at = input.selectionStart;
+          onChange(value.slice(0, at) + "  " + value.slice(input.selectionEnd));
+          requestAnimationFrame(() => input.setSelectionRange(at + 2, at + 2));
+        }}
+      />
+    </div>
+  );
+};
+
+/**
+ * Egy fájl összehasonlítása:
+ * - focus = komponens: side-by-side (a komponens jelenlegi változata | javaslat), sorra igazítva
+ * - focus = null: minden komponens + a javaslat egymás mellett (három- / többutas), az eltérő sorok kiemelve
+ */
+const FileCompare: React.FC<{ data: HarmonizerFileVersions; focus: string | null }> = ({ data, focus }) => {
+  const unified = toLines(data.unified);
+  const focused = data.versions.find(v => v.component === focus);
+
+  if (focused) {
+    const rows = alignRows(toLines(focused.content), unified, focused.hunks);
+    return (
+      <table className="asa-compare-table">
+        <thead>
+          <tr>
+            <th>{focused.component}: {focused.path}{focused.content === null ? " (new file)" : ""}</th>
+            <th>unified suggestion</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, idx) => (
+            <tr key={idx} className={r.changed ? "asa-line-changed" : undefined}>
+              <td>{r.left ?? ""}</td>
+              <td>{r.right ?? ""}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  const changed = new Set<number>();
+  for (const v of data.versions) {
+    for (const h of v.hunks) for (let i = h.bStart; i < h.bEnd; i++) changed.add(i);
+  }
+
+  const column = (key: string, title: string, lines: string[], marked: (i: number) => boolean) => (
+    <div key={key} className="asa-compare-col">
+      <div className="tag-path">{title}</div>
+      <pre className="asa-code-block">
+        {lines.map((l, idx) => (
+          <div key={idx} className={marked(idx) ? "asa-line-changed" : undefined}>{l || " "}</div>
+        ))}
+      </pre>
+    </div>
+  );
+
+  return (
+    <div className="asa-compare-grid" style={{ gridTemplateColumns: `repeat(${data.versions.length + 1}, minmax(0, 1fr))` }}>
+      {data.versions.map(v =>
+        column(
+          v.component,
+          `${v.component}: ${v.path}${v.content === null ? " (new file)" : ""}`,
+          toLines(v.content),
+          i => v.hunks.some(h => i >= h.aStart && i < h.aEnd)
+        )
+      )}
+      {column("unified", "unified suggestion", unified, i => changed.has(i))}
+    </div>
+  );
+};
+
+function emptyJob(id: string): HarmonizerJob {
+  return {
+    id,
+    status: "running",
+    files: [],
+    progress: { total: 0, done: 0, failed: 0, current: null },
+    result: { suggestions: [], inSync: [], trivial: [] },
+    error: null
+  };
+}
+
+// SSE esemény (backend/sse.js) -> új job állapot
+function applyJobEvent(job: HarmonizerJob, event: string, data: any): HarmonizerJob {
+  const files = [...job.files];
+  const result = { ...job.result };
+  const setFile = (file: string, status: string, error?: string) => {
+    const idx = files.findIndex(f => f.file === file);
+    if (idx >= 0) files[idx] = { file, status, error };
+  };
+  let status = job.status;
+  let error = job.error;
+
+  switch (event) {
+    case "discovered":
+      if (data.status === "in-sync") result.inSync = [...result.inSync, data];
+      else if (data.status === "trivial") result.trivial = [...result.trivial, data];
+      else if (!files.some(f => f.file === data.file)) files.push({ file: data.file, status: "pending" });
+      break;
+    case "analyzing":
+      setFile(data.file, "running");
+      break;
+    case "suggestion":
+      setFile(data.file, "done");
+      result.suggestions = [...result.suggestions.filter(s => s.file !== data.file), data.suggestion];
+      break;
+    case "failed":
+      setFile(data.file, "failed", data.error);
+      break;
+    case "done":
+      status = "done";
+      break;
+    case "error":
+      status = "failed";
+      error = data.error;
+      break;
+    case "cancelled":
+      status = "cancelled";
+      break;
+  }
+
+  const count = (st: string) => files.filter(f => f.status === st).length;
+  return {
+    ...job,
+    status,
+    error,
+    files,
+    result,
+    progress: {
+      total: files.length,
+      done: count("done"),
+      failed: count("failed"),
+      current: files.find(f => f.status === "running")?.file || null
+    }
+  };
+}
+
+interface Props {
+  // ASA MATRIX oldalról érkező beállítások (opcionális)
+  defaultComponents?: HarmonizerComponent[]; // csak ha a repóban még nincs harmonizer.config.json
+  workerBaseUrl?: string; // pl. "https://asa-code-harmonizer-worker.example.workers.dev"
+  apiKey?: string;        // a Worker CLIENT_API_KEY-je – Authorization: Bearer fejlécben megy
+}
+
+/**
+ * ASA MATRIX -> CODE HARMONIZER PANEL
+ * - triple black + dark turquoise + cyan green
+ * - vortex háttér animáció
+ * - egy nagy "Run Code Harmonizer" gomb
+ */
+export const ASA_CodeHarmonizerPanel: React.FC<Props> = ({
+  defaultComponents,
+  workerBaseUrl = "https://asa-code-harmonizer-worker.example.workers.dev",
+  apiKey
+}) => {
+  // a harmonizer.config.json szerkesztett példánya; saved: az utoljára betöltött / mentett állapot (JSON)
+  const [draft, setDraft] = useState<HarmonizerConfig>({ components: defaultComponents || [], groups: {}, targets: {} });
+  const [saved, setSaved] = useState<string | null>(null);
+  const [active, setActive] = useState<string[]>((defaultComponents || []).map(c => c.name));
+  const [presetName, setPresetName] = useState("");
+  const [savingConfig, setSavingConfig] = useState(false);
+  // GET /v1/discover javaslatai; null = még nem futott
+  const [discovered, setDiscovered] = useState<HarmonizerDiscovered[] | null>(null);
+  const [discovering, setDiscovering] = useState(false);
+
+  const [jobId, setJobId] = useState<string | null>(() => localStorage.getItem(JOB_STORAGE_KEY));
+  const [job, setJob] = useState<HarmonizerJob | null>(null);
+  const [result, setResult] = useState<HarmonizerRunResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [verifying, setVerifying] = useState<string | null>(null);
+  const [checks, setChecks] = useState<Record<string, HarmonizerFileCheck[]>>({});
+  const [selection, setSelection] = useState<HarmonizerSelection>({});
+  const [compare, setCompare] = useState<Record<string, HarmonizerFileVersions>>({});
+  const [focus, setFocus] = useState<Record<string, string>>({});
+  const [applying, setApplying] = useState(false);
+  const [applied, setApplied] = useState<HarmonizerApplyResult | null>(null);
+  const [edits, setEdits] = useState<Record<string, HarmonizerEdit>>({});
+  const [editing, setEditing] = useState<Record<string, boolean>>({});
+  const revalidateTimers = useRef<Record<string, ReturnType<typeof setTimeout>>>({});
+
+  const loading = jobId !== null;
+  // a futásba bevont komponensek (a checkbox-szal kijelöltek), a konfig sorrendjében
+  const components = draft.components.filter(c => active.includes(c.name));
+  const configDirty = saved !== null && JSON.stringify(draft) !== saved;
+
+  // v1 kliens (shared/api/client.js) – hibánál ApiError { code, message, details }; 401 / 403 olvasható üzenettel
+  const api = createClient({ baseUrl: `${workerBaseUrl}/v1`, apiKey });
+
+  // konfig betöltése – nincs még fájl: a defaultComponents prop (ha van) a kiinduló lista
+  useEffect(() => {
+    api
+      .getConfig()
+      .then((data: { config: HarmonizerConfig; exists: boolean }) => {
+        const config = !data.exists && defaultComponents ? { ...data.config, components: defaultComponents } : data.config;
+        setDraft(config);
+        setSaved(JSON.stringify(data.config));
+        setActive(config.components.map(c => c.name));
+      })
+      .catch((e: any) => setError(e?.message || "Could not load harmonizer.config.json"));
+  }, [workerBaseUrl, apiKey]);
+
+  function updateComponent(idx: number, patch: Partial<HarmonizerComponent>) {
+    const before = draft.components[idx];
+    let next: HarmonizerConfig = {
+      ...draft,
+      components: draft.components.map((c, i) => (i === idx ? { ...c, ...patch } : c))
+    };
+    if (patch.name !== undefined && patch.name !== before.name) {
+      next = renameInConfig(next, before.name, patch.name);
+      setActive(prev => prev.map(n => (n === before.name ? (patch.name as string) : n)));
+    }
+    setDraft(next);
+  }
+
+  function addComponent() {
+    let n = draft.components.length + 1;
+    while (draft.components.some(c => c.name === `component-${n}`)) n++;
+    setDraft({ ...draft, components: [...draft.components, { name: `component-${n}`, path: "" }] });
+    setActive(prev => [...prev, `component-${n}`]);
+  }
+
+  function removeComponent(idx: number) {
+    const { name } = draft.components[idx];
+    const { [name]: _dropped, ...targets } = draft.targets;
+    setDraft({
+      ...draft,
+      components: draft.components.filter((_, i) => i !== idx),
+      // az üressé váló preset is törlődik (a séma legalább egy komponenst vár)
+      groups: Object.fromEntries(
+        Object.entries(draft.groups)
+          .map(([group, names]) => [group, names.filter(n => n !== name)] as [string, string[]])
+          .filter(([, names]) => names.length > 0)
+      ),
+      targets
+    });
+    setActive(prev => prev.filter(n => n !== name));
+  }
+
+  function setPolicy(name: string, policy: HarmonizerTargetPolicy) {
+    const { [name]: _old, ...rest } = draft.targets;
+    setDraft({ ...draft, targets: policy === "allow" ? rest : { ...rest, [name]: { apply: policy } } });
+  }
+
+  async function discoverComponents() {
+    setError(null);
+    setDiscovering(true);
+    try {
+      const data = await api.discoverComponents();
+      setDiscovered(data.components);
+    } catch (e: any) {
+      setError(e?.message || "Component discovery failed");
+    } finally {
+      setDiscovering(false);
+    }
+  }
+
+  // egy kattintás: a javaslat a szerkesztett konfigba és a futásba vont komponensek közé (mentés: Save gomb)
+  function acceptDiscovered(proposals: HarmonizerDiscovered[]) {
+    const added: HarmonizerComponent[] = [];
+    for (const p of proposals) {
+      if ([...draft.components, ...added].some(c => c.path === p.path)) continue;
+      let name = p.name;
+      for (let i = 2; [...draft.components, ...added].some(c => c.name === name); i++) name = `${p.name}-${i}`;
+      added.push({ name, path: p.path, type: p.type });
+    }
+    setDraft({ ...draft, components: [...draft.components, ...added] });
+    setActive(prev => [...prev, ...added.map(c => c.name)]);
+  }
+
+  // a még fel nem vett javaslatok (a konfigban / a szerkesztett listában nem szereplő útvonalak)
+  const proposals = (discovered || []).filter(p => !p.configured && !draft.components.some(c => c.path === p.path));
+
+  // PUT /v1/config – a backend validál (séma, hivatkozások, létező komponens mappák); hiba: a details első eleme
+  async function saveConfig(next: HarmonizerConfig = draft) {
+    setError(null);
+    setSavingConfig(true);
+    try {
+      const data = await api.saveConfig(next);
+      setDraft(data.config);
+      setSaved(JSON.stringify(data.config));
+    } catch (e: any) {
+      setError(e?.message || "Saving harmonizer.config.json failed");
+    } finally {
+      setSavingConfig(false);
+    }
+  }
+
+  // preset = a konfig groups bejegyzése: a jelenleg kijelölt komponensek egy névvel
+  function savePreset() {
+    const name = presetName.trim();
+    if (!name || !active.length) return;
+    setPresetName("");
+    saveConfig({ ...draft, groups: { ...draft.groups, [name]: components.map(c => c.name) } });
+  }
+
+  async function downloadPatch() {
+    if (!result) return;
+    setError(null);
+
+    try {
+      const resp = await api.patch({ previewId: result.previewId });
+
+      const url = URL.createObjectURL(await resp.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `asa-harmonizer-${result.previewId}.patch`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e: any) {
+      setError(e?.message || "Patch download failed");
+    }
+  }
+
+  // GET /v1/preview/:id/report – a run riportja (a modell kimenetéből, a reviewer szerkesztései nélkül)
+  async function downloadReport(format: keyof typeof REPORT_EXTENSIONS) {
+    if (!result) return;
+    setError(null);
+
+    try {
+      const resp = await api.report(result.previewId, { format });
+
+      const url = URL.createObjectURL(await resp.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `asa-harmonizer-${result.previewId}.${REPORT_EXTENSIONS[format]}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e: any) {
+      setError(e?.message || "Report download failed");
+    }
+  }
+
+  // a kijelölt fájlok, amelyek a célkomponensbe mennének
+  const selectedFor = (name: string) =>
+    (result?.suggestions || []).filter(s => s.unified !== null && (selection[s.file] || []).includes(name));
+
+  // a reviewer változata, ha átírta – ez megy a verify / apply-ba, edited:true jelöléssel
+  const isEdited = (s: HarmonizerSuggestion) => edits[s.file] !== undefined && edits[s.file].text !== s.unified;
+  const contentOf = (s: HarmonizerSuggestion) => (isEdited(s) ? edits[s.file].text : s.unified);
+  const validationOf = (s: HarmonizerSuggestion) => (isEdited(s) && edits[s.file].validation) || s.validation;
+  const toInput = (s: HarmonizerSuggestion) => ({ file: s.file, unified: contentOf(s), ...(isEdited(s) ? { edited: true } : {}) });
+  const revalidating = Object.values(edits).some(e => e.validation === null);
+
+  // szerkesztés: a régi check eredmény érvényét veszti; a backend 600 ms gépelési szünet után validál újra
+  function editSuggestion(s: HarmonizerSuggestion, text: string) {
+    if (!result) return;
+    const { previewId } = result;
+    clearTimeout(revalidateTimers.current[s.file]);
+    setChecks(prev => {
+      const { [s.file]: _stale, ...rest } = prev;
+      return rest;
+    });
+
+    if (text === s.unified) {
+      setEdits(prev => ({ ...prev, [s.file]: { text, validation: s.validation } }));
+      return;
+    }
+
+    setEdits(prev => ({ ...prev, [s.file]: { text, validation: null } }));
+    revalidateTimers.current[s.file] = setTimeout(async () => {
+      try {
+        const data = await api.validateEdit(previewId, { file: s.file, unified: text });
+        // közben tovább gépelt – az újabb szöveg validációja fog nyerni
+        setEdits(prev => (prev[s.file]?.text === text ? { ...prev, [s.file]: { text, validation: data.validation } } : prev));
+      } catch (e: any) {
+        setError(e?.message || "Validation failed");
+      }
+    }, 600);
+  }
+
+  function resetEdit(file: string) {
+    clearTimeout(revalidateTimers.current[file]);
+    setEdits(prev => {
+      const { [file]: _dropped, ...rest } = prev;
+      return rest;
+    });
+    setChecks(prev => {
+      const { [file]: _stale, ...rest } = prev;
+      return rest;
+    });
+  }
 
-//////////////////////////// ASA_CodeHarmonizerPanel.tsx ////////////////////////////
+  // a célkomponens checkjei a kijelölt javaslatokkal (ugyanaz a tartalom, amit az apply írna), scratch másolaton
+  async function runChecks(target: HarmonizerComponent) {
+    if (!result) return;
+    setError(null);
+    setVerifying(target.name);
 
-import React, { useState } from "react";
+    try {
+      let data = await api.startVerify({
+        previewId: result.previewId,
+        components: [target],
+        suggestions: selectedFor(target.name).map(toInput)
+      });
 
-type HarmonizerComponent = {
-  name: string;
-  path: string;
-};
+      while (data.job.status === "running") {
+        await new Promise(r => setTimeout(r, 1500));
+        data = await api.getVerify(data.job.id);
+      }
+      if (data.job.status !== "done") throw new Error(data.job.error || `Verify ${data.job.status}`);
+
+      const files: Record<string, HarmonizerFileCheck[]> = data.job.result.files;
+      setChecks(prev => {
+        const next = { ...prev };
+        for (const [file, entries] of Object.entries(files)) {
+          next[file] = [...(next[file] || []).filter(c => c.component !== target.name), ...entries];
+        }
+        return next;
+      });
+    } catch (e: any) {
+      setError(e?.message || "Verify failed");
+    } finally {
+      setVerifying(null);
+    }
+  }
 
-type HarmonizerSuggestion = {
-  file: string;
-  unifiedCode: string;
-  rationale: string;
-};
+  // side-by-side / többutas nézet – a komponensek jelenlegi tartalma az első megnyitáskor töltődik
+  async function loadCompare(file: string) {
+    if (!result || compare[file]) return;
+    try {
+      const data = await api.previewFile(result.previewId, file);
+      setCompare(prev => ({ ...prev, [file]: data }));
+    } catch (e: any) {
+      setError(e?.message || "Compare failed");
+    }
+  }
 
-type HarmonizerRunResult = {
-  diffs: any[];
-  suggestions: HarmonizerSuggestion[];
-};
+  function toggleTarget(file: string, component: string) {
+    setSelection(prev => {
+      const current = prev[file] || [];
+      return {
+        ...prev,
+        [file]: current.includes(component) ? current.filter(c => c !== component) : [...current, component]
+      };
+    });
+  }
 
-interface Props {
-  // ASA MATRIX oldalról érkező beállítások (opcionális)
-  defaultComponents?: HarmonizerComponent[];
-  workerBaseUrl?: string; // pl. "https://asa-code-harmonizer-worker.example.workers.dev"
-}
+  // csak a kijelölt fájl × célkomponens párok mennek az apply-ba
+  async function applySelected(mode: "fs" | "git") {
+    if (!result) return;
+    const picked = result.suggestions.filter(s => s.unified !== null && (selection[s.file] || []).length > 0);
+    const targets = components.filter(c => picked.some(s => selection[s.file].includes(c.name)));
+    if (!picked.length) return;
 
-/**
- * ASA MATRIX -> CODE HARMONIZER PANEL
- * - triple black + dark turquoise + cyan green
- * - vortex háttér animáció
- * - egy nagy "Run Code Harmonizer" gomb
- */
-export const ASA_CodeHarmonizerPanel: React.FC<Props> = ({
-  defaultComponents,
-  workerBaseUrl = "https://asa-code-harmonizer-worker.example.workers.dev"
-}) => {
-  const [components, setComponents] = useState<HarmonizerComponent[]>(
-    defaultComponents || [
-      { name: "dashboard", path: "apps/dashboard" },
-      { name: "backend", path: "apps/backend" },
-      { name: "worker", path: "apps/worker" }
-    ]
-  );
+    setError(null);
+    setApplying(true);
+    try {
+      const data = await api.apply({
+        previewId: result.previewId,
+        components: targets,
+        suggestions: picked.map(s => ({ ...toInput(s), components: selection[s.file] })),
+        mode
+      });
+      setApplied(data);
+    } catch (e: any) {
+      // VALIDATION_FAILED: details = blocked lista; CHECKS_REGRESSED: details = komponens -> status
+      setError(
+        e?.code === "VALIDATION_FAILED"
+          ? `${e.message}: ${e.details.map((b: { file: string; component: string }) => `${b.component}/${b.file}`).join(", ")}`
+          : e?.message || "Apply failed"
+      );
+    } finally {
+      setApplying(false);
+    }
+  }
 
-  const [loading, setLoading] = useState(false);
-  const [result, setResult] = useState<HarmonizerRunResult | null>(null);
-  const [error, setError] = useState<string | null>(null);
+  async function undoApply() {
+    if (!applied || applied.mode !== "fs") return;
+    setError(null);
+    setApplying(true);
+    try {
+      await api.undo(applied.runId);
+      setApplied(null);
+    } catch (e: any) {
+      setError(e?.message || "Undo failed");
+    } finally {
+      setApplying(false);
+    }
+  }
+
+  function finishJob() {
+    localStorage.removeItem(JOB_STORAGE_KEY);
+    setJobId(null);
+  }
+
+  // feliratkozás a job eseményeire (SSE) – a javaslatok fájlonként, ahogy elkészülnek;
+  // újratöltés után a backend visszajátssza az eddigi állapotot
+  useEffect(() => {
+    if (!jobId) return;
+    const controller = new AbortController();
+    let finished = false;
+
+    async function subscribe() {
+      try {
+        const resp = await api.jobEvents(jobId as string, { signal: controller.signal });
+
+        let current = emptyJob(jobId as string);
+        setJob(current);
+
+        await readEvents(resp, (event: string, data: any) => {
+          current = applyJobEvent(current, event, data);
+          setJob(current);
+
+          if (event === "done") {
+            const done = { ...(current.result as HarmonizerRunResult), ...data };
+            setResult(done);
+            setSelection(defaultSelection(done.suggestions, draft.targets));
+          }
+          if (event === "error") setError(data.error || "Harmonizer job failed");
+          if (["done", "error", "cancelled"].includes(event)) finished = true;
+        });
+
+        if (!finished) throw new Error("Event stream interrupted – reload to resume");
+        finishJob();
+      } catch (e: any) {
+        if (controller.signal.aborted) return;
+        setError(e?.message || "Harmonizer request failed");
+        // lejárt / ismeretlen job: nincs mit folytatni; különben a job ID megmarad, újratöltés után folytatható
+        if (e?.code === "NOT_FOUND") finishJob();
+        else setJobId(null);
+      }
+    }
+
+    subscribe();
+    return () => controller.abort();
+  }, [jobId]);
 
   async function runHarmonizerPreview() {
-    setLoading(true);
     setError(null);
     setResult(null);
+    setJob(null);
+    setChecks({});
+    setSelection({});
+    setCompare({});
+    setApplied(null);
+    setEdits({});
+    setEditing({});
 
     try {
-      const resp = await fetch(`${workerBaseUrl}/harmonizer/preview`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ components })
-      });
-
-      const data = await resp.json();
-      if (!data.ok) {
-        throw new Error(data.error || "Unknown harmonizer error");
-      }
-
-      setResult(data.result as HarmonizerRunResult);
+      const data = await api.startJob({ components });
+      localStorage.setItem(JOB_STORAGE_KEY, data.jobId);
+      setJobId(data.jobId);
     } catch (e: any) {
       setError(e?.message || "Harmonizer request failed");
+    }
+  }
+
+  async function cancelJob() {
+    if (!jobId) return;
+
+    try {
+      await api.cancelJob(jobId);
     } finally {
-      setLoading(false);
+      finishJob();
+      setJob(null);
     }
   }
 
+  // kész eredmény, vagy futás közben a job részleges eredménye
+  const view: HarmonizerRunResult | null =
+    result ||
+    (job && {
+      previewId: "",
+      suggestions: job.result.suggestions,
+      inSync: job.result.inSync,
+      trivial: job.result.trivial,
+      summary: {
+        inSync: job.result.inSync.length,
+        trivial: job.result.trivial.length,
+        divergent: job.progress.total,
+        cached: job.result.suggestions.filter(s => s.cached).length,
+        incomplete: job.result.suggestions.filter(s => !s.coverage.complete).length,
+        invalid: job.result.suggestions.filter(s => !s.validation.ok).length
+      }
+    });
+
   return (
     <div className="asa-harmonizer-root">
       <div className="asa-vortex-bg" />
@@ -443,45 +1792,439 @@ export const ASA_CodeHarmonizerPanel: React.FC<Props> = ({
 
         <section className="asa-panel-components">
           <h3>Target Components</h3>
+          {Object.keys(draft.groups).length > 0 && (
+            <div className="asa-config-bar">
+              Preset:
+              {Object.entries(draft.groups).map(([group, names]) => (
+                <button
+                  key={group}
+                  className={names.join() === components.map(c => c.name).join() ? "asa-button-primary" : "asa-button-secondary"}
+                  disabled={loading}
+                  onClick={() => setActive(names)}
+                >
+                  {group}
+                </button>
+              ))}
+            </div>
+          )}
           <ul>
-            {components.map((c, idx) => (
-              <li key={idx}>
-                <span className="tag-name">{c.name}</span>
-                <span className="tag-path">{c.path}</span>
+            {draft.components.map((c, idx) => (
+              <li key={idx} className="asa-config-row">
+                <input
+                  type="checkbox"
+                  title="Include in the next run"
+                  checked={active.includes(c.name)}
+                  disabled={loading}
+                  onChange={() =>
+                    setActive(prev => (prev.includes(c.name) ? prev.filter(n => n !== c.name) : [...prev, c.name]))
+                  }
+                />
+                <input
+                  className="tag-name"
+                  value={c.name}
+                  placeholder="name"
+                  onChange={e => updateComponent(idx, { name: e.target.value })}
+                />
+                {c.type && <span className={`asa-type-tag asa-type-${c.type}`}>{c.type}</span>}
+                <input
+                  className="tag-path"
+                  value={c.path}
+                  placeholder="path from REPO_ROOT, e.g. apps/web"
+                  onChange={e => updateComponent(idx, { path: e.target.value })}
+                />
+                <select
+                  title="Target policy: review = git branch only, deny = compare only, never written"
+                  value={draft.targets[c.name]?.apply || "allow"}
+                  onChange={e => setPolicy(c.name, e.target.value as HarmonizerTargetPolicy)}
+                >
+                  <option value="allow">apply</option>
+                  <option value="review">branch only</option>
+                  <option value="deny">read-only</option>
+                </select>
+                <button className="asa-button-secondary" title="Remove component" onClick={() => removeComponent(idx)}>
+                  ×
+                </button>
               </li>
             ))}
           </ul>
+          <div className="asa-config-bar">
+            <button className="asa-button-secondary" onClick={addComponent}>
+              Add component
+            </button>
+            <button className="asa-button-secondary" disabled={discovering} onClick={discoverComponents}>
+              {discovering ? "Scanning workspaces..." : "Discover components"}
+            </button>
+            <button className="asa-button-secondary" disabled={!configDirty || savingConfig} onClick={() => saveConfig()}>
+              {savingConfig ? "Saving..." : configDirty ? "Save harmonizer.config.json" : "Config saved"}
+            </button>
+            <input value={presetName} placeholder="preset name" onChange={e => setPresetName(e.target.value)} />
+            <button
+              className="asa-button-secondary"
+              disabled={!presetName.trim() || components.length < 2 || savingConfig}
+              onClick={savePreset}
+            >
+              Save selection as preset
+            </button>
+          </div>
+          {discovered && (
+            <div className="asa-discovered">
+              <h4>
+                Discovered ({proposals.length} new)
+                {proposals.length > 1 && (
+                  <button className="asa-button-secondary" onClick={() => acceptDiscovered(proposals)}>
+                    Accept all
+                  </button>
+                )}
+              </h4>
+              {proposals.length === 0 && <p>Every detected package is already in harmonizer.config.json.</p>}
+              <ul>
+                {proposals.map(p => (
+                  <li key={p.path} title={p.evidence.join(", ")}>
+                    <span className="tag-name">{p.name}</span>
+                    <span className={`asa-type-tag asa-type-${p.type}`}>{p.type}</span>
+                    <span className="tag-path">{p.path}</span>
+                    <span className="asa-evidence">{p.evidence.join(" · ")}</span>
+                    <button className="asa-button-secondary" onClick={() => acceptDiscovered([p])}>
+                      Accept
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </section>
 
         <section className="asa-panel-actions">
           <button
             className="asa-button-primary"
-            disabled={loading}
+            disabled={loading || components.length < 2}
             onClick={runHarmonizerPreview}
           >
             {loading ? "Analyzing & Harmonizing..." : "Run Code Harmonizer"}
           </button>
         </section>
 
+        {loading && job && (
+          <section className="asa-progress">
+            <div className="asa-progress-bar">
+              <div style={{ width: `${job.progress.total ? (job.progress.done / job.progress.total) * 100 : 0}%` }} />
+            </div>
+            <p>
+              {job.progress.done} / {job.progress.total} files
+              {job.progress.current && ` – ${job.progress.current}`}
+            </p>
+            <button className="asa-button-secondary" onClick={cancelJob}>
+              Cancel
+            </button>
+          </section>
+        )}
+
         {error && (
           <section className="asa-panel-error">
             <p>{error}</p>
           </section>
         )}
 
-        {result && (
+        {view && (
           <section className="asa-panel-result">
-            <h3>Suggestions</h3>
-            {result.suggestions.length === 0 && <p>No overlapping files detected.</p>}
+            <div className="asa-summary">
+              <span>In sync: {view.summary.inSync}</span>
+              <span>Trivial: {view.summary.trivial}</span>
+              <span>Divergent: {view.summary.divergent}</span>
+              <span>Cached: {view.summary.cached}</span>
+              {view.summary.incomplete > 0 && <span className="asa-incomplete">Incomplete: {view.summary.incomplete}</span>}
+              {view.summary.invalid > 0 && <span className="asa-incomplete">Invalid: {view.summary.invalid}</span>}
+            </div>
+
+            {view.trivial.length > 0 && (
+              <details className="asa-suggestion">
+                <summary>Trivially different ({view.trivial.length})</summary>
+                <ul className="asa-status-list">
+                  {view.trivial.map((t, idx) => (
+                    <li key={idx}>
+                      {t.file} <span className="tag-path">{t.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
 
-            {result.suggestions.map((s, idx) => (
+            <h3>Suggestions</h3>
+            {result && result.suggestions.length === 0 && <p>No divergent files detected.</p>}
+
+            {result && result.suggestions.some(s => s.patches.length > 0) && (
+              <button className="asa-button-secondary" onClick={downloadPatch}>
+                {result.suggestions.some(isEdited)
+                  ? "Download .patch (model output, without edits)"
+                  : "Download .patch"}
+              </button>
+            )}
+
+            {result && (
+              <div className="asa-config-bar">
+                Report:
+                {(Object.keys(REPORT_EXTENSIONS) as (keyof typeof REPORT_EXTENSIONS)[]).map(format => (
+                  <button key={format} className="asa-button-secondary" onClick={() => downloadReport(format)}>
+                    {REPORT_LABELS[format]}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {result && result.suggestions.some(s => s.unified !== null) &&
+              components.map(c => (
+                <button
+                  key={c.name}
+                  className="asa-button-secondary"
+                  disabled={verifying !== null || revalidating || selectedFor(c.name).length === 0}
+                  onClick={() => runChecks(c)}
+                >
+                  {verifying === c.name ? `Running checks in ${c.name}...` : `Run checks in ${c.name}`}
+                </button>
+              ))}
+
+            {result && result.suggestions.some(s => s.unified !== null) && (
+              <div className="asa-apply-bar">
+                <span>
+                  Selected: {Object.values(selection).reduce((n, targets) => n + targets.length, 0)} file × component pairs
+                </span>
+                <button
+                  className="asa-button-primary"
+                  disabled={applying || revalidating || !Object.values(selection).some(t => t.length > 0)}
+                  onClick={() => applySelected("fs")}
+                >
+                  {applying ? "Applying..." : revalidating ? "Validating edits..." : "Apply selected"}
+                </button>
+                <button
+                  className="asa-button-secondary"
+                  disabled={applying || revalidating || !Object.values(selection).some(t => t.length > 0)}
+                  onClick={() => applySelected("git")}
+                >
+                  Commit selected to branch
+                </button>
+              </div>
+            )}
+
+            {applied && (
+              <div className="asa-apply-result">
+                {applied.mode === "git"
+                  ? applied.branch
+                    ? `Committed to ${applied.branch} (${applied.commits?.length || 0} commits)`
+                    : "Nothing to commit – the targets already match"
+                  : `Applied ${applied.applied} files (run ${applied.runId})`}
+                {(applied.edited || []).length > 0 && (
+                  <div className="tag-path">Edited by reviewer: {applied.edited?.join(", ")}</div>
+                )}
+                {applied.blocked.map((b, bIdx) => (
+                  <div key={bIdx} className="asa-incomplete">
+                    Blocked: {b.component}/{b.file}{b.diagnostics[0] ? ` – ${b.diagnostics[0].message}` : ""}
+                  </div>
+                ))}
+                {Object.entries(applied.verification)
+                  .filter(([, status]) => status !== "passed")
+                  .map(([comp, status]) => (
+                    <div key={comp} className="tag-path">Checks in {comp}: {status}</div>
+                  ))}
+                {applied.mode === "fs" && (
+                  <button className="asa-button-secondary" disabled={applying} onClick={undoApply}>
+                    Undo
+                  </button>
+                )}
+              </div>
+            )}
+
+            {view.suggestions.map((s, idx) => (
               <details key={idx} className="asa-suggestion">
-                <summary>{s.file}</summary>
+                <summary>
+                  {s.file}
+                  <span className="asa-type-tag">{s.type}</span>
+                  {s.source === "llm" && (
+                    <span className={s.cached ? "asa-cache-tag" : "asa-type-tag"}>{s.cached ? "cached" : "fresh"}</span>
+                  )}
+                  {s.coverage.chunks > 1 && <span className="asa-type-tag">{s.coverage.chunks} parts</span>}
+                  {!s.coverage.complete && <span className="asa-incomplete-tag">incomplete</span>}
+                  {!validationOf(s).ok && <span className="asa-incomplete-tag">invalid</span>}
+                  {s.validation.repair === "fixed" && <span className="asa-type-tag">repaired</span>}
+                  {isEdited(s) && <span className="asa-edited-tag">edited by reviewer</span>}
+                  {(selection[s.file] || []).length > 0 && (
+                    <span className="asa-cache-tag">→ {selection[s.file].join(", ")}</span>
+                  )}
+                  {(checks[s.file] || []).map(v => (
+                    <span key={v.component} className={v.status === "regressed" ? "asa-incomplete-tag" : "asa-type-tag"}>
+                      {v.component}: {v.status}
+                    </span>
+                  ))}
+                  {s.match === "similar" && (
+                    <span className="asa-match-tag">
+                      ~{Math.round(s.confidence * 100)}% similar:{" "}
+                      {Object.entries(s.paths).map(([comp, p]) => `${comp}:${p}`).join(", ")}
+                    </span>
+                  )}
+                </summary>
                 <div className="asa-suggestion-body">
-                  <pre className="asa-code-block">
-                    <code>{s.unifiedCode}</code>
-                  </pre>
-                  <p className="asa-rationale">{s.rationale}</p>
+                  {result && s.unified !== null && s.patches.length > 0 && (
+                    <div className="asa-targets">
+                      Apply to:
+                      {s.patches.map(p => (
+                        <label key={p.component} title={validationOf(s).ok ? p.path : "Failed validation – the backend blocks it"}>
+                          <input
+                            type="checkbox"
+                            checked={(selection[s.file] || []).includes(p.component)}
+                            disabled={draft.targets[p.component]?.apply === "deny"}
+                            onChange={() => toggleTarget(s.file, p.component)}
+                          />
+                          {p.component}
+                          {draft.targets[p.component]?.apply === "review" && " (branch only)"}
+                          {draft.targets[p.component]?.apply === "deny" && " (read-only)"}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {result && (
+                    <details
+                      className="asa-patch"
+                      onToggle={e => (e.currentTarget as HTMLDetailsElement).open && loadCompare(s.file)}
+                    >
+                      <summary>Compare versions</summary>
+                      {compare[s.file] ? (
+                        <>
+                          <select
+                            value={focus[s.file] || ""}
+                            onChange={e => setFocus(prev => ({ ...prev, [s.file]: e.target.value }))}
+                          >
+                            <option value="">All components + suggestion</option>
+                            {compare[s.file].versions.map(v => (
+                              <option key={v.component} value={v.component}>
+                                {v.component} ↔ suggestion
+                              </option>
+                            ))}
+                          </select>
+                          <FileCompare data={compare[s.file]} focus={focus[s.file] || null} />
+                        </>
+                      ) : (
+                        <p className="tag-path">Loading...</p>
+                      )}
+                    </details>
+                  )}
+
+                  {s.unified !== null && result && (
+                    <div className="asa-editor-bar">
+                      <button
+                        className="asa-button-secondary"
+                        onClick={() => setEditing(prev => ({ ...prev, [s.file]: !prev[s.file] }))}
+                      >
+                        {editing[s.file] ? "Done editing" : "Edit suggestion"}
+                      </button>
+                      {isEdited(s) && (
+                        <>
+                          <span className="tag-path">
+                            {changedLines(s.unified as string, edits[s.file].text)} lines changed vs model output
+                            {edits[s.file].validation === null ? " · validating..." : ""}
+                          </span>
+                          <button className="asa-button-secondary" onClick={() => resetEdit(s.file)}>
+                            Reset to model output
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {s.unified !== null &&
+                    (editing[s.file] ? (
+                      <CodeEditor value={contentOf(s) as string} file={s.file} onChange={text => editSuggestion(s, text)} />
+                    ) : (
+                      <pre className="asa-code-block">
+                        <code>
+                          <Highlighted code={contentOf(s) as string} file={s.file} />
+                        </code>
+                      </pre>
+                    ))}
+                  {isEdited(s) && compare[s.file] && (
+                    <p className="tag-path">Compare versions shows the model output, not your edits.</p>
+                  )}
+                  <p className="asa-rationale">{s.why}</p>
+
+                  {(validationOf(s).warnings || []).map((w, wIdx) => (
+                    <p key={wIdx} className="tag-path">
+                      Type check skipped{w.component ? ` in ${w.component}` : ""}: {w.message}
+                    </p>
+                  ))}
+
+                  {!validationOf(s).ok && (
+                    <div className="asa-conflict">
+                      <div className="asa-conflict-head">
+                        Validation failed ({validationOf(s).checked.join(", ")}) – blocked from apply
+                        {isEdited(s) ? " · after your edits" : s.validation.repair === "failed" ? " · model repair attempt failed" : ""}
+                      </div>
+                      <ul className="asa-incomplete">
+                        {validationOf(s).diagnostics.map((d, dIdx) => (
+                          <li key={dIdx}>
+                            [{d.source}{d.component ? `:${d.component}` : ""}]{" "}
+                            {d.line != null ? `${d.line}:${d.column} ` : ""}
+                            {d.message}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {(checks[s.file] || []).map(v => (
+                    <details key={v.component} className="asa-patch">
+                      <summary>
+                        Checks in {v.component}: {v.status}
+                        {v.status === "regressed" ? " – apply refused" : ""}
+                      </summary>
+                      {v.checks.map((c, cIdx) => (
+                        <div key={cIdx}>
+                          <span className="tag-path">
+                            [{c.ok ? "pass" : "FAIL"}] {c.command}
+                            {!c.baselineOk ? " (already failing before harmonization)" : ""}
+                          </span>
+                          {!c.ok && (
+                            <pre className="asa-code-block">
+                              <code>{c.output}</code>
+                            </pre>
+                          )}
+                        </div>
+                      ))}
+                    </details>
+                  ))}
+
+                  {s.coverage.skipped.length > 0 && (
+                    <ul className="asa-incomplete">
+                      {s.coverage.skipped.map((k, kIdx) => (
+                        <li key={kIdx}>
+                          Part {k.part} not harmonized ({k.keys.join(", ") || "whole file"}): {k.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {s.patches.map((p, pIdx) => (
+                    <details key={pIdx} className="asa-patch">
+                      <summary>{p.component}: {p.path}</summary>
+                      <pre className="asa-code-block">
+                        <code>{p.diff}</code>
+                      </pre>
+                    </details>
+                  ))}
+
+                  {s.conflicts.map((c, cIdx) => (
+                    <div key={cIdx} className="asa-conflict">
+                      <div className="asa-conflict-head">
+                        Conflict @ line {c.line}{c.key ? ` (${c.key})` : ""}
+                      </div>
+                      {c.variants.map((v, vIdx) => (
+                        <div key={vIdx} className="asa-conflict-variant">
+                          <span className="tag-path">{v.components.join(", ")}</span>
+                          <pre className="asa-code-block">
+                            <code>{v.text}</code>
+                          </pre>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
                 </div>
               </details>
             ))}
@@ -641,6 +2384,80 @@ body {
   color: var(--asa-turquoise);
 }
 
+/* COMPONENT EDITOR (harmonizer.config.json) */
+
+.asa-config-row {
+  gap: 0.6rem;
+}
+
+.asa-config-row input:not([type="checkbox"]),
+.asa-config-bar input,
+.asa-config-row select {
+  min-width: 0;
+  padding: 0.25rem 0.5rem;
+  border-radius: 8px;
+  border: 1px solid rgba(0, 183, 194, 0.3);
+  background: rgba(2, 4, 10, 0.8);
+  color: var(--asa-text);
+  font: inherit;
+}
+
+.asa-config-row input.tag-path {
+  flex: 1;
+}
+
+.asa-type-tag {
+  padding: 0.05rem 0.45rem;
+  border-radius: 999px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border: 1px solid currentColor;
+}
+
+.asa-type-frontend {
+  color: var(--asa-turquoise);
+}
+
+.asa-type-backend {
+  color: #9dffb0;
+}
+
+.asa-type-worker {
+  color: #ffc880;
+}
+
+.asa-type-library {
+  color: rgba(160, 255, 240, 0.6);
+}
+
+.asa-discovered h4 {
+  display: flex;
+  gap: 0.6rem;
+  align-items: center;
+  margin: 0.5rem 0;
+  font-size: 0.85rem;
+}
+
+.asa-discovered li {
+  gap: 0.6rem;
+}
+
+.asa-evidence {
+  flex: 1;
+  font-size: 0.75rem;
+  opacity: 0.7;
+}
+
+.asa-config-bar {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.6rem;
+  align-items: center;
+  margin: 0.75rem 0;
+  font-size: 0.8rem;
+}
+
 .tag-path {
   font-size: 0.8rem;
   opacity: 0.75;
@@ -683,6 +2500,55 @@ body {
   cursor: default;
 }
 
+.asa-button-secondary {
+  margin-bottom: 1rem;
+  padding: 0.55rem 1.2rem;
+  border-radius: 999px;
+  border: 1px solid rgba(0, 255, 159, 0.6);
+  background: transparent;
+  color: var(--asa-cyan);
+  font-size: 0.8rem;
+  letter-spacing: 0.08em;
+  text-transform: uppercase;
+  cursor: pointer;
+}
+
+.asa-button-secondary:hover:not(:disabled) {
+  background: rgba(0, 255, 159, 0.1);
+}
+
+.asa-button-secondary:disabled {
+  opacity: 0.5;
+  cursor: default;
+}
+
+.asa-progress {
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+  font-size: 0.8rem;
+  color: rgba(232, 247, 255, 0.75);
+}
+
+.asa-progress .asa-button-secondary {
+  margin-bottom: 0;
+}
+
+.asa-progress-bar {
+  flex: 1;
+  height: 6px;
+  border-radius: 999px;
+  background: rgba(0, 255, 159, 0.12);
+  overflow: hidden;
+}
+
+.asa-progress-bar > div {
+  height: 100%;
+  background: linear-gradient(90deg, var(--asa-turquoise), var(--asa-cyan));
+  transition: width 0.3s ease;
+}
+
 .asa-panel-error {
   margin-top: 1.5rem;
   padding: 0.75rem 1rem;
@@ -704,6 +2570,22 @@ body {
   margin-bottom: 0.75rem;
 }
 
+.asa-summary {
+  display: flex;
+  gap: 1.2rem;
+  margin-bottom: 1rem;
+  font-size: 0.8rem;
+  letter-spacing: 0.1em;
+  text-transform: uppercase;
+  color: var(--asa-cyan);
+}
+
+.asa-status-list {
+  margin: 0;
+  padding: 0.4rem 0.9rem 0.8rem 1.8rem;
+  font-size: 0.8rem;
+}
+
 .asa-suggestion {
   margin-bottom: 0.9rem;
   border-radius: 14px;
@@ -720,6 +2602,51 @@ body {
   user-select: none;
 }
 
+.asa-type-tag {
+  margin-left: 0.6rem;
+  padding: 0.05rem 0.45rem;
+  border-radius: 999px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border: 1px solid rgba(0, 183, 194, 0.45);
+  color: var(--asa-turquoise);
+}
+
+.asa-cache-tag {
+  margin-left: 0.6rem;
+  padding: 0.05rem 0.45rem;
+  border-radius: 999px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border: 1px solid rgba(232, 247, 255, 0.3);
+  color: rgba(232, 247, 255, 0.6);
+}
+
+.asa-incomplete-tag {
+  margin-left: 0.6rem;
+  padding: 0.05rem 0.45rem;
+  border-radius: 999px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border: 1px solid rgba(255, 80, 80, 0.6);
+  color: #ff8080;
+}
+
+.asa-incomplete {
+  font-size: 0.75rem;
+  color: #ff8080;
+}
+
+.asa-match-tag {
+  margin-left: 0.6rem;
+  font-size: 0.75rem;
+  color: var(--asa-cyan);
+  opacity: 0.8;
+}
+
 .asa-suggestion-body {
   padding: 0.6rem 0.9rem 0.9rem 0.9rem;
 }
@@ -741,6 +2668,163 @@ body {
   color: rgba(232, 247, 255, 0.75);
 }
 
+.asa-patch summary {
+  cursor: pointer;
+  margin-top: 0.5rem;
+  font-size: 0.78rem;
+  color: rgba(232, 247, 255, 0.75);
+}
+
+.asa-conflict {
+  margin-top: 0.75rem;
+  padding: 0.6rem 0.75rem;
+  border-radius: 12px;
+  background: rgba(140, 30, 30, 0.2);
+  border: 1px solid rgba(255, 80, 80, 0.45);
+}
+
+.asa-conflict-head {
+  font-size: 0.75rem;
+  letter-spacing: 0.1em;
+  text-transform: uppercase;
+  color: #ff8080;
+}
+
+.asa-conflict-variant {
+  margin-top: 0.5rem;
+}
+
+/* SELECTIVE APPLY + COMPARE */
+
+.asa-targets {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+  align-items: center;
+  font-size: 0.78rem;
+  color: rgba(232, 247, 255, 0.75);
+}
+
+.asa-targets label {
+  display: inline-flex;
+  gap: 0.3rem;
+  align-items: center;
+  cursor: pointer;
+}
+
+.asa-apply-bar {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+  align-items: center;
+  margin: 0.75rem 0;
+  font-size: 0.8rem;
+}
+
+.asa-apply-result {
+  margin-bottom: 0.75rem;
+  padding: 0.6rem 0.75rem;
+  border-radius: 12px;
+  border: 1px solid rgba(0, 255, 159, 0.45);
+  font-size: 0.8rem;
+}
+
+.asa-compare-grid {
+  display: grid;
+  gap: 0.5rem;
+  margin-top: 0.5rem;
+}
+
+.asa-compare-col {
+  min-width: 0;
+  overflow-x: auto;
+}
+
+.asa-compare-table {
+  width: 100%;
+  margin-top: 0.5rem;
+  border-collapse: collapse;
+  table-layout: fixed;
+  font-family: "JetBrains Mono", "SF Mono", Menlo, Monaco, monospace;
+  font-size: 0.72rem;
+}
+
+.asa-compare-table th {
+  text-align: left;
+  font-weight: normal;
+  color: rgba(232, 247, 255, 0.6);
+}
+
+.asa-compare-table td {
+  padding: 0 0.4rem;
+  white-space: pre-wrap;
+  vertical-align: top;
+  border-left: 1px solid rgba(0, 255, 159, 0.15);
+}
+
+.asa-line-changed {
+  background: rgba(0, 183, 194, 0.18);
+}
+
+/* SUGGESTION EDITOR */
+
+.asa-editor-bar {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+  align-items: center;
+  margin: 0.5rem 0;
+}
+
+.asa-edited-tag {
+  margin-left: 0.6rem;
+  padding: 0.05rem 0.45rem;
+  border-radius: 999px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border: 1px solid rgba(255, 200, 80, 0.6);
+  color: #ffd080;
+}
+
+/* a textarea és a színezett réteg pontosan fedje egymást: azonos font, padding, tördelés */
+.asa-editor {
+  position: relative;
+}
+
+.asa-editor-layer,
+.asa-editor-input {
+  margin: 0;
+  white-space: pre;
+  line-height: 1.45;
+  tab-size: 2;
+}
+
+.asa-editor-layer {
+  min-height: 160px;
+}
+
+.asa-editor-input {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  box-sizing: border-box;
+  resize: none;
+  border: 1px solid rgba(255, 200, 80, 0.45);
+  background: transparent;
+  color: transparent;
+  caret-color: var(--asa-cyan);
+  outline: none;
+}
+
+.asa-tok-keyword { color: #7fd8ff; }
+.asa-tok-string { color: #9dffb0; }
+.asa-tok-comment { color: rgba(232, 247, 255, 0.45); font-style: italic; }
+.asa-tok-number { color: #ffc880; }
+.asa-tok-property { color: var(--asa-turquoise); }
+.asa-tok-punct { color: rgba(232, 247, 255, 0.7); }
+
 /* ASA MATRIX NAV */
 
 .asa-matrix-root {
@@ -811,21 +2895,113 @@ body {
  *    - .env:
  *        OPENAI_API_KEY=sk-...
  *        REPO_ROOT=/abszolut/elérési/út/asa_full
+ *        WORKER_API_KEY=...               # közös titok a Workerrel (HMAC aláírás); nélküle minden /api kérés 401
+ *        # ASA_ALLOW_UNSIGNED=1           # csak lokális fejlesztéshez: kulcs nélkül aláíratlan kérések is átmennek
+ *        ASA_SIGNATURE_TTL_MS=300000      # aláírás érvényessége (replay védelem időablaka)
+ *        ASA_JOB_TTL_MS=3600000           # befejezett jobok ennyi ideig kérdezhetők le
+ *        ASA_LLM_CACHE=on                 # off = nincs LLM válasz cache
+ *        ASA_CACHE_DIR=backend/.asa-cache # cache helye (kulcs: verziók + prompt + modell hash-e)
+ *        ASA_LLM_CONCURRENCY=4            # egyidejű modell hívások / fájlok
+ *        ASA_LLM_RETRIES=3                # újrapróbálás 429 / 5xx / hálózati hibánál (backoff + jitter, Retry-After)
+ *        ASA_LLM_RETRY_BASE_MS=1000       # első várakozás, próbálkozásonként duplázódik
+ *        ASA_LLM_RETRY_MAX_MS=60000       # egy várakozás felső határa
+ *        ASA_RUN_TIMEOUT_MS=0             # preview futás időkorlátja (0 = nincs; body.timeoutMs felülírja)
+ *        ASA_LLM_CHUNK_TOKENS=8000        # ennél nagyobb fájl függvény / osztály határokon darabolva megy a modellhez
+ *        ASA_LLM_CONTEXT_TOKENS=8192      # csak ismeretlen / lokális modellhez (OpenAI modellek limitje ismert)
+ *        ASA_LLM_OUTPUT_TOKENS=4096       # max válasz hossz – a darab ennek 3/4-éig nőhet
+ *        ASA_TYPECHECK=on                 # off = csak szintaxis ellenőrzés (TS: "typescript" 5.x csomag kell –
+ *                                         # nélküle a javaslat validation.warnings-ban jelzi, hogy kimaradt)
+ *        ASA_LLM_REPAIR=off               # on = validáción elbukott javaslat egyszer vissza a modellhez a hibákkal
+ *        ASA_VERIFY_CHECKS="npm test"     # verify checkek (vesszővel), ha a komponens package.json-ja nem ad "asaHarmonizer.checks"-et
+ *        ASA_VERIFY_TIMEOUT_MS=300000     # egy check időkorlátja (lejártakor a teljes process group leáll)
+ *        ASA_VERIFY_ON_REGRESSION=block   # warn = regresszált check után is applyolható (figyelmeztetéssel)
+ *        ASA_LLM_PROVIDER=openai          # openai | local | mock
+ *        ASA_AGENT_MODEL=gpt-4.1-mini
+ *        ASA_LLM_BASE_URL=http://localhost:11434/v1   # csak "local" módban (Ollama / llama.cpp)
+ *        ASA_SIMILARITY_THRESHOLD=0.5     # átnevezett fájlok párosítása (MinHash, 0..1)
+ *        ASA_MAX_FILE_BYTES=1048576       # ennél nagyobb fájlokat a szkenner kihagy
+ *        ASA_SNAPSHOT_DIR=.asa-harmonizer/runs   # apply snapshotok (REPO_ROOT-hoz relatív)
+ *        ASA_APPLY_DENY=*.sql,secrets/    # az apply deny-lista bővítése (.env, lockfile, .git alapból tiltott)
+ *        ASA_API_STRICT=off               # on = a v1 szerződéstől eltérő válasz 500 INTERNAL (fejlesztéshez / CI-hoz)
+ *    - verify: a checkek a generált kódot futtatják a backend gépén (scratch másolaton, API kulcsok nélkül) –
+ *      komponensenként package.json: { "asaHarmonizer": { "checks": ["npm test", "npx tsc --noEmit"] } }
+ *    - REPO_ROOT/.harmonizerignore (gitignore szintaxis) – node_modules, dist, build, .git alapból kimarad
+ *    - REPO_ROOT/harmonizer.config.json (commitolható, kulcs nélkül; séma: contract.js HarmonizerConfig):
+ *        { "components": [{ "name": "web", "path": "apps/web" }, ...],
+ *          "groups": { "frontends": ["web", "admin"] },          # presetek (panel, CLI --group)
+ *          "ignore": ["generated/", "*.snap"],                   # a .harmonizerignore mellé
+ *          "similarity": 0.5, "timeoutMs": 0, "fileTypes": [...],  # a preview alapértékei, a body felülírja
+ *          "model": { "provider": "openai", "name": "gpt-4.1-mini", "baseUrl": "...", "repair": false },
+ *          "targets": { "legacy": { "apply": "deny" }, "web": { "apply": "review" } } }
+ *      targets: deny = csak összehasonlítás, nem írható; review = csak mode:"git" ágra – különben 403 POLICY_DENIED
+ *    - GET / PUT /api/v1/config – a panel ezzel olvassa / menti (PUT: séma + hivatkozások + létező mappák)
+ *    - GET /api/v1/discover – komponens javaslatok: npm / yarn / pnpm workspaces, package.json, wrangler.toml (worker),
+ *      vite.config (frontend), szerver függőségek (backend); 4 szint mélységig, a zaj mappák és a config ignore nélkül
+ *    - GET /api/v1/preview/:id/report?format=markdown|html|json|sarif[&diffs=false] – bármely tárolt run riportja:
+ *      komponens páronkénti összesítés, divergens fájlok sor-hasonlósággal, indoklással és diffekkel (report.js);
+ *      a SARIF 2.1.0 REPO_ROOT-hoz relatív útvonalakkal (uriBaseId) – pl. GitHub code scanning upload-sarif
+ *    - fájltípusok (filetypes.js): kód, tsconfig, ESLint, JSON, CSS, Markdown – saját típus a
+ *      preview body "fileTypes" mezőjében: [{ name, match:["*.scss"], strategy:"css", prompt }]
+ *    - API: /api/v1/* – a szerződés a shared/api/contract.js-ben (a backend, a Worker és a dashboardok közös
+ *      modulja, a backend mellé kell másolni), OpenAPI-ként: GET /api/v1/openapi.json; a kérés séma szerint
+ *      validált, minden hiba { ok:false, code, error, details? } (kódok: shared/api/errors.js)
+ *    - a régi /api/code-harmonizer/* még működik, Deprecation fejléccel – a v1-re átírt Worker után elhagyható
  *    - npm install
  *    - npm run dev
+ *    - tesztek: cd backend && node --test test/*.test.js – ideiglenes fixture repókon (test/fixture.js),
+ *      mock providerrel, hálózat és API kulcs nélkül; a git apply tesztekhez git kell;
+ *      test/worker-auth.test.js: a Worker Miniflare alatt (workerd, a "miniflare" dev függőség hozza) egy localhost
+ *      backend előtt (aláírás, replay, lejárat, kliens kulcs)
  *
  * 2) Worker:
  *    - Hozd létre: worker/src/asa-code-harmonizer-worker.ts
  *    - wrangler.toml-ban BACKEND_URL = a backend publikus URL-je
+ *    - kötelező secretek (a wrangler.toml is felsorolja):
+ *      wrangler secret put WORKER_API_KEY  (= backend/.env WORKER_API_KEY – ezzel írja alá a kéréseket)
+ *      wrangler secret put CLIENT_API_KEY  (a dashboard kulcsa; a panel apiKey propja küldi)
+ *    - lokálisan: worker/.dev.vars-ba ugyanez a két kulcs + BACKEND_URL=http://localhost:4000,
+ *      `wrangler dev` (Miniflare) + a backend localhoston – a 401/403 hibák a panelen jelennek meg
+ *    - a dashboard a /v1/* útvonalakat hívja; a régi /harmonizer/* átmenetileg szintén a /api/v1-re megy
+ *    - érvénytelen body / ismeretlen útvonal már a Workerben 400 / 404 (a backend nem kap kérést)
  *    - wrangler deploy
  *
  * 3) Dashboard (ASA MATRIX):
  *    - Importáld az ASA_Matrix-et fő App-ba
+ *    - "Target Components": a komponensek a harmonizer.config.json-ból – hozzáadás, átnevezés, útvonal, target policy,
+ *      jelölővel a futásba vont komponensek; "Save selection as preset" = új groups bejegyzés, a presetek gombként
+ *    - "Discover components": a felderített, még nem konfigurált komponensek típussal – "Accept" egy kattintással
+ *      a listába és a futásba veszi (a konfigba a "Save harmonizer.config.json" írja)
  *    - import "./asa-theme.css"
- *    - a panel a Worker /harmonizer/preview endpointját fogja hívni
+ *    - a panel a shared/api/client.js klienssel hívja a Worker /v1/jobs endpointjait: a futás jobként indul, a panel
+ *      feliratkozik a /jobs/:id/events SSE streamre (discovered / analyzing / suggestion / failed),
+ *      így az első javaslatok már olvashatók, amíg a többi fájl fut; Cancel gomb; a job ID
+ *      localStorage-ban van, újratöltés után a backend visszajátssza az eddigi állapotot
+ *    - egylépéses streaming: POST /v1/preview/stream (a szinkron /v1/preview is megmaradt)
+ *    - javaslatonként "Compare versions": minden komponens jelenlegi változata a javaslat mellett
+ *      (GET /v1/preview/:id/file?file=..), vagy egy komponens side-by-side; "Apply to" jelölőkkel fájlonként
+ *      választható, mely célkomponensekbe menjen – az apply / verify csak a kijelölt párokat kapja
+ *    - "Edit suggestion": a unified kód szerkeszthető (színezve, shared/ui/highlight.js); a panel jelzi, hány sor
+ *      tér el a modell kimenetétől, a backend gépelés után újravalidálja (POST /v1/preview/:id/validate),
+ *      az apply / verify a szerkesztett változatot kapja edited:true-val – a git commitban "edited by reviewer"
+ *    - "Report": a run letöltése Markdown / HTML / JSON / SARIF formában (a modell kimenete, a szerkesztések nélkül)
  *
  * 4) Eredmény:
  *    - ASA MATRIX UI-ban Code Harmonizer tab/panel
  *    - gomb: OpenAI-val harmonizált kód preview
- *    - ha akarod, /apply endpointtal valódi fájlokra is applyolható
+ *    - ha akarod, /v1/apply endpointtal valódi fájlokra is applyolható – body { previewId, components, suggestions }
+ *      (snapshot + atomikus írás; a válasz runId-jával POST /v1/apply/:runId/undo visszavonja)
+ *    - apply body { mode:"git", commitPer:"file"|"component" }: új ágra commitol review-ra,
+ *      a válaszban a branch neve és a commit SHA-k (ASA_GIT_AUTHOR_NAME / _EMAIL ha nincs git identitás)
+ *    - POST /v1/patch body { previewId }: a tárolt run patchei egy .patch fájlban (git apply-jal alkalmazható)
+ *
+ * 5) CLI (backend/asa-harmonize.js) – ugyanaz a mag, Worker és Express szerver nélkül, a helyi checkouton:
+ *    - telepítés: npm link a backendben (package.json "bin"), vagy a backend/asa-harmonize wrapper PATH-ba linkelve
+ *    - node backend/asa-harmonize.js preview -c dashboard=apps/dashboard -c backend=apps/backend
+ *      (vagy -c nélkül a REPO_ROOT/harmonizer.config.json összes komponense; --group frontends = egy preset)
+ *    - --config másik.json: másik konfig fájl; a targets policy az apply-nál is érvényes (exit 3)
+ *    - discover: a javasolt komponensek listája; discover --add: az újakat a harmonizer.config.json-ba írja
+ *    - report --run <previewId> --format markdown > report.md (PR leírás); --format sarif --out asa.sarif (CI)
+ *    - --json: ugyanaz a válasz, mint a POST /api/v1/preview; --diff: a patchek is; env: mint a backendnél (ASA_LLM_*, OPENAI_API_KEY)
+ *    - apply --run <previewId> [-c backend] [--mode git]; undo --run <runId> – a preview runok a szerverrel közösek
+ *    - CI: --max-divergent 0 – exit 1, ha van divergens fájl; 2 = hibás bemenet, 3 = apply elutasítva, 4 = egyéb hiba
  **************************************************************************************************/
@@ -1,19 +1,145 @@
+import { BASE_PATH, matchOperation, validateRequest } from "../../shared/api/contract.js";
+import { createClient } from "../../shared/api/client.js";
+import { ApiError } from "../../shared/api/errors.js";
+
+// --- ASA HARMONIZER WORKER ---
+// Dashboard -> Worker: kliens kulcs kell (Authorization: Bearer <kulcs> vagy X-API-Key: <kulcs>),
+//   az elfogadott kulcsok: CLIENT_API_KEY (secret, vesszővel több is megadható)
+// /v1/<művelet> -> backend /api/v1/<művelet> (shared/api/contract.js); a régi /harmonize/* is ide megy.
+// Csak a szerződésben szereplő művelet és séma szerint érvényes body megy tovább – a többi
+//   404 NOT_FOUND / 400 INVALID_REQUEST, a backend hívása nélkül.
+// Worker -> backend: a shared/api/client.js-sel, HMAC-SHA256 aláírással (WORKER_API_KEY, lásd backend/auth.js):
+//   METHOD \n PATH(+query) \n TIMESTAMP \n NONCE \n sha256hex(BODY)
+// A hívó fejlécei nem mennek tovább, csak a Content-Type / Accept.
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, X-API-Key, Content-Type"
+};
+
+const PREFIXES = ["/v1", "/harmonize"];
+
 export default {
   async fetch(req, env) {
     const url = new URL(req.url);
+    const prefix = PREFIXES.find(p => url.pathname === p || url.pathname.startsWith(p + "/"));
 
-    if (!url.pathname.startsWith("/harmonize")) {
+    if (!prefix) {
       return new Response("ASA Harmonizer Worker Online", { status: 200 });
     }
 
-    // /harmonize/preview → /api/harmonize/preview
-    // /harmonize/apply   → /api/harmonize/apply
-    const endpoint = "/api" + url.pathname;
+    if (req.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers: CORS });
+    }
 
-    return fetch(env.BACKEND_URL + endpoint, {
-      method: req.method,
-      headers: req.headers,
-      body: req.body
-    });
+    if (!env.WORKER_API_KEY) return deny(new ApiError("INTERNAL", "Worker misconfigured: WORKER_API_KEY secret missing"));
+
+    const denied = checkClient(req, env);
+    if (denied) return denied;
+
+    // /v1/jobs/abc → művelet getJob, backend /api/v1/jobs/abc
+    const match = matchOperation(req.method, url.pathname.slice(prefix.length) || "/");
+    if (!match) return deny(new ApiError("NOT_FOUND", `Unknown API route: ${req.method} ${url.pathname}`));
+
+    const body = ["GET", "HEAD"].includes(req.method) ? "" : await req.text();
+    let parsed;
+    try {
+      parsed = body ? JSON.parse(body) : undefined;
+    } catch (e) {
+      return deny(new ApiError("INVALID_REQUEST", `Invalid JSON body: ${e.message}`));
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    const errors = validateRequest(match.op, { params: match.params, query, body: parsed });
+    if (errors.length) {
+      return deny(new ApiError("INVALID_REQUEST", `Invalid request: ${errors[0].path} ${errors[0].message}`, errors));
+    }
+
+    const headers = {};
+    for (const h of ["Content-Type", "Accept"]) {
+      if (req.headers.has(h)) headers[h] = req.headers.get(h);
+    }
+
+    const backend = createClient({ baseUrl: env.BACKEND_URL + BASE_PATH, fetch: signedFetch(env.WORKER_API_KEY) });
+
+    // a választ nem olvassuk be: az SSE stream (preview/stream, jobs/:id/events) pufferelés nélkül megy át
+    try {
+      return await backend.send(match.op.operationId, {
+        params: match.params,
+        query,
+        body: body || undefined,
+        headers
+      });
+    } catch (e) {
+      return deny(ApiError.from(e));
+    }
   }
 }
+
+// fetch, ami a backend felé aláírja a kérést (a pontos útvonal + query és a nyers body)
+function signedFetch(secret) {
+  return async (target, init) => {
+    const url = new URL(target);
+    const body = init.body || "";
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomUUID();
+    const signature = await hmacHex(secret, [
+      init.method.toUpperCase(),
+      url.pathname + url.search,
+      timestamp,
+      nonce,
+      await sha256Hex(body)
+    ].join("\n"));
+
+    return fetch(url, {
+      ...init,
+      body: body || undefined,
+      headers: {
+        ...init.headers,
+        "X-ASA-Timestamp": timestamp,
+        "X-ASA-Nonce": nonce,
+        "X-ASA-Signature": signature
+      }
+    });
+  };
+}
+
+// null = mehet tovább; különben 401 (nincs kulcs) / 403 (rossz kulcs) JSON válasz
+function checkClient(req, env) {
+  const auth = req.headers.get("Authorization") || "";
+  const key = auth.startsWith("Bearer ") ? auth.slice(7).trim() : req.headers.get("X-API-Key");
+
+  if (!key) return deny(new ApiError("UNAUTHORIZED", "API key required (Authorization: Bearer <key> or X-API-Key)"));
+
+  const allowed = (env.CLIENT_API_KEY || "").split(",").map(k => k.trim()).filter(Boolean);
+  if (!allowed.some(k => safeEqual(k, key))) return deny(new ApiError("FORBIDDEN", "Invalid API key"));
+
+  return null;
+}
+
+function deny(err) {
+  return new Response(JSON.stringify(err.toJSON()), {
+    status: err.status,
+    headers: { ...CORS, "Content-Type": "application/json" }
+  });
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+const enc = new TextEncoder();
+const hex = buf => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+async function sha256Hex(text) {
+  return hex(await crypto.subtle.digest("SHA-256", enc.encode(text)));
+}
+
+async function hmacHex(secret, text) {
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return hex(await crypto.subtle.sign("HMAC", key, enc.encode(text)));
+}